@@ -28,18 +28,36 @@ const defaultConfig = {
         description: 'WellDB database models',
         path: 'welldb-models'
       }
-    }
+    },
+    hybridCollections: true,
+    oplogSize: 10000
   },
   server: {
     defaultPort: 27017,
     host: 'localhost',
     enableAutoTrain: true,
-    trainThreshold: 100
+    trainThreshold: 100,
+    compressors: ['snappy', 'zstd', 'zlib'],
+    requireAuth: false,
+    tls: {
+      enabled: false,
+      certFile: null,
+      keyFile: null,
+      caFile: null,
+      passphrase: null,
+      requireClientCert: false
+    }
   },
   generation: {
     defaultSeed: null,
     defaultEntropy: null,
-    maxDocuments: 10000
+    maxDocuments: 10000,
+    keySpaceSize: 100,
+    virtualCollections: false,
+    virtualCollectionSize: 1000,
+    rejectionBudget: 10000,
+    tailableRate: 10,
+    changeStreamRate: 0
   },
   logging: {
     level: 'info',
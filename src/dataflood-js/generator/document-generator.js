@@ -5,6 +5,7 @@
  */
 
 import { DataFloodModel } from '../models/DataFloodModel.js';
+import { categoryKey } from '../schema/correlation-detector.js';
 import logger from '../../utils/logger.js';
 
 const log = logger.child('DocumentGenerator');
@@ -13,8 +14,59 @@ export class DocumentGenerator {
   constructor(seed = null, entropyOverride = null) {
     this.random = seed ? this.seededRandom(seed) : Math.random;
     this.entropyOverride = entropyOverride;
-    this.sequentialCounters = {};
+    this.sequentialCounters = new Map();
+    this.sequenceOffset = 0;
+    this.weekSlots = new Map();
     this.modelDocuments = {};
+    this.keySpaces = {};
+    this.conditions = {};
+    this.evaluateExpression = null;
+    this.createBsonValue = null;
+  }
+  
+  /**
+   * Set the key spaces used for foreign key fields
+   * Maps a field name to the list of _id values of the referenced collection
+   */
+  setKeySpaces(keySpaces = {}) {
+    this.keySpaces = keySpaces;
+  }
+  
+  /**
+   * Set the values top-level fields of generated documents are held to
+   * Maps a field name to its allowed values; fields sampled jointly with
+   * or derived from a held field follow its value
+   */
+  setConditions(conditions = {}) {
+    this.conditions = conditions;
+  }
+  
+  /**
+   * Set the function that evaluates derived property expressions
+   * evaluate(expression, object) takes the aggregation expression syntax;
+   * without one, derived properties keep their sampled values
+   */
+  setExpressionEvaluator(evaluate) {
+    this.evaluateExpression = evaluate;
+  }
+  
+  /**
+   * Set the position of the first generated document in its collection
+   * Monotonic dates continue their sequence from there, so a document
+   * generated on its own gets the value it has in the whole collection
+   */
+  setSequenceOffset(offset) {
+    this.sequenceOffset = offset;
+  }
+  
+  /**
+   * Set the function that builds typed BSON values
+   * create(bsonType, value, schema) receives the generated JSON value of a
+   * schema with a bsonType; without one, dates become Date objects and other
+   * typed values keep their JSON values
+   */
+  setBsonValueFactory(create) {
+    this.createBsonValue = create;
   }
   
   /**
@@ -64,7 +116,7 @@ export class DocumentGenerator {
    */
   generateDocument(schema, parentDocument = null) {
     if (schema.type === 'object' && schema.properties) {
-      return this.generateObject(schema, parentDocument);
+      return this.generateObject(schema, parentDocument, this.conditions);
     }
     
     // If not an object schema, generate the value directly
@@ -75,21 +127,86 @@ export class DocumentGenerator {
   /**
    * Generate an object from schema
    */
-  generateObject(schema, parentDocument = null) {
+  generateObject(schema, parentDocument = null, conditions = {}) {
     const obj = {};
     
     if (!schema.properties) {
       return obj;
     }
     
-    // Generate each property
-    for (const [key, propSchema] of Object.entries(schema.properties)) {
+    // Foreign keys only apply to the object that declares the relationships
+    const foreignKeys = schema.relationships ? this.keySpaces : {};
+    
+    // Enums sampled together take one combination of their joint distribution
+    const joint = {};
+    for (const distribution of schema.jointDistributions || []) {
+      if (distribution.fields.every(field => schema.properties[field])) {
+        for (const field of distribution.fields) {
+          joint[field] = distribution;
+        }
+      }
+    }
+    const combinations = new Map();
+    
+    // Fields that depend on another are generated after it
+    const dependencies = {};
+    for (const correlation of schema.correlations || []) {
+      if (schema.properties[correlation.source] && schema.properties[correlation.target] &&
+          !joint[correlation.target]) {
+        dependencies[correlation.target] = correlation;
+      }
+    }
+    const values = {};
+    const visited = new Set();
+    
+    const generateProperty = (key) => {
+      if (visited.has(key)) {
+        return;
+      }
+      visited.add(key);
+      
+      const correlation = dependencies[key];
+      if (correlation) {
+        generateProperty(correlation.source);
+      }
+      
       // Check if property should be generated (required or random chance)
       if (this.shouldGenerateProperty(key, schema.required)) {
-        const value = this.generateValue(propSchema);
-        // Include all values except undefined (null is a valid value)
-        if (value !== undefined) {
-          obj[key] = value;
+        const propSchema = schema.properties[key];
+        let value;
+        if (foreignKeys[key]) {
+          value = this.generateForeignKey(foreignKeys[key]);
+        } else if (joint[key]) {
+          if (!combinations.has(joint[key])) {
+            combinations.set(joint[key], this.sampleJointDistribution(joint[key], conditions));
+          }
+          value = combinations.get(joint[key])[key];
+        } else if (correlation) {
+          value = this.generateCorrelatedValue(correlation, values[correlation.source], propSchema);
+        } else {
+          value = this.generateValue(propSchema);
+        }
+        values[key] = conditions[key] ? this.applyCondition(value, conditions[key]) : value;
+      }
+    };
+    
+    // Generate each property
+    for (const key of Object.keys(schema.properties)) {
+      generateProperty(key);
+    }
+    
+    for (const key of Object.keys(schema.properties)) {
+      // Include all values except undefined (null is a valid value)
+      if (values[key] !== undefined) {
+        obj[key] = values[key];
+      }
+    }
+    
+    // Derived properties are computed from the sampled values
+    if (this.evaluateExpression) {
+      for (const [key, propSchema] of Object.entries(schema.properties)) {
+        if (propSchema.expression && key in obj) {
+          obj[key] = this.generateDerivedValue(propSchema.expression, values, obj[key]);
         }
       }
     }
@@ -97,6 +214,140 @@ export class DocumentGenerator {
     return obj;
   }
   
+  /**
+   * Evaluate a derived property's expression against the sampled values
+   * Keeps the sampled value when the expression fails or yields nothing
+   */
+  generateDerivedValue(expression, values, sampledValue) {
+    try {
+      const value = this.evaluateExpression(expression, values);
+      return value === undefined ? sampledValue : value;
+    } catch (error) {
+      log.debug(`Derived property expression failed: ${error.message}`);
+      return sampledValue;
+    }
+  }
+  
+  /**
+   * Keep a value that is allowed, otherwise pick one of the allowed values
+   */
+  applyCondition(value, allowed) {
+    if (allowed.length === 0 || allowed.some(item => categoryKey(item) === categoryKey(value))) {
+      return value;
+    }
+    return allowed[Math.floor(this.random() * allowed.length)];
+  }
+  
+  /**
+   * Sample one combination of a joint distribution, as values by field
+   * Combinations that break a condition are left out unless none is left
+   */
+  sampleJointDistribution(distribution, conditions = {}) {
+    const { fields, combinations } = distribution;
+    const allowed = combinations.filter(([values]) => fields.every((field, i) =>
+      !conditions[field] || conditions[field].some(item => categoryKey(item) === categoryKey(values[i]))
+    ));
+    
+    const values = this.sampleWeighted(allowed.length > 0 ? allowed : combinations);
+    return Object.fromEntries(fields.map((field, i) => [field, values[i]]));
+  }
+  
+  /**
+   * Sample a value from [value, count] pairs
+   */
+  sampleWeighted(entries) {
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    let randomValue = this.random() * total;
+    for (const [value, count] of entries) {
+      randomValue -= count;
+      if (randomValue < 0) {
+        return value;
+      }
+    }
+    return entries[entries.length - 1][0];
+  }
+  
+  /**
+   * Generate a property that depends on another property's value
+   * Falls back to the property's own schema when the source value is
+   * missing or was never seen in training
+   */
+  generateCorrelatedValue(correlation, sourceValue, schema) {
+    if (sourceValue === null || sourceValue === undefined) {
+      return this.generateValue(schema);
+    }
+    
+    const sourceKey = categoryKey(sourceValue);
+    switch (correlation.type) {
+      case 'linear': {
+        if (typeof sourceValue !== 'number') {
+          break;
+        }
+        
+        const noise = this.generateGaussian() * (correlation.residualStdDev || 0);
+        let value = correlation.intercept + correlation.slope * sourceValue + noise;
+        if (schema.minimum !== null && schema.minimum !== undefined) {
+          value = Math.max(value, schema.minimum);
+        }
+        if (schema.maximum !== null && schema.maximum !== undefined) {
+          value = Math.min(value, schema.maximum);
+        }
+        return schema.type === 'integer' ? Math.round(value) : Math.round(value * 100) / 100;
+      }
+      
+      case 'functional':
+        if (correlation.mapping && sourceKey in correlation.mapping) {
+          return correlation.mapping[sourceKey];
+        }
+        break;
+      
+      case 'conditional': {
+        const distribution = correlation.table?.[sourceKey];
+        if (!distribution || distribution.length === 0) {
+          break;
+        }
+        
+        return this.sampleWeighted(distribution);
+      }
+      
+      case 'offset': {
+        const time = sourceValue instanceof Date ? sourceValue.getTime() : Date.parse(sourceValue);
+        const { quantiles } = correlation;
+        if (!Number.isFinite(time) || !quantiles || quantiles.length === 0) {
+          break;
+        }
+        
+        // Interpolate between the recorded percentiles of the interval
+        const position = this.random() * (quantiles.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, quantiles.length - 1);
+        const delta = quantiles[lower] + (quantiles[upper] - quantiles[lower]) * (position - lower);
+        
+        const iso = new Date(time + Math.round(delta)).toISOString();
+        const value = schema.format === 'date' ? iso.slice(0, 10) : iso;
+        return schema.bsonType ? this.toBsonValue(value, schema) : value;
+      }
+    }
+    
+    return this.generateValue(schema);
+  }
+  
+  /**
+   * Sample a standard normal value (Box-Muller)
+   */
+  generateGaussian() {
+    const u1 = 1 - this.random();
+    const u2 = this.random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+  
+  /**
+   * Pick a foreign key value from the referenced collection's key space
+   */
+  generateForeignKey(keySpace) {
+    return keySpace[Math.floor(this.random() * keySpace.length)];
+  }
+  
   /**
    * Determine if a property should be generated
    */
@@ -114,6 +365,11 @@ export class DocumentGenerator {
    * Generate a value based on schema type
    */
   generateValue(schema) {
+    // Typed values are generated as their JSON values, then converted
+    if (schema.bsonType) {
+      return this.generateBsonValue(schema);
+    }
+    
     // Handle enum values first
     if (schema.enum && schema.enum.length > 0) {
       return this.generateFromEnum(schema.enum);
@@ -145,6 +401,39 @@ export class DocumentGenerator {
     }
   }
   
+  /**
+   * Generate a typed BSON value from a schema modeled by its JSON values
+   */
+  generateBsonValue(schema) {
+    const { bsonType } = schema;
+    
+    let value;
+    if (schema.enum && schema.enum.length > 0) {
+      value = this.generateFromEnum(schema.enum);
+    } else if (bsonType === 'objectId') {
+      value = this.generateObjectId();
+    } else if (bsonType === 'binData') {
+      value = this.generateBinary(schema);
+    } else {
+      value = this.generateValue({ ...schema, bsonType: null });
+    }
+    
+    return this.toBsonValue(value, schema);
+  }
+  
+  /**
+   * Convert the JSON value of a schema with a bsonType to its typed value
+   */
+  toBsonValue(value, schema) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    if (this.createBsonValue) {
+      return this.createBsonValue(schema.bsonType, value, schema);
+    }
+    return schema.bsonType === 'date' ? new Date(value) : value;
+  }
+  
   /**
    * Generate a string value
    */
@@ -629,9 +918,9 @@ export class DocumentGenerator {
       case 'url':
         return this.generateUrl();
       case 'date-time':
-        return this.generateDateTime();
+        return schema.dateModel ? this.generateFromDateModel(schema.dateModel, format) : this.generateDateTime();
       case 'date':
-        return this.generateDate();
+        return schema.dateModel ? this.generateFromDateModel(schema.dateModel, format) : this.generateDate();
       case 'time':
         return this.generateTime();
       case 'uuid':
@@ -692,6 +981,149 @@ export class DocumentGenerator {
            `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:${String(second).padStart(2, '0')}.000Z`;
   }
   
+  /**
+   * Generate an ISO date or date-time string from a date model
+   * Monotonic dates continue their sequence; others are drawn from the
+   * histogram (or the range) and moved to a sampled day of the week and
+   * hour of the day
+   */
+  generateFromDateModel(dateModel, format) {
+    const min = Date.parse(dateModel.minimum);
+    const max = Date.parse(dateModel.maximum);
+    
+    let time;
+    if (dateModel.monotonic) {
+      time = this.generateSequenceTime(dateModel, min);
+    } else {
+      time = dateModel.histogram?.bins?.length > 0
+        ? Math.round(this.generateFromHistogram(dateModel.histogram))
+        : min + Math.floor(this.random() * (max - min + 1));
+      time = this.applyDateCycles(time, dateModel, min, max);
+    }
+    
+    const iso = new Date(time).toISOString();
+    return format === 'date' ? iso.slice(0, 10) : iso;
+  }
+  
+  /**
+   * Timestamp of the next value of a monotonic date sequence
+   * Value N falls within step N after the minimum, counted in the active time
+   * of the model's week: each hour of the week gets a share of the week in
+   * proportion to its day of the week and hour of the day counts, so the
+   * sequence runs through busy hours and skips the ones never seen
+   */
+  generateSequenceTime(dateModel, min) {
+    const count = this.sequentialCounters.get(dateModel) || 0;
+    this.sequentialCounters.set(dateModel, count + 1);
+    
+    const { step, stepStdDev } = dateModel.monotonic;
+    const jitter = stepStdDev > 0 ? Math.floor(this.random() * step) : 0;
+    const elapsed = (this.sequenceOffset + count) * step + jitter;
+    
+    const slots = this.getWeekSlots(dateModel);
+    const max = Date.parse(dateModel.maximum);
+    const start = slots ? this.toActiveTime(min, slots) : 0;
+    const span = slots ? this.toActiveTime(max, slots) - start : 0;
+    if (!(max > min && span > 0)) {
+      return min + elapsed;
+    }
+    
+    // Scale so the trained range keeps its length in active time
+    return Math.round(this.fromActiveTime(start + elapsed * span / (max - min), slots));
+  }
+  
+  /**
+   * Active time at a timestamp: whole weeks since the epoch's Sunday plus
+   * the active time of the hours before it in its week
+   */
+  toActiveTime(time, slots) {
+    const hour = 60 * 60 * 1000;
+    const week = 7 * 24 * hour;
+    const since = time + 4 * 24 * hour;
+    const weeks = Math.floor(since / week);
+    const offset = since - weeks * week;
+    const slot = Math.floor(offset / hour);
+    return weeks * week + slots[slot] + (offset - slot * hour) / hour * (slots[slot + 1] - slots[slot]);
+  }
+  
+  /**
+   * Timestamp at an active time, the inverse of toActiveTime
+   */
+  fromActiveTime(active, slots) {
+    const hour = 60 * 60 * 1000;
+    const week = 7 * 24 * hour;
+    const weeks = Math.floor(active / week);
+    const remainder = active - weeks * week;
+    
+    let slot = 0;
+    while (slot < 167 && slots[slot + 1] <= remainder) {
+      slot++;
+    }
+    const share = slots[slot + 1] - slots[slot];
+    const within = share > 0 ? (remainder - slots[slot]) / share * hour : 0;
+    return weeks * week - 4 * 24 * hour + slot * hour + within;
+  }
+  
+  /**
+   * Cumulative active time at the start of each hour of the week (Sunday
+   * 00:00 UTC first), or null when the model has no weekly or daily counts
+   */
+  getWeekSlots(dateModel) {
+    if (!dateModel.dayOfWeek && !dateModel.hourOfDay) {
+      return null;
+    }
+    if (this.weekSlots.has(dateModel)) {
+      return this.weekSlots.get(dateModel);
+    }
+    
+    const weights = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+      for (let hour = 0; hour < 24; hour++) {
+        weights.push((dateModel.dayOfWeek?.[weekday] ?? 1) * (dateModel.hourOfDay?.[hour] ?? 1));
+      }
+    }
+    
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let slots = null;
+    if (total > 0) {
+      const week = 7 * 24 * 60 * 60 * 1000;
+      slots = [0];
+      for (const weight of weights) {
+        slots.push(slots[slots.length - 1] + week * weight / total);
+      }
+      slots[slots.length - 1] = week;
+    }
+    
+    this.weekSlots.set(dateModel, slots);
+    return slots;
+  }
+  
+  /**
+   * Move a timestamp to a day of the week and hour of the day (UTC) drawn
+   * from the model's counts, staying within the range where a week allows
+   */
+  applyDateCycles(time, dateModel, min, max) {
+    const date = new Date(time);
+    const day = 24 * 60 * 60 * 1000;
+    
+    if (dateModel.hourOfDay) {
+      date.setUTCHours(this.sampleWeighted(dateModel.hourOfDay.map((count, hour) => [hour, count])));
+    }
+    
+    if (dateModel.dayOfWeek) {
+      const weekday = this.sampleWeighted(dateModel.dayOfWeek.map((count, weekday) => [weekday, count]));
+      let shifted = date.getTime() + (weekday - date.getUTCDay()) * day;
+      if (shifted < min) {
+        shifted += 7 * day;
+      } else if (shifted > max) {
+        shifted -= 7 * day;
+      }
+      return shifted;
+    }
+    
+    return date.getTime();
+  }
+  
   /**
    * Generate ISO date string
    */
@@ -736,6 +1168,40 @@ export class DocumentGenerator {
     return uuid;
   }
   
+  /**
+   * Generate ObjectId as a hex string (4-byte timestamp, 8 random bytes)
+   */
+  generateObjectId() {
+    const hex = '0123456789abcdef';
+    const seconds = Date.UTC(2020, 0, 1) / 1000 + Math.floor(this.random() * 5 * 365 * 86400);
+    let id = seconds.toString(16).padStart(8, '0');
+    
+    for (let i = 0; i < 16; i++) {
+      id += hex[Math.floor(this.random() * 16)];
+    }
+    
+    return id;
+  }
+  
+  /**
+   * Generate binary data as a base64 string
+   * Lengths are in bytes; subtype 4 holds a UUID
+   */
+  generateBinary(schema) {
+    if (schema.binarySubtype === 4) {
+      return Buffer.from(this.generateUuid().replace(/-/g, ''), 'hex').toString('base64');
+    }
+    
+    const minLength = schema.minLength ?? 16;
+    const maxLength = schema.maxLength ?? minLength;
+    const bytes = Buffer.alloc(minLength + Math.floor(this.random() * (maxLength - minLength + 1)));
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(this.random() * 256);
+    }
+    
+    return bytes.toString('base64');
+  }
+  
   /**
    * Generate IPv4 address
    */
@@ -872,4 +1338,21 @@ export class DocumentGenerator {
   }
 }
 
+/**
+ * Create a document generator wired to its host
+ * options.expressionEvaluator (anything with evaluate(expression, object))
+ * computes derived properties; options.bsonValueFactory builds typed values
+ */
+export function createDocumentGenerator(seed = null, entropyOverride = null, options = {}) {
+  const generator = new DocumentGenerator(seed, entropyOverride);
+  const { expressionEvaluator, bsonValueFactory } = options;
+  if (expressionEvaluator) {
+    generator.setExpressionEvaluator((expression, object) => expressionEvaluator.evaluate(expression, object));
+  }
+  if (bsonValueFactory) {
+    generator.setBsonValueFactory(bsonValueFactory);
+  }
+  return generator;
+}
+
 export default DocumentGenerator;
\ No newline at end of file
@@ -0,0 +1,352 @@
+/**
+ * Regex Generator Module
+ * Synthesizes strings that match a regular expression
+ * Supports alternation, groups, character classes, escapes and quantifiers;
+ * lookarounds and backreferences are ignored, so callers should verify results
+ */
+
+const DIGITS = [[48, 57]];
+const WORD = [[48, 57], [65, 90], [95, 95], [97, 122]];
+const SPACE = [[32, 32], [9, 10], [13, 13]];
+const NEWLINE = [[10, 10], [13, 13]];
+
+// Characters preferred when a negated class allows almost anything
+const READABLE = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 -_.';
+
+export class RegexGenerator {
+  constructor(random = Math.random, options = {}) {
+    this.random = random;
+    // Extra repetitions allowed for open-ended quantifiers (*, +, {n,})
+    this.maxRepeat = options.maxRepeat || 4;
+  }
+
+  /**
+   * Generate a string matching a pattern
+   * @param {string|RegExp} pattern - Regex source or RegExp
+   * @returns {string} Generated string
+   */
+  generate(pattern) {
+    const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+    this.source = source;
+    this.position = 0;
+
+    const node = this.parseAlternation();
+    return this.generateNode(node);
+  }
+
+  /**
+   * Generate a matching string and check it against the regex
+   * Returns null when no attempt matches
+   */
+  generateMatching(pattern, flags = '', attempts = 10) {
+    let regex;
+    try {
+      const source = pattern instanceof RegExp ? pattern.source : pattern;
+      const allFlags = pattern instanceof RegExp ? pattern.flags : flags;
+      // Stateful (g, y) and MongoDB-only (x) flags don't affect what matches here
+      regex = new RegExp(source, allFlags.replace(/[^imsu]/g, ''));
+    } catch (error) {
+      return null;
+    }
+
+    for (let i = 0; i < attempts; i++) {
+      try {
+        const value = this.generate(regex);
+        if (regex.test(value)) {
+          return value;
+        }
+      } catch (error) {
+        return null;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse branches separated by |
+   */
+  parseAlternation() {
+    const branches = [this.parseSequence()];
+
+    while (this.source[this.position] === '|') {
+      this.position++;
+      branches.push(this.parseSequence());
+    }
+
+    return branches.length === 1 ? branches[0] : { type: 'alternation', branches };
+  }
+
+  /**
+   * Parse a sequence of quantified atoms
+   */
+  parseSequence() {
+    const items = [];
+
+    while (this.position < this.source.length) {
+      const ch = this.source[this.position];
+      if (ch === '|' || ch === ')') {
+        break;
+      }
+
+      const atom = this.parseAtom();
+      items.push(this.parseQuantifier(atom));
+    }
+
+    return { type: 'sequence', items };
+  }
+
+  /**
+   * Parse a single atom
+   */
+  parseAtom() {
+    const ch = this.source[this.position++];
+
+    switch (ch) {
+      case '(':
+        return this.parseGroup();
+      case '[':
+        return this.parseClass();
+      case '.':
+        return { type: 'set', negate: true, ranges: NEWLINE };
+      case '^':
+      case '$':
+        return { type: 'empty' };
+      case '\\':
+        return this.parseEscape(false);
+      default:
+        return { type: 'literal', value: ch };
+    }
+  }
+
+  /**
+   * Parse a group after its opening parenthesis
+   */
+  parseGroup() {
+    let lookaround = false;
+
+    if (this.source[this.position] === '?') {
+      const next = this.source[this.position + 1];
+      if (next === ':') {
+        this.position += 2;
+      } else if (next === '=' || next === '!') {
+        lookaround = true;
+        this.position += 2;
+      } else if (next === '<' && (this.source[this.position + 2] === '=' || this.source[this.position + 2] === '!')) {
+        lookaround = true;
+        this.position += 3;
+      } else if (next === '<') {
+        // Named group
+        const end = this.source.indexOf('>', this.position);
+        this.position = end === -1 ? this.source.length : end + 1;
+      }
+    }
+
+    const node = this.parseAlternation();
+    if (this.source[this.position] === ')') {
+      this.position++;
+    }
+
+    return lookaround ? { type: 'empty' } : node;
+  }
+
+  /**
+   * Parse a character class after its opening bracket
+   */
+  parseClass() {
+    const ranges = [];
+    let negate = false;
+
+    if (this.source[this.position] === '^') {
+      negate = true;
+      this.position++;
+    }
+
+    let first = true;
+    while (this.position < this.source.length) {
+      const ch = this.source[this.position];
+      if (ch === ']' && !first) {
+        this.position++;
+        break;
+      }
+      first = false;
+
+      let low;
+      if (ch === '\\') {
+        this.position++;
+        const escaped = this.parseEscape(true);
+        if (escaped.type === 'set') {
+          ranges.push(...escaped.ranges);
+          continue;
+        }
+        low = escaped.value.charCodeAt(0);
+      } else {
+        this.position++;
+        low = ch.charCodeAt(0);
+      }
+
+      // Range like a-z
+      if (this.source[this.position] === '-' && this.source[this.position + 1] !== ']' &&
+          this.position + 1 < this.source.length) {
+        this.position++;
+        let high;
+        if (this.source[this.position] === '\\') {
+          this.position++;
+          const escaped = this.parseEscape(true);
+          high = escaped.type === 'literal' ? escaped.value.charCodeAt(0) : low;
+        } else {
+          high = this.source.charCodeAt(this.position++);
+        }
+        ranges.push([Math.min(low, high), Math.max(low, high)]);
+      } else {
+        ranges.push([low, low]);
+      }
+    }
+
+    return { type: 'set', negate, ranges };
+  }
+
+  /**
+   * Parse an escape sequence after its backslash
+   */
+  parseEscape(inClass) {
+    const ch = this.source[this.position++];
+
+    switch (ch) {
+      case 'd': return { type: 'set', negate: false, ranges: DIGITS };
+      case 'D': return inClass ? { type: 'set', ranges: [[65, 90], [97, 122]] } : { type: 'set', negate: true, ranges: DIGITS };
+      case 'w': return { type: 'set', negate: false, ranges: WORD };
+      case 'W': return inClass ? { type: 'set', ranges: [[32, 32], [45, 46]] } : { type: 'set', negate: true, ranges: WORD };
+      case 's': return inClass ? { type: 'set', ranges: [[32, 32]] } : { type: 'literal', value: ' ' };
+      case 'S': return inClass ? { type: 'set', ranges: WORD } : { type: 'set', negate: true, ranges: SPACE };
+      case 'n': return { type: 'literal', value: '\n' };
+      case 't': return { type: 'literal', value: '\t' };
+      case 'r': return { type: 'literal', value: '\r' };
+      case 'f': return { type: 'literal', value: '\f' };
+      case 'v': return { type: 'literal', value: '\v' };
+      case '0': return { type: 'literal', value: '\0' };
+      case 'x': {
+        const hex = this.source.substr(this.position, 2);
+        this.position += 2;
+        return { type: 'literal', value: String.fromCharCode(parseInt(hex, 16)) };
+      }
+      case 'u': {
+        const hex = this.source.substr(this.position, 4);
+        this.position += 4;
+        return { type: 'literal', value: String.fromCharCode(parseInt(hex, 16)) };
+      }
+      case 'b':
+        // Word boundary outside a class, backspace inside
+        return inClass ? { type: 'literal', value: '\b' } : { type: 'empty' };
+      case 'B':
+        return { type: 'empty' };
+      default:
+        if (!inClass && ch >= '1' && ch <= '9') {
+          // Backreferences are not supported
+          return { type: 'empty' };
+        }
+        return { type: 'literal', value: ch };
+    }
+  }
+
+  /**
+   * Parse an optional quantifier following an atom
+   */
+  parseQuantifier(atom) {
+    const ch = this.source[this.position];
+    let min;
+    let max;
+
+    if (ch === '*') {
+      min = 0;
+      max = this.maxRepeat;
+      this.position++;
+    } else if (ch === '+') {
+      min = 1;
+      max = 1 + this.maxRepeat;
+      this.position++;
+    } else if (ch === '?') {
+      min = 0;
+      max = 1;
+      this.position++;
+    } else if (ch === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(this.source.slice(this.position));
+      if (!match) {
+        return atom;
+      }
+      min = parseInt(match[1], 10);
+      max = match[2] === undefined ? min : (match[3] === '' ? min + this.maxRepeat : parseInt(match[3], 10));
+      this.position += match[0].length;
+    } else {
+      return atom;
+    }
+
+    // Lazy modifier does not change what matches
+    if (this.source[this.position] === '?') {
+      this.position++;
+    }
+
+    return { type: 'repeat', node: atom, min, max: Math.max(min, max) };
+  }
+
+  /**
+   * Generate a string for a parsed node
+   */
+  generateNode(node) {
+    switch (node.type) {
+      case 'alternation':
+        return this.generateNode(node.branches[Math.floor(this.random() * node.branches.length)]);
+      case 'sequence':
+        return node.items.map(item => this.generateNode(item)).join('');
+      case 'repeat': {
+        const count = node.min + Math.floor(this.random() * (node.max - node.min + 1));
+        let result = '';
+        for (let i = 0; i < count; i++) {
+          result += this.generateNode(node.node);
+        }
+        return result;
+      }
+      case 'set':
+        return this.generateFromSet(node);
+      case 'literal':
+        return node.value;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Pick a character from a character set
+   */
+  generateFromSet(node) {
+    const inRanges = code => node.ranges.some(([low, high]) => code >= low && code <= high);
+
+    if (node.negate) {
+      const candidates = Array.from(READABLE).filter(c => !inRanges(c.charCodeAt(0)));
+      if (candidates.length > 0) {
+        return candidates[Math.floor(this.random() * candidates.length)];
+      }
+      for (let code = 33; code < 127; code++) {
+        if (!inRanges(code)) {
+          return String.fromCharCode(code);
+        }
+      }
+      return '';
+    }
+
+    // Weight ranges by their size
+    const total = node.ranges.reduce((sum, [low, high]) => sum + high - low + 1, 0);
+    let pick = Math.floor(this.random() * total);
+    for (const [low, high] of node.ranges) {
+      const size = high - low + 1;
+      if (pick < size) {
+        return String.fromCharCode(low + pick);
+      }
+      pick -= size;
+    }
+
+    return '';
+  }
+}
+
+export default RegexGenerator;
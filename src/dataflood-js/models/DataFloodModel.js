@@ -60,13 +60,34 @@ export class DataFloodModel {
     // Enumeration of allowed values
     this.enum = data.enum || null;
     
+    // BSON type of values modeled by their JSON value (e.g., "date", "objectId")
+    this.bsonType = data.bsonType || null;
+    
+    // Subtype of binData values
+    this.binarySubtype = data.binarySubtype !== undefined ? data.binarySubtype : null;
+    
     // DataFlood-specific extensions
     this.histogram = data.histogram ? new DataFloodHistogram(data.histogram) : null;
     this.stringModel = data.stringModel ? new DataFloodStringModel(data.stringModel) : null;
     this.tidesConfig = data.tidesConfig ? new TideConfig(data.tidesConfig) : null;
     
+    // Range, cycles and ordering of date and date-time strings
+    this.dateModel = data.dateModel || null;
+    
+    // Foreign key relationships to other collections (object types only)
+    this.relationships = data.relationships || null;
+    
+    // Dependencies between properties (object types only)
+    this.correlations = data.correlations || null;
+    
+    // Joint frequencies of enum properties sampled together (object types only)
+    this.jointDistributions = data.jointDistributions || null;
+    
     // Default value for optional properties
     this.default = data.default !== undefined ? data.default : null;
+    
+    // Aggregation expression deriving this property from the others
+    this.expression = data.expression !== undefined ? data.expression : null;
   }
   
   _parseProperties(properties) {
@@ -108,10 +129,17 @@ export class DataFloodModel {
     if (this.uniqueItems !== null) json.uniqueItems = this.uniqueItems;
     if (this.description) json.description = this.description;
     if (this.enum) json.enum = this.enum;
+    if (this.bsonType) json.bsonType = this.bsonType;
+    if (this.binarySubtype !== null) json.binarySubtype = this.binarySubtype;
     if (this.histogram) json.histogram = this.histogram.toJSON();
     if (this.stringModel) json.stringModel = this.stringModel.toJSON();
     if (this.tidesConfig) json.tidesConfig = this.tidesConfig.toJSON();
+    if (this.dateModel) json.dateModel = this.dateModel;
+    if (this.relationships) json.relationships = this.relationships;
+    if (this.correlations) json.correlations = this.correlations;
+    if (this.jointDistributions) json.jointDistributions = this.jointDistributions;
     if (this.default !== null) json.default = this.default;
+    if (this.expression !== null) json.expression = this.expression;
     
     return json;
   }
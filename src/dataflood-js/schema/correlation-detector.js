@@ -0,0 +1,432 @@
+/**
+ * Correlation Detection Module
+ * Finds pairwise dependencies between the fields of sampled objects:
+ * - linear: a numeric field follows another (Pearson correlation)
+ * - functional: each value of a field determines the value of another
+ * - conditional: the distribution of a field depends on another's value
+ * - offset: a date field never comes before another and follows it by a
+ *   varying interval
+ */
+
+import { classifyFields, detectFormat } from './type-detector.js';
+import logger from '../../utils/logger.js';
+
+const log = logger.child('CorrelationDetector');
+
+// Objects needed before a dependency is trusted
+const MIN_SAMPLES = 10;
+
+// Smallest |r| kept as a linear dependency
+const MIN_CORRELATION = 0.7;
+
+// Smallest share of a field's entropy its source must explain
+const MIN_UNCERTAINTY_REDUCTION = 0.3;
+
+// Most distinct values a categorical field may have
+const MAX_CATEGORIES = 50;
+
+/**
+ * Key a categorical value is recorded under
+ */
+export function categoryKey(value) {
+  return String(value);
+}
+
+/**
+ * Round to 4 decimal places, as the other model statistics are
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Comparable timestamp and kind of a date value, or null
+ * Strings only compare with strings of the same format
+ */
+function toTimestamp(value) {
+  if (value instanceof Date) {
+    return { time: value.getTime(), kind: 'Date' };
+  }
+  
+  const format = typeof value === 'string' ? detectFormat(value) : null;
+  if (format === 'date-time' || format === 'date') {
+    return { time: Date.parse(value), kind: format };
+  }
+  return null;
+}
+
+/**
+ * Shannon entropy of a count map
+ */
+function entropy(counts, total) {
+  let result = 0;
+  for (const count of counts.values()) {
+    const probability = count / total;
+    result -= probability * Math.log2(probability);
+  }
+  return result;
+}
+
+/**
+ * Classify the top-level fields of the objects as numeric, categorical or
+ * dates
+ */
+function classifyCorrelationFields(objects) {
+  const { values, numeric } = classifyFields(objects, MIN_SAMPLES);
+  const categorical = [];
+  const dates = [];
+  for (const [field, fieldValues] of Object.entries(values)) {
+    // Values that repeat from a small set, so they can condition others
+    if (fieldValues.every(value => ['string', 'boolean', 'number'].includes(typeof value))) {
+      const distinct = new Set(fieldValues.map(categoryKey)).size;
+      if (distinct > 1 && distinct <= MAX_CATEGORIES && distinct <= fieldValues.length / 2) {
+        categorical.push(field);
+      }
+    }
+    
+    const timestamps = fieldValues.map(toTimestamp);
+    if (timestamps.every(stamp => stamp && stamp.kind === timestamps[0].kind)) {
+      dates.push({ field, kind: timestamps[0].kind });
+    }
+  }
+  
+  return { numeric, categorical, dates };
+}
+
+/**
+ * Linear dependency of target on source, or null
+ */
+function detectLinear(objects, source, target) {
+  const sums = { n: 0, sumX: 0, sumY: 0, sumXY: 0, sumXX: 0, sumYY: 0 };
+  for (const obj of objects) {
+    const x = obj[source];
+    const y = obj[target];
+    if (typeof x === 'number' && typeof y === 'number') {
+      sums.n++;
+      sums.sumX += x;
+      sums.sumY += y;
+      sums.sumXY += x * y;
+      sums.sumXX += x * x;
+      sums.sumYY += y * y;
+    }
+  }
+  return fitLinear(source, target, sums);
+}
+
+/**
+ * Fit a linear dependency to the sums over its pairs, or null
+ * The sums are kept with it so more pairs can be added later
+ */
+export function fitLinear(source, target, sums) {
+  const { n, sumX, sumY, sumXY, sumXX, sumYY } = sums;
+  if (n < MIN_SAMPLES) {
+    return null;
+  }
+  
+  const covariance = sumXY - sumX * sumY / n;
+  const varianceX = sumXX - sumX * sumX / n;
+  const varianceY = sumYY - sumY * sumY / n;
+  if (varianceX <= 0 || varianceY <= 0) {
+    return null;
+  }
+  
+  const coefficient = covariance / Math.sqrt(varianceX * varianceY);
+  if (Math.abs(coefficient) < MIN_CORRELATION) {
+    return null;
+  }
+  
+  const slope = covariance / varianceX;
+  return {
+    type: 'linear',
+    source,
+    target,
+    coefficient: round(coefficient),
+    slope: round(slope),
+    intercept: round((sumY - slope * sumX) / n),
+    residualStdDev: round(Math.sqrt(varianceY / (n - 1) * Math.max(1 - coefficient ** 2, 0))),
+    sums,
+    strength: Math.abs(coefficient)
+  };
+}
+
+/**
+ * Offset of a target date from a source date it never comes before, or null
+ * Records the intervals in milliseconds at every tenth percentile
+ */
+function detectOffset(objects, source, target) {
+  const deltas = objects
+    .filter(obj => obj[source] != null && obj[target] != null)
+    .map(obj => toTimestamp(obj[target]).time - toTimestamp(obj[source]).time);
+  if (deltas.length < MIN_SAMPLES || deltas.some(delta => delta < 0)) {
+    return null;
+  }
+  
+  deltas.sort((a, b) => a - b);
+  const quantiles = [];
+  for (let i = 0; i <= 10; i++) {
+    quantiles.push(deltas[Math.round(i / 10 * (deltas.length - 1))]);
+  }
+  return { type: 'offset', source, target, quantiles, strength: 1 };
+}
+
+/**
+ * Cross-tabulate target against source
+ * Returns the target values seen with each source value and their counts,
+ * most frequent first
+ */
+function crossTabulate(objects, source, target) {
+  const table = new Map();
+  for (const obj of objects) {
+    if (obj[source] == null || obj[target] == null) {
+      continue;
+    }
+    
+    const sourceKey = categoryKey(obj[source]);
+    if (!table.has(sourceKey)) {
+      table.set(sourceKey, new Map());
+    }
+    const row = table.get(sourceKey);
+    const targetKey = categoryKey(obj[target]);
+    if (!row.has(targetKey)) {
+      row.set(targetKey, [obj[target], 0]);
+    }
+    row.get(targetKey)[1]++;
+  }
+  
+  const result = {};
+  for (const [sourceKey, row] of table) {
+    result[sourceKey] = [...row.values()].sort((a, b) => b[1] - a[1]);
+  }
+  return result;
+}
+
+/**
+ * Functional or conditional dependency of target on source, or null
+ */
+function detectCategorical(objects, source, target) {
+  return fitCategorical(source, target, crossTabulate(objects, source, target));
+}
+
+/**
+ * Fit a functional or conditional dependency to a cross table, or null when
+ * the data says nothing
+ * The table holds [value, count] pairs of the target per source value;
+ * functional dependencies keep the counts behind their mapping
+ */
+export function fitCategorical(source, target, table) {
+  const rows = Object.values(table);
+  const rowTotals = rows.map(row => row.reduce((sum, [, count]) => sum + count, 0));
+  const total = rowTotals.reduce((sum, count) => sum + count, 0);
+  
+  // Each source value must be seen more than once to say anything about it
+  if (total < MIN_SAMPLES || rows.length > total / 2) {
+    return null;
+  }
+  
+  const targetCounts = new Map();
+  for (const row of rows) {
+    for (const [value, count] of row) {
+      const targetKey = categoryKey(value);
+      targetCounts.set(targetKey, (targetCounts.get(targetKey) || 0) + count);
+    }
+  }
+  const targetEntropy = entropy(targetCounts, total);
+  if (targetEntropy === 0) {
+    return null;
+  }
+  
+  let conditionalEntropy = 0;
+  rows.forEach((row, i) => {
+    const counts = new Map(row.map(([value, count]) => [categoryKey(value), count]));
+    conditionalEntropy += rowTotals[i] / total * entropy(counts, rowTotals[i]);
+  });
+  
+  if (conditionalEntropy === 0) {
+    const mapping = {};
+    const counts = {};
+    for (const [sourceKey, [[value, count]]] of Object.entries(table)) {
+      mapping[sourceKey] = value;
+      counts[sourceKey] = count;
+    }
+    return { type: 'functional', source, target, mapping, counts, strength: 1 };
+  }
+  
+  const reduction = (targetEntropy - conditionalEntropy) / targetEntropy;
+  if (reduction < MIN_UNCERTAINTY_REDUCTION) {
+    return null;
+  }
+  return { type: 'conditional', source, target, strength: round(reduction), table };
+}
+
+/**
+ * Correlation as recorded on a model; only conditional ones keep their strength
+ */
+export function toModelCorrelation({ strength, ...correlation }) {
+  return correlation.type === 'conditional' ? { ...correlation, strength } : correlation;
+}
+
+/**
+ * Whether following sources up from source reaches target
+ */
+function reaches(sources, source, target) {
+  for (let field = source; field !== undefined; field = sources.get(field)) {
+    if (field === target) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Detect pairwise dependencies between the fields of objects
+ * Each field depends on at most one source and the dependencies never form
+ * a cycle, so a generator can sample every source before its targets.
+ * Fields in excludeTargets are never made to depend on another field
+ */
+export function detectCorrelations(objects, { excludeTargets = [] } = {}) {
+  if (!objects || objects.length < MIN_SAMPLES) {
+    return [];
+  }
+  
+  const { numeric, categorical, dates } = classifyCorrelationFields(objects);
+  const candidates = [];
+  
+  // Numeric correlation is symmetric: the earlier field is the source
+  for (let i = 0; i < numeric.length; i++) {
+    for (let j = i + 1; j < numeric.length; j++) {
+      const linear = detectLinear(objects, numeric[i], numeric[j]);
+      if (linear) {
+        candidates.push(linear);
+      }
+    }
+  }
+  
+  // Two numeric fields are related linearly, not value by value
+  for (const source of categorical) {
+    for (const target of categorical) {
+      if (source !== target && !(numeric.includes(source) && numeric.includes(target))) {
+        const dependency = detectCategorical(objects, source, target);
+        if (dependency) {
+          candidates.push(dependency);
+        }
+      }
+    }
+  }
+  
+  // A date follows the latest date it never comes before, so ordered dates
+  // chain one after another
+  for (const target of dates) {
+    const offsets = dates
+      .filter(source => source !== target && source.kind === target.kind)
+      .map(source => detectOffset(objects, source.field, target.field))
+      .filter(Boolean)
+      .sort((a, b) => a.quantiles[5] - b.quantiles[5]);
+    if (offsets.length > 0) {
+      candidates.push(offsets[0]);
+    }
+  }
+  
+  // Strongest first; a field keeps the first dependency that fits
+  candidates.sort((a, b) => b.strength - a.strength);
+  const sources = new Map();
+  const correlations = [];
+  for (const candidate of candidates) {
+    const correlation = toModelCorrelation(candidate);
+    if (excludeTargets.includes(correlation.target) || sources.has(correlation.target) ||
+        reaches(sources, correlation.source, correlation.target)) {
+      continue;
+    }
+    sources.set(correlation.target, correlation.source);
+    correlations.push(correlation);
+  }
+  
+  if (correlations.length > 0) {
+    log.debug(`Detected ${correlations.length} field correlations`);
+  }
+  return correlations;
+}
+
+/**
+ * Detect joint distributions of associated enum fields
+ * enumDetector decides which top-level string fields are enums; enums whose
+ * values depend on each other are grouped, and each group records how often
+ * every combination of its values was seen, so they can be sampled together
+ */
+export function detectJointDistributions(objects, enumDetector) {
+  if (!objects || objects.length < MIN_SAMPLES) {
+    return [];
+  }
+  
+  const enumFields = [];
+  for (const field of new Set(objects.flatMap(obj => Object.keys(obj)))) {
+    if (field === '_id') {
+      continue;
+    }
+    
+    const values = objects.map(obj => obj[field]).filter(value => value !== null && value !== undefined);
+    if (values.length >= MIN_SAMPLES && values.every(value => typeof value === 'string') &&
+        enumDetector.detectEnum(values, field).shouldCreateEnum) {
+      enumFields.push(field);
+    }
+  }
+  
+  // Group enums linked by an association in either direction
+  const groupOf = new Map(enumFields.map(field => [field, [field]]));
+  for (let i = 0; i < enumFields.length; i++) {
+    for (let j = i + 1; j < enumFields.length; j++) {
+      const [a, b] = [enumFields[i], enumFields[j]];
+      if (groupOf.get(a) === groupOf.get(b)) {
+        continue;
+      }
+      
+      const reduction = Math.max(
+        detectCategorical(objects, a, b)?.strength || 0,
+        detectCategorical(objects, b, a)?.strength || 0
+      );
+      if (reduction >= MIN_UNCERTAINTY_REDUCTION) {
+        const group = [...groupOf.get(a), ...groupOf.get(b)];
+        for (const field of group) {
+          groupOf.set(field, group);
+        }
+      }
+    }
+  }
+  
+  const distributions = [];
+  for (const group of new Set(groupOf.values())) {
+    if (group.length < 2) {
+      continue;
+    }
+    
+    const fields = enumFields.filter(field => group.includes(field));
+    const combinations = new Map();
+    for (const obj of objects) {
+      if (fields.some(field => obj[field] === null || obj[field] === undefined)) {
+        continue;
+      }
+      
+      const values = fields.map(field => obj[field]);
+      const key = JSON.stringify(values);
+      if (!combinations.has(key)) {
+        combinations.set(key, [values, 0]);
+      }
+      combinations.get(key)[1]++;
+    }
+    
+    distributions.push({
+      fields,
+      combinations: [...combinations.values()].sort((a, b) => b[1] - a[1])
+    });
+  }
+  
+  if (distributions.length > 0) {
+    log.debug(`Detected ${distributions.length} joint enum distributions`);
+  }
+  return distributions;
+}
+
+export default {
+  detectCorrelations,
+  detectJointDistributions,
+  categoryKey,
+};
@@ -0,0 +1,131 @@
+/**
+ * Expression Detection Module
+ * Proposes derived property expressions (aggregation expression syntax)
+ * for relationships that hold in every sampled object:
+ * - sums, differences and products of two numeric fields
+ * - strings joined from two string fields with a separator
+ */
+
+import { classifyFields } from './type-detector.js';
+import logger from '../../utils/logger.js';
+
+const log = logger.child('ExpressionDetector');
+
+// Objects needed before a relationship is trusted
+const MIN_SAMPLES = 10;
+
+// Separators tried between joined strings
+const SEPARATORS = [' ', '', '-', '_', ', ', '.'];
+
+/**
+ * Whether two numbers are equal up to floating point error
+ */
+function nearlyEqual(a, b) {
+  return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Whether a relation between fields holds in every object that has them
+ * all, and there are enough such objects
+ */
+function holds(objects, fields, test) {
+  const rows = objects.filter(obj => fields.every(field => obj[field] !== null && obj[field] !== undefined));
+  return rows.length >= MIN_SAMPLES && rows.every(test);
+}
+
+/**
+ * Expression computing a numeric target from two other numeric fields
+ * Returns { expression, sources } or null
+ */
+function detectArithmetic(objects, target, sources) {
+  for (let i = 0; i < sources.length; i++) {
+    for (let j = i + 1; j < sources.length; j++) {
+      const [a, b] = [sources[i], sources[j]];
+      const fields = [target, a, b];
+      
+      if (holds(objects, fields, obj => nearlyEqual(obj[target], obj[a] + obj[b]))) {
+        return { expression: { $add: [`$${a}`, `$${b}`] }, sources: [a, b] };
+      }
+      if (holds(objects, fields, obj => nearlyEqual(obj[target], obj[a] * obj[b]))) {
+        return { expression: { $multiply: [`$${a}`, `$${b}`] }, sources: [a, b] };
+      }
+      if (holds(objects, fields, obj => nearlyEqual(obj[target], obj[a] - obj[b]))) {
+        return { expression: { $subtract: [`$${a}`, `$${b}`] }, sources: [a, b] };
+      }
+      if (holds(objects, fields, obj => nearlyEqual(obj[target], obj[b] - obj[a]))) {
+        return { expression: { $subtract: [`$${b}`, `$${a}`] }, sources: [a, b] };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Expression joining two other string fields into a string target
+ * Returns { expression, sources } or null
+ */
+function detectConcatenation(objects, target, sources) {
+  for (const a of sources) {
+    for (const b of sources) {
+      if (a === b) {
+        continue;
+      }
+      
+      const separator = SEPARATORS.find(candidate => holds(objects, [target, a, b],
+        obj => obj[target] === obj[a] + candidate + obj[b]));
+      if (separator !== undefined) {
+        const parts = separator ? [`$${a}`, separator, `$${b}`] : [`$${a}`, `$${b}`];
+        return { expression: { $concat: parts }, sources: [a, b] };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect derived property expressions
+ * Returns a map of property name to expression. Expressions only read
+ * fields that are not derived themselves, so they can all be evaluated
+ * against the sampled values of an object
+ */
+export function detectExpressions(objects) {
+  const expressions = {};
+  if (!objects || objects.length < MIN_SAMPLES) {
+    return expressions;
+  }
+  
+  const { numeric, strings } = classifyFields(objects, MIN_SAMPLES);
+  const derived = new Set();
+  const used = new Set();
+  
+  // Later fields are usually computed from earlier ones, so they are tried first
+  const derive = (fields, detect) => {
+    for (const target of [...fields].reverse()) {
+      if (used.has(target)) {
+        continue;
+      }
+      
+      const sources = fields.filter(field => field !== target && !derived.has(field));
+      const detected = detect(objects, target, sources);
+      if (detected) {
+        expressions[target] = detected.expression;
+        derived.add(target);
+        for (const field of detected.sources) {
+          used.add(field);
+        }
+      }
+    }
+  };
+  derive(numeric, detectArithmetic);
+  derive(strings, detectConcatenation);
+  
+  const count = Object.keys(expressions).length;
+  if (count > 0) {
+    log.debug(`Detected ${count} derived properties`);
+  }
+  return expressions;
+}
+
+export default {
+  detectExpressions,
+};
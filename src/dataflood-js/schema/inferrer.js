@@ -7,6 +7,9 @@
 import { DataFloodModel, DataFloodStringModel, DataFloodHistogram } from '../models/DataFloodModel.js';
 import { 
   detectType, 
+  detectBsonType,
+  detectBinarySubtype,
+  toJsonValue,
   detectArrayItemType,
   detectConsistentFormat,
   shouldBeEnum,
@@ -14,6 +17,9 @@ import {
   analyzeStringConstraints,
   detectPattern,
 } from './type-detector.js';
+import { detectCorrelations, detectJointDistributions } from './correlation-detector.js';
+import { detectExpressions } from './expression-detector.js';
+import { EnumDetector } from '../utils/enum-detector.js';
 import logger from '../../utils/logger.js';
 
 const log = logger.child('SchemaInferrer');
@@ -26,6 +32,11 @@ export class SchemaInferrer {
     this.inferStringModels = options.inferStringModels !== false;
     this.inferHistograms = options.inferHistograms !== false;
     this.detectRelationships = options.detectRelationships || false;
+    this.inferCorrelations = options.inferCorrelations !== false;
+    this.inferJointDistributions = options.inferJointDistributions !== false;
+    this.inferExpressions = options.inferExpressions !== false;
+    this.inferDateModels = options.inferDateModels !== false;
+    this.enumDetector = new EnumDetector(options.enumDetection);
   }
   
   /**
@@ -127,13 +138,20 @@ export class SchemaInferrer {
     
     // Generate schema for each property
     schema.properties = {};
-    for (const [propName, values] of Object.entries(allProperties)) {
-      if (values.length > 0) {
+    for (const [propName, typedValues] of Object.entries(allProperties)) {
+      if (typedValues.length > 0) {
+        // Typed BSON values are modeled by their JSON values
+        const bsonType = this.detectConsistentBsonType(typedValues);
+        const values = typedValues.map(toJsonValue);
+        
         // Infer type from all values
         const propTypes = [...new Set(values.map(detectType))];
         
         if (propTypes.length === 1) {
           schema.properties[propName] = this.inferSchemaForType(values, propTypes[0]);
+          if (bsonType) {
+            this.applyBsonType(schema.properties[propName], typedValues, bsonType);
+          }
         } else {
           // Multiple types for this property - use anyOf
           // Don't use DataFloodModel for nested schemas to avoid adding $schema
@@ -143,6 +161,9 @@ export class SchemaInferrer {
               const subSchema = this.inferSchemaForType(valuesOfType, type);
               // Remove $schema from nested schemas
               delete subSchema.$schema;
+              if (bsonType) {
+                this.applyBsonType(subSchema, typedValues.filter((v, i) => detectType(values[i]) === type), bsonType);
+              }
               return subSchema;
             })
           };
@@ -161,6 +182,36 @@ export class SchemaInferrer {
         schema.relationships = relationships;
       }
     }
+    
+    // Associated enums are sampled together from their joint frequencies
+    const jointFields = [];
+    if (this.inferJointDistributions) {
+      const jointDistributions = detectJointDistributions(objects, this.enumDetector);
+      if (jointDistributions.length > 0) {
+        schema.jointDistributions = jointDistributions;
+        jointFields.push(...jointDistributions.flatMap(distribution => distribution.fields));
+      }
+    }
+    
+    // Record dependencies between properties so generation can keep them;
+    // monotonic dates keep their own sequence
+    if (this.inferCorrelations) {
+      const sequences = Object.keys(schema.properties)
+        .filter(field => schema.properties[field].dateModel?.monotonic);
+      const correlations = detectCorrelations(objects, { excludeTargets: [...jointFields, ...sequences] });
+      if (correlations.length > 0) {
+        schema.correlations = correlations;
+      }
+    }
+    
+    // Properties computed from others get the expression that computes them
+    if (this.inferExpressions) {
+      for (const [propName, expression] of Object.entries(detectExpressions(objects))) {
+        if (schema.properties[propName]) {
+          schema.properties[propName].expression = expression;
+        }
+      }
+    }
   }
   
   /**
@@ -180,6 +231,11 @@ export class SchemaInferrer {
     ];
     
     for (const [fieldName, fieldSchema] of Object.entries(properties)) {
+      // The document's own primary key is never a foreign key
+      if (fieldName === '_id') {
+        continue;
+      }
+      
       // Check if field name matches foreign key patterns
       const isForeignKeyCandidate = foreignKeyPatterns.some(pattern => pattern.test(fieldName));
       
@@ -192,8 +248,9 @@ export class SchemaInferrer {
           const uniqueValues = new Set(fieldValues);
           const uniqueRatio = uniqueValues.size / fieldValues.length;
           
-          // High unique ratio suggests this could be a foreign key
-          if (uniqueRatio > 0.5) {
+          // References repeat (many orders per user), so an id, ref or key
+          // suffix is enough; other names need a high unique ratio
+          if (/_(?:id|ref|key)$/i.test(fieldName) || uniqueRatio > 0.5) {
             const relationship = {
               field: fieldName,
               type: 'foreign_key',
@@ -230,23 +287,29 @@ export class SchemaInferrer {
    * Matches C# InferArraySchema method
    */
   inferArraySchema(schema, arrays) {
-    const allItems = [];
+    const typedItems = [];
     
     // Collect all items from all arrays
     for (const array of arrays) {
       for (const item of array) {
         if (item !== null && item !== undefined) {
-          allItems.push(item);
+          typedItems.push(item);
         }
       }
     }
     
-    if (allItems.length > 0) {
+    if (typedItems.length > 0) {
+      const bsonType = this.detectConsistentBsonType(typedItems);
+      const allItems = typedItems.map(toJsonValue);
+      
       // Determine item types
       const itemTypes = [...new Set(allItems.map(detectType))];
       
       if (itemTypes.length === 1) {
         schema.items = this.inferSchemaForType(allItems, itemTypes[0]);
+        if (bsonType) {
+          this.applyBsonType(schema.items, typedItems, bsonType);
+        }
       } else {
         // Multiple item types - use anyOf
         // Don't use DataFloodModel for nested schemas to avoid adding $schema
@@ -286,6 +349,32 @@ export class SchemaInferrer {
     }
   }
   
+  /**
+   * BSON type shared by all values, or null when any is a plain JSON value
+   */
+  detectConsistentBsonType(values) {
+    const bsonType = detectBsonType(values[0]);
+    return bsonType && values.every(value => detectBsonType(value) === bsonType) ? bsonType : null;
+  }
+  
+  /**
+   * Record the BSON type of a schema inferred from JSON values
+   * Binary data is modeled by its length in bytes and its subtype
+   */
+  applyBsonType(schema, values, bsonType) {
+    schema.bsonType = bsonType;
+    
+    if (bsonType === 'binData') {
+      const lengths = values.map(value => Buffer.from(toJsonValue(value), 'base64').length);
+      schema.minLength = Math.min(...lengths);
+      schema.maxLength = Math.max(...lengths);
+      schema.binarySubtype = detectBinarySubtype(values[0]);
+      schema.format = null;
+      schema.pattern = null;
+      schema.stringModel = null;
+    }
+  }
+  
   /**
    * Infer string schema
    * Matches C# InferStringSchema method
@@ -326,6 +415,11 @@ export class SchemaInferrer {
     if (this.inferStringModels) {
       schema.stringModel = this.buildStringModel(strings);
     }
+    
+    // Dates also get their range, weekly and daily cycles and ordering
+    if (this.inferDateModels && (schema.format === 'date-time' || schema.format === 'date')) {
+      schema.dateModel = this.buildDateModel(strings, schema.format);
+    }
   }
   
   /**
@@ -492,6 +586,56 @@ export class SchemaInferrer {
     return stringModel;
   }
   
+  /**
+   * Build a date model from ISO date or date-time strings
+   * Records the range and histogram of the timestamps, how many fall on
+   * each day of the week and hour of the day (UTC), and the step between
+   * values that never decrease in document order
+   */
+  buildDateModel(strings, format) {
+    const times = strings.map(value => Date.parse(value)).filter(Number.isFinite);
+    if (times.length === 0) {
+      return null;
+    }
+    
+    const dayOfWeek = new Array(7).fill(0);
+    const hourOfDay = new Array(24).fill(0);
+    for (const time of times) {
+      const date = new Date(time);
+      dayOfWeek[date.getUTCDay()]++;
+      hourOfDay[date.getUTCHours()]++;
+    }
+    
+    const dateModel = {
+      minimum: new Date(Math.min(...times)).toISOString(),
+      maximum: new Date(Math.max(...times)).toISOString(),
+      count: times.length,
+      dayOfWeek,
+    };
+    
+    // Dates without a time are all at midnight
+    if (format === 'date-time') {
+      dateModel.hourOfDay = hourOfDay;
+    }
+    
+    if (this.inferHistograms && times.length >= 10) {
+      dateModel.histogram = this.buildHistogram(times);
+    }
+    
+    // Event timestamps, auto-filled creation dates and the like only go up
+    const steps = times.slice(1).map((time, i) => time - times[i]);
+    if (times.length >= 10 && steps.every(step => step >= 0) && times[times.length - 1] > times[0]) {
+      const mean = steps.reduce((sum, step) => sum + step, 0) / steps.length;
+      const variance = steps.reduce((sum, step) => sum + (step - mean) ** 2, 0) / steps.length;
+      dateModel.monotonic = {
+        step: Math.round(mean),
+        stepStdDev: Math.round(Math.sqrt(variance))
+      };
+    }
+    
+    return dateModel;
+  }
+  
   /**
    * Generate pattern from string (matching DataFlood C#)
    * d = digit, U = uppercase, L = lowercase, s = space, p = punctuation/special
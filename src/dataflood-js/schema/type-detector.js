@@ -45,6 +45,107 @@ export function detectType(value) {
   return 'string';
 }
 
+/**
+ * BSON types of Extended JSON wrappers, by their key
+ */
+const EXTENDED_JSON_TYPES = {
+  $date: 'date',
+  $oid: 'objectId',
+  $numberDecimal: 'decimal',
+  $numberLong: 'long',
+  $binary: 'binData',
+};
+
+/**
+ * Detect the BSON type of a typed value, as MongoDB's $type names it
+ * Recognizes Date, Buffer, the BSON classes of the driver and the wire
+ * protocol (by class name) and canonical Extended JSON; null otherwise
+ */
+export function detectBsonType(value) {
+  if (typeof value === 'bigint') {
+    return 'long';
+  }
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return null;
+  }
+  
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : 'date';
+  }
+  if (Buffer.isBuffer(value)) {
+    return 'binData';
+  }
+  
+  switch (value.constructor?.name) {
+    case 'ObjectId':
+      return 'objectId';
+    case 'Long':
+      return 'long';
+    case 'Decimal128':
+      return 'decimal';
+    case 'Binary':
+    case 'UUID':
+      return 'binData';
+  }
+  
+  const keys = Object.keys(value);
+  return keys.length === 1 ? EXTENDED_JSON_TYPES[keys[0]] || null : null;
+}
+
+/**
+ * Bytes of a binData value
+ */
+function binaryBytes(value) {
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+  if (value.$binary) {
+    return Buffer.from(value.$binary.base64, 'base64');
+  }
+  // The driver's Binary may hold spare capacity past position
+  return Buffer.from(value.buffer.subarray(0, value.position ?? value.buffer.length));
+}
+
+/**
+ * Subtype of a binData value
+ */
+export function detectBinarySubtype(value) {
+  if (value.$binary) {
+    return parseInt(value.$binary.subType, 16);
+  }
+  return value.sub_type ?? value.subtype ?? 0;
+}
+
+/**
+ * JSON value a typed value is modeled as: ISO date-time strings for dates,
+ * hex strings for ObjectIds, numbers for decimals and longs, base64 strings
+ * for binary data. Values that are not typed are returned as they are
+ */
+export function toJsonValue(value) {
+  switch (detectBsonType(value)) {
+    case 'date': {
+      if (value instanceof Date) {
+        return value.toISOString();
+      }
+      const time = typeof value.$date === 'object' ? Number(value.$date.$numberLong) : value.$date;
+      return new Date(time).toISOString();
+    }
+    case 'objectId':
+      return value.$oid ?? value.toHexString();
+    case 'decimal':
+      return Number(value.$numberDecimal ?? value.toString());
+    case 'long':
+      if (typeof value === 'bigint') {
+        return Number(value);
+      }
+      return value.$numberLong !== undefined ? Number(value.$numberLong) : value.toNumber();
+    case 'binData':
+      return binaryBytes(value).toString('base64');
+    default:
+      return value;
+  }
+}
+
 /**
  * Detect if all values in array are same type
  */
@@ -154,6 +255,48 @@ export function detectConsistentFormat(values) {
   return null;
 }
 
+/**
+ * Sort the top-level fields of sampled objects by the kind of their values
+ * Returns the non-null values of each field seen at least minSamples times,
+ * and which of those fields hold only finite numbers (not all the same) or
+ * only strings. _id, and names a field path can't refer to, are left out
+ */
+export function classifyFields(objects, minSamples) {
+  const collected = {};
+  for (const obj of objects) {
+    for (const [field, value] of Object.entries(obj)) {
+      if (field === '_id' || field.includes('.') || field.startsWith('$') || value === null || value === undefined) {
+        continue;
+      }
+      if (!collected[field]) {
+        collected[field] = [];
+      }
+      collected[field].push(value);
+    }
+  }
+  
+  const values = {};
+  const numeric = [];
+  const strings = [];
+  for (const [field, fieldValues] of Object.entries(collected)) {
+    if (fieldValues.length < minSamples) {
+      continue;
+    }
+    values[field] = fieldValues;
+    
+    if (fieldValues.every(value => typeof value === 'number' && Number.isFinite(value))) {
+      // A constant is not worth relating anything to
+      if (new Set(fieldValues).size > 1) {
+        numeric.push(field);
+      }
+    } else if (fieldValues.every(value => typeof value === 'string')) {
+      strings.push(field);
+    }
+  }
+  
+  return { values, numeric, strings };
+}
+
 /**
  * Check if values should be an enum
  * Based on DataFlood's enum detection logic
@@ -276,9 +419,13 @@ export function detectPattern(values) {
 // Export all functions
 export default {
   detectType,
+  detectBsonType,
+  detectBinarySubtype,
+  toJsonValue,
   detectArrayItemType,
   detectFormat,
   detectConsistentFormat,
+  classifyFields,
   shouldBeEnum,
   analyzeNumericConstraints,
   analyzeStringConstraints,
@@ -5,6 +5,7 @@
  */
 
 import inferrer from '../schema/inferrer.js';
+import { categoryKey, fitCategorical, fitLinear, toModelCorrelation } from '../schema/correlation-detector.js';
 
 class IncrementalTrainer {
     constructor() {
@@ -68,6 +69,11 @@ class IncrementalTrainer {
             if (existing.pattern || newSchema.pattern) {
                 merged.pattern = existing.pattern || newSchema.pattern;
             }
+            
+            // Merge date models
+            if (existing.dateModel || newSchema.dateModel) {
+                merged.dateModel = this.mergeDateModels(existing.dateModel, newSchema.dateModel);
+            }
         }
         
         // Merge number/integer constraints
@@ -132,6 +138,43 @@ class IncrementalTrainer {
             );
         }
         
+        // Merge foreign key relationships
+        if (existing.relationships || newSchema.relationships) {
+            merged.relationships = this.mergeRelationships(
+                existing.relationships,
+                newSchema.relationships
+            );
+        }
+        
+        // Merge dependencies between properties
+        if (existing.correlations || newSchema.correlations) {
+            merged.correlations = this.mergeCorrelations(
+                existing.correlations,
+                newSchema.correlations
+            );
+        }
+        
+        // Merge joint distributions of enums
+        if (existing.jointDistributions || newSchema.jointDistributions) {
+            merged.jointDistributions = this.mergeJointDistributions(
+                existing.jointDistributions,
+                newSchema.jointDistributions
+            );
+        }
+        
+        // Keep a derived property's expression unless new data proposes another
+        if (existing.expression || newSchema.expression) {
+            merged.expression = newSchema.expression || existing.expression;
+        }
+        
+        // Keep the BSON type values are generated as, preferring the newer data's
+        if (existing.bsonType || newSchema.bsonType) {
+            merged.bsonType = newSchema.bsonType || existing.bsonType;
+        }
+        if (existing.binarySubtype != null || newSchema.binarySubtype != null) {
+            merged.binarySubtype = newSchema.binarySubtype ?? existing.binarySubtype;
+        }
+        
         // Merge enum values
         if (existing.enum || newSchema.enum) {
             merged.enum = this.mergeEnumValues(existing.enum, newSchema.enum);
@@ -178,6 +221,222 @@ class IncrementalTrainer {
         return merged;
     }
     
+    /**
+     * Merge relationship lists, keyed by field (newer entries win)
+     */
+    mergeRelationships(rels1, rels2) {
+        if (!rels1) return rels2;
+        if (!rels2) return rels1;
+        
+        const merged = new Map();
+        for (const rel of [...rels1, ...rels2]) {
+            merged.set(rel.field, rel);
+        }
+        
+        return Array.from(merged.values());
+    }
+    
+    /**
+     * Merge correlation lists, keyed by target field (newer entries win)
+     * Dependencies on the same source are refitted to their combined data:
+     * linear ones add up their sums, functional and conditional ones their
+     * counts. Without the statistics to combine, the newer one is kept
+     */
+    mergeCorrelations(corrs1, corrs2) {
+        if (!corrs1) return corrs2;
+        if (!corrs2) return corrs1;
+        
+        const merged = new Map(corrs1.map(corr => [corr.target, corr]));
+        for (const corr of corrs2) {
+            const previous = merged.get(corr.target);
+            let fitted = null;
+            if (previous && previous.source === corr.source) {
+                const table1 = this.toCrossTable(previous);
+                const table2 = this.toCrossTable(corr);
+                if (previous.type === 'linear' && corr.type === 'linear' && previous.sums && corr.sums) {
+                    const sums = {};
+                    for (const key of Object.keys(corr.sums)) {
+                        sums[key] = (previous.sums[key] || 0) + corr.sums[key];
+                    }
+                    fitted = fitLinear(corr.source, corr.target, sums);
+                } else if (table1 && table2) {
+                    fitted = fitCategorical(corr.source, corr.target, this.mergeCrossTables(table1, table2));
+                }
+            }
+            merged.set(corr.target, fitted ? toModelCorrelation(fitted) : corr);
+        }
+        
+        return Array.from(merged.values());
+    }
+    
+    /**
+     * Target values and counts per source value of a categorical correlation,
+     * or null. Functional ones trained before counts were kept count once
+     */
+    toCrossTable(corr) {
+        if (corr.type === 'conditional') {
+            return corr.table;
+        }
+        if (corr.type === 'functional') {
+            const table = {};
+            for (const [key, value] of Object.entries(corr.mapping)) {
+                table[key] = [[value, corr.counts?.[key] ?? 1]];
+            }
+            return table;
+        }
+        return null;
+    }
+    
+    /**
+     * Add up the counts of two cross tables
+     */
+    mergeCrossTables(table1, table2) {
+        const table = {};
+        for (const key of new Set([...Object.keys(table1), ...Object.keys(table2)])) {
+            const counts = new Map();
+            for (const [value, count] of [...(table1[key] || []), ...(table2[key] || [])]) {
+                const entry = counts.get(categoryKey(value)) || [value, 0];
+                entry[1] += count;
+                counts.set(categoryKey(value), entry);
+            }
+            table[key] = Array.from(counts.values()).sort((a, b) => b[1] - a[1]);
+        }
+        return table;
+    }
+    
+    /**
+     * Merge joint distributions
+     * Distributions over the same fields add up their combination counts;
+     * otherwise newer groups replace older ones sharing a field
+     */
+    mergeJointDistributions(dists1, dists2) {
+        if (!dists1) return dists2;
+        if (!dists2) return dists1;
+        
+        const sameFields = (a, b) => a.fields.length === b.fields.length &&
+            a.fields.every(field => b.fields.includes(field));
+        
+        const merged = dists2.map(dist => {
+            const previous = dists1.find(old => sameFields(old, dist));
+            if (!previous) {
+                return dist;
+            }
+            
+            const counts = new Map();
+            for (const [values, count] of [
+                ...previous.combinations.map(([values, count]) => [dist.fields.map(field => values[previous.fields.indexOf(field)]), count]),
+                ...dist.combinations
+            ]) {
+                const key = JSON.stringify(values);
+                const entry = counts.get(key) || [values, 0];
+                entry[1] += count;
+                counts.set(key, entry);
+            }
+            return { fields: dist.fields, combinations: Array.from(counts.values()).sort((a, b) => b[1] - a[1]) };
+        });
+        
+        for (const dist of dists1) {
+            if (!dists2.some(newer => newer.fields.some(field => dist.fields.includes(field)))) {
+                merged.push(dist);
+            }
+        }
+        
+        return merged;
+    }
+    
+    /**
+     * Merge date models
+     * Counts add up, histograms are re-binned over the combined range, and
+     * a sequence stays one when the new values continue where the old ones ended
+     */
+    mergeDateModels(model1, model2) {
+        if (!model1) return model2;
+        if (!model2) return model1;
+        
+        const addCounts = (counts1, counts2) => counts1.map((count, i) => count + (counts2[i] || 0));
+        const merged = {
+            minimum: Date.parse(model1.minimum) <= Date.parse(model2.minimum) ? model1.minimum : model2.minimum,
+            maximum: Date.parse(model1.maximum) >= Date.parse(model2.maximum) ? model1.maximum : model2.maximum,
+            count: (model1.count || 0) + (model2.count || 0)
+        };
+        
+        // A model without weekday counts (written by hand) keeps the other's
+        if (model1.dayOfWeek && model2.dayOfWeek) {
+            merged.dayOfWeek = addCounts(model1.dayOfWeek, model2.dayOfWeek);
+        } else if (model1.dayOfWeek || model2.dayOfWeek) {
+            merged.dayOfWeek = model1.dayOfWeek || model2.dayOfWeek;
+        }
+        
+        // Dates without a time say nothing about the hour
+        if (model1.hourOfDay && model2.hourOfDay) {
+            merged.hourOfDay = addCounts(model1.hourOfDay, model2.hourOfDay);
+        }
+        
+        if (model1.histogram?.bins?.length || model2.histogram?.bins?.length) {
+            merged.histogram = this.rebinHistograms([model1.histogram, model2.histogram]);
+        }
+        
+        if (model1.monotonic && model2.monotonic && Date.parse(model2.minimum) >= Date.parse(model1.maximum)) {
+            const steps1 = Math.max((model1.count || 0) - 1, 1);
+            const steps2 = Math.max((model2.count || 0) - 1, 1);
+            const weigh = (a, b) => Math.round((a * steps1 + b * steps2) / (steps1 + steps2));
+            merged.monotonic = {
+                step: weigh(model1.monotonic.step, model2.monotonic.step),
+                stepStdDev: weigh(model1.monotonic.stepStdDev, model2.monotonic.stepStdDev)
+            };
+        }
+        
+        return merged;
+    }
+    
+    /**
+     * Combine histograms into equal-width bins over their joint range
+     * Each bin's count is spread over the new bins it overlaps, as values
+     * are generated uniformly within a bin
+     */
+    rebinHistograms(histograms, binCount = 10) {
+        const bins = histograms.flatMap(histogram => histogram?.bins || []);
+        const minValue = Math.min(...bins.map(bin => bin.rangeStart));
+        const maxValue = Math.max(...bins.map(bin => bin.rangeEnd));
+        const total = bins.reduce((sum, bin) => sum + bin.count, 0);
+        
+        const width = (maxValue - minValue) / binCount;
+        const counts = new Array(width > 0 ? binCount : 1).fill(0);
+        const indexOf = value => Math.min(Math.floor((value - minValue) / width), counts.length - 1);
+        for (const bin of bins) {
+            if (!(width > 0) || bin.rangeEnd <= bin.rangeStart) {
+                counts[width > 0 ? indexOf(bin.rangeStart) : 0] += bin.count;
+                continue;
+            }
+            for (let i = indexOf(bin.rangeStart); i <= indexOf(bin.rangeEnd); i++) {
+                const start = Math.max(bin.rangeStart, minValue + i * width);
+                const end = Math.min(bin.rangeEnd, i === counts.length - 1 ? maxValue : minValue + (i + 1) * width);
+                if (end > start) {
+                    counts[i] += bin.count * (end - start) / (bin.rangeEnd - bin.rangeStart);
+                }
+            }
+        }
+        
+        let cumulative = 0;
+        const merged = [];
+        counts.forEach((count, i) => {
+            if (count <= 0) {
+                return;
+            }
+            const freqStart = cumulative;
+            cumulative += count / total * 100;
+            merged.push({
+                rangeStart: minValue + i * width,
+                rangeEnd: i === counts.length - 1 ? maxValue : minValue + (i + 1) * width,
+                count: Math.round(count * 100) / 100,
+                freqStart: Math.round(freqStart * 100) / 100,
+                freqEnd: Math.round(cumulative * 100) / 100
+            });
+        });
+        
+        return { bins: merged, totalCount: total, minValue, maxValue };
+    }
+    
     /**
      * Merge required field lists
      */
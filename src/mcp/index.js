@@ -25,9 +25,10 @@ import { fileURLToPath } from 'url';
 import { PromptAnalyzer } from './prompt-analyzer.js';
 import { SampleGenerator } from './sample-generator.js';
 import { SchemaInferrer } from '../dataflood-js/schema/inferrer.js';
-import { DocumentGenerator } from '../dataflood-js/generator/document-generator.js';
+import { createDocumentGenerator } from '../dataflood-js/generator/document-generator.js';
 import { MongoDBServer } from '../welldb-node/server/mongodb-server.js';
 import { DataFloodStorage } from '../welldb-node/storage/dataflood-storage.js';
+import { ExpressionEvaluator } from '../welldb-node/core/expression-evaluator.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -87,7 +88,7 @@ logger.info('MongTap MCP server starting up');
 const promptAnalyzer = new PromptAnalyzer();
 const sampleGenerator = new SampleGenerator();
 const schemaInferrer = new SchemaInferrer();
-const documentGenerator = new DocumentGenerator();
+const documentGenerator = createDocumentGenerator(null, null, { expressionEvaluator: new ExpressionEvaluator() });
 
 // Resolve models base path from config
 const modelsBasePath = path.isAbsolute(config.storage.modelsBasePath) 
@@ -142,7 +143,18 @@ const TOOLS = [
       type: 'object',
       properties: {
         port: { type: 'integer', description: 'Port to listen on (0 for auto)', default: 0 },
-        database: { type: 'string', description: 'Default database name', default: 'test' }
+        database: { type: 'string', description: 'Default database name', default: 'test' },
+        tls: {
+          type: 'object',
+          description: 'Serve over TLS (defaults to server.tls in mongtap.config.json)',
+          properties: {
+            certFile: { type: 'string', description: 'PEM server certificate path' },
+            keyFile: { type: 'string', description: 'PEM private key path' },
+            caFile: { type: 'string', description: 'PEM CA certificate path used to verify client certificates' },
+            passphrase: { type: 'string', description: 'Private key passphrase' },
+            requireClientCert: { type: 'boolean', description: 'Require client certificates signed by caFile', default: false }
+          }
+        }
       }
     }
   },
@@ -328,17 +340,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           port: port,
           host: config.server.host || 'localhost',
           storage: storage,
-          logger: logger
+          logger: logger,
+          ...(args.tls ? { tls: { enabled: true, ...args.tls } } : {})
         });
         
         await mongoServer.start();
         const actualPort = mongoServer.port; // Get the actual port from the server
+        const tlsQuery = mongoServer.tlsEnabled ? '?tls=true' : '';
         servers.set(actualPort, { server: mongoServer, database, status: 'running', connections: 0 });
         
         return {
           content: [{
             type: 'text',
-            text: `MongoDB server started successfully:\n- Port: ${actualPort}\n- Database: ${database}\n- Connection: mongodb://localhost:${actualPort}/${database}\n\nServer supports DataFlood generation with $seed and $entropy parameters.`
+            text: `MongoDB server started successfully:\n- Port: ${actualPort}\n- Database: ${database}\n- Connection: mongodb://localhost:${actualPort}/${database}${tlsQuery}\n\nServer supports DataFlood generation with $seed and $entropy parameters.`
           }]
         };
 
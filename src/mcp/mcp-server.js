@@ -10,9 +10,10 @@ import readline from 'readline';
 import { PromptAnalyzer } from './prompt-analyzer.js';
 import { SampleGenerator } from './sample-generator.js';
 import { SchemaInferrer } from '../dataflood-js/schema/inferrer.js';
-import { DocumentGenerator } from '../dataflood-js/generator/document-generator.js';
+import { createDocumentGenerator } from '../dataflood-js/generator/document-generator.js';
 import { MongoDBServer } from '../welldb-node/server/mongodb-server.js';
 import { DataFloodStorage } from '../welldb-node/storage/dataflood-storage.js';
+import { ExpressionEvaluator } from '../welldb-node/core/expression-evaluator.js';
 import fs from 'fs';
 import path from 'path';
 import config from '../config/config-loader.js';
@@ -40,7 +41,7 @@ export class MCPServerEnhanced extends EventEmitter {
         this.promptAnalyzer = new PromptAnalyzer();
         this.sampleGenerator = new SampleGenerator();
         this.inferrer = new SchemaInferrer();
-        this.generator = new DocumentGenerator();
+        this.generator = createDocumentGenerator(null, null, { expressionEvaluator: new ExpressionEvaluator() });
         this.storage = new DataFloodStorage({ 
             basePath: this.options.modelsPath,
             logger: this.logger 
@@ -73,7 +74,18 @@ export class MCPServerEnhanced extends EventEmitter {
                     type: 'object',
                     properties: {
                         port: { type: 'integer', description: 'Port to listen on (0 for auto)', default: 0 },
-                        database: { type: 'string', description: 'Default database name', default: 'test' }
+                        database: { type: 'string', description: 'Default database name', default: 'test' },
+                        tls: {
+                            type: 'object',
+                            description: 'Serve over TLS (defaults to server.tls in mongtap.config.json)',
+                            properties: {
+                                certFile: { type: 'string', description: 'PEM server certificate path' },
+                                keyFile: { type: 'string', description: 'PEM private key path' },
+                                caFile: { type: 'string', description: 'PEM CA certificate path used to verify client certificates' },
+                                passphrase: { type: 'string', description: 'Private key passphrase' },
+                                requireClientCert: { type: 'boolean', description: 'Require client certificates signed by caFile', default: false }
+                            }
+                        }
                     }
                 }
             },
@@ -926,13 +938,14 @@ db.collection('orders').find({
     }
     
     async startMongoServer(args) {
-        const { port = 0, database = 'test' } = args;
+        const { port = 0, database = 'test', tls } = args;
         
         const server = new MongoDBServer({
             port,
             storage: this.storage,
             database,
-            logger: this.logger  // Pass the MCP logger
+            logger: this.logger,  // Pass the MCP logger
+            ...(tls ? { tls: { enabled: true, ...tls } } : {})
         });
         
         await server.start();
@@ -944,7 +957,7 @@ db.collection('orders').find({
             success: true,
             port: actualPort,
             message: `MongoDB server started on port ${actualPort}`,
-            connectionString: `mongodb://localhost:${actualPort}/${database}`
+            connectionString: `mongodb://localhost:${actualPort}/${database}${server.tlsEnabled ? '?tls=true' : ''}`
         };
     }
     
@@ -4,8 +4,9 @@
  */
 
 import { PromptAnalyzer } from './prompt-analyzer.js';
-import { DocumentGenerator } from '../dataflood-js/generator/document-generator.js';
+import { createDocumentGenerator } from '../dataflood-js/generator/document-generator.js';
 import { SchemaInferrer } from '../dataflood-js/schema/inferrer.js';
+import { ExpressionEvaluator } from '../welldb-node/core/expression-evaluator.js';
 import logger from '../utils/logger.js';
 
 const log = logger.child('SampleGenerator');
@@ -13,7 +14,8 @@ const log = logger.child('SampleGenerator');
 export class SampleGenerator {
     constructor() {
         this.promptAnalyzer = new PromptAnalyzer();
-        this.documentGenerator = new DocumentGenerator();
+        this.expressionEvaluator = new ExpressionEvaluator();
+        this.documentGenerator = createDocumentGenerator(null, null, { expressionEvaluator: this.expressionEvaluator });
         this.schemaInferrer = new SchemaInferrer();
     }
     
@@ -242,7 +244,7 @@ export class SampleGenerator {
             // Generate multiple batches with different seeds
             for (let i = 0; i < batches; i++) {
                 const seed = variationSeed + i;
-                const generator = new DocumentGenerator(seed);
+                const generator = createDocumentGenerator(seed, null, { expressionEvaluator: this.expressionEvaluator });
                 
                 // Slightly vary the schema for each batch
                 const variedSchema = this.varySchema(schema, i / batches);
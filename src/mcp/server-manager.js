@@ -103,7 +103,7 @@ export class ServerManager {
                 database: serverConfig.database,
                 modelName: serverConfig.modelName,
                 collectionName: serverConfig.collectionName,
-                connectionString: `mongodb://${serverConfig.host}:${actualPort}/${serverConfig.database}`,
+                connectionString: `mongodb://${serverConfig.host}:${actualPort}/${serverConfig.database}${server.tlsEnabled ? '?tls=true' : ''}`,
                 status: 'running'
             };
             
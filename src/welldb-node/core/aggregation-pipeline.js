@@ -3,12 +3,16 @@
  * 
  * Provides a complete aggregation framework for processing documents:
  * - Pipeline stages ($match, $group, $sort, $project, etc.)
+ * - Window, gap-filling and geo stages ($setWindowFields, $densify, $fill, $geoNear)
  * - Aggregation expressions and operators
  * - Statistical and mathematical functions
  * - Array and string manipulation
  */
 
 import { EventEmitter } from 'events';
+import { ExpressionEvaluator, MS_PER_UNIT, addToDate } from './expression-evaluator.js';
+import { QueryMatcher, getBsonType } from './query-matcher.js';
+import { getDocumentKey } from '../storage/dataflood-storage.js';
 
 /**
  * Aggregation Pipeline Executor
@@ -43,6 +47,7 @@ export class AggregationPipeline extends EventEmitter {
             ['$skip', this.stageSkip.bind(this)],
             ['$unwind', this.stageUnwind.bind(this)],
             ['$lookup', this.stageLookup.bind(this)],
+            ['$graphLookup', this.stageGraphLookup.bind(this)],
             ['$addFields', this.stageAddFields.bind(this)],
             ['$set', this.stageAddFields.bind(this)], // Alias for $addFields
             ['$unset', this.stageUnset.bind(this)],
@@ -53,6 +58,14 @@ export class AggregationPipeline extends EventEmitter {
             ['$bucket', this.stageBucket.bind(this)],
             ['$bucketAuto', this.stageBucketAuto.bind(this)],
             ['$sample', this.stageSample.bind(this)],
+            ['$sortByCount', this.stageSortByCount.bind(this)],
+            ['$redact', this.stageRedact.bind(this)],
+            ['$documents', this.stageDocuments.bind(this)],
+            ['$unionWith', this.stageUnionWith.bind(this)],
+            ['$geoNear', this.stageGeoNear.bind(this)],
+            ['$densify', this.stageDensify.bind(this)],
+            ['$fill', this.stageFill.bind(this)],
+            ['$setWindowFields', this.stageSetWindowFields.bind(this)],
             ['$merge', this.stageMerge.bind(this)],
             ['$out', this.stageOut.bind(this)]
         ]);
@@ -60,6 +73,9 @@ export class AggregationPipeline extends EventEmitter {
         // Expression evaluator
         this.expressionEvaluator = new ExpressionEvaluator();
         
+        // Query filters ($match, $expr) share the expression evaluator
+        this.matcher = new QueryMatcher({ expressionEvaluator: this.expressionEvaluator });
+        
         // Logging
         this.logger = options.logger || this.createDefaultLogger();
     }
@@ -146,15 +162,15 @@ export class AggregationPipeline extends EventEmitter {
     /**
      * $match stage - Filter documents
      */
-    async stageMatch(documents, filter) {
-        return documents.filter(doc => this.matchesFilter(doc, filter));
+    async stageMatch(documents, filter, context = {}) {
+        return documents.filter(doc => this.matcher.matches(doc, filter, context.variables));
     }
     
     /**
      * $project stage - Reshape documents
      */
-    async stageProject(documents, projection) {
-        return documents.map(doc => this.projectDocument(doc, projection));
+    async stageProject(documents, projection, context = {}) {
+        return documents.map(doc => this.projectDocument(doc, projection, context.variables));
     }
     
     /**
@@ -163,21 +179,20 @@ export class AggregationPipeline extends EventEmitter {
     async stageGroup(documents, groupSpec) {
         const groups = new Map();
         
-        // Group documents
+        // Group documents, keyed by value so dates and ObjectIds stay intact
         for (const doc of documents) {
-            const key = this.expressionEvaluator.evaluate(groupSpec._id, doc);
-            const keyStr = JSON.stringify(key);
+            const key = this.expressionEvaluator.evaluate(groupSpec._id, doc) ?? null;
+            const keyStr = getDocumentKey(key);
             
             if (!groups.has(keyStr)) {
-                groups.set(keyStr, []);
+                groups.set(keyStr, { key, docs: [] });
             }
-            groups.get(keyStr).push(doc);
+            groups.get(keyStr).docs.push(doc);
         }
         
         // Build result documents
         const results = [];
-        for (const [keyStr, groupDocs] of groups) {
-            const key = JSON.parse(keyStr);
+        for (const { key, docs: groupDocs } of groups.values()) {
             const result = { _id: key };
             
             // Calculate accumulator fields
@@ -260,35 +275,177 @@ export class AggregationPipeline extends EventEmitter {
     
     /**
      * $lookup stage - Join with another collection
+     * Supports the localField/foreignField form and the let/pipeline form
      */
-    async stageLookup(documents, lookupSpec, context) {
+    async stageLookup(documents, lookupSpec, context = {}) {
         const { from, localField, foreignField, as } = lookupSpec;
+        const foreignDocs = await this.loadForeignDocuments(from, context);
+        const results = [];
         
-        // Get foreign collection (would need collection manager in real implementation)
-        const foreignDocs = context.collections ? context.collections[from] || [] : [];
+        for (const doc of documents) {
+            let matched = foreignDocs;
+            
+            if (localField !== undefined && foreignField !== undefined) {
+                const localValue = this.getFieldValue(doc, localField);
+                matched = foreignDocs.filter(foreign => 
+                    this.lookupValuesMatch(localValue, this.getFieldValue(foreign, foreignField))
+                );
+            }
+            
+            if (lookupSpec.pipeline) {
+                // Bind let variables against the local document
+                const variables = { ...(context.variables || {}) };
+                for (const [name, expression] of Object.entries(lookupSpec.let || {})) {
+                    variables[name] = this.expressionEvaluator.evaluate(expression, doc, context.variables);
+                }
+                
+                matched = await this.runSubPipeline(matched, lookupSpec.pipeline, context, variables);
+            }
+            
+            results.push({
+                ...doc,
+                [as]: matched
+            });
+        }
+        
+        return results;
+    }
+    
+    /**
+     * $graphLookup stage - Recursive search on a collection
+     */
+    async stageGraphLookup(documents, graphSpec, context = {}) {
+        const {
+            from,
+            startWith,
+            connectFromField,
+            connectToField,
+            as,
+            maxDepth,
+            depthField,
+            restrictSearchWithMatch
+        } = graphSpec;
+        
+        let foreignDocs = await this.loadForeignDocuments(from, context);
+        if (restrictSearchWithMatch) {
+            foreignDocs = foreignDocs.filter(foreign => 
+                this.matcher.matches(foreign, restrictSearchWithMatch, context.variables)
+            );
+        }
         
         return documents.map(doc => {
-            const localValue = this.getFieldValue(doc, localField);
-            const matched = foreignDocs.filter(foreign => 
-                this.getFieldValue(foreign, foreignField) === localValue
+            const found = [];
+            const visited = new Set();
+            let frontier = this.toValueList(
+                this.expressionEvaluator.evaluate(startWith, doc, context.variables)
             );
+            let depth = 0;
+            
+            while (frontier.length > 0 && (maxDepth === undefined || depth <= maxDepth)) {
+                const targets = new Set(frontier.map(value => this.valueKey(value)));
+                const next = [];
+                
+                for (const foreign of foreignDocs) {
+                    if (visited.has(foreign)) continue;
+                    
+                    const connectValues = this.toValueList(this.getFieldValue(foreign, connectToField));
+                    if (!connectValues.some(value => targets.has(this.valueKey(value)))) continue;
+                    
+                    visited.add(foreign);
+                    found.push(depthField ? { ...foreign, [depthField]: depth } : foreign);
+                    next.push(...this.toValueList(this.getFieldValue(foreign, connectFromField)));
+                }
+                
+                frontier = next;
+                depth++;
+            }
             
             return {
                 ...doc,
-                [as]: matched
+                [as]: found
             };
         });
     }
     
+    /**
+     * Load the documents of a foreign collection for a join
+     * Uses pre-populated context.collections, otherwise resolves through the collection manager
+     */
+    async loadForeignDocuments(from, context) {
+        if (context.collections && context.collections[from]) {
+            return context.collections[from];
+        }
+        
+        if (!context.resolveCollection) {
+            return [];
+        }
+        
+        const foreign = await context.resolveCollection(from);
+        if (!foreign) {
+            return [];
+        }
+        
+        // Generate with the same seed so foreign keys land on generated ids
+        const query = {};
+        if (context.generationParams && context.generationParams.seed !== undefined) {
+            query.$seed = context.generationParams.seed;
+        }
+        if (context.generationParams && context.generationParams.entropy !== undefined) {
+            query.$entropy = context.generationParams.entropy;
+        }
+        
+        // Every stored document joins; only the generated ones are capped
+        const foreignDocs = await foreign.findForeign(query, context.lookupLimit || 100);
+        this.logger.debug(`Loaded ${foreignDocs.length} documents from ${from} for join`);
+        
+        return foreignDocs;
+    }
+    
+    /**
+     * Run a nested pipeline (e.g. $lookup pipeline) with bound variables
+     */
+    async runSubPipeline(documents, pipeline, context, variables) {
+        if (context.runPipeline) {
+            return context.runPipeline(documents, pipeline, variables);
+        }
+        return this.execute(documents, pipeline, { ...context, variables });
+    }
+    
+    /**
+     * Check if a local and foreign join value match (arrays match on any element)
+     */
+    lookupValuesMatch(localValue, foreignValue) {
+        const localKeys = new Set(this.toValueList(localValue).map(value => this.valueKey(value)));
+        if (localKeys.size === 0) {
+            localKeys.add(this.valueKey(null));
+        }
+        
+        const foreignValues = this.toValueList(foreignValue);
+        if (foreignValues.length === 0) {
+            return localKeys.has(this.valueKey(null));
+        }
+        
+        return foreignValues.some(value => localKeys.has(this.valueKey(value)));
+    }
+    
+    toValueList(value) {
+        if (value === undefined) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+    
+    valueKey(value) {
+        return JSON.stringify(value === undefined ? null : value);
+    }
+    
     /**
      * $addFields stage - Add new fields
      */
-    async stageAddFields(documents, fields) {
+    async stageAddFields(documents, fields, context = {}) {
         return documents.map(doc => {
             const newDoc = { ...doc };
             
             for (const [field, expression] of Object.entries(fields)) {
-                newDoc[field] = this.expressionEvaluator.evaluate(expression, doc);
+                newDoc[field] = this.expressionEvaluator.evaluate(expression, doc, context.variables);
             }
             
             return newDoc;
@@ -315,7 +472,7 @@ export class AggregationPipeline extends EventEmitter {
     /**
      * $replaceRoot stage - Replace document root
      */
-    async stageReplaceRoot(documents, replaceSpec) {
+    async stageReplaceRoot(documents, replaceSpec, context = {}) {
         const newRoot = replaceSpec.newRoot || replaceSpec;
         
         return documents.map(doc => {
@@ -325,7 +482,7 @@ export class AggregationPipeline extends EventEmitter {
             }
             
             // Evaluate expression as new root
-            return this.expressionEvaluator.evaluate(newRoot, doc);
+            return this.expressionEvaluator.evaluate(newRoot, doc, context.variables);
         });
     }
     
@@ -467,21 +624,583 @@ export class AggregationPipeline extends EventEmitter {
     }
     
     /**
-     * $merge stage - Merge into collection
+     * $sortByCount stage - Group by an expression and count, largest first
+     */
+    async stageSortByCount(documents, expression) {
+        const groups = await this.stageGroup(documents, { _id: expression, count: { $sum: 1 } });
+        return groups.sort((a, b) => b.count - a.count);
+    }
+    
+    /**
+     * $redact stage - Keep, prune or descend into each (sub)document
+     */
+    async stageRedact(documents, expression, context = {}) {
+        return documents
+            .map(doc => this.redactDocument(doc, expression, context.variables))
+            .filter(doc => doc !== undefined);
+    }
+    
+    redactDocument(doc, expression, variables) {
+        const decision = this.expressionEvaluator.evaluate(expression, doc, variables);
+        
+        switch (decision) {
+            case '$$KEEP':
+                return doc;
+            case '$$PRUNE':
+                return undefined;
+            case '$$DESCEND': {
+                const result = {};
+                for (const [field, value] of Object.entries(doc)) {
+                    const redacted = this.redactValue(value, expression, variables);
+                    if (redacted !== undefined) {
+                        result[field] = redacted;
+                    }
+                }
+                return result;
+            }
+            default:
+                throw Object.assign(new Error(
+                    "$redact's expression should not return anything aside from the variables $$KEEP, $$DESCEND, and $$PRUNE, but returned " +
+                    JSON.stringify(decision)
+                ), { code: 17053, codeName: 'Location17053' });
+        }
+    }
+    
+    /**
+     * Redact the documents within a field value, dropping pruned array elements
+     */
+    redactValue(value, expression, variables) {
+        if (Array.isArray(value)) {
+            return value
+                .map(item => this.redactValue(item, expression, variables))
+                .filter(item => item !== undefined);
+        }
+        return getBsonType(value) === 'object'
+            ? this.redactDocument(value, expression, variables)
+            : value;
+    }
+    
+    /**
+     * $documents stage - Literal documents in place of the input
+     */
+    async stageDocuments(documents, spec, context = {}) {
+        const docs = this.expressionEvaluator.evaluate(spec, {}, context.variables);
+        if (!Array.isArray(docs) || docs.some(doc => getBsonType(doc) !== 'object')) {
+            throw Object.assign(new Error('$documents must evaluate to an array of objects'), {
+                code: 5858203,
+                codeName: 'Location5858203'
+            });
+        }
+        return docs;
+    }
+    
+    /**
+     * $unionWith stage - Append the documents of another collection,
+     * optionally run through a pipeline
+     */
+    async stageUnionWith(documents, spec, context = {}) {
+        const { coll, pipeline = [] } = typeof spec === 'string' ? { coll: spec } : spec;
+        
+        let unioned = coll === undefined ? [] : await this.loadForeignDocuments(coll, context);
+        if (pipeline.length > 0) {
+            unioned = await this.runSubPipeline(unioned, pipeline, context, context.variables);
+        }
+        
+        return [...documents, ...unioned];
+    }
+    
+    /**
+     * $geoNear stage - Documents near a point, nearest first, with their distance
+     * Without a key, the first field holding a point is used
+     */
+    async stageGeoNear(documents, spec, context = {}) {
+        const {
+            near,
+            distanceField,
+            spherical = false,
+            maxDistance,
+            minDistance,
+            query,
+            includeLocs,
+            distanceMultiplier = 1
+        } = spec;
+        
+        if (!distanceField) {
+            throw Object.assign(new Error('$geoNear requires a \'distanceField\' option as a String'), {
+                code: 2,
+                codeName: 'BadValue'
+            });
+        }
+        
+        const key = spec.key || this.findLocationField(documents, context.collection);
+        
+        const operator = spherical ? '$nearSphere' : '$near';
+        const isGeoJSON = near?.type === 'Point';
+        const nearSpec = this.matcher.getNearSpec(operator, {
+            [operator]: isGeoJSON ? { $geometry: near, $maxDistance: maxDistance, $minDistance: minDistance } : near,
+            ...(isGeoJSON ? {} : { $maxDistance: maxDistance, $minDistance: minDistance })
+        });
+        
+        const candidates = query ? this.matcher.filter(documents, query, context.variables) : documents;
+        const results = [];
+        for (const doc of candidates) {
+            const nearest = this.matcher.getNearest(doc, key, nearSpec);
+            if (!nearest ||
+                (nearSpec.maxDistance !== undefined && nearest.distance > nearSpec.maxDistance) ||
+                (nearSpec.minDistance !== undefined && nearest.distance < nearSpec.minDistance)) {
+                continue;
+            }
+            
+            const result = { ...doc };
+            this.setFieldValue(result, distanceField, nearest.distance * distanceMultiplier);
+            if (includeLocs) {
+                this.setFieldValue(result, includeLocs, nearest.location);
+            }
+            results.push({ result, distance: nearest.distance });
+        }
+        
+        return results
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ result }) => result);
+    }
+    
+    /**
+     * The field $geoNear measures from when no key is given: the field of the
+     * collection's 2d or 2dsphere index, or else the top-level field holding
+     * GeoJSON points; more than one candidate needs an explicit key
+     */
+    findLocationField(documents, collection) {
+        const candidates = new Set();
+        for (const index of collection?.indexes?.values() ?? []) {
+            for (const key of index.fields) {
+                for (const [field, type] of Object.entries(typeof key === 'object' ? key : {})) {
+                    if (type === '2d' || type === '2dsphere') {
+                        candidates.add(field);
+                    }
+                }
+            }
+        }
+        
+        if (candidates.size === 0) {
+            for (const doc of documents) {
+                for (const [field, value] of Object.entries(doc)) {
+                    if (value?.type === 'Point' && this.matcher.isPoint(value)) {
+                        candidates.add(field);
+                    }
+                }
+            }
+        }
+        
+        if (candidates.size === 0) {
+            throw Object.assign(new Error('$geoNear requires a 2d or 2dsphere index, but none were found'), {
+                code: 291,
+                codeName: 'NoQueryExecutionPlans'
+            });
+        }
+        if (candidates.size > 1) {
+            throw Object.assign(new Error(
+                `There is more than one geo field (${[...candidates].join(', ')}); unsure which to use for $geoNear, specify 'key'`
+            ), {
+                code: 27,
+                codeName: 'IndexNotFound'
+            });
+        }
+        return [...candidates][0];
+    }
+    
+    /**
+     * $densify stage - Add documents for missing steps of a numeric or date field
+     * bounds 'full' spans every document, 'partition' each partition, and
+     * [lower, upper) an explicit range
+     */
+    async stageDensify(documents, spec) {
+        const { field, partitionByFields = [], range = {} } = spec;
+        const { step, unit, bounds = 'full' } = range;
+        
+        if (typeof step !== 'number' || step <= 0) {
+            throw Object.assign(new Error('$densify range.step must be a positive number'), {
+                code: 5733401,
+                codeName: 'Location5733401'
+            });
+        }
+        
+        const valueOf = doc => this.getFieldValue(doc, field);
+        const isDate = value => value instanceof Date;
+        const next = value => isDate(value) ? addToDate(value, unit, step) : value + step;
+        const compare = (a, b) => (isDate(a) ? a.getTime() : a) - (isDate(b) ? b.getTime() : b);
+        
+        // Documents without the field pass through untouched
+        const passthrough = documents.filter(doc => valueOf(doc) === null || valueOf(doc) === undefined);
+        const partitions = this.partitionDocuments(
+            documents.filter(doc => !passthrough.includes(doc)),
+            doc => partitionByFields.map(name => this.getFieldValue(doc, name))
+        );
+        
+        const sortedValues = docs => docs.map(valueOf).sort(compare);
+        const all = sortedValues(partitions.flatMap(({ docs }) => docs));
+        if (all.some(value => isDate(value) !== (unit !== undefined))) {
+            throw Object.assign(new Error(
+                '$densify requires a unit for date fields, and only date fields take a unit'
+            ), { code: 5733402, codeName: 'Location5733402' });
+        }
+        
+        const results = [];
+        for (const { docs } of partitions) {
+            const values = sortedValues(docs);
+            let [lower, upper] = Array.isArray(bounds)
+                ? bounds
+                : bounds === 'partition' ? [values[0], values[values.length - 1]] : [all[0], all[all.length - 1]];
+            const exclusiveUpper = Array.isArray(bounds);
+            
+            const sorted = [...docs].sort((a, b) => compare(valueOf(a), valueOf(b)));
+            const template = sorted[0];
+            const fill = value => {
+                const doc = {};
+                for (const name of partitionByFields) {
+                    this.setFieldValue(doc, name, this.getFieldValue(template, name));
+                }
+                this.setFieldValue(doc, field, value);
+                return doc;
+            };
+            
+            let cursor = lower;
+            for (const doc of sorted) {
+                const value = valueOf(doc);
+                while (compare(cursor, value) < 0 && (exclusiveUpper ? compare(cursor, upper) < 0 : compare(cursor, upper) <= 0)) {
+                    results.push(fill(cursor));
+                    cursor = next(cursor);
+                }
+                while (compare(cursor, value) <= 0) {
+                    cursor = next(cursor);
+                }
+                results.push(doc);
+            }
+            while (exclusiveUpper ? compare(cursor, upper) < 0 : compare(cursor, upper) <= 0) {
+                results.push(fill(cursor));
+                cursor = next(cursor);
+            }
+        }
+        
+        return [...results, ...passthrough];
+    }
+    
+    /**
+     * $fill stage - Fill null and missing fields with a value, the last
+     * observation (locf) or a linear interpolation
+     */
+    async stageFill(documents, spec, context = {}) {
+        const { partitionBy, partitionByFields, sortBy, output = {} } = spec;
+        
+        const windowOutput = {};
+        const values = {};
+        for (const [field, fill] of Object.entries(output)) {
+            if (fill.value !== undefined) {
+                values[field] = fill.value;
+            } else if (fill.method === 'locf') {
+                windowOutput[field] = { $locf: `$${field}` };
+            } else if (fill.method === 'linear') {
+                windowOutput[field] = { $linearFill: `$${field}` };
+            } else {
+                throw Object.assign(new Error(`$fill output for '${field}' needs a value or a method of 'locf' or 'linear'`), {
+                    code: 6050203,
+                    codeName: 'Location6050203'
+                });
+            }
+        }
+        
+        const filled = await this.stageSetWindowFields(documents, {
+            partitionBy: partitionByFields
+                ? Object.fromEntries(partitionByFields.map(name => [name, `$${name}`]))
+                : partitionBy,
+            sortBy,
+            output: windowOutput
+        }, context);
+        
+        for (const doc of filled) {
+            for (const [field, expression] of Object.entries(values)) {
+                if (this.getFieldValue(doc, field) == null) {
+                    this.setFieldValue(doc, field, this.expressionEvaluator.evaluate(expression, doc, context.variables));
+                }
+            }
+        }
+        return filled;
+    }
+    
+    /**
+     * $setWindowFields stage - Compute fields over a window of each
+     * document's partition
+     * Accumulators ($sum, $avg, $push, ...) take a documents or range
+     * window (the whole partition by default); ranked ($rank, $denseRank,
+     * $documentNumber) and ordered ($shift, $locf, $linearFill,
+     * $expMovingAvg, $derivative, $integral) operators follow sortBy
+     */
+    async stageSetWindowFields(documents, spec, context = {}) {
+        const { partitionBy, sortBy, output = {} } = spec;
+        const variables = context.variables;
+        const results = [];
+        
+        const partitions = this.partitionDocuments(documents, doc =>
+            partitionBy === undefined ? null : this.expressionEvaluator.evaluate(partitionBy, doc, variables)
+        );
+        
+        for (const { docs } of partitions) {
+            const sorted = sortBy ? await this.stageSort([...docs], sortBy) : [...docs];
+            const outputs = sorted.map(doc => ({ ...doc }));
+            
+            for (const [field, windowSpec] of Object.entries(output)) {
+                const values = this.computeWindowField(sorted, windowSpec, sortBy, variables);
+                values.forEach((value, i) => {
+                    if (value !== undefined) {
+                        this.setFieldValue(outputs[i], field, value);
+                    }
+                });
+            }
+            
+            results.push(...outputs);
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Values of one $setWindowFields output for each document of a sorted partition
+     */
+    computeWindowField(docs, windowSpec, sortBy, variables) {
+        const { window, ...rest } = windowSpec;
+        const [op, operand] = Object.entries(rest).find(([key]) => key.startsWith('$')) || [];
+        const evaluate = (expression, doc) => this.expressionEvaluator.evaluate(expression, doc, variables);
+        const sortField = sortBy ? Object.keys(sortBy)[0] : null;
+        const sortKey = doc => getDocumentKey(Object.keys(sortBy || {}).map(name => this.getFieldValue(doc, name) ?? null));
+        const position = doc => {
+            const value = this.getFieldValue(doc, sortField);
+            return value instanceof Date ? value.getTime() : value;
+        };
+        const requireSortBy = () => {
+            if (!sortBy) {
+                throw Object.assign(new Error(`${op} requires a sortBy`), { code: 5371602, codeName: 'Location5371602' });
+            }
+        };
+        
+        switch (op) {
+            case '$documentNumber':
+                requireSortBy();
+                return docs.map((doc, i) => i + 1);
+            
+            case '$rank':
+            case '$denseRank': {
+                requireSortBy();
+                let rank = 0;
+                let dense = 0;
+                return docs.map((doc, i) => {
+                    if (i === 0 || sortKey(doc) !== sortKey(docs[i - 1])) {
+                        rank = i + 1;
+                        dense++;
+                    }
+                    return op === '$rank' ? rank : dense;
+                });
+            }
+            
+            case '$shift': {
+                requireSortBy();
+                const { output: expression, by = 0, default: fallback = null } = operand;
+                return docs.map((doc, i) => {
+                    const target = docs[i + by];
+                    return target === undefined ? evaluate(fallback, doc) : evaluate(expression, target) ?? null;
+                });
+            }
+            
+            case '$locf': {
+                requireSortBy();
+                let last = null;
+                return docs.map(doc => {
+                    const value = evaluate(operand, doc);
+                    if (value !== null && value !== undefined) {
+                        last = value;
+                    }
+                    return last;
+                });
+            }
+            
+            case '$linearFill': {
+                requireSortBy();
+                const values = docs.map(doc => evaluate(operand, doc));
+                const known = values.flatMap((value, i) => typeof value === 'number' ? [i] : []);
+                return values.map((value, i) => {
+                    if (value !== null && value !== undefined) {
+                        return value;
+                    }
+                    const before = known.filter(k => k < i).pop();
+                    const after = known.find(k => k > i);
+                    if (before === undefined || after === undefined) {
+                        return null;
+                    }
+                    const [x0, x1, x] = [position(docs[before]), position(docs[after]), position(docs[i])];
+                    return values[before] + (values[after] - values[before]) * (x - x0) / (x1 - x0);
+                });
+            }
+            
+            case '$expMovingAvg': {
+                requireSortBy();
+                const { input, N, alpha: givenAlpha } = operand;
+                const alpha = givenAlpha ?? 2 / (N + 1);
+                let average = null;
+                return docs.map(doc => {
+                    const value = evaluate(input, doc);
+                    if (typeof value === 'number') {
+                        average = average === null ? value : alpha * value + (1 - alpha) * average;
+                    }
+                    return average;
+                });
+            }
+            
+            case '$derivative':
+            case '$integral': {
+                requireSortBy();
+                const { input, unit } = operand;
+                const scale = unit ? MS_PER_UNIT[unit] : 1;
+                return docs.map((doc, i) => {
+                    const windowDocs = this.getWindowDocuments(docs, i, window, sortBy);
+                    const points = windowDocs
+                        .map(d => [position(d) / scale, evaluate(input, d)])
+                        .filter(([x, y]) => typeof x === 'number' && typeof y === 'number');
+                    if (op === '$derivative') {
+                        if (points.length < 2) return null;
+                        const [[x0, y0], [x1, y1]] = [points[0], points[points.length - 1]];
+                        return x1 === x0 ? null : (y1 - y0) / (x1 - x0);
+                    }
+                    let area = 0;
+                    for (let k = 1; k < points.length; k++) {
+                        area += (points[k][1] + points[k - 1][1]) / 2 * (points[k][0] - points[k - 1][0]);
+                    }
+                    return area;
+                });
+            }
+            
+            case undefined:
+                throw Object.assign(new Error('$setWindowFields output fields need a window operator'), {
+                    code: 5371603,
+                    codeName: 'Location5371603'
+                });
+            
+            default:
+                // Accumulators over a window of the partition
+                return docs.map((doc, i) =>
+                    this.calculateAccumulator({ [op]: operand }, this.getWindowDocuments(docs, i, window, sortBy))
+                );
+        }
+    }
+    
+    /**
+     * Documents in the window of the document at index i of a sorted partition
+     * documents: [lower, upper] positions relative to it; range: [lower, upper]
+     * offsets of the sortBy value (in unit for dates); either may be
+     * 'unbounded' or 'current'. No window is the whole partition
+     */
+    getWindowDocuments(docs, i, window, sortBy) {
+        if (!window) {
+            return docs;
+        }
+        
+        if (window.documents) {
+            const [lower, upper] = window.documents.map((bound, k) =>
+                bound === 'unbounded' ? (k === 0 ? 0 : docs.length - 1) : i + (bound === 'current' ? 0 : bound)
+            );
+            return docs.slice(Math.max(lower, 0), Math.max(upper + 1, 0));
+        }
+        
+        if (window.range) {
+            const sortField = Object.keys(sortBy || {})[0];
+            if (!sortField) {
+                throw Object.assign(new Error('Range-based windows require a sortBy'), {
+                    code: 5339902,
+                    codeName: 'Location5339902'
+                });
+            }
+            
+            const value = this.getFieldValue(docs[i], sortField);
+            const toPosition = v => v instanceof Date ? v.getTime() : v;
+            const [lower, upper] = window.range.map((bound, k) => {
+                if (bound === 'unbounded') return k === 0 ? -Infinity : Infinity;
+                if (bound === 'current') return toPosition(value);
+                return toPosition(window.unit ? addToDate(value, window.unit, bound) : value + bound);
+            });
+            return docs.filter(doc => {
+                const position = toPosition(this.getFieldValue(doc, sortField));
+                return position >= lower && position <= upper;
+            });
+        }
+        
+        return docs;
+    }
+    
+    /**
+     * Split documents by a partition key, keeping first-seen order
+     */
+    partitionDocuments(documents, keyOf) {
+        const partitions = new Map();
+        for (const doc of documents) {
+            const key = keyOf(doc) ?? null;
+            const id = getDocumentKey(key);
+            if (!partitions.has(id)) {
+                partitions.set(id, { key, docs: [] });
+            }
+            partitions.get(id).docs.push(doc);
+        }
+        return [...partitions.values()];
+    }
+    
+    /**
+     * Resolve the collection $merge or $out writes to
+     * target: a collection name or { db, coll }
      */
-    async stageMerge(documents, mergeSpec, context) {
-        // In real implementation, would merge into target collection
-        this.logger.info(`Would merge ${documents.length} documents into ${mergeSpec.into}`);
-        return documents;
+    async resolveOutputCollection(stage, target, context) {
+        const { db, coll } = typeof target === 'string' ? { coll: target } : target || {};
+        if (typeof coll !== 'string' || coll === '') {
+            throw Object.assign(new Error(`${stage} needs a target collection name`), {
+                code: 9,
+                codeName: 'FailedToParse'
+            });
+        }
+        if (!context.resolveCollection) {
+            throw Object.assign(new Error(`${stage} is not supported without a collection manager`), {
+                code: 20,
+                codeName: 'IllegalOperation'
+            });
+        }
+        
+        return context.resolveCollection(coll, db);
     }
     
     /**
-     * $out stage - Output to collection
+     * $merge stage - Merge into a stored collection
+     * { into, on, whenMatched, whenNotMatched, let, train }; with train the
+     * target's model is updated incrementally with the documents written
      */
-    async stageOut(documents, collection, context) {
-        // In real implementation, would output to target collection
-        this.logger.info(`Would output ${documents.length} documents to ${collection}`);
-        return documents;
+    async stageMerge(documents, mergeSpec, context = {}) {
+        const { into, train = false, ...options } = typeof mergeSpec === 'string'
+            ? { into: mergeSpec }
+            : mergeSpec;
+        const target = await this.resolveOutputCollection('$merge', into, context);
+        
+        const { written } = await target.mergeDocuments(documents, options);
+        if (train && written.length > 0) {
+            await target.trainOn(written);
+        }
+        
+        return [];
+    }
+    
+    /**
+     * $out stage - Replace a stored collection with the results
+     * 'coll' or { db, coll, train }; with train the target gets a model
+     * inferred from the results, otherwise its model is dropped
+     */
+    async stageOut(documents, outSpec, context = {}) {
+        const { train = false, ...target } = typeof outSpec === 'string' ? { coll: outSpec } : outSpec;
+        const collection = await this.resolveOutputCollection('$out', target, context);
+        
+        await collection.replaceDocuments(documents, { train });
+        return [];
     }
     
     /**
@@ -521,6 +1240,10 @@ export class AggregationPipeline extends EventEmitter {
                     ));
                 }
                 return Array.from(set).map(s => JSON.parse(s));
+            case '$mergeObjects':
+                return this.expressionEvaluator.mergeObjects(documents.map(doc =>
+                    this.expressionEvaluator.evaluate(expression, doc)
+                ));
             case '$stdDevPop':
                 return this.accumulatorStdDev(documents, expression, false);
             case '$stdDevSamp':
@@ -540,26 +1263,36 @@ export class AggregationPipeline extends EventEmitter {
     }
     
     accumulatorAvg(documents, expression) {
-        if (documents.length === 0) return null;
-        return this.accumulatorSum(documents, expression) / documents.length;
+        // Only numeric values count; null when there are none
+        const values = documents
+            .map(doc => this.expressionEvaluator.evaluate(expression, doc))
+            .filter(val => typeof val === 'number');
+        if (values.length === 0) return null;
+        return values.reduce((sum, val) => sum + val, 0) / values.length;
     }
     
     accumulatorMin(documents, expression) {
-        if (documents.length === 0) return null;
-        
-        return documents.reduce((min, doc) => {
+        // null and missing values are ignored; null when nothing is left
+        let min = null;
+        for (const doc of documents) {
             const val = this.expressionEvaluator.evaluate(expression, doc);
-            return val < min ? val : min;
-        }, Infinity);
+            if (val !== null && val !== undefined && (min === null || val < min)) {
+                min = val;
+            }
+        }
+        return min;
     }
     
     accumulatorMax(documents, expression) {
-        if (documents.length === 0) return null;
-        
-        return documents.reduce((max, doc) => {
+        // null and missing values are ignored; null when nothing is left
+        let max = null;
+        for (const doc of documents) {
             const val = this.expressionEvaluator.evaluate(expression, doc);
-            return val > max ? val : max;
-        }, -Infinity);
+            if (val !== null && val !== undefined && (max === null || val > max)) {
+                max = val;
+            }
+        }
+        return max;
     }
     
     accumulatorStdDev(documents, expression, sample) {
@@ -578,54 +1311,7 @@ export class AggregationPipeline extends EventEmitter {
         return Math.sqrt(variance);
     }
     
-    /**
-     * Helper methods
-     */
-    matchesFilter(doc, filter) {
-        // Simple filter matching (would use full query engine in real implementation)
-        for (const [field, condition] of Object.entries(filter)) {
-            const value = this.getFieldValue(doc, field);
-            
-            if (typeof condition === 'object' && condition !== null) {
-                // Handle operators
-                for (const [op, expected] of Object.entries(condition)) {
-                    switch (op) {
-                        case '$eq':
-                            if (value !== expected) return false;
-                            break;
-                        case '$ne':
-                            if (value === expected) return false;
-                            break;
-                        case '$gt':
-                            if (value <= expected) return false;
-                            break;
-                        case '$gte':
-                            if (value < expected) return false;
-                            break;
-                        case '$lt':
-                            if (value >= expected) return false;
-                            break;
-                        case '$lte':
-                            if (value > expected) return false;
-                            break;
-                        case '$in':
-                            if (!expected.includes(value)) return false;
-                            break;
-                        case '$nin':
-                            if (expected.includes(value)) return false;
-                            break;
-                    }
-                }
-            } else {
-                // Direct equality
-                if (value !== condition) return false;
-            }
-        }
-        
-        return true;
-    }
-    
-    projectDocument(doc, projection) {
+    projectDocument(doc, projection, variables = {}) {
         const result = {};
         
         for (const [field, spec] of Object.entries(projection)) {
@@ -636,7 +1322,7 @@ export class AggregationPipeline extends EventEmitter {
                 // Exclude field (handled separately)
             } else {
                 // Expression
-                result[field] = this.expressionEvaluator.evaluate(spec, doc);
+                result[field] = this.expressionEvaluator.evaluate(spec, doc, variables);
             }
         }
         
@@ -694,163 +1380,4 @@ export class AggregationPipeline extends EventEmitter {
     }
 }
 
-/**
- * Expression Evaluator for aggregation expressions
- */
-class ExpressionEvaluator {
-    evaluate(expression, document) {
-        if (expression === null || expression === undefined) {
-            return expression;
-        }
-        
-        // String starting with $ is field reference
-        if (typeof expression === 'string' && expression.startsWith('$')) {
-            if (expression === '$$ROOT') return document;
-            if (expression === '$$CURRENT') return document;
-            
-            const fieldPath = expression.substring(1);
-            return this.getFieldValue(document, fieldPath);
-        }
-        
-        // Object might be an operator expression
-        if (typeof expression === 'object' && !Array.isArray(expression)) {
-            const keys = Object.keys(expression);
-            if (keys.length === 1 && keys[0].startsWith('$')) {
-                return this.evaluateOperator(keys[0], expression[keys[0]], document);
-            }
-            
-            // Otherwise, evaluate each property
-            const result = {};
-            for (const [key, value] of Object.entries(expression)) {
-                result[key] = this.evaluate(value, document);
-            }
-            return result;
-        }
-        
-        // Array - evaluate each element
-        if (Array.isArray(expression)) {
-            return expression.map(item => this.evaluate(item, document));
-        }
-        
-        // Literal value
-        return expression;
-    }
-    
-    evaluateOperator(operator, operands, document) {
-        switch (operator) {
-            // Arithmetic
-            case '$add':
-                return operands.reduce((sum, op) => 
-                    sum + this.evaluate(op, document), 0);
-            case '$subtract':
-                const [minuend, subtrahend] = operands;
-                return this.evaluate(minuend, document) - this.evaluate(subtrahend, document);
-            case '$multiply':
-                return operands.reduce((product, op) => 
-                    product * this.evaluate(op, document), 1);
-            case '$divide':
-                const [dividend, divisor] = operands;
-                return this.evaluate(dividend, document) / this.evaluate(divisor, document);
-            case '$mod':
-                const [n, m] = operands;
-                return this.evaluate(n, document) % this.evaluate(m, document);
-                
-            // String
-            case '$concat':
-                return operands.map(op => 
-                    String(this.evaluate(op, document))
-                ).join('');
-            case '$substr':
-                const [str, start, length] = operands;
-                return String(this.evaluate(str, document)).substr(
-                    this.evaluate(start, document),
-                    this.evaluate(length, document)
-                );
-            case '$toLower':
-                return String(this.evaluate(operands, document)).toLowerCase();
-            case '$toUpper':
-                return String(this.evaluate(operands, document)).toUpperCase();
-                
-            // Comparison
-            case '$eq':
-                const [a, b] = operands;
-                return this.evaluate(a, document) === this.evaluate(b, document);
-            case '$ne':
-                return this.evaluate(operands[0], document) !== this.evaluate(operands[1], document);
-            case '$gt':
-                return this.evaluate(operands[0], document) > this.evaluate(operands[1], document);
-            case '$gte':
-                return this.evaluate(operands[0], document) >= this.evaluate(operands[1], document);
-            case '$lt':
-                return this.evaluate(operands[0], document) < this.evaluate(operands[1], document);
-            case '$lte':
-                return this.evaluate(operands[0], document) <= this.evaluate(operands[1], document);
-                
-            // Logical
-            case '$and':
-                return operands.every(op => this.evaluate(op, document));
-            case '$or':
-                return operands.some(op => this.evaluate(op, document));
-            case '$not':
-                return !this.evaluate(operands, document);
-                
-            // Conditional
-            case '$cond':
-                const { if: condition, then: thenBranch, else: elseBranch } = operands;
-                return this.evaluate(condition, document) 
-                    ? this.evaluate(thenBranch, document)
-                    : this.evaluate(elseBranch, document);
-            case '$ifNull':
-                const [expr, replacement] = operands;
-                const val = this.evaluate(expr, document);
-                return val === null || val === undefined 
-                    ? this.evaluate(replacement, document)
-                    : val;
-                    
-            // Array
-            case '$size':
-                const arr = this.evaluate(operands, document);
-                return Array.isArray(arr) ? arr.length : 0;
-            case '$arrayElemAt':
-                const [array, index] = operands;
-                const arrVal = this.evaluate(array, document);
-                const idx = this.evaluate(index, document);
-                return Array.isArray(arrVal) ? arrVal[idx] : undefined;
-                
-            // Date
-            case '$year':
-            case '$month':
-            case '$dayOfMonth':
-            case '$hour':
-            case '$minute':
-            case '$second':
-                const date = new Date(this.evaluate(operands, document));
-                switch (operator) {
-                    case '$year': return date.getFullYear();
-                    case '$month': return date.getMonth() + 1;
-                    case '$dayOfMonth': return date.getDate();
-                    case '$hour': return date.getHours();
-                    case '$minute': return date.getMinutes();
-                    case '$second': return date.getSeconds();
-                }
-                break;
-                
-            default:
-                throw new Error(`Unknown operator: ${operator}`);
-        }
-    }
-    
-    getFieldValue(doc, path) {
-        const parts = path.split('.');
-        let value = doc;
-        
-        for (const part of parts) {
-            if (value == null) return undefined;
-            value = value[part];
-        }
-        
-        return value;
-    }
-}
-
 export default AggregationPipeline;
\ No newline at end of file
@@ -0,0 +1,347 @@
+/**
+ * Change Streams for MongTap
+ *
+ * Writes made through MongTap are recorded in an in-memory oplog:
+ * - Each entry gets a cluster time (seconds + increment) that never goes back
+ * - The oplog is capped; resuming from before its history fails
+ * - Change streams read the oplog from a resume point as change events
+ */
+
+import { EventEmitter } from 'events';
+import { Timestamp } from '../protocol/bson.js';
+import { getDocumentKey } from '../storage/dataflood-storage.js';
+
+/**
+ * Encode an oplog position as a resume token
+ */
+export function toResumeToken(position) {
+    return { _data: position.toString(16).toUpperCase().padStart(16, '0') };
+}
+
+/**
+ * Decode a resume token into an oplog position
+ */
+export function parseResumeToken(token) {
+    const data = token?._data;
+    if (typeof data !== 'string' || !/^[0-9A-F]{16}$/i.test(data)) {
+        throw Object.assign(new Error('Invalid resume token'), {
+            code: 260,
+            codeName: 'InvalidResumeToken'
+        });
+    }
+    return BigInt(`0x${data}`);
+}
+
+/**
+ * Cluster time of an oplog position
+ */
+function toTimestamp(position) {
+    return new Timestamp(Number(position & 0xffffffffn), Number(position >> 32n));
+}
+
+/**
+ * Top-level fields an update set or removed
+ */
+function describeUpdate(before, after) {
+    const updatedFields = {};
+    const removedFields = [];
+    
+    for (const [field, value] of Object.entries(after)) {
+        if (!(field in before) || getDocumentKey(before[field]) !== getDocumentKey(value)) {
+            updatedFields[field] = value;
+        }
+    }
+    for (const field of Object.keys(before)) {
+        if (!(field in after)) {
+            removedFields.push(field);
+        }
+    }
+    
+    return { updatedFields, removedFields, truncatedArrays: [] };
+}
+
+/**
+ * Capped in-memory log of write operations
+ */
+export class Oplog extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.setMaxListeners(0); // Every waiting change stream listens
+        
+        this.maxEntries = options.maxEntries || 10000;
+        this.entries = [];
+        this.lastSeconds = 0;
+        this.lastIncrement = 0;
+        
+        // Nothing before this position can be resumed from
+        this.truncatedAt = this.now();
+    }
+    
+    /**
+     * Position of the current cluster time; later entries sort after it
+     */
+    now() {
+        const seconds = Math.max(Math.floor(Date.now() / 1000), this.lastSeconds);
+        const increment = seconds === this.lastSeconds ? this.lastIncrement : 0;
+        return (BigInt(seconds) << 32n) | BigInt(increment);
+    }
+    
+    /**
+     * Position of the newest entry
+     */
+    lastPosition() {
+        return this.entries.length > 0 ? this.entries[this.entries.length - 1].ts : this.truncatedAt;
+    }
+    
+    /**
+     * Record an operation
+     * entry: { operationType, db, coll, documentKey, fullDocument, before }
+     */
+    append(entry) {
+        const seconds = Math.max(Math.floor(Date.now() / 1000), this.lastSeconds);
+        this.lastIncrement = seconds === this.lastSeconds ? this.lastIncrement + 1 : 1;
+        this.lastSeconds = seconds;
+        
+        const record = {
+            ts: (BigInt(seconds) << 32n) | BigInt(this.lastIncrement),
+            wallTime: new Date(),
+            ...entry
+        };
+        
+        this.entries.push(record);
+        if (this.entries.length > this.maxEntries) {
+            const dropped = this.entries.splice(0, this.entries.length - this.maxEntries);
+            this.truncatedAt = dropped[dropped.length - 1].ts;
+        }
+        
+        this.emit('entry', record);
+        return record;
+    }
+    
+    /**
+     * Entries recorded after a position, oldest first
+     */
+    entriesAfter(position) {
+        let low = 0;
+        let high = this.entries.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            if (this.entries[mid].ts <= position) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return this.entries.slice(low);
+    }
+}
+
+/**
+ * Change stream over an oplog, used as a cursor source
+ * Watches one collection, one database (collection null) or every
+ * database (database null)
+ */
+export class ChangeStream {
+    constructor(oplog, options = {}) {
+        this.oplog = oplog;
+        this.database = options.database ?? null;
+        this.collection = options.collection ?? null;
+        this.fullDocument = options.fullDocument || 'default';
+        this.fullDocumentBeforeChange = options.fullDocumentBeforeChange || 'off';
+        
+        // Stages after $changeStream, run over each batch of events
+        this.pipeline = options.pipeline || [];
+        this.runPipeline = options.runPipeline || null;
+        
+        // Collection whose synthetic inserts this stream drives
+        this.synthetic = options.synthetic || null;
+        
+        this.closed = false;
+        this.position = this.getStartPosition(options);
+    }
+    
+    /**
+     * Oplog position the stream reads after
+     */
+    getStartPosition({ resumeAfter, startAfter, startAtOperationTime }) {
+        let position;
+        if (resumeAfter || startAfter) {
+            position = parseResumeToken(resumeAfter || startAfter);
+        } else if (startAtOperationTime !== undefined) {
+            if (!(startAtOperationTime instanceof Timestamp)) {
+                throw Object.assign(new Error('startAtOperationTime must be a timestamp'), {
+                    code: 14,
+                    codeName: 'TypeMismatch'
+                });
+            }
+            position = startAtOperationTime.toBigInt() - 1n;
+        } else {
+            return this.oplog.now();
+        }
+        
+        if (position < this.oplog.truncatedAt) {
+            throw Object.assign(new Error(
+                'Resume of change stream was not possible, as the resume point may no longer be in the oplog.'
+            ), { code: 286, codeName: 'ChangeStreamHistoryLost' });
+        }
+        return position;
+    }
+    
+    /**
+     * Resume token for the position read so far
+     */
+    getResumeToken() {
+        return toResumeToken(this.position);
+    }
+    
+    /**
+     * Read up to count change events
+     */
+    async next(count) {
+        if (this.closed) {
+            return [];
+        }
+        
+        if (this.synthetic) {
+            await this.synthetic.emitSyntheticInserts();
+        }
+        
+        const events = [];
+        let invalidate = null;
+        let caughtUp = true;
+        
+        for (const entry of this.oplog.entriesAfter(this.position)) {
+            if (events.length >= count) {
+                caughtUp = false;
+                break;
+            }
+            
+            this.position = entry.ts;
+            if (!this.watches(entry)) {
+                continue;
+            }
+            
+            events.push(this.toChangeEvent(entry));
+            
+            if (this.invalidatedBy(entry)) {
+                invalidate = {
+                    _id: toResumeToken(entry.ts),
+                    operationType: 'invalidate',
+                    clusterTime: toTimestamp(entry.ts),
+                    wallTime: entry.wallTime
+                };
+                break;
+            }
+        }
+        
+        // With nothing left to read the stream is current to now
+        if (caughtUp && !invalidate) {
+            const now = this.oplog.now();
+            if (now > this.position) {
+                this.position = now;
+            }
+        }
+        
+        const results = this.runPipeline && this.pipeline.length > 0 && events.length > 0
+            ? await this.runPipeline(events, this.pipeline)
+            : events;
+        
+        // The invalidate event always reaches the client and ends the stream
+        if (invalidate) {
+            results.push(invalidate);
+            this.closed = true;
+        }
+        
+        return results;
+    }
+    
+    /**
+     * Wait up to maxWait ms for something to read
+     */
+    async waitForData(maxWait) {
+        if (this.closed || this.oplog.lastPosition() > this.position) {
+            return;
+        }
+        
+        let wait = maxWait;
+        const nextSynthetic = this.synthetic?.nextSyntheticInsertAt();
+        if (nextSynthetic != null) {
+            wait = Math.min(wait, Math.max(0, nextSynthetic - Date.now()));
+        }
+        
+        await new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                this.oplog.off('entry', done);
+                resolve();
+            };
+            const timer = setTimeout(done, wait);
+            this.oplog.on('entry', done);
+        });
+    }
+    
+    /**
+     * Whether an oplog entry is in the watched namespace
+     */
+    watches(entry) {
+        if (this.database !== null && entry.db !== this.database) {
+            return false;
+        }
+        return this.collection === null || entry.coll === this.collection;
+    }
+    
+    /**
+     * Whether an entry ends this stream: dropping or renaming the watched
+     * collection, or dropping the watched database
+     */
+    invalidatedBy(entry) {
+        if (this.collection !== null) {
+            return entry.operationType === 'drop' || entry.operationType === 'rename';
+        }
+        return this.database !== null && entry.operationType === 'dropDatabase';
+    }
+    
+    /**
+     * Change event for an oplog entry
+     */
+    toChangeEvent(entry) {
+        const event = {
+            _id: toResumeToken(entry.ts),
+            operationType: entry.operationType,
+            clusterTime: toTimestamp(entry.ts),
+            wallTime: entry.wallTime,
+            ns: entry.coll ? { db: entry.db, coll: entry.coll } : { db: entry.db }
+        };
+        
+        if (entry.to) {
+            event.to = entry.to;
+        }
+        
+        if (entry.documentKey) {
+            event.documentKey = entry.documentKey;
+        }
+        
+        switch (entry.operationType) {
+            case 'insert':
+            case 'replace':
+                event.fullDocument = entry.fullDocument;
+                break;
+            
+            case 'update':
+                event.updateDescription = describeUpdate(entry.before, entry.fullDocument);
+                // The document as the update left it
+                if (this.fullDocument !== 'default') {
+                    event.fullDocument = entry.fullDocument;
+                }
+                break;
+        }
+        
+        if (this.fullDocumentBeforeChange !== 'off' && entry.before) {
+            event.fullDocumentBeforeChange = entry.before;
+        }
+        
+        return event;
+    }
+}
+
+export default ChangeStream;
@@ -5,9 +5,72 @@
  */
 
 import { EventEmitter } from 'events';
-import DataFloodStorage from '../storage/dataflood-storage.js';
+import DataFloodStorage, { getDocumentKey } from '../storage/dataflood-storage.js';
+import { Oplog } from './change-stream.js';
+import { AggregationPipeline } from './aggregation-pipeline.js';
 import { DocumentGenerator } from '../../dataflood-js/generator/document-generator.js';
 import { SchemaInferrer } from '../../dataflood-js/schema/inferrer.js';
+import { BSONSerializer, ObjectId, Timestamp } from '../protocol/bson.js';
+import config from '../../config/config-loader.js';
+
+/**
+ * Field operators extractFieldConstraint turns into generation constraints
+ */
+const GENERATION_OPERATORS = new Set([
+    '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+    '$regex', '$options', '$exists', '$size', '$all', '$elemMatch'
+]);
+
+/**
+ * Operators an update document may use
+ */
+const UPDATE_OPERATORS = new Set([
+    '$set', '$unset', '$inc', '$mul', '$min', '$max', '$rename', '$setOnInsert',
+    '$currentDate', '$push', '$addToSet', '$pop', '$pull', '$pullAll'
+]);
+
+/**
+ * Stages a pipeline-style update may use
+ */
+const UPDATE_PIPELINE_STAGES = new Set([
+    '$addFields', '$set', '$project', '$unset', '$replaceRoot', '$replaceWith'
+]);
+
+/**
+ * Error for an update that cannot be applied
+ */
+function updateError(message, code, codeName) {
+    return Object.assign(new Error(message), { code, codeName });
+}
+
+/**
+ * Deep copy a document, keeping BSON values (ObjectId, Binary...) intact
+ */
+function cloneDocument(value) {
+    if (Array.isArray(value)) {
+        return value.map(cloneDocument);
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = cloneDocument(item);
+        }
+        return copy;
+    }
+    return value;
+}
+
+/**
+ * Iterate positions 0..size-1
+ */
+function* rangeOf(size) {
+    for (let index = 0; index < size; index++) {
+        yield index;
+    }
+}
 
 /**
  * Collection metadata and statistics
@@ -65,7 +128,18 @@ export class Collection extends EventEmitter {
             trainThreshold: options.trainThreshold || 10, // Train after N documents
             maxDocuments: options.maxDocuments || 100000,
             cacheSize: options.cacheSize || 1000,
-            generateBatchSize: options.generateBatchSize || 100
+            generateBatchSize: options.generateBatchSize || 100,
+            // Store inserted/updated documents and merge them with generated ones
+            hybrid: options.hybrid ?? config.storage.hybridCollections ?? true,
+            // Fixed logical size, document N derived from (seed, N)
+            virtual: options.virtual ?? this.storage.virtualCollections,
+            virtualSize: options.virtualSize || this.storage.virtualCollectionSize,
+            // Most documents one find may generate while rejecting non-matches
+            generationBudget: options.generationBudget || config.generation.rejectionBudget || 10000,
+            // Documents per second a tailable cursor releases (0 for no pacing)
+            tailableRate: options.tailableRate ?? config.generation.tailableRate ?? 10,
+            // Synthetic insert events per second on change streams (0 for none)
+            changeStreamRate: options.changeStreamRate ?? config.generation.changeStreamRate ?? 0
         };
         
         // Document cache (for recently generated/inserted docs)
@@ -75,6 +149,12 @@ export class Collection extends EventEmitter {
         // Logging - Initialize before creating indexes
         this.logger = options.logger || this.createDefaultLogger();
         
+        // Runs pipeline-style updates
+        this.aggregationPipeline = new AggregationPipeline({ logger: this.logger });
+        
+        // Evaluates query filters
+        this.matcher = this.aggregationPipeline.matcher;
+        
         // Indexes - Initialize map before creating default index
         this.indexes = new Map();
         
@@ -93,24 +173,78 @@ export class Collection extends EventEmitter {
 
     /**
      * Insert documents into collection
+     * Throws on the first document that cannot be inserted
      */
     async insert(documents) {
-        const docs = Array.isArray(documents) ? documents : [documents];
+        const result = await this.insertMany(Array.isArray(documents) ? documents : [documents]);
         
-        // Add _id if not present
-        for (const doc of docs) {
-            if (!doc._id) {
+        if (result.writeErrors.length > 0) {
+            const { errmsg, ...details } = result.writeErrors[0];
+            throw Object.assign(new Error(errmsg), details);
+        }
+        
+        return {
+            insertedCount: result.insertedCount,
+            insertedIds: result.insertedIds
+        };
+    }
+
+    /**
+     * Insert documents, reporting each one that cannot be inserted
+     * Ordered inserts stop at the first failure; unordered ones skip it.
+     * writeErrors hold { index, code, errmsg } for the failed documents
+     */
+    async insertMany(documents, { ordered = true } = {}) {
+        const docs = [];
+        const writeErrors = [];
+        
+        // Stored _ids, and those of the documents accepted so far
+        const layer = this.options.hybrid
+            ? await this.storage.getDocumentLayer(this.database, this.name)
+            : null;
+        const keys = new Set(layer ? layer.documents.map(d => getDocumentKey(d._id)) : []);
+        
+        for (let index = 0; index < documents.length; index++) {
+            const doc = documents[index];
+            
+            // Add _id if not present
+            if (doc._id === undefined) {
                 doc._id = this.generateObjectId();
             }
+            
+            // Check for duplicate _ids
+            const key = getDocumentKey(doc._id);
+            const duplicate = keys.has(key) ||
+                (this.options.enforceUnique && this.documentCache.some(d => d._id === doc._id));
+            if (duplicate) {
+                writeErrors.push({
+                    index,
+                    code: 11000,
+                    errmsg: `E11000 duplicate key error collection: ${this.fullName} index: _id_ dup key: { _id: ${key} }`,
+                    keyPattern: { _id: 1 },
+                    keyValue: { _id: doc._id }
+                });
+                if (ordered) {
+                    break;
+                }
+                continue;
+            }
+            
+            keys.add(key);
+            docs.push(doc);
+        }
+        
+        if (docs.length === 0) {
+            return { insertedCount: 0, insertedIds: [], writeErrors };
         }
         
-        // Check for duplicate _ids
-        if (this.options.enforceUnique) {
+        // Persist alongside the generated documents
+        if (layer) {
+            layer.documents.push(...docs.map(cloneDocument));
             for (const doc of docs) {
-                if (this.documentCache.some(d => d._id === doc._id)) {
-                    throw new Error(`Duplicate key error: _id ${doc._id} already exists`);
-                }
+                layer.tombstones.delete(getDocumentKey(doc._id));
             }
+            await this.storage.saveDocumentLayer(this.database, this.name);
         }
         
         // Add to cache
@@ -135,7 +269,8 @@ export class Collection extends EventEmitter {
         
         return {
             insertedCount: docs.length,
-            insertedIds: docs.map(d => d._id)
+            insertedIds: docs.map(d => d._id),
+            writeErrors
         };
     }
 
@@ -167,41 +302,64 @@ export class Collection extends EventEmitter {
         // Check if we should generate from model
         const model = await this.storage.getModel(this.database, this.name);
         
-        let documents;
+        if (this.options.virtual) {
+            const startTime = Date.now();
+            const stats = { generated: 0, accepted: 0 };
+            let documents = await this.findVirtual(filterQuery, generationParams, model, { skip, limit, sort, stats });
+            if (options.generationStats) {
+                Object.assign(options.generationStats, {
+                    ...stats,
+                    acceptanceRate: stats.generated > 0 ? stats.accepted / stats.generated : null,
+                    durationMillis: Date.now() - startTime
+                });
+            }
+            if (projection) {
+                documents = this.projectDocuments(documents, projection);
+            }
+            
+            this.emit('find', { query, count: documents.length, options });
+            return documents;
+        }
+        
+        // A limit of 0 means no limit: fill one batch
+        const requested = (limit > 0 ? limit : this.options.generateBatchSize) + skip;
+        const layer = this.options.hybrid
+            ? await this.storage.getDocumentLayer(this.database, this.name)
+            : null;
+        
+        // Stored documents come first (filterQuery is without generation params)
+        let documents = layer
+            ? this.matcher.filter(layer.documents, filterQuery).map(cloneDocument)
+            : [];
+        
         if (model) {
-            // Generate from DataFlood model
-            const constraints = this.extractConstraints(filterQuery);
-            documents = await this.storage.generateDocuments(
-                this.database,
-                this.name,
-                limit + skip,
-                { 
-                    constraints,
-                    seed: generationParams.seed,
-                    entropyOverride: generationParams.entropy
-                }
-            );
+            // Generate from DataFlood model until enough documents match
+            const stats = await this.generateMatching(filterQuery, generationParams, layer, requested - documents.length);
+            documents.push(...stats.documents);
+            delete stats.documents;
             
+            if (options.generationStats) {
+                Object.assign(options.generationStats, stats);
+            }
             this.info.updateStats('generations');
-            this.logger.debug(`Generated ${documents.length} documents from model`);
+            this.emit('generation', stats);
+            this.logger.debug(
+                `Generated ${stats.generated} documents from model, ${stats.accepted} matched`
+            );
         } else {
-            // No model available - return empty array
-            documents = [];
             this.logger.debug(`No model found for ${this.database}.${this.name}`);
         }
         
-        // Apply query filter (using filterQuery without generation params)
-        if (filterQuery && Object.keys(filterQuery).length > 0) {
-            documents = this.filterDocuments(documents, filterQuery);
-        }
-        
-        // Apply sort
+        // Apply sort; $near queries come nearest first unless sorted otherwise
+        const near = sort ? null : this.matcher.getNearQuery(filterQuery);
         if (sort) {
             documents = this.sortDocuments(documents, sort);
+        } else if (near) {
+            documents = this.matcher.sortByDistance(documents, near);
         }
         
         // Apply skip and limit
-        documents = documents.slice(skip, skip + limit);
+        documents = documents.slice(skip, limit > 0 ? skip + limit : undefined);
         
         // Apply projection
         if (projection) {
@@ -218,189 +376,1169 @@ export class Collection extends EventEmitter {
     }
 
     /**
-     * Find one document
-     */
-    async findOne(query = {}, options = {}) {
-        const results = await this.find(query, { ...options, limit: 1 });
-        return results.length > 0 ? results[0] : null;
-    }
-
-    /**
-     * Update documents in collection
+     * Open a stream over the results of a find, for cursors
+     * Documents are generated as next(count) asks for them; a sort (or the
+     * order of a $near) needs every result up front. A limit of 0 means what find returns for it:
+     * every stored document topped up to one batch, or every position of a virtual collection. Tailable
+     * streams always generate from the model and never run out
      */
-    async update(query, update, options = {}) {
+    async createFindStream(query = {}, options = {}) {
         const {
-            multi = false,
-            upsert = false
+            limit = 0,
+            skip = 0,
+            sort = null,
+            projection = null,
+            tailable = false
         } = options;
         
-        this.info.updateStats('updates');
-        
-        // Find matching documents
-        let documents = await this.find(query, { limit: multi ? 0 : 1 });
-        
-        if (documents.length === 0 && upsert) {
-            // Upsert: create new document
-            const newDoc = this.applyUpdate({}, update);
-            if (!newDoc._id) {
-                newDoc._id = this.generateObjectId();
-            }
-            await this.insert(newDoc);
-            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+        if (sort || this.matcher.getNearQuery(this.removeGenerationParams(query))) {
+            const documents = await this.find(query, { limit, skip, sort, projection });
+            return { next: async (count) => documents.splice(0, count) };
         }
         
-        // Apply updates
-        let modifiedCount = 0;
-        for (const doc of documents) {
-            const modified = this.applyUpdate(doc, update);
-            if (modified) {
-                modifiedCount++;
-            }
-        }
+        this.info.updateStats('queries');
         
-        // Retrain if documents were modified
-        if (modifiedCount > 0 && this.options.autoTrain) {
-            this.pendingTrainingData.push(...documents);
-            if (this.pendingTrainingData.length >= this.options.trainThreshold) {
-                await this.trainModel();
+        const generationParams = this.extractGenerationParams(query);
+        const filterQuery = this.removeGenerationParams(query);
+        const model = await this.storage.getModel(this.database, this.name);
+        
+        let stream;
+        if (this.options.virtual && !tailable) {
+            stream = await this.createVirtualStream(filterQuery, generationParams, model, { skip });
+        } else {
+            stream = await this.createMatchingStream(filterQuery, generationParams, model);
+            if (skip > 0) {
+                await stream.next(skip);
             }
         }
         
-        this.emit('update', {
-            query,
-            update,
-            matchedCount: documents.length,
-            modifiedCount
-        });
+        // Stored documents are never cut off; generation only fills the batch
+        let remaining = limit > 0
+            ? limit
+            : (this.options.virtual || tailable
+                ? Infinity
+                : Math.max(stream.stored, this.options.generateBatchSize + skip) - skip);
         
         return {
-            matchedCount: documents.length,
-            modifiedCount,
-            upsertedCount: 0
+            next: async (count, deadline) => {
+                const documents = await stream.next(Math.min(count, remaining), deadline);
+                remaining -= documents.length;
+                return projection ? this.projectDocuments(documents, projection) : documents;
+            }
         };
     }
 
     /**
-     * Delete documents from collection
+     * Find the documents of the foreign side of a join
+     * Every stored document matching the query comes back; generated ones
+     * are capped at generateLimit
      */
-    async delete(query, options = {}) {
-        const { limit = 0 } = options;
+    async findForeign(query = {}, generateLimit = this.options.generateBatchSize) {
+        this.info.updateStats('queries');
         
-        this.info.updateStats('deletes');
+        const generationParams = this.extractGenerationParams(query);
+        const filterQuery = this.removeGenerationParams(query);
+        const model = await this.storage.getModel(this.database, this.name);
         
-        // Find matching documents
-        const documents = await this.find(query, { limit });
+        const stream = this.options.virtual
+            ? await this.createVirtualStream(filterQuery, generationParams, model)
+            : await this.createMatchingStream(filterQuery, generationParams, model);
+        return stream.next(stream.stored + generateLimit);
+    }
+
+    /**
+     * Emit the synthetic inserts due on change streams
+     * They arrive at options.changeStreamRate per second from the first call;
+     * the generated documents are announced but not stored
+     */
+    async emitSyntheticInserts() {
+        const rate = this.options.changeStreamRate;
+        if (!(rate > 0)) {
+            return 0;
+        }
         
-        // Remove from cache
-        for (const doc of documents) {
-            const index = this.documentCache.findIndex(d => d._id === doc._id);
-            if (index !== -1) {
-                this.documentCache.splice(index, 1);
-            }
+        if (!this.syntheticInserts) {
+            this.syntheticInserts = { startedAt: Date.now(), emitted: 0, stream: null, pending: null };
+            return 0;
         }
         
-        this.info.documentCount = Math.max(0, this.info.documentCount - documents.length);
+        // Streams watching the same collection share one schedule
+        const state = this.syntheticInserts;
+        if (state.pending) {
+            return state.pending;
+        }
         
-        this.emit('delete', {
-            query,
-            deletedCount: documents.length
-        });
+        let due = Math.floor((Date.now() - state.startedAt) * rate / 1000) - state.emitted;
+        if (due <= 0) {
+            return 0;
+        }
         
-        return {
-            deletedCount: documents.length
-        };
+        // A stretch with nobody reading is not replayed
+        if (due > this.options.generateBatchSize) {
+            state.emitted += due - this.options.generateBatchSize;
+            due = this.options.generateBatchSize;
+        }
+        state.emitted += due;
+        
+        state.pending = (async () => {
+            state.stream = state.stream || await this.storage.createGenerationStream(this.database, this.name);
+            const documents = state.stream.next(due);
+            this.emit('syntheticInsert', { count: documents.length, documents });
+            return documents.length;
+        })();
+        
+        try {
+            return await state.pending;
+        } finally {
+            state.pending = null;
+        }
     }
 
     /**
-     * Count documents in collection
+     * When the next synthetic insert is due, or null if none are scheduled
      */
-    async count(query = {}) {
-        // For DataFlood models, return a reasonable count for UI display
-        // The actual documents are generated on demand
-        const model = await this.storage.getModel(this.database, this.name);
-        if (model) {
-            // Return a fixed count for collections with models
-            return 100;
+    nextSyntheticInsertAt() {
+        const state = this.syntheticInserts;
+        if (!state || !(this.options.changeStreamRate > 0)) {
+            return null;
         }
         
-        // No model - return 0
-        return 0;
+        return state.startedAt + Math.ceil((state.emitted + 1) * 1000 / this.options.changeStreamRate);
     }
 
     /**
-     * Create an index
+     * Find documents in a virtual collection
+     * Walks positions in order and only generates what the page needs
      */
-    createIndex(fields, options = {}) {
-        const indexName = options.name || this.generateIndexName(fields);
+    async findVirtual(filterQuery, generationParams, model, { skip = 0, limit = 0, sort = null, stats = null } = {}) {
+        // Skip and limit apply after the sort (or $near order), which needs every match
+        const near = sort ? null : this.matcher.getNearQuery(filterQuery);
+        const ordered = Boolean(sort || near);
+        const stream = await this.createVirtualStream(filterQuery, generationParams, model, {
+            skip: ordered ? 0 : skip,
+            stats
+        });
+        let documents = await stream.next(ordered || limit <= 0 ? Infinity : limit);
         
-        const index = {
-            name: indexName,
-            fields: Array.isArray(fields) ? fields : [fields],
-            unique: options.unique || false,
-            sparse: options.sparse || false,
-            createdAt: new Date()
+        if (ordered) {
+            documents = sort ? this.sortDocuments(documents, sort) : this.matcher.sortByDistance(documents, near);
+            return documents.slice(skip, limit > 0 ? skip + limit : undefined);
+        }
+        
+        return documents;
+    }
+
+    /**
+     * Stream the matching documents of a virtual collection in position order
+     * Each next(count) generates only the positions needed to return count
+     * documents, and returns early once an optional deadline passes; stored
+     * holds the number of stored documents streamed first
+     */
+    async createVirtualStream(filterQuery, generationParams, model, { skip = 0, stats = null } = {}) {
+        const seed = generationParams.seed ?? this.storage.getVirtualSeed(this.database, this.name);
+        const layer = this.options.hybrid
+            ? await this.storage.getDocumentLayer(this.database, this.name)
+            : null;
+        const hasFilter = Object.keys(filterQuery).length > 0;
+        const matches = doc => !hasFilter || this.matcher.matches(doc, filterQuery);
+        
+        // Stored documents come first and hide generated ones with the same _id
+        const ready = layer ? layer.documents.filter(matches).map(cloneDocument) : [];
+        const hidden = this.getHiddenVirtualIndexes(layer, seed);
+        
+        let pending = skip;
+        const skippedStored = ready.splice(0, pending).length;
+        pending -= skippedStored;
+        
+        const positions = (model ? this.getVirtualIndexes(filterQuery, seed) : [])[Symbol.iterator]();
+        let exhausted = !model;
+        
+        const generate = async (indexes) => {
+            const generated = await this.storage.generateVirtualDocuments(
+                this.database,
+                this.name,
+                indexes,
+                { seed: generationParams.seed, entropyOverride: generationParams.entropy }
+            );
+            const documents = [];
+            for (const doc of generated) {
+                const override = layer?.overrides.get(getDocumentKey(doc._id));
+                const current = override ? cloneDocument(override) : doc;
+                if (matches(current)) {
+                    documents.push(current);
+                }
+            }
+            if (stats) {
+                stats.generated += generated.length;
+                stats.accepted += documents.length;
+            }
+            this.info.updateStats('generations');
+            return documents;
         };
         
-        this.indexes.set(indexName, index);
-        this.info.indexes.push(index);
-        this.info.indexCount++;
+        return {
+            stored: ready.length,
+            next: async (count, deadline = Infinity) => {
+                while (ready.length < count && !exhausted && Date.now() < deadline) {
+                    const batch = [];
+                    const size = Math.min(this.options.generateBatchSize, count - ready.length);
+                    while (batch.length < size) {
+                        const { value: index, done } = positions.next();
+                        if (done) {
+                            exhausted = true;
+                            break;
+                        }
+                        if (hidden.has(index)) {
+                            continue;
+                        }
+                        // Without a filter, skipped positions need no generation
+                        if (!hasFilter && pending > 0) {
+                            pending--;
+                            continue;
+                        }
+                        batch.push(index);
+                    }
+                    
+                    if (batch.length > 0) {
+                        const documents = await generate(batch);
+                        const skipped = Math.min(pending, documents.length);
+                        pending -= skipped;
+                        ready.push(...documents.slice(skipped));
+                    }
+                }
+                
+                return ready.splice(0, count);
+            }
+        };
+    }
+
+    /**
+     * Positions of a virtual collection taken by stored documents or deleted
+     * Ids are compared by position, whether generated as strings or ObjectIds
+     */
+    getHiddenVirtualIndexes(layer, seed) {
+        const hidden = new Set();
+        if (!layer) {
+            return hidden;
+        }
         
-        this.logger.info(`Created index ${indexName} on ${this.fullName}`);
-        this.emit('indexCreated', index);
+        for (const id of [...layer.documents.map(doc => doc._id), ...layer.tombstones.values()]) {
+            const index = this.storage.getVirtualIndex(seed, id);
+            if (index !== null && index < this.options.virtualSize) {
+                hidden.add(index);
+            }
+        }
+        return hidden;
+    }
+
+    /**
+     * Positions of a virtual collection a query can match
+     * An _id equality or $in only needs the positions encoded in those ids
+     */
+    getVirtualIndexes(filterQuery, seed) {
+        const size = this.options.virtualSize;
+        const condition = filterQuery._id;
+        
+        let ids = null;
+        if (condition !== undefined && !this.matcher.isOperatorObject(condition)) {
+            ids = [condition];
+        } else if (condition && condition.$eq !== undefined) {
+            ids = [condition.$eq];
+        } else if (condition && Array.isArray(condition.$in)) {
+            ids = condition.$in;
+        }
         
-        return indexName;
+        if (!ids) {
+            return rangeOf(size);
+        }
+        
+        const indexes = new Set();
+        for (const id of ids) {
+            const index = this.storage.getVirtualIndex(seed, id);
+            if (index !== null && index < size) {
+                indexes.add(index);
+            }
+        }
+        return Array.from(indexes).sort((a, b) => a - b);
     }
 
     /**
-     * Drop an index
+     * Generate documents until the requested number match the filter
+     * Rejected documents count against the generation budget; pass a
+     * generation stream to continue it across calls
      */
-    dropIndex(indexName) {
-        if (indexName === '_id_') {
-            throw new Error('Cannot drop _id index');
+    async generateMatching(filterQuery, generationParams, layer, requested, stream = null) {
+        const startTime = Date.now();
+        const stats = {
+            requested,
+            generated: 0,
+            accepted: 0,
+            acceptanceRate: null,
+            budget: this.options.generationBudget,
+            budgetExhausted: false,
+            durationMillis: 0,
+            documents: []
+        };
+        if (requested <= 0) {
+            return stats;
         }
         
-        if (this.indexes.delete(indexName)) {
-            this.info.indexes = this.info.indexes.filter(i => i.name !== indexName);
-            this.info.indexCount--;
+        const hasFilter = Object.keys(filterQuery).length > 0;
+        stream = stream || await this.openGenerationStream(filterQuery, generationParams);
+        
+        while (stats.accepted < requested) {
+            const budgetLeft = stats.budget - stats.generated;
+            if (budgetLeft <= 0) {
+                stats.budgetExhausted = true;
+                break;
+            }
             
-            this.logger.info(`Dropped index ${indexName} on ${this.fullName}`);
-            this.emit('indexDropped', indexName);
-            return true;
+            // Size the next batch from the acceptance rate so far
+            const rate = stats.generated > 0 ? stats.accepted / stats.generated : 1;
+            const batchSize = Math.min(budgetLeft, Math.ceil((requested - stats.accepted) / Math.max(rate, 0.01)));
+            
+            const batch = stream.next(batchSize);
+            if (batch.length === 0) {
+                break;
+            }
+            stats.generated += batch.length;
+            
+            let accepted = layer ? this.applyStoredLayer(batch, layer) : batch;
+            if (hasFilter) {
+                accepted = this.matcher.filter(accepted, filterQuery);
+            }
+            accepted = accepted.slice(0, requested - stats.accepted);
+            stats.accepted += accepted.length;
+            stats.documents.push(...accepted);
         }
         
-        return false;
+        stats.acceptanceRate = stats.generated > 0 ? stats.accepted / stats.generated : null;
+        stats.durationMillis = Date.now() - startTime;
+        return stats;
     }
 
     /**
-     * Get collection statistics
+     * Open a model generation stream steered by a query's constraints
      */
-    getStats() {
+    openGenerationStream(filterQuery, generationParams) {
+        return this.storage.createGenerationStream(this.database, this.name, {
+            constraints: this.extractConstraints(filterQuery),
+            seed: generationParams.seed,
+            entropyOverride: generationParams.entropy
+        });
+    }
+
+    /**
+     * Stream stored then generated documents matching a query
+     * Generation continues from one call to the next and stops for good
+     * once a call exhausts its budget or the model runs dry; stored holds
+     * the number of stored documents streamed first
+     */
+    async createMatchingStream(filterQuery, generationParams, model) {
+        const layer = this.options.hybrid
+            ? await this.storage.getDocumentLayer(this.database, this.name)
+            : null;
+        const ready = layer ? this.matcher.filter(layer.documents, filterQuery).map(cloneDocument) : [];
+        const generation = model ? await this.openGenerationStream(filterQuery, generationParams) : null;
+        let exhausted = !model;
+        
         return {
-            ns: this.fullName,
-            count: this.info.documentCount,
-            size: this.documentCache.length * 1000, // Rough estimate
-            avgObjSize: 1000,
-            storageSize: this.documentCache.length * 1200,
-            indexes: this.info.indexCount,
-            indexSizes: Object.fromEntries(
-                Array.from(this.indexes.entries()).map(([name]) => [name, 8192])
-            ),
-            modelTrained: this.info.modelTrained,
-            modelVersion: this.info.modelVersion,
-            operations: { ...this.info.stats }
+            stored: ready.length,
+            next: async (count) => {
+                if (ready.length < count && !exhausted) {
+                    const stats = await this.generateMatching(
+                        filterQuery, generationParams, layer, count - ready.length, generation
+                    );
+                    ready.push(...stats.documents);
+                    delete stats.documents;
+                    exhausted = stats.accepted < stats.requested;
+                    
+                    this.info.updateStats('generations');
+                    this.emit('generation', stats);
+                }
+                
+                return ready.splice(0, count);
+            }
         };
     }
 
     /**
-     * Train DataFlood model with pending data
+     * Apply the stored document layer to generated documents
+     * Generated _ids that were updated are replaced by their override;
+     * deleted ones and ids taken by stored documents are dropped
      */
-    async trainModel() {
-        if (this.pendingTrainingData.length === 0) {
-            return;
+    applyStoredLayer(generated, layer) {
+        const storedKeys = new Set(layer.documents.map(doc => getDocumentKey(doc._id)));
+        
+        const documents = [];
+        for (const doc of generated) {
+            const key = getDocumentKey(doc._id);
+            if (storedKeys.has(key) || layer.tombstones.has(key)) {
+                continue;
+            }
+            const override = layer.overrides.get(key);
+            documents.push(override ? cloneDocument(override) : doc);
+        }
+        
+        return documents;
+    }
+
+    /**
+     * Write updated documents back to the stored document layer
+     */
+    async storeUpdatedDocuments(documents) {
+        const layer = await this.storage.getDocumentLayer(this.database, this.name);
+        
+        for (const doc of documents) {
+            const key = getDocumentKey(doc._id);
+            const index = layer.documents.findIndex(d => getDocumentKey(d._id) === key);
+            if (index !== -1) {
+                layer.documents[index] = cloneDocument(doc);
+            } else {
+                // Generated document: keep the update as an override
+                layer.overrides.set(key, cloneDocument(doc));
+            }
+        }
+        
+        await this.storage.saveDocumentLayer(this.database, this.name);
+    }
+
+    /**
+     * Remove deleted documents from the stored document layer
+     */
+    async removeStoredDocuments(documents) {
+        const layer = await this.storage.getDocumentLayer(this.database, this.name);
+        
+        for (const doc of documents) {
+            const key = getDocumentKey(doc._id);
+            const index = layer.documents.findIndex(d => getDocumentKey(d._id) === key);
+            if (index !== -1) {
+                layer.documents.splice(index, 1);
+            }
+            // Hide the _id from future generations, stored or generated
+            layer.overrides.delete(key);
+            layer.tombstones.set(key, doc._id);
+        }
+        
+        await this.storage.saveDocumentLayer(this.database, this.name);
+    }
+
+    /**
+     * Replace the stored documents of the collection ($out)
+     * The previous model goes too, unless train infers a new one from the
+     * documents. Nothing is written if the documents repeat an _id
+     */
+    async replaceDocuments(documents, { train = false } = {}) {
+        const docs = documents.map(doc => cloneDocument(
+            doc._id === undefined ? { _id: this.generateObjectId(), ...doc } : doc
+        ));
+        
+        const keys = new Set();
+        for (const doc of docs) {
+            const key = getDocumentKey(doc._id);
+            if (keys.has(key)) {
+                throw Object.assign(new Error(
+                    `E11000 duplicate key error collection: ${this.fullName} index: _id_ dup key: { _id: ${key} }`
+                ), { code: 11000, codeName: 'DuplicateKey', keyPattern: { _id: 1 }, keyValue: { _id: doc._id } });
+            }
+            keys.add(key);
+        }
+        
+        const layer = await this.storage.getDocumentLayer(this.database, this.name);
+        layer.documents = docs;
+        layer.overrides.clear();
+        layer.tombstones.clear();
+        await this.storage.saveDocumentLayer(this.database, this.name);
+        
+        if (train && docs.length > 0) {
+            await this.trainOn(docs, { replace: true });
+        } else {
+            await this.storage.deleteModel(this.database, this.name);
+        }
+        
+        this.documentCache = [];
+        this.pendingTrainingData = [];
+        this.info.documentCount = docs.length;
+        this.info.updateStats('inserts');
+        
+        this.logger.info(`Replaced the documents of ${this.fullName} with ${docs.length} documents`);
+        return { insertedCount: docs.length };
+    }
+
+    /**
+     * Merge documents into the stored documents of the collection ($merge)
+     * Documents match stored ones on the `on` fields (_id by default).
+     * whenMatched: 'merge', 'replace', 'keepExisting', 'fail' or an update
+     * pipeline, where $$new is the incoming document (or the let variables).
+     * whenNotMatched: 'insert', 'discard' or 'fail'.
+     * Returns the counts and the documents written
+     */
+    async mergeDocuments(documents, options = {}) {
+        const {
+            on = '_id',
+            whenMatched = 'merge',
+            whenNotMatched = 'insert',
+            let: letVariables
+        } = options;
+        const fields = Array.isArray(on) ? on : [on];
+        const evaluator = this.aggregationPipeline.expressionEvaluator;
+        
+        const layer = await this.storage.getDocumentLayer(this.database, this.name);
+        const keyOf = doc => getDocumentKey(fields.map(field => this.getFieldValue(doc, field) ?? null));
+        const positions = new Map(layer.documents.map((doc, index) => [keyOf(doc), index]));
+        const ids = new Set(layer.documents.map(doc => getDocumentKey(doc._id)));
+        
+        const inserted = [];
+        const written = [];
+        let matchedCount = 0;
+        let modifiedCount = 0;
+        
+        try {
+            for (const incoming of documents) {
+                if (fields.some(field => {
+                    const value = this.getFieldValue(incoming, field);
+                    return value === null || value === undefined || Array.isArray(value);
+                })) {
+                    throw updateError(
+                        "$merge write error: 'on' field cannot be missing, null, undefined or an array",
+                        51132,
+                        'Location51132'
+                    );
+                }
+                
+                const key = keyOf(incoming);
+                const position = positions.get(key);
+                
+                if (position === undefined) {
+                    if (whenNotMatched === 'discard') {
+                        continue;
+                    }
+                    if (whenNotMatched === 'fail') {
+                        throw updateError(
+                            '$merge could not find a matching document in the target collection for at least one document in the source collection',
+                            13113,
+                            'MergeStageNoMatchingDocument'
+                        );
+                    }
+                    
+                    const doc = cloneDocument(
+                        incoming._id === undefined ? { _id: this.generateObjectId(), ...incoming } : incoming
+                    );
+                    const id = getDocumentKey(doc._id);
+                    if (ids.has(id)) {
+                        throw Object.assign(new Error(
+                            `E11000 duplicate key error collection: ${this.fullName} index: _id_ dup key: { _id: ${id} }`
+                        ), { code: 11000, codeName: 'DuplicateKey', keyPattern: { _id: 1 }, keyValue: { _id: doc._id } });
+                    }
+                    ids.add(id);
+                    layer.tombstones.delete(id);
+                    positions.set(key, layer.documents.push(doc) - 1);
+                    inserted.push(doc);
+                    written.push(doc);
+                    continue;
+                }
+                
+                matchedCount++;
+                const existing = layer.documents[position];
+                if (whenMatched === 'keepExisting') {
+                    continue;
+                }
+                if (whenMatched === 'fail') {
+                    throw Object.assign(new Error(
+                        `E11000 duplicate key error collection: ${this.fullName} index: ${fields.join('_1_')}_1 dup key`
+                    ), { code: 11000, codeName: 'DuplicateKey' });
+                }
+                
+                let updated;
+                if (Array.isArray(whenMatched)) {
+                    const variables = {};
+                    for (const [name, expression] of Object.entries(letVariables || { new: '$$ROOT' })) {
+                        variables[name] = evaluator.evaluate(expression, incoming);
+                    }
+                    updated = cloneDocument(existing);
+                    await this.applyPipelineUpdate(updated, whenMatched, variables);
+                } else if (whenMatched === 'replace' || whenMatched === 'merge') {
+                    if (incoming._id !== undefined && getDocumentKey(incoming._id) !== getDocumentKey(existing._id)) {
+                        throw updateError(
+                            "$merge failed to update the matching document, did you attempt to modify the _id or the shard key?",
+                            66,
+                            'ImmutableField'
+                        );
+                    }
+                    updated = whenMatched === 'replace'
+                        ? { _id: existing._id, ...cloneDocument(incoming) }
+                        : { ...cloneDocument(existing), ...cloneDocument(incoming) };
+                } else {
+                    throw updateError(`Enumeration value '${whenMatched}' for field 'whenMatched' is not a valid value.`, 2, 'BadValue');
+                }
+                
+                written.push(updated);
+                if (getDocumentKey(updated) === getDocumentKey(existing)) {
+                    continue;
+                }
+                layer.documents[position] = updated;
+                modifiedCount++;
+                this.emit('update', {
+                    query: { _id: existing._id },
+                    update: whenMatched === 'replace' ? updated : Array.isArray(whenMatched) ? whenMatched : { $set: incoming },
+                    matchedCount: 1,
+                    modifiedCount: 1,
+                    changes: [{ before: existing, after: cloneDocument(updated) }]
+                });
+            }
+        } finally {
+            // Documents merged before a failure stay merged, as in MongoDB
+            await this.storage.saveDocumentLayer(this.database, this.name);
+            if (inserted.length > 0) {
+                this.info.documentCount += inserted.length;
+                this.info.updateStats('inserts');
+                this.emit('insert', { count: inserted.length, documents: inserted.map(cloneDocument) });
+            }
+        }
+        
+        this.logger.info(`Merged ${documents.length} documents into ${this.fullName}`);
+        return { insertedCount: inserted.length, matchedCount, modifiedCount, written };
+    }
+
+    /**
+     * Find one document
+     */
+    async findOne(query = {}, options = {}) {
+        const results = await this.find(query, { ...options, limit: 1 });
+        return results.length > 0 ? results[0] : null;
+    }
+
+    /**
+     * Distinct values of a field across matching documents
+     * Array values contribute their elements
+     */
+    async distinct(field, query = {}, options = {}) {
+        const documents = await this.find(query, { ...options, limit: 0 });
+        const values = new Map();
+        
+        for (const doc of documents) {
+            for (const value of this.matcher.getFieldValues(doc, field)) {
+                if (value !== undefined && !Array.isArray(value)) {
+                    values.set(getDocumentKey(value), value);
+                }
+            }
+        }
+        
+        return Array.from(values.values());
+    }
+
+    /**
+     * Update documents in collection
+     * arrayFilters choose the array elements $[<identifier>] paths update
+     */
+    async update(query, update, options = {}) {
+        const {
+            multi = false,
+            upsert = false,
+            arrayFilters = []
+        } = options;
+        
+        if (multi && this.isReplacement(update)) {
+            throw updateError('multi update is not supported for replacement-style update', 9, 'FailedToParse');
+        }
+        
+        this.info.updateStats('updates');
+        
+        // Find matching documents
+        let documents = await this.find(query, { limit: multi ? 0 : 1 });
+        
+        if (documents.length === 0 && upsert) {
+            const newDoc = await this.createUpsertDocument(query, update, { arrayFilters });
+            await this.insert(newDoc);
+            return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: newDoc._id };
+        }
+        
+        const modifiedCount = await this.updateDocuments(documents, query, update, { arrayFilters });
+        
+        return {
+            matchedCount: documents.length,
+            modifiedCount,
+            upsertedCount: 0
+        };
+    }
+
+    /**
+     * Find one document and update or remove it
+     * value is the document before the change, or after it with returnNew
+     */
+    async findAndModify(query, options = {}) {
+        const {
+            sort = null,
+            remove = false,
+            update = null,
+            upsert = false,
+            returnNew = false,
+            arrayFilters = []
+        } = options;
+        
+        this.info.updateStats(remove ? 'deletes' : 'updates');
+        
+        const [doc] = await this.find(query, { limit: 1, sort });
+        
+        if (!doc) {
+            if (remove || !upsert) {
+                return { value: null, lastErrorObject: remove ? { n: 0 } : { n: 0, updatedExisting: false } };
+            }
+            
+            const newDoc = await this.createUpsertDocument(query, update, { arrayFilters });
+            await this.insert(newDoc);
+            return {
+                value: returnNew ? newDoc : null,
+                lastErrorObject: { n: 1, updatedExisting: false, upserted: newDoc._id }
+            };
+        }
+        
+        if (remove) {
+            await this.removeDocuments([doc], query);
+            return { value: doc, lastErrorObject: { n: 1 } };
+        }
+        
+        const before = cloneDocument(doc);
+        await this.updateDocuments([doc], query, update, { arrayFilters });
+        return {
+            value: returnNew ? doc : before,
+            lastErrorObject: { n: 1, updatedExisting: true }
+        };
+    }
+
+    /**
+     * New document for an upsert: the query's equality fields with the
+     * update applied ($setOnInsert included), _id first
+     */
+    async createUpsertDocument(query, update, options = {}) {
+        const newDoc = {};
+        this.collectEqualityFields(this.removeGenerationParams(query), newDoc);
+        await this.applyUpdate(newDoc, update, { ...options, query, inserting: true });
+        return { _id: newDoc._id ?? new ObjectId(), ...newDoc };
+    }
+
+    /**
+     * Copy the equality conditions of a query (including $and clauses) into a document
+     */
+    collectEqualityFields(query, target) {
+        for (const [field, value] of Object.entries(query)) {
+            if (field === '$and') {
+                for (const clause of value) {
+                    this.collectEqualityFields(clause, target);
+                }
+            } else if (field.startsWith('$')) {
+                continue;
+            } else if (!this.matcher.isOperatorObject(value)) {
+                this.setFieldValue(target, field, cloneDocument(value));
+            } else if (value.$eq !== undefined) {
+                this.setFieldValue(target, field, cloneDocument(value.$eq));
+            }
+        }
+    }
+
+    /**
+     * Apply an update to matched documents, store and announce the changes
+     * Documents updated before one the update fails on stay updated.
+     * Returns how many documents were modified
+     */
+    async updateDocuments(documents, query, update, options = {}) {
+        // Apply updates, keeping each modified document as it was and as it is now
+        const modifiedDocuments = [];
+        const changes = [];
+        let failure = null;
+        for (const doc of documents) {
+            const before = cloneDocument(doc);
+            try {
+                if (await this.applyUpdate(doc, update, { ...options, query })) {
+                    modifiedDocuments.push(doc);
+                    changes.push({ before, after: cloneDocument(doc) });
+                }
+            } catch (error) {
+                failure = error;
+                break;
+            }
+        }
+        const modifiedCount = modifiedDocuments.length;
+        
+        if (modifiedCount > 0 && this.options.hybrid) {
+            await this.storeUpdatedDocuments(modifiedDocuments);
+        }
+        
+        // Retrain if documents were modified
+        if (modifiedCount > 0 && this.options.autoTrain) {
+            this.pendingTrainingData.push(...documents);
+            if (this.pendingTrainingData.length >= this.options.trainThreshold) {
+                await this.trainModel();
+            }
+        }
+        
+        if (modifiedCount > 0 || !failure) {
+            this.emit('update', {
+                query,
+                update,
+                matchedCount: documents.length,
+                modifiedCount,
+                changes
+            });
+        }
+        
+        if (failure) {
+            throw failure;
+        }
+        return modifiedCount;
+    }
+
+    /**
+     * Delete documents from collection
+     */
+    async delete(query, options = {}) {
+        const { limit = 0, single = false } = options;
+        
+        this.info.updateStats('deletes');
+        
+        // Find matching documents
+        const documents = await this.find(query, { limit: single ? 1 : limit });
+        await this.removeDocuments(documents, query);
+        
+        return {
+            deletedCount: documents.length
+        };
+    }
+
+    /**
+     * Remove matched documents and announce the deletion
+     */
+    async removeDocuments(documents, query) {
+        // Remove from cache
+        for (const doc of documents) {
+            const index = this.documentCache.findIndex(d => d._id === doc._id);
+            if (index !== -1) {
+                this.documentCache.splice(index, 1);
+            }
+        }
+        
+        if (documents.length > 0 && this.options.hybrid) {
+            await this.removeStoredDocuments(documents);
+        }
+        
+        this.info.documentCount = Math.max(0, this.info.documentCount - documents.length);
+        
+        this.emit('delete', {
+            query,
+            deletedCount: documents.length,
+            documents
+        });
+    }
+
+    /**
+     * Count documents in collection
+     */
+    async count(query = {}) {
+        // For DataFlood models, return a reasonable count for UI display
+        // The actual documents are generated on demand
+        const model = await this.storage.getModel(this.database, this.name);
+        
+        if (this.options.virtual) {
+            const filterQuery = this.removeGenerationParams(query);
+            const generationParams = this.extractGenerationParams(query);
+            if (Object.keys(filterQuery).length > 0) {
+                const documents = await this.findVirtual(filterQuery, generationParams, model, { limit: 0 });
+                return documents.length;
+            }
+            
+            // Unfiltered: stored documents plus the positions they don't hide
+            const seed = generationParams.seed ?? this.storage.getVirtualSeed(this.database, this.name);
+            const layer = this.options.hybrid
+                ? await this.storage.getDocumentLayer(this.database, this.name)
+                : null;
+            const stored = layer ? layer.documents : [];
+            const hidden = this.getHiddenVirtualIndexes(layer, seed);
+            return stored.length + (model ? this.options.virtualSize - hidden.size : 0);
+        }
+        
+        // Fixed count for collections with models, none without
+        let count = model ? 100 : 0;
+        
+        // Plus the stored documents matching the query
+        if (this.options.hybrid) {
+            const layer = await this.storage.getDocumentLayer(this.database, this.name);
+            count += this.matcher.filter(layer.documents, this.removeGenerationParams(query)).length;
+        }
+        
+        return count;
+    }
+
+    /**
+     * Describe how find would run a query
+     * Reports which predicates steer generation, which are only checked by
+     * the filter, and where sort, skip and limit are applied
+     */
+    async explainFind(query = {}, options = {}) {
+        const {
+            limit = 100,
+            skip = 0,
+            sort = null,
+            projection = null
+        } = options;
+        
+        const generationParams = this.extractGenerationParams(query);
+        const filterQuery = this.removeGenerationParams(query);
+        const hasFilter = Object.keys(filterQuery).length > 0;
+        const model = await this.storage.getModel(this.database, this.name);
+        const layer = this.options.hybrid
+            ? await this.storage.getDocumentLayer(this.database, this.name)
+            : null;
+        const stored = layer ? { stage: 'STORED_SCAN', documents: layer.documents.length } : null;
+        
+        let plan;
+        let constraints;
+        let postFilter;
+        
+        if (this.options.virtual) {
+            // Positions are derived from the seed alone, so the filter does all the work
+            const seed = generationParams.seed ?? this.storage.getVirtualSeed(this.database, this.name);
+            const indexes = model ? this.getVirtualIndexes(filterQuery, seed) : [];
+            const lazySkip = !hasFilter && !sort;
+            constraints = {};
+            postFilter = filterQuery;
+            
+            const scan = model ? {
+                stage: 'VIRTUAL_SCAN',
+                size: this.options.virtualSize,
+                seed,
+                positions: Array.isArray(indexes) ? indexes.length : this.options.virtualSize,
+                idLookup: Array.isArray(indexes),
+                stopsEarly: !sort && limit > 0
+            } : null;
+            plan = this.combinePlanSources(stored, scan);
+            plan = hasFilter ? { stage: 'FILTER', filter: filterQuery, inputStage: plan } : plan;
+            if (sort) {
+                plan = { stage: 'SORT', sortPattern: sort, scope: 'collection', inputStage: plan };
+            }
+            if (skip > 0) {
+                plan = { stage: 'SKIP', skipAmount: skip, lazy: lazySkip, inputStage: plan };
+            }
+        } else {
+            // Generation stops once skip + limit documents match
+            const requested = (limit > 0 ? limit : this.options.generateBatchSize) + skip;
+            constraints = this.extractConstraints(filterQuery);
+            postFilter = this.getPostFilter(filterQuery);
+            
+            const generate = model ? {
+                stage: 'GENERATE',
+                constraints,
+                seed: generationParams.seed ?? null,
+                entropy: generationParams.entropy ?? null,
+                requested,
+                budget: this.options.generationBudget
+            } : null;
+            plan = this.combinePlanSources(stored, generate);
+            plan = hasFilter ? { stage: 'FILTER', filter: filterQuery, inputStage: plan } : plan;
+            if (sort) {
+                // Only the matched documents are sorted, not the whole model
+                plan = { stage: 'SORT', sortPattern: sort, scope: 'generated', inputStage: plan };
+            }
+            if (skip > 0) {
+                plan = { stage: 'SKIP', skipAmount: skip, lazy: false, inputStage: plan };
+            }
+        }
+        
+        if (limit > 0) {
+            plan = { stage: 'LIMIT', limitAmount: limit, inputStage: plan };
+        }
+        if (projection) {
+            plan = { stage: 'PROJECTION', transformBy: projection, inputStage: plan };
+        }
+        
+        return {
+            namespace: this.fullName,
+            parsedQuery: filterQuery,
+            generationParams,
+            generationConstraints: constraints,
+            postFilter,
+            winningPlan: plan,
+            rejectedPlans: []
+        };
+    }
+
+    /**
+     * Describe how count would run a query
+     */
+    async explainCount(query = {}) {
+        const filterQuery = this.removeGenerationParams(query);
+        
+        // Filtered virtual counts walk every position like an unlimited find
+        if (this.options.virtual && Object.keys(filterQuery).length > 0) {
+            const explained = await this.explainFind(query, { limit: 0 });
+            explained.winningPlan = { stage: 'COUNT', inputStage: explained.winningPlan };
+            return explained;
+        }
+        
+        const model = await this.storage.getModel(this.database, this.name);
+        const layer = this.options.hybrid
+            ? await this.storage.getDocumentLayer(this.database, this.name)
+            : null;
+        
+        let plan = layer ? { stage: 'STORED_SCAN', documents: layer.documents.length } : { stage: 'EOF' };
+        if (layer && Object.keys(filterQuery).length > 0) {
+            plan = { stage: 'FILTER', filter: filterQuery, inputStage: plan };
+        }
+        
+        // Generated documents are counted without generating them
+        const generated = model
+            ? (this.options.virtual ? this.options.virtualSize : 100)
+            : 0;
+        
+        return {
+            namespace: this.fullName,
+            parsedQuery: filterQuery,
+            generationParams: this.extractGenerationParams(query),
+            generationConstraints: {},
+            postFilter: filterQuery,
+            winningPlan: {
+                stage: 'COUNT',
+                countMethod: this.options.virtual ? 'positions' : 'estimate',
+                generatedCount: generated,
+                inputStage: plan
+            },
+            rejectedPlans: []
+        };
+    }
+
+    /**
+     * Combine the stored and generated sources of a plan
+     */
+    combinePlanSources(stored, generated) {
+        if (stored && generated) {
+            return { stage: 'UNION', inputStages: [stored, generated] };
+        }
+        return stored || generated || { stage: 'EOF' };
+    }
+
+    /**
+     * Create an index
+     */
+    createIndex(fields, options = {}) {
+        const indexName = options.name || this.generateIndexName(fields);
+        
+        const index = {
+            name: indexName,
+            fields: Array.isArray(fields) ? fields : [fields],
+            unique: options.unique || false,
+            sparse: options.sparse || false,
+            createdAt: new Date()
+        };
+        
+        this.indexes.set(indexName, index);
+        this.info.indexes.push(index);
+        this.info.indexCount++;
+        
+        this.logger.info(`Created index ${indexName} on ${this.fullName}`);
+        this.emit('indexCreated', index);
+        
+        return indexName;
+    }
+
+    /**
+     * Drop an index
+     */
+    dropIndex(indexName) {
+        if (indexName === '_id_') {
+            throw new Error('Cannot drop _id index');
+        }
+        
+        if (this.indexes.delete(indexName)) {
+            this.info.indexes = this.info.indexes.filter(i => i.name !== indexName);
+            this.info.indexCount--;
+            
+            this.logger.info(`Dropped index ${indexName} on ${this.fullName}`);
+            this.emit('indexDropped', indexName);
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Get collection statistics
+     */
+    getStats() {
+        return {
+            ns: this.fullName,
+            count: this.info.documentCount,
+            size: this.documentCache.length * 1000, // Rough estimate
+            avgObjSize: 1000,
+            storageSize: this.documentCache.length * 1200,
+            indexes: this.info.indexCount,
+            indexSizes: Object.fromEntries(
+                Array.from(this.indexes.entries()).map(([name]) => [name, 8192])
+            ),
+            modelTrained: this.info.modelTrained,
+            modelVersion: this.info.modelVersion,
+            operations: { ...this.info.stats }
+        };
+    }
+
+    /**
+     * Statistics in the collStats reply shape
+     * Document sizes are averaged over a sample; storage is the model and stored documents
+     */
+    async getCollStats(scale = 1) {
+        const count = await this.count({});
+        const sample = count > 0 ? await this.find({}, { limit: Math.min(count, 20) }) : [];
+        const avgObjSize = sample.length > 0
+            ? Math.round(sample.reduce((total, doc) => total + BSONSerializer.serialize(doc).length, 0) / sample.length)
+            : 0;
+        
+        const modelStats = await this.storage.getCollectionStats(this.database, this.name);
+        const layer = this.options.hybrid
+            ? await this.storage.getDocumentLayer(this.database, this.name)
+            : { documents: [] };
+        const storedSize = layer.documents.reduce((total, doc) => total + BSONSerializer.serialize(doc).length, 0);
+        
+        const indexSizes = {};
+        for (const name of this.indexes.keys()) {
+            indexSizes[name] = Math.floor(8192 / scale);
+        }
+        const storageSize = (modelStats?.modelSize || 0) + storedSize;
+        const totalIndexSize = 8192 * this.indexes.size;
+        
+        return {
+            ns: this.fullName,
+            size: Math.floor(count * avgObjSize / scale),
+            count,
+            avgObjSize,
+            storageSize: Math.floor(storageSize / scale),
+            freeStorageSize: 0,
+            capped: false,
+            nindexes: this.indexes.size,
+            indexBuilds: [],
+            totalIndexSize: Math.floor(totalIndexSize / scale),
+            indexSizes,
+            totalSize: Math.floor((storageSize + totalIndexSize) / scale),
+            scaleFactor: scale,
+            dataflood: {
+                hasModel: !!modelStats,
+                storedDocuments: layer.documents.length,
+                ...(modelStats ? {
+                    modelSize: modelStats.modelSize,
+                    schemaProperties: modelStats.schemaProperties,
+                    lastModified: modelStats.lastModified
+                } : {})
+            }
+        };
+    }
+
+    /**
+     * Train DataFlood model with pending data
+     */
+    async trainModel() {
+        if (this.pendingTrainingData.length === 0) {
+            return;
         }
         
         try {
-            const model = await this.storage.trainModel(
+            const model = await this.storage.trainCollectionModel(
                 this.database,
                 this.name,
                 this.pendingTrainingData
@@ -429,12 +1567,31 @@ export class Collection extends EventEmitter {
         }
     }
 
+    /**
+     * Train the collection's model on documents: update it incrementally,
+     * or with replace infer a new model
+     */
+    async trainOn(documents, { replace = false } = {}) {
+        const model = await this.storage.buildCollectionModel(this.database, this.name, documents, { replace });
+        
+        this.info.modelTrained = true;
+        this.info.modelVersion++;
+        this.info.updateStats('trainings');
+        this.emit('modelTrained', {
+            documentCount: documents.length,
+            version: this.info.modelVersion
+        });
+        
+        return model;
+    }
+
     /**
      * Drop the collection
      */
     async drop() {
         // Delete model
         await this.storage.deleteModel(this.database, this.name);
+        await this.storage.deleteDocumentLayer(this.database, this.name);
         
         // Clear data
         this.documentCache = [];
@@ -453,61 +1610,163 @@ export class Collection extends EventEmitter {
 
     /**
      * Extract constraints from query for generation
+     * $and merges its clauses; each $or becomes a group of branches the
+     * generator picks one of per document
      */
     extractConstraints(query) {
         const constraints = {};
         
         for (const [field, value] of Object.entries(query)) {
+            if (field === '$and' && Array.isArray(value)) {
+                for (const clause of value) {
+                    this.mergeConstraints(constraints, this.extractConstraints(clause));
+                }
+                continue;
+            }
+            
+            if (field === '$or' && Array.isArray(value)) {
+                const branches = value.map(clause => this.extractConstraints(clause));
+                constraints.$or = [...(constraints.$or || []), branches];
+                continue;
+            }
+            
             if (field.startsWith('$')) {
-                // Skip logical operators for now
+                // $nor, $expr... are left to the filter
                 continue;
             }
             
-            if (typeof value === 'object' && value !== null) {
-                // Handle MongoDB operators
-                const constraint = {};
-                
-                for (const [op, val] of Object.entries(value)) {
-                    switch (op) {
-                        case '$eq':
-                            constraint.equals = val;
-                            break;
-                        case '$ne':
-                            constraint.notEquals = val;
-                            break;
-                        case '$gt':
-                            constraint.min = val;
-                            constraint.excludeMin = true;
-                            break;
-                        case '$gte':
-                            constraint.min = val;
-                            break;
-                        case '$lt':
-                            constraint.max = val;
-                            constraint.excludeMax = true;
-                            break;
-                        case '$lte':
-                            constraint.max = val;
-                            break;
-                        case '$in':
-                            constraint.enum = val;
-                            break;
-                        case '$nin':
-                            constraint.notIn = val;
-                            break;
-                    }
+            const constraint = this.extractFieldConstraint(value);
+            if (Object.keys(constraint).length > 0) {
+                this.mergeConstraints(constraints, { [field]: constraint });
+            }
+        }
+        
+        return constraints;
+    }
+
+    /**
+     * Extract the constraint for a single field condition
+     */
+    extractFieldConstraint(value) {
+        if (value instanceof RegExp) {
+            return { pattern: value };
+        }
+        
+        if (!this.matcher.isOperatorObject(value)) {
+            // Direct value match
+            return { equals: value };
+        }
+        
+        const constraint = {};
+        for (const [op, val] of Object.entries(value)) {
+            switch (op) {
+                case '$eq':
+                    constraint.equals = val;
+                    break;
+                case '$ne':
+                    constraint.notEquals = val;
+                    break;
+                case '$gt':
+                    constraint.min = val;
+                    constraint.excludeMin = true;
+                    break;
+                case '$gte':
+                    constraint.min = val;
+                    break;
+                case '$lt':
+                    constraint.max = val;
+                    constraint.excludeMax = true;
+                    break;
+                case '$lte':
+                    constraint.max = val;
+                    break;
+                case '$in':
+                    constraint.enum = val;
+                    break;
+                case '$nin':
+                    constraint.notIn = val;
+                    break;
+                case '$regex':
+                    constraint.pattern = val;
+                    constraint.patternOptions = value.$options || '';
+                    break;
+                case '$exists':
+                    constraint.exists = Boolean(val);
+                    break;
+                case '$size':
+                    constraint.size = val;
+                    break;
+                case '$all':
+                    constraint.all = val;
+                    break;
+                case '$elemMatch':
+                    // Scalar elements take operators, documents take field conditions
+                    constraint.elemMatch = this.matcher.isScalarCondition(val)
+                        ? { value: this.extractFieldConstraint(val) }
+                        : { fields: this.extractConstraints(val) };
+                    break;
+            }
+        }
+        
+        return constraint;
+    }
+
+    /**
+     * Predicates of a query that generation cannot steer
+     * These are left entirely to the filter
+     */
+    getPostFilter(query) {
+        const postFilter = {};
+        
+        for (const [field, value] of Object.entries(query)) {
+            if (field === '$and' && Array.isArray(value)) {
+                const clauses = value
+                    .map(clause => this.getPostFilter(clause))
+                    .filter(clause => Object.keys(clause).length > 0);
+                if (clauses.length > 0) {
+                    postFilter.$and = clauses;
                 }
-                
-                if (Object.keys(constraint).length > 0) {
-                    constraints[field] = constraint;
+                continue;
+            }
+            
+            if (field === '$or' && Array.isArray(value)) {
+                // One branch the generator cannot satisfy leaves the whole $or to the filter
+                if (value.some(clause => Object.keys(this.getPostFilter(clause)).length > 0)) {
+                    postFilter.$or = value;
                 }
-            } else {
-                // Direct value match
-                constraints[field] = { equals: value };
+                continue;
+            }
+            
+            if (field.startsWith('$')) {
+                postFilter[field] = value;
+                continue;
+            }
+            
+            if (value instanceof RegExp || !this.matcher.isOperatorObject(value)) {
+                continue;
+            }
+            
+            const unsupported = Object.entries(value).filter(([op]) => !GENERATION_OPERATORS.has(op));
+            if (unsupported.length > 0) {
+                postFilter[field] = Object.fromEntries(unsupported);
             }
         }
         
-        return constraints;
+        return postFilter;
+    }
+
+    /**
+     * Merge constraints into a target, combining conditions on the same field
+     */
+    mergeConstraints(target, source) {
+        for (const [field, constraint] of Object.entries(source)) {
+            if (field === '$or') {
+                target.$or = [...(target.$or || []), ...constraint];
+            } else {
+                target[field] = { ...target[field], ...constraint };
+            }
+        }
+        return target;
     }
 
     /**
@@ -545,248 +1804,583 @@ export class Collection extends EventEmitter {
         // Create a copy without generation parameters
         const filtered = {};
         
-        for (const [key, value] of Object.entries(query)) {
-            // Skip generation control parameters
-            if (key === '$seed' || key === '$entropy' || 
-                key === '_seed' || key === '_entropy') {
-                continue;
+        for (const [key, value] of Object.entries(query)) {
+            // Skip generation control parameters
+            if (key === '$seed' || key === '$entropy' || 
+                key === '_seed' || key === '_entropy') {
+                continue;
+            }
+            filtered[key] = value;
+        }
+        
+        return filtered;
+    }
+
+    /**
+     * Sort documents
+     */
+    sortDocuments(documents, sort) {
+        const sortFields = Object.entries(sort);
+        
+        return documents.sort((a, b) => {
+            for (const [field, direction] of sortFields) {
+                const aVal = this.getFieldValue(a, field);
+                const bVal = this.getFieldValue(b, field);
+                
+                if (aVal < bVal) return direction === 1 ? -1 : 1;
+                if (aVal > bVal) return direction === 1 ? 1 : -1;
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * Project documents
+     */
+    projectDocuments(documents, projection) {
+        return documents.map(doc => {
+            // Handle special MongoDB Compass projections with aggregation expressions
+            if (projection.__doc === '$$ROOT' || projection.__size) {
+                // Compass wants the full document, ignore the special fields
+                // Just handle _id exclusion if specified
+                if (projection._id === 0) {
+                    const result = { ...doc };
+                    delete result._id;
+                    return result;
+                }
+                return doc;
+            }
+            
+            // Standard projection handling
+            const projected = {};
+            
+            // Check if this is an inclusion or exclusion projection
+            const fields = Object.keys(projection).filter(k => k !== '_id');
+            const hasInclusions = fields.some(f => projection[f] === 1 || projection[f] === true);
+            const hasExclusions = fields.some(f => projection[f] === 0 || projection[f] === false);
+            
+            if (hasExclusions && !hasInclusions) {
+                // Exclusion projection: start with full document
+                Object.assign(projected, doc);
+                
+                // Remove excluded fields
+                for (const [field, value] of Object.entries(projection)) {
+                    if (value === 0 || value === false) {
+                        delete projected[field];
+                    }
+                }
+            } else {
+                // Inclusion projection: start empty and add specified fields
+                // Always include _id unless explicitly excluded
+                if (projection._id !== 0) {
+                    projected._id = doc._id;
+                }
+                
+                for (const [field, include] of Object.entries(projection)) {
+                    if (field !== '_id' && include) {
+                        const value = this.getFieldValue(doc, field);
+                        if (value !== undefined) {
+                            this.setFieldValue(projected, field, value);
+                        }
+                    }
+                }
+            }
+            
+            return projected;
+        });
+    }
+
+    /**
+     * Apply an update to a document in place
+     * update is an operator document, a replacement document or a pipeline.
+     * Options:
+     * - query: the filter that matched the document, for the positional $
+     * - arrayFilters: filters choosing the elements $[<identifier>] updates
+     * - inserting: the document is being created by an upsert ($setOnInsert)
+     * Returns whether the document changed
+     */
+    async applyUpdate(doc, update, options = {}) {
+        const updated = cloneDocument(doc);
+        
+        if (Array.isArray(update)) {
+            await this.applyPipelineUpdate(updated, update);
+        } else if (this.isReplacement(update)) {
+            this.applyReplacement(updated, update);
+        } else {
+            this.applyUpdateOperators(updated, update, options);
+        }
+        
+        if (doc._id !== undefined && !this.matcher.valuesEqual(updated._id, doc._id)) {
+            throw updateError(
+                "Performing an update on the path '_id' would modify the immutable field '_id'",
+                66, 'ImmutableField'
+            );
+        }
+        
+        if (getDocumentKey(updated) === getDocumentKey(doc)) {
+            return false;
+        }
+        
+        // Keep the caller's document object, now holding the update
+        for (const field of Object.keys(doc)) {
+            delete doc[field];
+        }
+        Object.assign(doc, updated);
+        return true;
+    }
+
+    /**
+     * Check if an update replaces the document rather than using operators
+     */
+    isReplacement(update) {
+        return !Array.isArray(update) && !Object.keys(update).some(key => key.startsWith('$'));
+    }
+
+    /**
+     * Replace every field but _id
+     */
+    applyReplacement(doc, replacement) {
+        const id = doc._id;
+        for (const field of Object.keys(doc)) {
+            delete doc[field];
+        }
+        Object.assign(doc, id === undefined ? {} : { _id: id }, cloneDocument(replacement));
+    }
+
+    /**
+     * Run a pipeline-style update ($set, $unset, $project, $replaceWith...)
+     */
+    async applyPipelineUpdate(doc, pipeline, variables = {}) {
+        for (const stage of pipeline) {
+            const stageName = Object.keys(stage)[0];
+            if (!UPDATE_PIPELINE_STAGES.has(stageName)) {
+                throw updateError(`${stageName} is not allowed to be used within an update`, 72, 'InvalidOptions');
+            }
+        }
+        
+        const [result = {}] = await this.aggregationPipeline.execute([doc], pipeline, { variables });
+        const id = doc._id;
+        for (const field of Object.keys(doc)) {
+            delete doc[field];
+        }
+        // Stages that drop _id cannot remove it from the stored document
+        Object.assign(doc, id === undefined ? {} : { _id: id }, result);
+    }
+
+    /**
+     * Apply an update operator document ($set, $inc, $push...)
+     */
+    applyUpdateOperators(doc, update, { query = {}, arrayFilters = [], inserting = false } = {}) {
+        const filters = this.parseArrayFilters(arrayFilters);
+        this.checkUpdatePaths(update, filters);
+        
+        for (const [op, fields] of Object.entries(update)) {
+            if (op === '$setOnInsert' && !inserting) {
+                continue;
+            }
+            
+            for (const [path, argument] of Object.entries(fields)) {
+                for (const target of this.resolveUpdatePaths(doc, path, query, filters)) {
+                    this.applyUpdateOperator(doc, op, target, argument);
+                }
+            }
+        }
+    }
+
+    /**
+     * Validate the operators and paths of an update
+     * Paths may not overlap, and every array filter must be used
+     */
+    checkUpdatePaths(update, filters) {
+        const paths = [];
+        
+        for (const [op, fields] of Object.entries(update)) {
+            if (!UPDATE_OPERATORS.has(op)) {
+                throw updateError(
+                    `Unknown modifier: ${op}. Expected a valid update modifier or pipeline-style update specified as an array`,
+                    9, 'FailedToParse'
+                );
+            }
+            if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                throw updateError(
+                    `Modifiers operate on fields but we found type ${Array.isArray(fields) ? 'array' : typeof fields} instead. For example: {$mod: {<field>: ...}} not {${op}: ${JSON.stringify(fields)}}`,
+                    9, 'FailedToParse'
+                );
+            }
+            
+            for (const [path, argument] of Object.entries(fields)) {
+                paths.push(path);
+                if (op === '$rename') {
+                    if (typeof argument !== 'string') {
+                        throw updateError(`The 'to' field for $rename must be a string: ${path}: ${argument}`, 2, 'BadValue');
+                    }
+                    paths.push(argument);
+                }
+            }
+        }
+        
+        for (let i = 0; i < paths.length; i++) {
+            for (let j = i + 1; j < paths.length; j++) {
+                const [shorter, longer] = paths[i].length <= paths[j].length ? [paths[i], paths[j]] : [paths[j], paths[i]];
+                if (longer === shorter || longer.startsWith(`${shorter}.`)) {
+                    throw updateError(
+                        `Updating the path '${longer}' would create a conflict at '${shorter}'`,
+                        40, 'ConflictingUpdateOperators'
+                    );
+                }
             }
-            filtered[key] = value;
         }
         
-        return filtered;
+        for (const identifier of filters.keys()) {
+            if (!paths.some(path => path.split('.').includes(`$[${identifier}]`))) {
+                throw updateError(
+                    `The array filter for identifier '${identifier}' was not used in the update ${JSON.stringify(update)}`,
+                    9, 'FailedToParse'
+                );
+            }
+        }
     }
 
     /**
-     * Filter documents based on query
+     * Group arrayFilters by identifier: identifier -> [[subPath, condition]]
      */
-    filterDocuments(documents, query) {
-        return documents.filter(doc => this.matchesQuery(doc, query));
+    parseArrayFilters(arrayFilters) {
+        const filters = new Map();
+        
+        for (const filter of arrayFilters) {
+            const conditions = [];
+            let identifier = null;
+            for (const [field, condition] of Object.entries(filter)) {
+                const [name, ...rest] = field.split('.');
+                if (identifier !== null && name !== identifier) {
+                    throw updateError(
+                        `Error parsing array filter :: caused by :: Expected a single top-level field name, found '${identifier}' and '${name}'`,
+                        9, 'FailedToParse'
+                    );
+                }
+                identifier = name;
+                conditions.push([rest.join('.'), condition]);
+            }
+            
+            if (identifier === null) {
+                throw updateError('Cannot use an expression without a top-level field name in arrayFilters', 9, 'FailedToParse');
+            }
+            if (filters.has(identifier)) {
+                throw updateError(`Found multiple array filters with the same top-level field name ${identifier}`, 9, 'FailedToParse');
+            }
+            filters.set(identifier, conditions);
+        }
+        
+        return filters;
     }
 
     /**
-     * Check if document matches query
+     * Expand the positional parts of an update path ($, $[], $[<identifier>])
+     * into the concrete paths it updates
      */
-    matchesQuery(doc, query) {
-        for (const [field, condition] of Object.entries(query)) {
-            if (field.startsWith('$')) {
-                // Logical operator
-                if (!this.matchesLogicalOperator(doc, field, condition)) {
-                    return false;
+    resolveUpdatePaths(doc, path, query, filters) {
+        let prefixes = [[]];
+        
+        for (const part of path.split('.')) {
+            const identifier = /^\$\[(.*)\]$/.exec(part)?.[1];
+            if (part !== '$' && identifier === undefined) {
+                prefixes = prefixes.map(prefix => [...prefix, part]);
+                continue;
+            }
+            
+            const next = [];
+            for (const prefix of prefixes) {
+                const arrayPath = prefix.join('.');
+                if (part === '$') {
+                    next.push([...prefix, String(this.findPositionalIndex(doc, arrayPath, query))]);
+                    continue;
                 }
-            } else {
-                // Field condition
-                const value = this.getFieldValue(doc, field);
-                if (!this.matchesCondition(value, condition)) {
-                    return false;
+                
+                const array = this.getFieldValue(doc, arrayPath);
+                if (!Array.isArray(array)) {
+                    throw updateError(
+                        `The path '${arrayPath}' must exist in the document in order to apply array updates.`,
+                        2, 'BadValue'
+                    );
+                }
+                
+                const conditions = identifier === '' ? [] : filters.get(identifier);
+                if (!conditions) {
+                    throw updateError(`No array filter found for identifier '${identifier}' in path '${path}'`, 2, 'BadValue');
                 }
+                
+                array.forEach((element, index) => {
+                    if (conditions.every(([subPath, condition]) => this.matchesElement(element, subPath, condition))) {
+                        next.push([...prefix, String(index)]);
+                    }
+                });
             }
+            prefixes = next;
         }
-        return true;
+        
+        return prefixes.map(prefix => prefix.join('.'));
     }
 
     /**
-     * Match logical operators
+     * Index of the first array element the query matched, for the positional $
      */
-    matchesLogicalOperator(doc, operator, conditions) {
-        switch (operator) {
-            case '$and':
-                return conditions.every(cond => this.matchesQuery(doc, cond));
-            case '$or':
-                return conditions.some(cond => this.matchesQuery(doc, cond));
-            case '$nor':
-                return !conditions.some(cond => this.matchesQuery(doc, cond));
-            case '$not':
-                return !this.matchesQuery(doc, conditions);
-            default:
-                return true;
+    findPositionalIndex(doc, arrayPath, query) {
+        const array = this.getFieldValue(doc, arrayPath);
+        const conditions = this.getPositionalConditions(query, arrayPath);
+        
+        if (Array.isArray(array) && conditions.length > 0) {
+            const index = array.findIndex(element =>
+                conditions.every(([subPath, condition]) => this.matchesElement(element, subPath, condition)));
+            if (index !== -1) {
+                return index;
+            }
         }
+        
+        throw updateError('The positional operator did not find the match needed from the query.', 2, 'BadValue');
     }
 
     /**
-     * Match field condition
+     * Query conditions on an array or on paths inside its elements
      */
-    matchesCondition(value, condition) {
-        if (this.isOperatorObject(condition)) {
-            // Operator-based condition
-            for (const [op, operand] of Object.entries(condition)) {
-                if (!this.matchesOperator(value, op, operand)) {
-                    return false;
+    getPositionalConditions(query, arrayPath) {
+        const conditions = [];
+        
+        for (const [field, condition] of Object.entries(query)) {
+            if (field === '$and') {
+                for (const clause of condition) {
+                    conditions.push(...this.getPositionalConditions(clause, arrayPath));
                 }
+            } else if (field === arrayPath) {
+                conditions.push(['', condition]);
+            } else if (field.startsWith(`${arrayPath}.`)) {
+                conditions.push([field.slice(arrayPath.length + 1), condition]);
             }
-            return true;
-        } else {
-            // Direct equality
-            return value === condition;
         }
+        
+        return conditions;
     }
 
     /**
-     * Match individual operator
+     * Match an array element against a condition on it (empty subPath) or
+     * on a path inside it
      */
-    matchesOperator(value, operator, operand) {
-        switch (operator) {
-            case '$eq': return value === operand;
-            case '$ne': return value !== operand;
-            case '$gt': return value > operand;
-            case '$gte': return value >= operand;
-            case '$lt': return value < operand;
-            case '$lte': return value <= operand;
-            case '$in': return Array.isArray(operand) && operand.includes(value);
-            case '$nin': return Array.isArray(operand) && !operand.includes(value);
-            case '$exists': return (value !== undefined) === operand;
-            case '$type': return typeof value === operand;
-            case '$regex': 
-                const regex = operand instanceof RegExp ? operand : new RegExp(operand);
-                return regex.test(value);
-            case '$size':
-                return Array.isArray(value) && value.length === operand;
-            case '$all':
-                return Array.isArray(value) && operand.every(item => value.includes(item));
-            default:
-                return true;
+    matchesElement(element, subPath, condition) {
+        if (subPath) {
+            return this.matcher.matchesValues(this.matcher.getFieldValues(element, subPath), condition);
+        }
+        if (this.matcher.isOperatorObject(condition) && condition.$elemMatch !== undefined) {
+            return this.matcher.matchesOperator([element], '$elemMatch', condition.$elemMatch);
         }
+        return this.matcher.matchesValues(Array.isArray(element) ? [element, ...element] : [element], condition);
     }
 
     /**
-     * Sort documents
+     * Apply one update operator to one concrete path
      */
-    sortDocuments(documents, sort) {
-        const sortFields = Object.entries(sort);
-        
-        return documents.sort((a, b) => {
-            for (const [field, direction] of sortFields) {
-                const aVal = this.getFieldValue(a, field);
-                const bVal = this.getFieldValue(b, field);
+    applyUpdateOperator(doc, op, path, argument) {
+        const current = this.getFieldValue(doc, path);
+        
+        switch (op) {
+            case '$set':
+            case '$setOnInsert':
+                this.setFieldValue(doc, path, cloneDocument(argument));
+                break;
                 
-                if (aVal < bVal) return direction === 1 ? -1 : 1;
-                if (aVal > bVal) return direction === 1 ? 1 : -1;
-            }
-            return 0;
-        });
-    }
-
-    /**
-     * Project documents
-     */
-    projectDocuments(documents, projection) {
-        return documents.map(doc => {
-            // Handle special MongoDB Compass projections with aggregation expressions
-            if (projection.__doc === '$$ROOT' || projection.__size) {
-                // Compass wants the full document, ignore the special fields
-                // Just handle _id exclusion if specified
-                if (projection._id === 0) {
-                    const result = { ...doc };
-                    delete result._id;
-                    return result;
+            case '$unset':
+                this.deleteFieldValue(doc, path);
+                break;
+                
+            case '$inc':
+            case '$mul':
+                if (typeof argument !== 'number') {
+                    throw updateError(
+                        `Cannot ${op === '$inc' ? 'increment' : 'multiply'} with non-numeric argument: {${path}: ${JSON.stringify(argument)}}`,
+                        14, 'TypeMismatch'
+                    );
                 }
-                return doc;
+                if (current !== undefined && typeof current !== 'number') {
+                    throw updateError(
+                        `Cannot apply ${op} to a value of non-numeric type. The field '${path}' has non-numeric type ${this.getTypeName(current)}`,
+                        14, 'TypeMismatch'
+                    );
+                }
+                this.setFieldValue(doc, path, op === '$inc' ? (current ?? 0) + argument : (current ?? 0) * argument);
+                break;
+                
+            case '$min':
+            case '$max': {
+                const order = current === undefined ? 0 : this.compareValues(argument, current);
+                if (current === undefined || (op === '$min' ? order < 0 : order > 0)) {
+                    this.setFieldValue(doc, path, cloneDocument(argument));
+                }
+                break;
             }
-            
-            // Standard projection handling
-            const projected = {};
-            
-            // Check if this is an inclusion or exclusion projection
-            const fields = Object.keys(projection).filter(k => k !== '_id');
-            const hasInclusions = fields.some(f => projection[f] === 1 || projection[f] === true);
-            const hasExclusions = fields.some(f => projection[f] === 0 || projection[f] === false);
-            
-            if (hasExclusions && !hasInclusions) {
-                // Exclusion projection: start with full document
-                Object.assign(projected, doc);
                 
-                // Remove excluded fields
-                for (const [field, value] of Object.entries(projection)) {
-                    if (value === 0 || value === false) {
-                        delete projected[field];
-                    }
+            case '$rename':
+                if (current !== undefined) {
+                    this.deleteFieldValue(doc, path);
+                    this.setFieldValue(doc, argument, current);
                 }
-            } else {
-                // Inclusion projection: start empty and add specified fields
-                // Always include _id unless explicitly excluded
-                if (projection._id !== 0) {
-                    projected._id = doc._id;
+                break;
+                
+            case '$currentDate': {
+                const type = argument === true ? 'date' : argument?.$type;
+                if (type !== 'date' && type !== 'timestamp') {
+                    throw updateError("The '$type' string field is required to be 'date' or 'timestamp'", 2, 'BadValue');
                 }
+                this.setFieldValue(doc, path, type === 'date' ? new Date() : Timestamp.fromTime(Date.now()));
+                break;
+            }
                 
-                for (const [field, include] of Object.entries(projection)) {
-                    if (field !== '_id' && include) {
-                        const value = this.getFieldValue(doc, field);
-                        if (value !== undefined) {
-                            this.setFieldValue(projected, field, value);
+            case '$push':
+            case '$addToSet': {
+                const each = argument && typeof argument === 'object' && !Array.isArray(argument) && '$each' in argument;
+                const items = each ? argument.$each : [argument];
+                if (!Array.isArray(items)) {
+                    throw updateError(
+                        `The argument to $each in ${op} must be an array but it was of type: ${this.getTypeName(items)}`,
+                        2, 'BadValue'
+                    );
+                }
+                
+                const array = this.getUpdateArray(current, path, op);
+                if (op === '$addToSet') {
+                    for (const item of items) {
+                        if (!array.some(value => this.matcher.valuesEqual(value, item))) {
+                            array.push(cloneDocument(item));
                         }
                     }
+                } else {
+                    this.pushItems(array, items, each ? argument : {});
                 }
+                this.setFieldValue(doc, path, array);
+                break;
             }
-            
-            return projected;
-        });
+                
+            case '$pop':
+                if (argument !== 1 && argument !== -1) {
+                    throw updateError(`$pop expects 1 or -1, found: ${JSON.stringify(argument)}`, 9, 'FailedToParse');
+                }
+                if (current !== undefined) {
+                    const array = this.getUpdateArray(current, path, op);
+                    if (argument === 1) {
+                        array.pop();
+                    } else {
+                        array.shift();
+                    }
+                    this.setFieldValue(doc, path, array);
+                }
+                break;
+                
+            case '$pull':
+            case '$pullAll': {
+                if (op === '$pullAll' && !Array.isArray(argument)) {
+                    throw updateError(
+                        `$pullAll requires an array argument but was given a ${this.getTypeName(argument)}`,
+                        2, 'BadValue'
+                    );
+                }
+                if (current === undefined) {
+                    break;
+                }
+                const array = this.getUpdateArray(current, path, op);
+                const remaining = array.filter(item => op === '$pull'
+                    ? !this.matchesPullCondition(item, argument)
+                    : !argument.some(value => this.matcher.valuesEqual(item, value)));
+                this.setFieldValue(doc, path, remaining);
+                break;
+            }
+        }
     }
 
     /**
-     * Apply update operations to document
+     * The array an array operator updates: a copy of the current one, or a
+     * new array for a missing field
      */
-    applyUpdate(doc, update) {
-        let modified = false;
-        
-        for (const [op, fields] of Object.entries(update)) {
-            switch (op) {
-                case '$set':
-                    for (const [field, value] of Object.entries(fields)) {
-                        if (this.getFieldValue(doc, field) !== value) {
-                            this.setFieldValue(doc, field, value);
-                            modified = true;
-                        }
-                    }
-                    break;
-                    
-                case '$unset':
-                    for (const field of Object.keys(fields)) {
-                        if (this.deleteFieldValue(doc, field)) {
-                            modified = true;
-                        }
-                    }
-                    break;
-                    
-                case '$inc':
-                    for (const [field, amount] of Object.entries(fields)) {
-                        const current = this.getFieldValue(doc, field) || 0;
-                        this.setFieldValue(doc, field, current + amount);
-                        modified = true;
-                    }
-                    break;
-                    
-                case '$push':
-                    for (const [field, value] of Object.entries(fields)) {
-                        const arr = this.getFieldValue(doc, field) || [];
-                        if (!Array.isArray(arr)) continue;
-                        arr.push(value);
-                        this.setFieldValue(doc, field, arr);
-                        modified = true;
-                    }
-                    break;
-                    
-                case '$pull':
-                    for (const [field, value] of Object.entries(fields)) {
-                        const arr = this.getFieldValue(doc, field);
-                        if (!Array.isArray(arr)) continue;
-                        const filtered = arr.filter(item => item !== value);
-                        if (filtered.length !== arr.length) {
-                            this.setFieldValue(doc, field, filtered);
-                            modified = true;
-                        }
-                    }
-                    break;
-                    
-                default:
-                    // Direct replacement if no operators
-                    if (!op.startsWith('$')) {
-                        Object.assign(doc, update);
-                        modified = true;
+    getUpdateArray(current, path, op) {
+        if (current === undefined) {
+            return [];
+        }
+        if (!Array.isArray(current)) {
+            throw updateError(
+                `The field '${path}' must be an array but is of type ${this.getTypeName(current)}; cannot apply ${op}`,
+                2, 'BadValue'
+            );
+        }
+        return [...current];
+    }
+
+    /**
+     * Push items honouring the $position, $sort and $slice modifiers
+     */
+    pushItems(array, items, { $position, $sort, $slice }) {
+        let position = $position ?? array.length;
+        if (position < 0) {
+            position = Math.max(0, array.length + position);
+        }
+        array.splice(Math.min(position, array.length), 0, ...items.map(cloneDocument));
+        
+        if ($sort !== undefined) {
+            const fields = typeof $sort === 'object' ? Object.entries($sort) : [[null, $sort]];
+            array.sort((a, b) => {
+                for (const [field, direction] of fields) {
+                    const order = field === null
+                        ? this.compareValues(a, b)
+                        : this.compareValues(this.getFieldValue(a, field), this.getFieldValue(b, field));
+                    if (order !== 0) {
+                        return order * direction;
                     }
-            }
+                }
+                return 0;
+            });
         }
         
-        return modified;
+        if ($slice !== undefined) {
+            if ($slice >= 0) {
+                array.splice($slice);
+            } else {
+                array.splice(0, Math.max(0, array.length + $slice));
+            }
+        }
+    }
+
+    /**
+     * Whether $pull removes an array element
+     * Operator conditions match the element, plain documents query it
+     */
+    matchesPullCondition(item, condition) {
+        if (this.matcher.isOperatorObject(condition)) {
+            return this.matchesElement(item, '', condition);
+        }
+        if (condition && typeof condition === 'object' && !Array.isArray(condition) &&
+            Object.getPrototypeOf(condition) === Object.prototype) {
+            return item !== null && typeof item === 'object' && !Array.isArray(item) && this.matcher.matches(item, condition);
+        }
+        return this.matcher.valuesEqual(item, condition);
+    }
+
+    /**
+     * Order two values (-1, 0 or 1); missing values sort first
+     */
+    compareValues(a, b) {
+        if (this.matcher.valuesEqual(a, b)) return 0;
+        if (a === undefined || a === null) return -1;
+        if (b === undefined || b === null) return 1;
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    }
+
+    /**
+     * BSON type name of a value, for error messages
+     */
+    getTypeName(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (value instanceof Date) return 'date';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+        if (typeof value === 'object') return 'object';
+        return typeof value;
     }
 
     /**
@@ -806,51 +2400,57 @@ export class Collection extends EventEmitter {
 
     /**
      * Set nested field value
+     * Missing parents are created; array indexes past the end pad with null
      */
     setFieldValue(doc, path, value) {
         const parts = path.split('.');
         let current = doc;
         
-        for (let i = 0; i < parts.length - 1; i++) {
+        for (let i = 0; i < parts.length; i++) {
             const part = parts[i];
-            if (!(part in current) || typeof current[part] !== 'object') {
+            if (Array.isArray(current) && /^\d+$/.test(part)) {
+                while (current.length < Number(part)) {
+                    current.push(null);
+                }
+            }
+            
+            if (i === parts.length - 1) {
+                current[part] = value;
+            } else if (current[part] === undefined) {
                 current[part] = {};
+            } else if (current[part] === null || typeof current[part] !== 'object') {
+                throw updateError(
+                    `Cannot create field '${parts[i + 1]}' in element {${part}: ${JSON.stringify(current[part])}}`,
+                    28, 'PathNotViable'
+                );
             }
             current = current[part];
         }
-        
-        current[parts[parts.length - 1]] = value;
     }
 
     /**
      * Delete nested field
+     * Array elements are set to null rather than removed
      */
     deleteFieldValue(doc, path) {
         const parts = path.split('.');
         let current = doc;
         
         for (let i = 0; i < parts.length - 1; i++) {
-            const part = parts[i];
-            if (!(part in current)) return false;
-            current = current[part];
+            current = current[parts[i]];
+            if (current === null || typeof current !== 'object') return false;
         }
         
         const lastPart = parts[parts.length - 1];
-        if (lastPart in current) {
+        if (!(lastPart in current)) {
+            return false;
+        }
+        if (Array.isArray(current)) {
+            current[lastPart] = null;
+        } else {
             delete current[lastPart];
-            return true;
         }
-        
-        return false;
-    }
-
-    /**
-     * Check if value is operator object
-     */
-    isOperatorObject(value) {
-        return value && typeof value === 'object' && 
-               !Array.isArray(value) &&
-               Object.keys(value).some(k => k.startsWith('$'));
+        return true;
     }
 
     /**
@@ -891,14 +2491,22 @@ export class CollectionManager extends EventEmitter {
         super();
         
         this.collections = new Map();
+        this.createdCollections = new Map(); // fullName -> options of explicitly created collections
         this.storage = options.storage || new DataFloodStorage(options);
         this.logger = options.logger || console;
         
+        // Writes through any collection, read by change streams
+        this.oplog = options.oplog || new Oplog({
+            maxEntries: options.oplogSize || config.storage.oplogSize
+        });
+        
         // Statistics
         this.stats = {
             totalCollections: 0,
             activeCollections: 0,
-            totalOperations: 0
+            totalOperations: 0,
+            documentsGenerated: 0,
+            documentsAccepted: 0
         };
     }
 
@@ -927,6 +2535,12 @@ export class CollectionManager extends EventEmitter {
         collection.on('find', () => this.stats.totalOperations++);
         collection.on('update', () => this.stats.totalOperations++);
         collection.on('delete', () => this.stats.totalOperations++);
+        collection.on('generation', (stats) => {
+            this.stats.documentsGenerated += stats.generated;
+            this.stats.documentsAccepted += stats.accepted;
+            this.emit('generation', { collection: fullName, ...stats });
+        });
+        this.recordChanges(collection);
         
         this.logger.info(`Created collection ${fullName}`);
         this.emit('collectionCreated', collection);
@@ -934,23 +2548,134 @@ export class CollectionManager extends EventEmitter {
         return collection;
     }
 
+    /**
+     * Record a collection's writes in the oplog
+     */
+    recordChanges(collection) {
+        const entry = (operationType, fields = {}) => this.oplog.append({
+            operationType,
+            db: collection.database,
+            coll: collection.name,
+            ...fields
+        });
+        const insert = ({ documents }) => {
+            for (const doc of documents) {
+                entry('insert', { documentKey: { _id: doc._id }, fullDocument: cloneDocument(doc) });
+            }
+        };
+        
+        collection.on('insert', insert);
+        collection.on('syntheticInsert', insert);
+        collection.on('update', ({ update, changes = [] }) => {
+            const operationType = collection.isReplacement(update) ? 'replace' : 'update';
+            for (const { before, after } of changes) {
+                entry(operationType, { documentKey: { _id: after._id }, fullDocument: after, before });
+            }
+        });
+        collection.on('delete', ({ documents = [] }) => {
+            for (const doc of documents) {
+                entry('delete', { documentKey: { _id: doc._id }, before: cloneDocument(doc) });
+            }
+        });
+        collection.on('dropped', () => entry('drop'));
+    }
+
+    /**
+     * Whether a collection exists: created, persisted, or in use
+     */
+    async hasCollection(database, name) {
+        const fullName = `${database}.${name}`;
+        if (this.collections.has(fullName) || this.createdCollections.has(fullName)) {
+            return true;
+        }
+        return (await this.storage.listCollections(database)).includes(name);
+    }
+
+    /**
+     * Explicitly create a collection
+     */
+    async createCollection(database, name, options = {}) {
+        if (await this.hasCollection(database, name)) {
+            throw Object.assign(new Error(`Collection ${database}.${name} already exists.`), {
+                code: 48,
+                codeName: 'NamespaceExists'
+            });
+        }
+        
+        this.createdCollections.set(`${database}.${name}`, options);
+        return this.getCollection(database, name);
+    }
+
     /**
      * Drop a collection
      */
     async dropCollection(database, name) {
         const fullName = `${database}.${name}`;
-        const collection = this.collections.get(fullName);
         
+        if (!await this.hasCollection(database, name)) {
+            return false;
+        }
+        
+        const collection = await this.getCollection(database, name);
+        await collection.drop();
+        this.collections.delete(fullName);
+        this.createdCollections.delete(fullName);
+        this.stats.activeCollections--;
+        
+        this.emit('collectionDropped', fullName);
+        return true;
+    }
+
+    /**
+     * Drop every collection of a database
+     */
+    async dropDatabase(database) {
+        for (const { name } of await this.listCollections(database)) {
+            await this.dropCollection(database, name);
+        }
+        await this.storage.dropDatabase(database);
+        
+        this.oplog.append({ operationType: 'dropDatabase', db: database });
+        this.emit('databaseDropped', database);
+    }
+
+    /**
+     * Rename a collection, optionally into another database
+     */
+    async renameCollection(database, name, toDatabase, toName, { dropTarget = false } = {}) {
+        if (!await this.hasCollection(database, name)) {
+            throw Object.assign(new Error(`Source collection ${database}.${name} does not exist`), {
+                code: 26,
+                codeName: 'NamespaceNotFound'
+            });
+        }
+        
+        if (await this.hasCollection(toDatabase, toName)) {
+            if (!dropTarget) {
+                throw Object.assign(new Error('target namespace exists'), {
+                    code: 48,
+                    codeName: 'NamespaceExists'
+                });
+            }
+            await this.dropCollection(toDatabase, toName);
+        }
+        
+        const fullName = `${database}.${name}`;
+        const collection = this.collections.get(fullName);
         if (collection) {
-            await collection.drop();
+            collection.removeAllListeners();
             this.collections.delete(fullName);
             this.stats.activeCollections--;
-            
-            this.emit('collectionDropped', fullName);
-            return true;
+        }
+        if (this.createdCollections.has(fullName)) {
+            this.createdCollections.set(`${toDatabase}.${toName}`, this.createdCollections.get(fullName));
+            this.createdCollections.delete(fullName);
         }
         
-        return false;
+        await this.storage.renameCollection(database, name, toDatabase, toName);
+        
+        this.oplog.append({ operationType: 'rename', db: database, coll: name, to: { db: toDatabase, coll: toName } });
+        this.emit('collectionRenamed', fullName, `${toDatabase}.${toName}`);
     }
 
     /**
@@ -985,6 +2710,19 @@ export class CollectionManager extends EventEmitter {
         return collections;
     }
 
+    /**
+     * Names of the collections that exist in a database: persisted or explicitly created
+     */
+    async listCollectionNames(database) {
+        const names = new Set(await this.storage.listCollections(database));
+        for (const fullName of this.createdCollections.keys()) {
+            if (fullName.startsWith(`${database}.`)) {
+                names.add(fullName.slice(database.length + 1));
+            }
+        }
+        return Array.from(names);
+    }
+
     /**
      * Get statistics
      */
@@ -997,6 +2735,9 @@ export class CollectionManager extends EventEmitter {
         
         return {
             ...this.stats,
+            acceptanceRate: this.stats.documentsGenerated > 0
+                ? this.stats.documentsAccepted / this.stats.documentsGenerated
+                : null,
             collections: collectionStats
         };
     }
@@ -10,6 +10,9 @@
 import { EventEmitter } from 'events';
 import crypto from 'crypto';
 
+// How long an awaitData getMore waits for new documents when it sets no maxTimeMS
+const DEFAULT_AWAIT_TIME_MS = 1000;
+
 /**
  * Cursor for streaming query results
  */
@@ -31,12 +34,16 @@ export class Cursor extends EventEmitter {
         // Cursor options
         this.batchSize = options.batchSize || 101;
         this.timeout = options.timeout || 600000; // 10 minutes default
+        this.maxTimeMS = options.maxTimeMS || 0; // Time limit for generating each batch
         this.tailable = options.tailable || false;
         this.awaitData = options.awaitData || false;
+        this.rate = options.rate || 0; // Documents per second a tailable cursor releases
+        this.released = 0;
         
         // Internal state
         this.collection = options.collection;
         this.queryEngine = options.queryEngine;
+        this.source = options.source || null; // { next(count) } stream of results
         this.position = 0;
         this.documentsSent = 0;
         this.isExhausted = false;
@@ -78,15 +85,18 @@ export class Cursor extends EventEmitter {
      * Generate a unique cursor ID
      */
     generateCursorId() {
-        // Generate a BigInt cursor ID
+        // Generate a positive BigInt cursor ID that fits a signed int64
         const buffer = crypto.randomBytes(8);
-        return buffer.readBigUInt64BE();
+        return (buffer.readBigUInt64BE() & 0x7fffffffffffffffn) || 1n;
     }
     
     /**
      * Get the next batch of documents
+     * With maxTimeMS, generation stops once the time is up and the batch is
+     * returned short; a batch that gets no documents in time fails. For
+     * awaitData cursors maxTimeMS is instead how long to wait for new ones
      */
-    async getNextBatch(requestedBatchSize) {
+    async getNextBatch(requestedBatchSize, { maxTimeMS = 0, awaitData = this.awaitData } = {}) {
         if (this.isClosed) {
             throw new Error('Cursor is closed');
         }
@@ -97,9 +107,30 @@ export class Cursor extends EventEmitter {
         
         this.lastAccessed = new Date();
         
-        const batchSize = requestedBatchSize || this.batchSize;
+        let batchSize = requestedBatchSize || this.batchSize;
         const batch = [];
         
+        // Live sources (change streams) end only when the source closes
+        if (this.source?.waitForData) {
+            return this.getLiveBatch(batchSize, awaitData ? (maxTimeMS || DEFAULT_AWAIT_TIME_MS) : 0);
+        }
+        
+        // Tailable cursors only return the documents released so far
+        if (this.tailable) {
+            if (this.getTailAllowance() < 1 && awaitData) {
+                await this.waitForTail(maxTimeMS || DEFAULT_AWAIT_TIME_MS);
+                if (this.isClosed) {
+                    return [];
+                }
+            }
+            
+            batchSize = Math.min(batchSize, this.getTailAllowance());
+            maxTimeMS = 0;
+            if (batchSize < 1) {
+                return [];
+            }
+        }
+        
         try {
             // First, drain any buffered documents
             while (this.buffer.length > 0 && batch.length < batchSize) {
@@ -113,8 +144,19 @@ export class Cursor extends EventEmitter {
                 }
             }
             
-            // If we need more documents and haven't hit limit, generate them
-            if (batch.length < batchSize && !this.isExhausted) {
+            // Generate the rest in chunks of at most bufferSize so a time limit can end the batch
+            const deadline = maxTimeMS > 0 ? Date.now() + maxTimeMS : Infinity;
+            while (batch.length < batchSize && !this.isExhausted) {
+                if (Date.now() >= deadline) {
+                    if (batch.length === 0) {
+                        throw Object.assign(new Error('operation exceeded time limit'), {
+                            code: 50,
+                            codeName: 'MaxTimeMSExpired'
+                        });
+                    }
+                    break;
+                }
+                
                 const needed = Math.min(
                     batchSize - batch.length,
                     this.bufferSize
@@ -125,38 +167,47 @@ export class Cursor extends EventEmitter {
                     ? Math.min(needed, this.limit - this.documentsSent)
                     : needed;
                 
-                if (toGenerate > 0) {
-                    const genStart = Date.now();
-                    
-                    // Generate documents using query engine
-                    const generated = await this.generateDocuments(toGenerate);
-                    
-                    const genTime = Date.now() - genStart;
-                    this.stats.generationCalls++;
-                    this.stats.totalGenerationTime += genTime;
-                    
-                    this.logger.debug(
-                        `Cursor ${this.id} generated ${generated.length} documents in ${genTime}ms`
-                    );
+                if (toGenerate <= 0) {
+                    break;
+                }
+                
+                const genStart = Date.now();
+                
+                // Generate documents using query engine
+                const generated = await this.generateDocuments(toGenerate, deadline);
+                
+                const genTime = Date.now() - genStart;
+                this.stats.generationCalls++;
+                this.stats.totalGenerationTime += genTime;
+                
+                this.logger.debug(
+                    `Cursor ${this.id} generated ${generated.length} documents in ${genTime}ms`
+                );
+                
+                // Nothing generated before the deadline means there are no more
+                if (generated.length === 0 && Date.now() < deadline) {
+                    this.isExhausted = true;
+                }
+                
+                // Add to batch and buffer
+                for (const doc of generated) {
+                    if (batch.length < batchSize) {
+                        batch.push(doc);
+                        this.documentsSent++;
+                    } else {
+                        this.buffer.push(doc);
+                    }
                     
-                    // Add to batch and buffer
-                    for (const doc of generated) {
-                        if (batch.length < batchSize) {
-                            batch.push(doc);
-                            this.documentsSent++;
-                        } else {
-                            this.buffer.push(doc);
-                        }
-                        
-                        // Check limit
-                        if (this.limit > 0 && this.documentsSent >= this.limit) {
-                            this.isExhausted = true;
-                            break;
-                        }
+                    // Check limit
+                    if (this.limit > 0 && this.documentsSent >= this.limit) {
+                        this.isExhausted = true;
+                        break;
                     }
                 }
             }
             
+            this.released += batch.length;
+            
             // Update statistics
             this.stats.documentsReturned += batch.length;
             this.stats.batchesReturned++;
@@ -181,10 +232,69 @@ export class Cursor extends EventEmitter {
         }
     }
     
+    /**
+     * Get a batch from a live source, waiting up to maxWait ms for one
+     */
+    async getLiveBatch(batchSize, maxWait) {
+        const deadline = Date.now() + maxWait;
+        
+        try {
+            let batch = await this.generateDocuments(batchSize);
+            while (batch.length === 0 && !this.source.closed && !this.isClosed && Date.now() < deadline) {
+                await this.source.waitForData(deadline - Date.now());
+                batch = await this.generateDocuments(batchSize);
+            }
+            
+            if (this.source.closed) {
+                this.isExhausted = true;
+            }
+            
+            this.documentsSent += batch.length;
+            this.stats.documentsReturned += batch.length;
+            this.stats.batchesReturned++;
+            
+            return batch;
+        
+        } catch (error) {
+            this.logger.error(`Cursor ${this.id} error:`, error);
+            this.close();
+            throw error;
+        }
+    }
+    
+    /**
+     * Number of documents a tailable cursor may return now
+     * Documents are released at the cursor's rate from the time it was opened
+     */
+    getTailAllowance() {
+        if (this.rate <= 0) {
+            return Infinity;
+        }
+        
+        const elapsed = Date.now() - this.createdAt.getTime();
+        return Math.max(0, Math.floor(elapsed * this.rate / 1000) - this.released);
+    }
+    
+    /**
+     * Wait until a tailable cursor releases its next document, at most maxWait ms
+     */
+    async waitForTail(maxWait) {
+        const nextRelease = this.createdAt.getTime() + Math.ceil((this.released + 1) * 1000 / this.rate);
+        const wait = Math.min(Math.max(0, nextRelease - Date.now()), maxWait);
+        
+        await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    
     /**
      * Generate documents using the query engine
      */
-    async generateDocuments(count) {
+    async generateDocuments(count, deadline = Infinity) {
+        if (this.source) {
+            const documents = await this.source.next(count, deadline);
+            this.position += documents.length;
+            return documents;
+        }
+        
         if (!this.queryEngine || !this.collection) {
             // Fallback: return empty array if no engine available
             return [];
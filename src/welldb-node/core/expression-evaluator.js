@@ -0,0 +1,1127 @@
+/**
+ * Aggregation Expression Evaluator
+ *
+ * Evaluates aggregation expressions against a document:
+ * - Field paths ($field) and variables ($$ROOT, $$CURRENT, $$REMOVE, $redact's
+ *   $$KEEP/$$PRUNE/$$DESCEND, let variables)
+ * - Arithmetic, string, comparison, logical, conditional, array and date operators
+ * - Variable scopes ($let, $map, $filter, $reduce) and $literal
+ * - Date formatting, parsing and arithmetic in UTC, an offset or an Olson timezone
+ * - Type conversion ($convert and its $toString, $toInt, ... shorthands)
+ * Used by pipeline stages and by $expr in queries
+ */
+
+import { ObjectId, Long, Timestamp, Binary, Decimal128 } from '../protocol/bson.js';
+import { getDocumentKey } from '../storage/dataflood-storage.js';
+
+export const MS_PER_UNIT = {
+    millisecond: 1, second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000
+};
+
+const MONTHS_PER_UNIT = { month: 1, quarter: 3, year: 12 };
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DEFAULT_DATE_FORMAT = '%Y-%m-%dT%H:%M:%S.%LZ';
+
+// Whitespace $trim removes by default, as a regex character class body
+const DEFAULT_TRIM_CHARACTERS = ' \\t\\n\\r\\v\\f\\0\\u00a0\\u1680\\u2000-\\u200a\\u3000';
+
+// Dates are binned from 2000-01-01, a Saturday, as MongoDB does
+const DATE_REFERENCE = Date.UTC(2000, 0, 1);
+const DATE_REFERENCE_DAY = 6;
+
+/**
+ * $convert target types by BSON type number
+ */
+const CONVERT_TYPES = {
+    1: 'double', 2: 'string', 7: 'objectId', 8: 'bool', 9: 'date', 16: 'int', 18: 'long'
+};
+
+/**
+ * $toX shorthands for $convert
+ */
+const CONVERT_SHORTHANDS = {
+    $toString: 'string', $toInt: 'int', $toLong: 'long', $toDouble: 'double',
+    $toBool: 'bool', $toDate: 'date', $toObjectId: 'objectId'
+};
+
+/**
+ * Error for an expression MongoDB would reject
+ */
+function expressionError(message, code = 2, codeName = code === 2 ? 'BadValue' : `Location${code}`) {
+    return Object.assign(new Error(message), { code, codeName });
+}
+
+/**
+ * Truthiness as aggregation sees it: only false, null, undefined and 0 are false
+ */
+function isTruthy(value) {
+    return value !== false && value !== null && value !== undefined && value !== 0;
+}
+
+/**
+ * Number for a number, bigint or Long; null for anything else
+ */
+function toNumeric(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'bigint') return Number(value);
+    if (value instanceof Long || value?.constructor?.name === 'Long') return value.toNumber();
+    return null;
+}
+
+/**
+ * Rank of a value's type in BSON comparison order: MinKey, null, numbers,
+ * strings, documents, arrays, binary, ObjectId, booleans, dates, timestamps,
+ * regular expressions, MaxKey
+ */
+function getBsonTypeRank(value) {
+    if (value === null || value === undefined) return 1;
+    if (value instanceof Timestamp) return 10;
+    if (toNumeric(value) !== null || value instanceof Decimal128) return 2;
+    if (typeof value === 'string') return 3;
+    if (typeof value === 'boolean') return 8;
+    if (Array.isArray(value)) return 5;
+    if (value instanceof Binary || Buffer.isBuffer(value)) return 6;
+    if (value instanceof ObjectId) return 7;
+    if (value instanceof Date) return 9;
+    if (value instanceof RegExp) return 11;
+    if (value.$minKey !== undefined) return 0;
+    if (value.$maxKey !== undefined) return 12;
+    return 4;
+}
+
+/**
+ * Order two values as BSON does (-1, 0 or 1), across types by their rank
+ */
+function compareBson(a, b) {
+    const rankA = getBsonTypeRank(a);
+    const rankB = getBsonTypeRank(b);
+    if (rankA !== rankB) {
+        return Math.sign(rankA - rankB);
+    }
+    
+    const order = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+    switch (rankA) {
+        case 2: {
+            // NaN sorts before every other number
+            const [x, y] = [toNumeric(a) ?? Number(a.toString()), toNumeric(b) ?? Number(b.toString())];
+            return Number.isNaN(x) || Number.isNaN(y) ? order(Number.isNaN(y), Number.isNaN(x)) : order(x, y);
+        }
+        case 3:
+            return order(a, b);
+        case 4: {
+            const [entriesA, entriesB] = [Object.entries(a), Object.entries(b)];
+            for (let i = 0; i < Math.min(entriesA.length, entriesB.length); i++) {
+                const result = compareBson(entriesA[i][1], entriesB[i][1]) || order(entriesA[i][0], entriesB[i][0]);
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return order(entriesA.length, entriesB.length);
+        }
+        case 5: {
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                const result = compareBson(a[i], b[i]);
+                if (result !== 0) {
+                    return result;
+                }
+            }
+            return order(a.length, b.length);
+        }
+        case 6: {
+            const [x, y] = [a.buffer ?? a, b.buffer ?? b];
+            return order(x.length, y.length) || order(a.subtype ?? 0, b.subtype ?? 0) || Buffer.compare(x, y);
+        }
+        case 7:
+            return order(a.toString(), b.toString());
+        case 8:
+            return order(Number(a), Number(b));
+        case 9:
+            return order(a.getTime(), b.getTime());
+        case 10:
+            return order(a.toBigInt(), b.toBigInt());
+        case 11:
+            return order(a.source, b.source) || order(a.flags, b.flags);
+        default:
+            return 0;
+    }
+}
+
+/**
+ * Date for a Date, ObjectId (its creation time) or Timestamp; null otherwise
+ */
+function toDate(value) {
+    if (value instanceof Date) return value;
+    if (value instanceof Timestamp) return new Date(value.high * 1000);
+    if (value instanceof ObjectId) return new Date(value.id.readUInt32BE(0) * 1000);
+    if (typeof value?.getTimestamp === 'function') return value.getTimestamp();
+    return null;
+}
+
+/**
+ * Offset in ms of a timezone ('UTC', '+05:30' or an Olson name) at an instant
+ */
+function getTimezoneOffset(date, timezone) {
+    if (timezone == null || timezone === 'UTC' || timezone === 'GMT' || timezone === 'Z') {
+        return 0;
+    }
+    
+    const match = /^([+-])(\d{2}):?(\d{2})?$/.exec(timezone);
+    if (match) {
+        const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+        return (match[1] === '-' ? -minutes : minutes) * 60000;
+    }
+    
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }).formatToParts(date);
+    } catch {
+        throw expressionError(`unrecognized time zone identifier: "${timezone}"`, 40485);
+    }
+    const field = type => Number(parts.find(part => part.type === type).value);
+    const local = Date.UTC(field('year'), field('month') - 1, field('day'), field('hour'), field('minute'), field('second'));
+    return local - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Wall-clock time of an instant in a timezone, as a Date read with getUTC*
+ */
+function toLocalDate(date, timezone) {
+    return new Date(date.getTime() + getTimezoneOffset(date, timezone));
+}
+
+/**
+ * Instant of a wall-clock time (a Date read with getUTC*) in a timezone
+ */
+function fromLocalDate(local, timezone) {
+    const guess = local.getTime() - getTimezoneOffset(local, timezone);
+    return new Date(local.getTime() - getTimezoneOffset(new Date(guess), timezone));
+}
+
+/**
+ * ISO 8601 week-numbering year, week and day of week (Monday is 1)
+ */
+function getIsoWeek(local) {
+    const isoDayOfWeek = (local.getUTCDay() + 6) % 7 + 1;
+    // The Thursday of a week decides its year
+    const thursday = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - isoDayOfWeek + 4);
+    const isoYear = new Date(thursday).getUTCFullYear();
+    const isoWeek = Math.floor((thursday - Date.UTC(isoYear, 0, 1)) / MS_PER_UNIT.week) + 1;
+    return { isoYear, isoWeek, isoDayOfWeek };
+}
+
+/**
+ * Format a date with MongoDB's $dateToString specifiers
+ */
+function formatDate(date, format, timezone) {
+    const offset = getTimezoneOffset(date, timezone);
+    const local = new Date(date.getTime() + offset);
+    const dayOfYear = Math.floor((local.getTime() - Date.UTC(local.getUTCFullYear(), 0, 1)) / MS_PER_UNIT.day) + 1;
+    const { isoYear, isoWeek, isoDayOfWeek } = getIsoWeek(local);
+    const pad = (value, width = 2) => String(value).padStart(width, '0');
+    
+    return format.replace(/%(.)/g, (specifier, letter) => {
+        switch (letter) {
+            case 'Y': return pad(local.getUTCFullYear(), 4);
+            case 'm': return pad(local.getUTCMonth() + 1);
+            case 'd': return pad(local.getUTCDate());
+            case 'H': return pad(local.getUTCHours());
+            case 'M': return pad(local.getUTCMinutes());
+            case 'S': return pad(local.getUTCSeconds());
+            case 'L': return pad(local.getUTCMilliseconds(), 3);
+            case 'j': return pad(dayOfYear, 3);
+            case 'w': return String(local.getUTCDay() + 1);
+            case 'u': return String(isoDayOfWeek);
+            case 'U': return pad(Math.floor((dayOfYear - 1 + 7 - local.getUTCDay()) / 7));
+            case 'V': return pad(isoWeek);
+            case 'G': return pad(isoYear, 4);
+            case 'b': return MONTH_NAMES[local.getUTCMonth()].slice(0, 3);
+            case 'B': return MONTH_NAMES[local.getUTCMonth()];
+            case 'z': {
+                const minutes = Math.abs(offset) / 60000;
+                return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+            }
+            case 'Z': return String(offset / 60000);
+            case '%': return '%';
+            default:
+                throw expressionError(`Invalid format character '${specifier}' in format string`, 18536);
+        }
+    });
+}
+
+/**
+ * Parse a date string, ISO 8601 or in a $dateFromString format; null when
+ * the string does not fit
+ */
+function parseDate(string, format, timezone) {
+    const fields = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, millisecond: 0, offset: null };
+    
+    if (format == null) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/.exec(string.trim());
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day, hour, minute, second, millisecond, zone] = match;
+        Object.assign(fields, {
+            year: Number(year), month: Number(month), day: Number(day),
+            hour: Number(hour || 0), minute: Number(minute || 0), second: Number(second || 0),
+            millisecond: Number((millisecond || '0').padEnd(3, '0'))
+        });
+        if (zone) {
+            fields.offset = getTimezoneOffset(null, zone === 'Z' ? 'UTC' : zone);
+        }
+    } else {
+        const setters = [];
+        const pattern = format.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%(.)/g, (specifier, letter) => {
+            const field = { Y: 'year', m: 'month', d: 'day', H: 'hour', M: 'minute', S: 'second', L: 'millisecond' }[letter];
+            if (field) {
+                setters.push(value => { fields[field] = Number(letter === 'L' ? value.padEnd(3, '0') : value); });
+                return letter === 'Y' ? '(\\d{4})' : letter === 'L' ? '(\\d{1,3})' : '(\\d{1,2})';
+            }
+            switch (letter) {
+                case 'z':
+                    setters.push(value => { fields.offset = getTimezoneOffset(null, value); });
+                    return '([+-]\\d{2}:?\\d{2})';
+                case 'Z':
+                    setters.push(value => { fields.offset = Number(value) * 60000; });
+                    return '([+-]\\d+)';
+                case '%':
+                    return '%';
+                default:
+                    throw expressionError(`Invalid format character '${specifier}' in format string`, 18536);
+            }
+        });
+        const match = new RegExp(`^${pattern}$`).exec(string);
+        if (!match) {
+            return null;
+        }
+        setters.forEach((set, i) => set(match[i + 1]));
+    }
+    
+    const local = new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second, fields.millisecond));
+    // Reject out of range fields (month 13, February 30, ...) rather than rolling over
+    if (local.getUTCMonth() !== fields.month - 1 || local.getUTCDate() !== fields.day ||
+        fields.hour > 23 || fields.minute > 59 || fields.second > 59) {
+        return null;
+    }
+    return fields.offset !== null
+        ? new Date(local.getTime() - fields.offset)
+        : fromLocalDate(local, timezone);
+}
+
+/**
+ * Day of week index (0 is Sunday) of a startOfWeek name or abbreviation
+ */
+function parseStartOfWeek(startOfWeek = 'sunday') {
+    const name = String(startOfWeek).toLowerCase();
+    const index = DAY_NAMES.findIndex(day => day === name || day.slice(0, 3) === name);
+    if (index === -1) {
+        throw expressionError(`unknown startOfWeek: ${startOfWeek}`);
+    }
+    return index;
+}
+
+/**
+ * Check a date unit name
+ */
+function requireDateUnit(operator, unit) {
+    if (!(unit in MS_PER_UNIT) && !(unit in MONTHS_PER_UNIT)) {
+        throw expressionError(`${operator} parameter 'unit' value cannot be recognized as a time unit: ${unit}`);
+    }
+    return unit;
+}
+
+/**
+ * Index of the bin of binSize units a wall-clock time falls in, counted from
+ * the reference date (for weeks, the first startOfWeek on or after it)
+ */
+function getDateBin(local, unit, binSize, startOfWeek) {
+    if (unit in MONTHS_PER_UNIT) {
+        const months = (local.getUTCFullYear() - 2000) * 12 + local.getUTCMonth();
+        return Math.floor(months / (MONTHS_PER_UNIT[unit] * binSize));
+    }
+    return Math.floor((local.getTime() - getBinReference(unit, startOfWeek)) / (MS_PER_UNIT[unit] * binSize));
+}
+
+/**
+ * Wall-clock start of a bin from getDateBin
+ */
+function getBinStart(bin, unit, binSize, startOfWeek) {
+    if (unit in MONTHS_PER_UNIT) {
+        return new Date(Date.UTC(2000, bin * MONTHS_PER_UNIT[unit] * binSize, 1));
+    }
+    return new Date(getBinReference(unit, startOfWeek) + bin * MS_PER_UNIT[unit] * binSize);
+}
+
+function getBinReference(unit, startOfWeek) {
+    return unit === 'week'
+        ? DATE_REFERENCE + ((startOfWeek - DATE_REFERENCE_DAY + 7) % 7) * MS_PER_UNIT.day
+        : DATE_REFERENCE;
+}
+
+/**
+ * Add an amount of a unit to a date; calendar units move the wall clock in
+ * the timezone, so DST and month lengths are respected
+ */
+export function addToDate(date, unit, amount, timezone = null) {
+    if (unit in MONTHS_PER_UNIT) {
+        const local = toLocalDate(date, timezone);
+        const month = local.getUTCMonth() + amount * MONTHS_PER_UNIT[unit];
+        const lastDay = new Date(Date.UTC(local.getUTCFullYear(), month + 1, 0)).getUTCDate();
+        local.setUTCFullYear(local.getUTCFullYear(), month, Math.min(local.getUTCDate(), lastDay));
+        return fromLocalDate(local, timezone);
+    }
+    if (unit === 'day' || unit === 'week') {
+        const local = toLocalDate(date, timezone);
+        return fromLocalDate(new Date(local.getTime() + amount * MS_PER_UNIT[unit]), timezone);
+    }
+    return new Date(date.getTime() + amount * MS_PER_UNIT[unit]);
+}
+
+/**
+ * Round half to even at a number of decimal places (negative rounds left of the point)
+ */
+function roundHalfEven(value, place) {
+    const scale = 10 ** Math.abs(place);
+    const scaled = place >= 0 ? value * scale : value / scale;
+    const floor = Math.floor(scaled);
+    const fraction = scaled - floor;
+    const rounded = fraction > 0.5 || (fraction === 0.5 && floor % 2 !== 0) ? floor + 1 : floor;
+    return place >= 0 ? rounded / scale : rounded * scale;
+}
+
+/**
+ * Expression Evaluator for aggregation expressions
+ */
+export class ExpressionEvaluator {
+    evaluate(expression, document, variables = {}) {
+        if (expression === null || expression === undefined) {
+            return expression;
+        }
+        
+        // String starting with $ is field reference
+        if (typeof expression === 'string' && expression.startsWith('$')) {
+            if (expression.startsWith('$$')) {
+                return this.resolveVariable(expression.substring(2), document, variables);
+            }
+            
+            const fieldPath = expression.substring(1);
+            return this.getFieldValue(document, fieldPath);
+        }
+        
+        // Object might be an operator expression
+        if (typeof expression === 'object' && !Array.isArray(expression)) {
+            // Dates, ObjectIds, Binary and other typed values are literals
+            const prototype = Object.getPrototypeOf(expression);
+            if (prototype !== Object.prototype && prototype !== null) {
+                return expression;
+            }
+            
+            const keys = Object.keys(expression);
+            if (keys.length === 1 && keys[0].startsWith('$')) {
+                return this.evaluateOperator(keys[0], expression[keys[0]], document, variables);
+            }
+            
+            // Otherwise, evaluate each property
+            const result = {};
+            for (const [key, value] of Object.entries(expression)) {
+                result[key] = this.evaluate(value, document, variables);
+            }
+            return result;
+        }
+        
+        // Array - evaluate each element
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.evaluate(item, document, variables));
+        }
+        
+        // Literal value
+        return expression;
+    }
+    
+    evaluateOperator(operator, operands, document, variables = {}) {
+        switch (operator) {
+            // Arithmetic
+            case '$add':
+                return operands.reduce((sum, op) => 
+                    sum + this.evaluate(op, document, variables), 0);
+            case '$subtract':
+                const [minuend, subtrahend] = operands.map(op => this.evaluate(op, document, variables));
+                // A date minus milliseconds is a date; a date minus a date is milliseconds
+                if (minuend instanceof Date && !(subtrahend instanceof Date)) {
+                    return new Date(minuend.getTime() - subtrahend);
+                }
+                return minuend - subtrahend;
+            case '$multiply':
+                return operands.reduce((product, op) => 
+                    product * this.evaluate(op, document, variables), 1);
+            case '$divide':
+                const [dividend, divisor] = operands;
+                return this.evaluate(dividend, document, variables) / this.evaluate(divisor, document, variables);
+            case '$mod':
+                const [n, m] = operands;
+                return this.evaluate(n, document, variables) % this.evaluate(m, document, variables);
+            case '$round':
+                return this.evaluateRound(operands, document, variables);
+            case '$min':
+            case '$max':
+                return this.evaluateMinMax(operator, operands, document, variables);
+                
+            // String
+            case '$concat':
+                return operands.map(op => 
+                    String(this.evaluate(op, document, variables))
+                ).join('');
+            case '$substr':
+                const [str, start, length] = operands;
+                return String(this.evaluate(str, document, variables)).substr(
+                    this.evaluate(start, document, variables),
+                    this.evaluate(length, document, variables)
+                );
+            case '$toLower':
+                return String(this.evaluate(operands, document, variables)).toLowerCase();
+            case '$toUpper':
+                return String(this.evaluate(operands, document, variables)).toUpperCase();
+            case '$split':
+                return this.evaluateSplit(operands, document, variables);
+            case '$trim':
+            case '$ltrim':
+            case '$rtrim':
+                return this.evaluateTrim(operator, operands, document, variables);
+            case '$regexMatch':
+                return this.evaluateRegexMatch(operands, document, variables);
+                
+            // Comparison
+            case '$eq':
+                const [a, b] = operands;
+                return this.valuesEqual(this.evaluate(a, document, variables) ?? null, this.evaluate(b, document, variables) ?? null);
+            case '$ne':
+                return !this.valuesEqual(this.evaluate(operands[0], document, variables) ?? null, this.evaluate(operands[1], document, variables) ?? null);
+            case '$cmp':
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                return this.evaluateComparison(operator, operands, document, variables);
+                
+            // Logical
+            case '$and':
+                return operands.every(op => this.evaluate(op, document, variables));
+            case '$or':
+                return operands.some(op => this.evaluate(op, document, variables));
+            case '$not':
+                return !this.evaluate(operands, document, variables);
+                
+            // Conditional
+            case '$cond':
+                // Either { if, then, else } or [if, then, else]
+                const [condition, thenBranch, elseBranch] = Array.isArray(operands)
+                    ? operands
+                    : [operands.if, operands.then, operands.else];
+                return this.evaluate(condition, document, variables) 
+                    ? this.evaluate(thenBranch, document, variables)
+                    : this.evaluate(elseBranch, document, variables);
+            case '$ifNull':
+                const [expr, replacement] = operands;
+                const val = this.evaluate(expr, document, variables);
+                return val === null || val === undefined 
+                    ? this.evaluate(replacement, document, variables)
+                    : val;
+            case '$switch':
+                return this.evaluateSwitch(operands, document, variables);
+                    
+            // Array
+            case '$size':
+                const arr = this.evaluate(operands, document, variables);
+                return Array.isArray(arr) ? arr.length : 0;
+            case '$arrayElemAt':
+                const [array, index] = operands;
+                const arrVal = this.evaluate(array, document, variables);
+                const idx = this.evaluate(index, document, variables);
+                return Array.isArray(arrVal) ? arrVal[idx] : undefined;
+            case '$in':
+                return this.evaluateIn(operands, document, variables);
+            case '$map':
+                return this.evaluateMap(operands, document, variables);
+            case '$filter':
+                return this.evaluateFilter(operands, document, variables);
+            case '$reduce':
+                return this.evaluateReduce(operands, document, variables);
+                
+            // Object
+            case '$mergeObjects':
+                return this.mergeObjects(
+                    [].concat(operands).map(op => this.evaluate(op, document, variables))
+                );
+            case '$objectToArray':
+                return this.evaluateObjectToArray(this.evaluateArgument(operands, document, variables));
+            case '$arrayToObject':
+                return this.evaluateArrayToObject(this.evaluateArgument(operands, document, variables));
+                
+            // Date
+            case '$year':
+            case '$month':
+            case '$dayOfMonth':
+            case '$hour':
+            case '$minute':
+            case '$second':
+                const date = new Date(this.evaluate(operands, document, variables));
+                switch (operator) {
+                    case '$year': return date.getFullYear();
+                    case '$month': return date.getMonth() + 1;
+                    case '$dayOfMonth': return date.getDate();
+                    case '$hour': return date.getHours();
+                    case '$minute': return date.getMinutes();
+                    case '$second': return date.getSeconds();
+                }
+                break;
+            case '$dateToString':
+                return this.evaluateDateToString(operands, document, variables);
+            case '$dateFromString':
+                return this.evaluateDateFromString(operands, document, variables);
+            case '$dateTrunc':
+                return this.evaluateDateTrunc(operands, document, variables);
+            case '$dateAdd':
+            case '$dateSubtract':
+                return this.evaluateDateAdd(operator, operands, document, variables);
+            case '$dateDiff':
+                return this.evaluateDateDiff(operands, document, variables);
+                
+            // Type conversion
+            case '$convert':
+                return this.evaluateConvert(operands, document, variables);
+            case '$toString':
+            case '$toInt':
+            case '$toLong':
+            case '$toDouble':
+            case '$toBool':
+            case '$toDate':
+            case '$toObjectId':
+                return this.convert(this.evaluateArgument(operands, document, variables), CONVERT_SHORTHANDS[operator]);
+                
+            // Variables and literals
+            case '$let':
+                return this.evaluateLet(operands, document, variables);
+            case '$literal':
+                return operands;
+                
+            default:
+                throw new Error(`Unknown operator: ${operator}`);
+        }
+    }
+    
+    /**
+     * Evaluate the argument of a one-argument operator, given bare or as [arg]
+     */
+    evaluateArgument(operands, document, variables) {
+        return this.evaluate(
+            Array.isArray(operands) && operands.length === 1 ? operands[0] : operands,
+            document,
+            variables
+        );
+    }
+
+    /**
+     * $cmp, $gt, $gte, $lt and $lte, in BSON order across types
+     */
+    evaluateComparison(operator, [first, second], document, variables) {
+        const order = compareBson(this.evaluate(first, document, variables), this.evaluate(second, document, variables));
+        switch (operator) {
+            case '$cmp': return order;
+            case '$gt': return order > 0;
+            case '$gte': return order >= 0;
+            case '$lt': return order < 0;
+            default: return order <= 0;
+        }
+    }
+    
+    /**
+     * Equality for $eq, $ne and $in: numbers across types, documents and
+     * arrays by value
+     */
+    valuesEqual(a, b) {
+        if (a === b) {
+            return true;
+        }
+        const [x, y] = [toNumeric(a), toNumeric(b)];
+        if (x !== null && y !== null) {
+            return x === y;
+        }
+        return a !== null && b !== null && typeof a === 'object' && typeof b === 'object' &&
+            getDocumentKey(a) === getDocumentKey(b);
+    }
+    
+    evaluateRound([number, place = 0], document, variables) {
+        const value = this.evaluate(number, document, variables);
+        const digits = this.evaluate(place, document, variables);
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (toNumeric(value) === null) {
+            throw expressionError(`$round only supports numeric types, not ${typeof value}`, 51081);
+        }
+        if (!Number.isInteger(digits) || digits < -20 || digits > 100) {
+            throw expressionError('$round requires an integer place between -20 and 100', 51083);
+        }
+        return roundHalfEven(toNumeric(value), digits);
+    }
+    
+    /**
+     * $min/$max over a list of expressions, or over the array one resolves to
+     * null and missing values are ignored; null when nothing is left
+     */
+    evaluateMinMax(operator, operands, document, variables) {
+        let values = Array.isArray(operands)
+            ? operands.map(op => this.evaluate(op, document, variables))
+            : this.evaluate(operands, document, variables);
+        if (!Array.isArray(operands) && !Array.isArray(values)) {
+            values = [values];
+        }
+        
+        let result = null;
+        for (const value of values) {
+            if (value === null || value === undefined) {
+                continue;
+            }
+            if (result === null || (operator === '$min' ? value < result : value > result)) {
+                result = value;
+            }
+        }
+        return result;
+    }
+    
+    evaluateSplit([string, delimiter], document, variables) {
+        const value = this.evaluate(string, document, variables);
+        const separator = this.evaluate(delimiter, document, variables);
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (typeof value !== 'string') {
+            throw expressionError('$split requires an expression that evaluates to a string as a first argument', 40085);
+        }
+        if (typeof separator !== 'string' || separator === '') {
+            throw expressionError('$split requires a non-empty string as a second argument', 40086);
+        }
+        return value.split(separator);
+    }
+    
+    evaluateTrim(operator, { input, chars }, document, variables) {
+        const value = this.evaluate(input, document, variables);
+        const characters = chars === undefined ? null : this.evaluate(chars, document, variables);
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (typeof value !== 'string') {
+            throw expressionError(`${operator} requires its input to be a string`, 50699);
+        }
+        
+        const set = characters === null
+            ? DEFAULT_TRIM_CHARACTERS
+            : [...characters].map(c => c.replace(/[\\\]^-]/g, '\\$&')).join('');
+        let result = value;
+        if (operator !== '$rtrim') {
+            result = result.replace(new RegExp(`^[${set}]+`, 'u'), '');
+        }
+        if (operator !== '$ltrim') {
+            result = result.replace(new RegExp(`[${set}]+$`, 'u'), '');
+        }
+        return result;
+    }
+    
+    evaluateRegexMatch({ input, regex, options }, document, variables) {
+        const value = this.evaluate(input, document, variables);
+        const pattern = this.evaluate(regex, document, variables);
+        const flags = options === undefined ? '' : this.evaluate(options, document, variables);
+        if (value === null || value === undefined || pattern === null || pattern === undefined) {
+            return false;
+        }
+        if (typeof value !== 'string') {
+            throw expressionError('$regexMatch needs \'input\' to be of type string', 51104);
+        }
+        
+        const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+        const allFlags = (pattern instanceof RegExp ? pattern.flags : '') + (flags || '');
+        // Only i, m and s carry over; x strips unescaped whitespace and comments
+        const jsFlags = [...new Set(allFlags.replace(/[^ims]/g, ''))].join('');
+        const expanded = allFlags.includes('x')
+            ? source.replace(/\\#/g, '\u0000').replace(/#.*$/gm, '').replace(/\s+/g, '').replace(/\u0000/g, '\\#')
+            : source;
+        return new RegExp(expanded, jsFlags).test(value);
+    }
+    
+    evaluateSwitch({ branches = [], default: fallback }, document, variables) {
+        for (const branch of branches) {
+            if (isTruthy(this.evaluate(branch.case, document, variables))) {
+                return this.evaluate(branch.then, document, variables);
+            }
+        }
+        if (fallback === undefined) {
+            throw expressionError(
+                '$switch could not find a matching branch for an input, and no default was specified.',
+                40066
+            );
+        }
+        return this.evaluate(fallback, document, variables);
+    }
+    
+    evaluateIn([item, list], document, variables) {
+        const value = this.evaluate(item, document, variables);
+        const array = this.evaluate(list, document, variables);
+        if (!Array.isArray(array)) {
+            throw expressionError('$in requires an array as a second argument', 40081);
+        }
+        return array.some(element => this.valuesEqual(element, value === undefined ? null : value));
+    }
+
+    /**
+     * Input array of $map, $filter and $reduce; null passes through
+     */
+    evaluateArrayInput(operator, input, document, variables, code) {
+        const array = this.evaluate(input, document, variables);
+        if (array === null || array === undefined) {
+            return null;
+        }
+        if (!Array.isArray(array)) {
+            throw expressionError(`input to ${operator} must be an array not ${typeof array}`, code);
+        }
+        return array;
+    }
+    
+    evaluateMap({ input, as = 'this', in: expression }, document, variables) {
+        const array = this.evaluateArrayInput('$map', input, document, variables, 16883);
+        return array && array.map(item =>
+            this.evaluate(expression, document, { ...variables, [as]: item })
+        );
+    }
+    
+    evaluateFilter({ input, as = 'this', cond, limit }, document, variables) {
+        const array = this.evaluateArrayInput('$filter', input, document, variables, 28651);
+        const max = limit === undefined ? null : this.evaluate(limit, document, variables);
+        if (array === null) {
+            return null;
+        }
+        if (max !== null && (!Number.isInteger(max) || max < 1)) {
+            throw expressionError('$filter: limit must be a positive integer', 327392);
+        }
+        
+        const result = [];
+        for (const item of array) {
+            if (max !== null && result.length >= max) {
+                break;
+            }
+            if (isTruthy(this.evaluate(cond, document, { ...variables, [as]: item }))) {
+                result.push(item);
+            }
+        }
+        return result;
+    }
+    
+    evaluateReduce({ input, initialValue, in: expression }, document, variables) {
+        const array = this.evaluateArrayInput('$reduce', input, document, variables, 40080);
+        if (array === null) {
+            return null;
+        }
+        return array.reduce(
+            (value, item) => this.evaluate(expression, document, { ...variables, value, this: item }),
+            this.evaluate(initialValue, document, variables)
+        );
+    }
+    
+    evaluateLet({ vars = {}, in: expression }, document, variables) {
+        const scope = { ...variables };
+        for (const [name, value] of Object.entries(vars)) {
+            scope[name] = this.evaluate(value, document, variables);
+        }
+        return this.evaluate(expression, document, scope);
+    }
+
+    /**
+     * Merge documents left to right, skipping null and missing ones
+     */
+    mergeObjects(values) {
+        const result = {};
+        for (const value of values) {
+            if (value === null || value === undefined) {
+                continue;
+            }
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                throw expressionError(`$mergeObjects requires object inputs, but input ${JSON.stringify(value)} is of type ${Array.isArray(value) ? 'array' : typeof value}`, 40400);
+            }
+            Object.assign(result, value);
+        }
+        return result;
+    }
+    
+    evaluateObjectToArray(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            throw expressionError('$objectToArray requires a document input', 40390);
+        }
+        return Object.entries(value).map(([k, v]) => ({ k, v }));
+    }
+    
+    evaluateArrayToObject(value) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        if (!Array.isArray(value)) {
+            throw expressionError('$arrayToObject requires an array input', 40386);
+        }
+        
+        const result = {};
+        for (const entry of value) {
+            const [k, v] = Array.isArray(entry) ? entry : [entry?.k, entry?.v];
+            const valid = Array.isArray(entry)
+                ? entry.length === 2
+                : entry !== null && typeof entry === 'object' && Object.keys(entry).length === 2 && 'k' in entry && 'v' in entry;
+            if (!valid || typeof k !== 'string') {
+                throw expressionError('$arrayToObject requires an array of [key, value] pairs or { k, v } documents with string keys', 40392);
+            }
+            result[k] = v;
+        }
+        return result;
+    }
+
+    /**
+     * Evaluate a date operand; null when null or missing
+     */
+    evaluateDate(operator, expression, document, variables) {
+        const value = this.evaluate(expression, document, variables);
+        if (value === null || value === undefined) {
+            return null;
+        }
+        const date = toDate(value);
+        if (!date) {
+            throw expressionError(`${operator} requires a date, not ${typeof value}`, 16006);
+        }
+        return date;
+    }
+
+    /**
+     * Evaluate the timezone option of a date operator
+     */
+    evaluateTimezone(timezone, document, variables) {
+        return timezone === undefined ? null : this.evaluate(timezone, document, variables);
+    }
+    
+    evaluateDateToString({ date, format, timezone, onNull }, document, variables) {
+        const value = this.evaluateDate('$dateToString', date, document, variables);
+        if (value === null) {
+            return onNull === undefined ? null : this.evaluate(onNull, document, variables);
+        }
+        const pattern = format === undefined ? DEFAULT_DATE_FORMAT : this.evaluate(format, document, variables);
+        return formatDate(value, pattern, this.evaluateTimezone(timezone, document, variables));
+    }
+    
+    evaluateDateFromString({ dateString, format, timezone, onError, onNull }, document, variables) {
+        const value = this.evaluate(dateString, document, variables);
+        if (value === null || value === undefined) {
+            return onNull === undefined ? null : this.evaluate(onNull, document, variables);
+        }
+        
+        const pattern = format === undefined ? null : this.evaluate(format, document, variables);
+        const date = typeof value === 'string'
+            ? parseDate(value, pattern, this.evaluateTimezone(timezone, document, variables))
+            : null;
+        if (date === null || Number.isNaN(date.getTime())) {
+            if (onError !== undefined) {
+                return this.evaluate(onError, document, variables);
+            }
+            throw expressionError(`Error parsing date string '${value}'`, 241, 'ConversionFailure');
+        }
+        return date;
+    }
+    
+    evaluateDateTrunc({ date, unit, binSize = 1, timezone, startOfWeek }, document, variables) {
+        const value = this.evaluateDate('$dateTrunc', date, document, variables);
+        const unitName = this.evaluate(unit, document, variables);
+        const size = this.evaluate(binSize, document, variables);
+        if (value === null || unitName === null || unitName === undefined) {
+            return null;
+        }
+        requireDateUnit('$dateTrunc', unitName);
+        if (!Number.isInteger(size) || size < 1) {
+            throw expressionError('$dateTrunc requires \'binSize\' to be a positive integer', 5439017);
+        }
+        
+        const zone = this.evaluateTimezone(timezone, document, variables);
+        const weekStart = parseStartOfWeek(startOfWeek && this.evaluate(startOfWeek, document, variables));
+        const bin = getDateBin(toLocalDate(value, zone), unitName, size, weekStart);
+        return fromLocalDate(getBinStart(bin, unitName, size, weekStart), zone);
+    }
+    
+    evaluateDateAdd(operator, { startDate, unit, amount, timezone }, document, variables) {
+        const value = this.evaluateDate(operator, startDate, document, variables);
+        const unitName = this.evaluate(unit, document, variables);
+        const count = this.evaluate(amount, document, variables);
+        if (value === null || unitName == null || count == null) {
+            return null;
+        }
+        requireDateUnit(operator, unitName);
+        if (!Number.isInteger(toNumeric(count))) {
+            throw expressionError(`${operator} expects integer amount of time units`, 5166405);
+        }
+        
+        const delta = operator === '$dateSubtract' ? -toNumeric(count) : toNumeric(count);
+        return addToDate(value, unitName, delta, this.evaluateTimezone(timezone, document, variables));
+    }
+    
+    /**
+     * Number of unit boundaries crossed between two dates
+     */
+    evaluateDateDiff({ startDate, endDate, unit, timezone, startOfWeek }, document, variables) {
+        const start = this.evaluateDate('$dateDiff', startDate, document, variables);
+        const end = this.evaluateDate('$dateDiff', endDate, document, variables);
+        const unitName = this.evaluate(unit, document, variables);
+        if (start === null || end === null || unitName == null) {
+            return null;
+        }
+        requireDateUnit('$dateDiff', unitName);
+        
+        const zone = this.evaluateTimezone(timezone, document, variables);
+        const weekStart = parseStartOfWeek(startOfWeek && this.evaluate(startOfWeek, document, variables));
+        return getDateBin(toLocalDate(end, zone), unitName, 1, weekStart) -
+            getDateBin(toLocalDate(start, zone), unitName, 1, weekStart);
+    }
+    
+    evaluateConvert({ input, to, onError, onNull }, document, variables) {
+        const value = this.evaluate(input, document, variables);
+        if (value === null || value === undefined) {
+            return onNull === undefined ? null : this.evaluate(onNull, document, variables);
+        }
+        
+        try {
+            return this.convert(value, this.evaluate(to, document, variables));
+        } catch (error) {
+            if (onError === undefined || error.code !== 241) {
+                throw error;
+            }
+            return this.evaluate(onError, document, variables);
+        }
+    }
+
+    /**
+     * Convert a value to a type given by name or BSON type number
+     */
+    convert(value, to) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        
+        const type = CONVERT_TYPES[to] || to;
+        if (!Object.values(CONVERT_TYPES).includes(type)) {
+            throw expressionError(`Unknown type name: ${to}`);
+        }
+        
+        const failed = () => expressionError(
+            `Unsupported conversion from ${typeof value === 'object' ? value.constructor?.name : typeof value} to ${type} in $convert with no onError value`,
+            241,
+            'ConversionFailure'
+        );
+        const number = toNumeric(value);
+        
+        switch (type) {
+            case 'string':
+                if (typeof value === 'string') return value;
+                if (number !== null) return typeof value === 'bigint' ? value.toString() : String(number);
+                if (typeof value === 'boolean') return String(value);
+                if (value instanceof Date) return value.toISOString();
+                if (value instanceof ObjectId || value?.constructor?.name === 'ObjectId') return value.toString();
+                throw failed();
+            
+            case 'bool':
+                if (number !== null) return number !== 0;
+                if (typeof value === 'boolean') return value;
+                return true;
+            
+            case 'double':
+            case 'int':
+            case 'long': {
+                let result = number;
+                if (typeof value === 'boolean') {
+                    result = Number(value);
+                } else if (value instanceof Date) {
+                    result = value.getTime();
+                } else if (typeof value === 'string') {
+                    const pattern = type === 'double' ? /^\s*[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i : /^\s*[+-]?\d+\s*$/;
+                    result = pattern.test(value) ? Number(value) : null;
+                }
+                if (result === null || Number.isNaN(result)) {
+                    throw failed();
+                }
+                if (type === 'double') {
+                    return result;
+                }
+                if (type === 'int') {
+                    if (!(value instanceof Date) && Math.trunc(result) >= -0x80000000 && Math.trunc(result) <= 0x7fffffff) {
+                        return Math.trunc(result);
+                    }
+                    throw failed();
+                }
+                return typeof value === 'bigint' ? value : BigInt(Math.trunc(result));
+            }
+            
+            case 'date': {
+                const date = toDate(value) ||
+                    (number !== null ? new Date(number) : null) ||
+                    (typeof value === 'string' ? parseDate(value, null, null) : null);
+                if (!date || Number.isNaN(date.getTime())) {
+                    throw failed();
+                }
+                return date;
+            }
+            
+            case 'objectId':
+                if (value instanceof ObjectId || value?.constructor?.name === 'ObjectId') return value;
+                if (typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value)) return new ObjectId(value);
+                throw failed();
+        }
+    }
+    
+    /**
+     * Resolve a $$variable reference, optionally followed by a field path
+     */
+    resolveVariable(reference, document, variables) {
+        const [name, ...path] = reference.split('.');
+        
+        let base;
+        if (name === 'ROOT' || name === 'CURRENT') {
+            base = document;
+        } else if (name === 'REMOVE') {
+            return undefined;
+        } else if (name === 'KEEP' || name === 'PRUNE' || name === 'DESCEND') {
+            // $redact decisions
+            return `$$${name}`;
+        } else {
+            base = variables[name];
+        }
+        
+        return path.length > 0 ? this.getFieldValue(base, path.join('.')) : base;
+    }
+    
+    getFieldValue(doc, path) {
+        const parts = path.split('.');
+        let value = doc;
+        
+        for (const part of parts) {
+            if (value == null) return undefined;
+            value = value[part];
+        }
+        
+        return value;
+    }
+}
+
+export default ExpressionEvaluator;
@@ -9,6 +9,7 @@
  */
 
 import { EventEmitter } from 'events';
+import { AggregationPipeline } from './aggregation-pipeline.js';
 
 /**
  * MongoDB Query Engine with DataFlood document generation
@@ -41,6 +42,14 @@ export class QueryEngine extends EventEmitter {
         
         // Logging
         this.logger = options.logger || this.createDefaultLogger();
+        
+        // Stages not handled here (joins, reshaping) run through the aggregation pipeline
+        this.aggregationPipeline = new AggregationPipeline({
+            logger: this.logger
+        });
+        
+        // Evaluates query filters and $match
+        this.matcher = this.aggregationPipeline.matcher;
     }
     
     createDefaultLogger() {
@@ -70,7 +79,7 @@ export class QueryEngine extends EventEmitter {
         
         try {
             // Extract constraints from query
-            const constraints = this.extractConstraints(query);
+            const constraints = collection.extractConstraints(query);
             
             // Determine how many documents to generate
             const limit = options.limit || 100;
@@ -127,69 +136,6 @@ export class QueryEngine extends EventEmitter {
         }
     }
     
-    /**
-     * Extract constraints from MongoDB query for optimized generation
-     */
-    extractConstraints(query) {
-        const constraints = {};
-        
-        for (const [field, value] of Object.entries(query)) {
-            if (field.startsWith('$')) {
-                // Logical operator
-                continue;
-            }
-            
-            if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
-                // Parse operators
-                for (const [op, val] of Object.entries(value)) {
-                    switch (op) {
-                        case '$eq':
-                            constraints[field] = { equals: val };
-                            break;
-                        case '$ne':
-                            constraints[field] = { notEquals: val };
-                            break;
-                        case '$gt':
-                            if (!constraints[field]) constraints[field] = {};
-                            constraints[field].min = val;
-                            constraints[field].excludeMin = true;
-                            break;
-                        case '$gte':
-                            if (!constraints[field]) constraints[field] = {};
-                            constraints[field].min = val;
-                            break;
-                        case '$lt':
-                            if (!constraints[field]) constraints[field] = {};
-                            constraints[field].max = val;
-                            constraints[field].excludeMax = true;
-                            break;
-                        case '$lte':
-                            if (!constraints[field]) constraints[field] = {};
-                            constraints[field].max = val;
-                            break;
-                        case '$in':
-                            constraints[field] = { values: val };
-                            break;
-                        case '$nin':
-                            constraints[field] = { excludeValues: val };
-                            break;
-                        case '$regex':
-                            constraints[field] = { pattern: val };
-                            break;
-                        case '$exists':
-                            constraints[field] = { exists: val };
-                            break;
-                    }
-                }
-            } else {
-                // Direct equality
-                constraints[field] = { equals: value };
-            }
-        }
-        
-        return constraints;
-    }
-    
     /**
      * Generate documents from DataFlood model with constraints
      */
@@ -212,14 +158,15 @@ export class QueryEngine extends EventEmitter {
     
     /**
      * Filter documents based on MongoDB query
+     * variables are the let variables $expr may refer to
      */
-    filterDocuments(documents, query) {
+    filterDocuments(documents, query, variables = {}) {
         if (!query || Object.keys(query).length === 0) {
             return documents;
         }
         
         const filterStart = Date.now();
-        const filtered = documents.filter(doc => this.matchesQuery(doc, query));
+        const filtered = this.matcher.filter(documents, query, variables);
         
         const filterTime = Date.now() - filterStart;
         this.logger.debug(`Filtered to ${filtered.length} documents in ${filterTime}ms`);
@@ -227,51 +174,6 @@ export class QueryEngine extends EventEmitter {
         return filtered;
     }
     
-    /**
-     * Check if a document matches a query
-     */
-    matchesQuery(doc, query) {
-        for (const [field, condition] of Object.entries(query)) {
-            // Handle logical operators
-            if (field === '$and') {
-                if (!condition.every(subQuery => this.matchesQuery(doc, subQuery))) {
-                    return false;
-                }
-                continue;
-            }
-            
-            if (field === '$or') {
-                if (!condition.some(subQuery => this.matchesQuery(doc, subQuery))) {
-                    return false;
-                }
-                continue;
-            }
-            
-            if (field === '$nor') {
-                if (condition.some(subQuery => this.matchesQuery(doc, subQuery))) {
-                    return false;
-                }
-                continue;
-            }
-            
-            if (field === '$not') {
-                if (this.matchesQuery(doc, condition)) {
-                    return false;
-                }
-                continue;
-            }
-            
-            // Handle field conditions
-            const fieldValue = this.getFieldValue(doc, field);
-            
-            if (!this.matchesCondition(fieldValue, condition)) {
-                return false;
-            }
-        }
-        
-        return true;
-    }
-    
     /**
      * Get nested field value from document
      */
@@ -289,139 +191,6 @@ export class QueryEngine extends EventEmitter {
         return value;
     }
     
-    /**
-     * Check if a value matches a condition
-     */
-    matchesCondition(value, condition) {
-        // Direct equality
-        if (condition === null || condition === undefined) {
-            return value == condition;
-        }
-        
-        if (typeof condition !== 'object' || Array.isArray(condition)) {
-            return this.equals(value, condition);
-        }
-        
-        // Handle operators
-        for (const [op, expected] of Object.entries(condition)) {
-            switch (op) {
-                case '$eq':
-                    if (!this.equals(value, expected)) return false;
-                    break;
-                case '$ne':
-                    if (this.equals(value, expected)) return false;
-                    break;
-                case '$gt':
-                    if (value <= expected) return false;
-                    break;
-                case '$gte':
-                    if (value < expected) return false;
-                    break;
-                case '$lt':
-                    if (value >= expected) return false;
-                    break;
-                case '$lte':
-                    if (value > expected) return false;
-                    break;
-                case '$in':
-                    if (!expected.some(v => this.equals(value, v))) return false;
-                    break;
-                case '$nin':
-                    if (expected.some(v => this.equals(value, v))) return false;
-                    break;
-                case '$exists':
-                    if ((value !== undefined) !== expected) return false;
-                    break;
-                case '$type':
-                    if (!this.matchesType(value, expected)) return false;
-                    break;
-                case '$regex':
-                    if (!this.matchesRegex(value, expected, condition.$options)) return false;
-                    break;
-                case '$size':
-                    if (!Array.isArray(value) || value.length !== expected) return false;
-                    break;
-                case '$all':
-                    if (!Array.isArray(value) || !expected.every(e => value.includes(e))) return false;
-                    break;
-                case '$elemMatch':
-                    if (!Array.isArray(value) || !value.some(v => this.matchesQuery({item: v}, {item: expected}))) return false;
-                    break;
-            }
-        }
-        
-        return true;
-    }
-    
-    /**
-     * Compare values for equality
-     */
-    equals(a, b) {
-        if (a === b) return true;
-        if (a == null || b == null) return false;
-        
-        // Handle dates
-        if (a instanceof Date && b instanceof Date) {
-            return a.getTime() === b.getTime();
-        }
-        
-        // Handle arrays
-        if (Array.isArray(a) && Array.isArray(b)) {
-            if (a.length !== b.length) return false;
-            return a.every((v, i) => this.equals(v, b[i]));
-        }
-        
-        // Handle objects
-        if (typeof a === 'object' && typeof b === 'object') {
-            const keysA = Object.keys(a);
-            const keysB = Object.keys(b);
-            if (keysA.length !== keysB.length) return false;
-            return keysA.every(key => this.equals(a[key], b[key]));
-        }
-        
-        return false;
-    }
-    
-    /**
-     * Check if value matches type
-     */
-    matchesType(value, type) {
-        const typeMap = {
-            'double': 'number',
-            'string': 'string',
-            'object': 'object',
-            'array': Array.isArray,
-            'bool': 'boolean',
-            'null': v => v === null,
-            'int': v => Number.isInteger(v),
-            'date': v => v instanceof Date
-        };
-        
-        if (typeof type === 'string') {
-            const checker = typeMap[type.toLowerCase()];
-            if (typeof checker === 'function') {
-                return checker(value);
-            }
-            return typeof value === checker;
-        }
-        
-        return false;
-    }
-    
-    /**
-     * Check if value matches regex
-     */
-    matchesRegex(value, pattern, options = '') {
-        if (typeof value !== 'string') return false;
-        
-        try {
-            const regex = new RegExp(pattern, options);
-            return regex.test(value);
-        } catch (e) {
-            return false;
-        }
-    }
-    
     /**
      * Sort documents
      */
@@ -441,30 +210,32 @@ export class QueryEngine extends EventEmitter {
     /**
      * Project documents
      */
-    projectDocuments(documents, projection) {
-        return documents.map(doc => this.projectDocument(doc, projection));
+    projectDocuments(documents, projection, variables = {}) {
+        return documents.map(doc => this.projectDocument(doc, projection, variables));
     }
     
     /**
      * Project a single document
+     * Values other than 0/1 and booleans are expressions computing the field
      */
-    projectDocument(doc, projection) {
+    projectDocument(doc, projection, variables = {}) {
         const result = {};
-        const includeMode = Object.values(projection).some(v => v === 1);
+        const isComputed = spec => spec !== 0 && spec !== 1 && typeof spec !== 'boolean';
+        const includeMode = Object.values(projection).some(v => v === 1 || v === true || isComputed(v));
         
         if (includeMode) {
             // Include only specified fields
-            for (const [field, include] of Object.entries(projection)) {
-                if (include === 1) {
-                    const value = this.getFieldValue(doc, field);
-                    if (value !== undefined) {
-                        this.setFieldValue(result, field, value);
-                    }
+            for (const [field, spec] of Object.entries(projection)) {
+                const value = isComputed(spec)
+                    ? this.aggregationPipeline.expressionEvaluator.evaluate(spec, doc, variables)
+                    : spec === 1 || spec === true ? this.getFieldValue(doc, field) : undefined;
+                if (value !== undefined) {
+                    this.setFieldValue(result, field, value);
                 }
             }
             
             // Always include _id unless explicitly excluded
-            if (projection._id !== 0 && doc._id !== undefined) {
+            if (!('_id' in projection) && doc._id !== undefined) {
                 result._id = doc._id;
             }
         } else {
@@ -472,7 +243,7 @@ export class QueryEngine extends EventEmitter {
             Object.assign(result, doc);
             
             for (const [field, exclude] of Object.entries(projection)) {
-                if (exclude === 0) {
+                if (exclude === 0 || exclude === false) {
                     this.deleteFieldValue(result, field);
                 }
             }
@@ -563,6 +334,46 @@ export class QueryEngine extends EventEmitter {
      * Execute aggregation pipeline
      */
     async executeAggregation(collection, pipeline, options = {}) {
+        const prepared = this.prepareAggregation(collection, pipeline);
+        
+        // Use collection's find method instead of executeQuery to avoid duplicate generation
+        // A leading $documents supplies the documents itself (collection is null for aggregate: 1)
+        const documents = prepared.pipeline[0]?.$documents !== undefined
+            ? []
+            : await collection.find(prepared.generationQuery, {
+                limit: prepared.limit,
+                generationStats: options.generationStats
+            });
+        
+        const context = {
+            collection,
+            generationParams: prepared.generationParams,
+            resolveCollection: options.resolveCollection || null,
+            lookupLimit: options.lookupLimit || collection?.storage.keySpaceSize || 100,
+            variables: {}
+        };
+        
+        return this.runPipeline(documents, prepared.pipeline, context);
+    }
+    
+    /**
+     * Describe how an aggregation pipeline would run
+     * The base documents come from a find; the stages then run in memory
+     */
+    async explainAggregation(collection, pipeline) {
+        const prepared = this.prepareAggregation(collection, pipeline);
+        const queryPlanner = await collection.explainFind(prepared.generationQuery, { limit: prepared.limit });
+        
+        return {
+            queryPlanner,
+            stages: prepared.pipeline
+        };
+    }
+    
+    /**
+     * Split the generation query and base sample size from a pipeline
+     */
+    prepareAggregation(collection, pipeline) {
         // Check if this is just a stats query (for Compass UI)
         const isStatsQuery = pipeline.some(stage => 
             stage.$collStats || stage.$count || stage.$indexStats
@@ -571,19 +382,44 @@ export class QueryEngine extends EventEmitter {
         // For stats queries, use a smaller sample; for data queries use more
         const limit = isStatsQuery ? 100 : 10000;
         
-        // Use collection's find method instead of executeQuery to avoid duplicate generation
-        let documents = await collection.find({}, { limit });
+        // A leading $match runs as the find for the base documents, so its filter steers
+        // generation as a find's does; its generation params also drive every joined collection
+        let generationParams = {};
+        let generationQuery = {};
+        if (pipeline.length > 0 && pipeline[0].$match) {
+            generationQuery = pipeline[0].$match;
+            generationParams = collection.extractGenerationParams(generationQuery);
+            pipeline = pipeline.slice(1);
+        }
+        
+        return { pipeline, limit, generationParams, generationQuery };
+    }
+    
+    /**
+     * Run pipeline stages over a set of documents
+     */
+    async runPipeline(documents, pipeline, context) {
+        const collection = context.collection;
+        
+        // Nested pipelines ($lookup) run through here with their own variables
+        context = {
+            ...context,
+            runPipeline: (docs, subPipeline, variables) => 
+                this.runPipeline(docs, subPipeline, { ...context, variables })
+        };
+        
+        documents = Array.from(documents);
         
         for (const stage of pipeline) {
             const [stageName, stageConfig] = Object.entries(stage)[0];
             
             switch (stageName) {
                 case '$match':
-                    documents = this.filterDocuments(documents, stageConfig);
+                    documents = this.filterDocuments(documents, stageConfig, context.variables);
                     break;
                     
                 case '$project':
-                    documents = this.projectDocuments(documents, stageConfig);
+                    documents = this.projectDocuments(documents, stageConfig, context.variables);
                     break;
                     
                 case '$sort':
@@ -598,10 +434,6 @@ export class QueryEngine extends EventEmitter {
                     documents = documents.slice(stageConfig);
                     break;
                     
-                case '$group':
-                    documents = this.groupDocuments(documents, stageConfig);
-                    break;
-                    
                 case '$unwind':
                     documents = this.unwindDocuments(documents, stageConfig);
                     break;
@@ -633,148 +465,18 @@ export class QueryEngine extends EventEmitter {
                     break;
                     
                 default:
-                    this.logger.warn(`Unsupported aggregation stage: ${stageName}`);
+                    if (this.aggregationPipeline.stageHandlers.has(stageName)) {
+                        const handler = this.aggregationPipeline.stageHandlers.get(stageName);
+                        documents = await handler(documents, stageConfig, context);
+                    } else {
+                        this.logger.warn(`Unsupported aggregation stage: ${stageName}`);
+                    }
             }
         }
         
         return documents;
     }
     
-    /**
-     * Group documents for aggregation
-     */
-    groupDocuments(documents, groupSpec) {
-        const groups = new Map();
-        
-        for (const doc of documents) {
-            // Calculate group key
-            const key = this.calculateGroupKey(doc, groupSpec._id);
-            
-            if (!groups.has(key)) {
-                groups.set(key, []);
-            }
-            groups.get(key).push(doc);
-        }
-        
-        // Build result documents
-        const results = [];
-        for (const [key, groupDocs] of groups) {
-            const result = { _id: key };
-            
-            // Calculate aggregations
-            for (const [field, spec] of Object.entries(groupSpec)) {
-                if (field === '_id') continue;
-                
-                const [op, expression] = Object.entries(spec)[0];
-                
-                switch (op) {
-                    case '$sum':
-                        result[field] = this.calculateSum(groupDocs, expression);
-                        break;
-                    case '$avg':
-                        result[field] = this.calculateAvg(groupDocs, expression);
-                        break;
-                    case '$min':
-                        result[field] = this.calculateMin(groupDocs, expression);
-                        break;
-                    case '$max':
-                        result[field] = this.calculateMax(groupDocs, expression);
-                        break;
-                    case '$count':
-                        result[field] = groupDocs.length;
-                        break;
-                    case '$first':
-                        result[field] = this.getFieldValue(groupDocs[0], expression.substring(1));
-                        break;
-                    case '$last':
-                        result[field] = this.getFieldValue(groupDocs[groupDocs.length - 1], expression.substring(1));
-                        break;
-                }
-            }
-            
-            results.push(result);
-        }
-        
-        return results;
-    }
-    
-    /**
-     * Calculate group key
-     */
-    calculateGroupKey(doc, keySpec) {
-        if (keySpec === null) return null;
-        if (typeof keySpec === 'string' && keySpec.startsWith('$')) {
-            return this.getFieldValue(doc, keySpec.substring(1));
-        }
-        if (typeof keySpec === 'object') {
-            const key = {};
-            for (const [field, expr] of Object.entries(keySpec)) {
-                if (typeof expr === 'string' && expr.startsWith('$')) {
-                    key[field] = this.getFieldValue(doc, expr.substring(1));
-                } else {
-                    key[field] = expr;
-                }
-            }
-            return JSON.stringify(key);
-        }
-        return keySpec;
-    }
-    
-    /**
-     * Calculate sum for aggregation
-     */
-    calculateSum(docs, expression) {
-        if (expression === 1) return docs.length;
-        
-        const field = expression.substring(1);
-        return docs.reduce((sum, doc) => {
-            const val = this.getFieldValue(doc, field);
-            return sum + (typeof val === 'number' ? val : 0);
-        }, 0);
-    }
-    
-    /**
-     * Calculate average for aggregation
-     */
-    calculateAvg(docs, expression) {
-        const sum = this.calculateSum(docs, expression);
-        return docs.length > 0 ? sum / docs.length : 0;
-    }
-    
-    /**
-     * Calculate min for aggregation
-     */
-    calculateMin(docs, expression) {
-        const field = expression.substring(1);
-        let min = Infinity;
-        
-        for (const doc of docs) {
-            const val = this.getFieldValue(doc, field);
-            if (typeof val === 'number' && val < min) {
-                min = val;
-            }
-        }
-        
-        return min === Infinity ? null : min;
-    }
-    
-    /**
-     * Calculate max for aggregation
-     */
-    calculateMax(docs, expression) {
-        const field = expression.substring(1);
-        let max = -Infinity;
-        
-        for (const doc of docs) {
-            const val = this.getFieldValue(doc, field);
-            if (typeof val === 'number' && val > max) {
-                max = val;
-            }
-        }
-        
-        return max === -Infinity ? null : max;
-    }
-    
     /**
      * Unwind documents for aggregation
      */
@@ -0,0 +1,1091 @@
+/**
+ * Query Matcher for MongTap
+ *
+ * The one implementation of MongoDB filter semantics, shared by collections,
+ * the query engine, the aggregation pipeline and the server:
+ * - Field paths reach into nested documents and array elements
+ * - Comparison, element, array, evaluation and logical operators
+ * - $expr, $jsonSchema and $text at the top level
+ * - Bitwise operators ($bitsAllSet, $bitsAnySet, $bitsAllClear, $bitsAnyClear)
+ * - Geospatial operators ($geoWithin, $geoIntersects, $near, $nearSphere)
+ */
+
+import { ExpressionEvaluator } from './expression-evaluator.js';
+import { getDocumentKey } from '../storage/dataflood-storage.js';
+
+/**
+ * BSON type names by $type number
+ */
+const BSON_TYPE_NAMES = {
+    1: 'double', 2: 'string', 3: 'object', 4: 'array', 5: 'binData', 6: 'undefined',
+    7: 'objectId', 8: 'bool', 9: 'date', 10: 'null', 11: 'regex', 13: 'javascript',
+    16: 'int', 17: 'timestamp', 18: 'long', 19: 'decimal', [-1]: 'minKey', 127: 'maxKey'
+};
+
+/**
+ * BSON type names of values that are class instances, by class name
+ * (names are shared by bson.js, bson-enhanced.js and the driver)
+ */
+const CLASS_TYPES = {
+    Date: 'date', RegExp: 'regex', ObjectId: 'objectId', Long: 'long', Timestamp: 'timestamp',
+    Binary: 'binData', UUID: 'binData', Buffer: 'binData', Decimal128: 'decimal',
+    Double: 'double', Int32: 'int', MinKey: 'minKey', MaxKey: 'maxKey', Code: 'javascript'
+};
+
+const NUMERIC_TYPES = new Set(['int', 'long', 'double', 'decimal']);
+
+/**
+ * JSON Schema type names ($jsonSchema type) as BSON type names
+ */
+const JSON_SCHEMA_TYPES = {
+    object: 'object', array: 'array', number: 'number', boolean: 'bool', string: 'string', null: 'null'
+};
+
+/**
+ * $jsonSchema keywords the matcher validates
+ */
+const SCHEMA_KEYWORDS = new Set([
+    'bsonType', 'type', 'enum', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum',
+    'multipleOf', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems',
+    'items', 'additionalItems', 'required', 'properties', 'minProperties', 'maxProperties',
+    'patternProperties', 'additionalProperties', 'dependencies', 'allOf', 'anyOf', 'oneOf',
+    'not', 'title', 'description'
+]);
+
+/**
+ * Operators that only qualify another operator of the same condition
+ */
+const OPERATOR_MODIFIERS = new Set(['$options', '$maxDistance', '$minDistance']);
+
+// Radius MongoDB uses to turn radians into meters
+const EARTH_RADIUS_METERS = 6378100;
+
+/**
+ * Error for a filter MongoDB would reject
+ */
+function matchError(message, code = 2, codeName = 'BadValue') {
+    return Object.assign(new Error(message), { code, codeName });
+}
+
+/**
+ * BSON type name of a value
+ */
+export function getBsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    
+    switch (typeof value) {
+        case 'undefined': return 'undefined';
+        case 'string': return 'string';
+        case 'boolean': return 'bool';
+        case 'bigint': return 'long';
+        case 'number':
+            return Number.isInteger(value) && value >= -0x80000000 && value <= 0x7fffffff ? 'int' : 'double';
+    }
+    
+    if (value.$minKey !== undefined) return 'minKey';
+    if (value.$maxKey !== undefined) return 'maxKey';
+    return CLASS_TYPES[value.constructor?.name] || 'object';
+}
+
+/**
+ * Numeric value of a number, Long, Int32, Double or Decimal128
+ */
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'bigint') return Number(value);
+    if (typeof value?.toNumber === 'function') return value.toNumber();
+    return Number(value?.value ?? value?.toString());
+}
+
+/**
+ * Whether a value is a plain document (not an array or a BSON value)
+ */
+function isDocument(value) {
+    return getBsonType(value) === 'object';
+}
+
+/**
+ * A point from GeoJSON ({ type: 'Point', coordinates }) or a legacy pair
+ * ([x, y] or { x, y }); null for anything else
+ */
+function toPoint(value) {
+    if (Array.isArray(value)) {
+        return value.length >= 2 && typeof value[0] === 'number' && typeof value[1] === 'number'
+            ? [value[0], value[1]]
+            : null;
+    }
+    if (isDocument(value)) {
+        if (value.type === 'Point') {
+            return toPoint(value.coordinates);
+        }
+        const coordinates = Object.values(value);
+        if (value.type === undefined && coordinates.length === 2 && coordinates.every(c => typeof c === 'number')) {
+            return coordinates;
+        }
+    }
+    return null;
+}
+
+/**
+ * The points, lines and polygons (lists of rings) of a GeoJSON geometry or
+ * legacy point; null when the value is not a geometry
+ */
+function toShape(value) {
+    const point = toPoint(value);
+    if (point) {
+        return { points: [point], lines: [], polygons: [] };
+    }
+    if (!isDocument(value) || typeof value.type !== 'string') {
+        return null;
+    }
+    
+    const shape = { points: [], lines: [], polygons: [] };
+    const coordinates = value.coordinates;
+    if (value.type !== 'GeometryCollection' && !Array.isArray(coordinates)) {
+        return null;
+    }
+    
+    switch (value.type) {
+        case 'MultiPoint':
+            shape.points.push(...coordinates);
+            break;
+        case 'LineString':
+            shape.lines.push(coordinates);
+            break;
+        case 'MultiLineString':
+            shape.lines.push(...coordinates);
+            break;
+        case 'Polygon':
+            shape.polygons.push(coordinates);
+            break;
+        case 'MultiPolygon':
+            shape.polygons.push(...coordinates);
+            break;
+        case 'GeometryCollection':
+            for (const geometry of value.geometries || []) {
+                const part = toShape(geometry);
+                if (part) {
+                    shape.points.push(...part.points);
+                    shape.lines.push(...part.lines);
+                    shape.polygons.push(...part.polygons);
+                }
+            }
+            break;
+        default:
+            return null;
+    }
+    return shape;
+}
+
+/**
+ * Every vertex of a shape
+ */
+function shapeVertices(shape) {
+    return [...shape.points, ...shape.lines.flat(), ...shape.polygons.flat(2)];
+}
+
+/**
+ * Every edge of a shape's lines and polygon rings
+ */
+function shapeSegments(shape) {
+    return [...shape.lines, ...shape.polygons.flat()]
+        .flatMap(path => path.slice(1).map((point, i) => [path[i], point]));
+}
+
+/**
+ * Orientation of r relative to the line p-q: 1, -1, or 0 when collinear
+ */
+function orientation(p, q, r) {
+    return Math.sign((q[1] - p[1]) * (r[0] - q[0]) - (q[0] - p[0]) * (r[1] - q[1]));
+}
+
+/**
+ * Whether p lies on the segment a-b
+ */
+function onSegment(p, a, b) {
+    return orientation(a, b, p) === 0 &&
+           p[0] >= Math.min(a[0], b[0]) && p[0] <= Math.max(a[0], b[0]) &&
+           p[1] >= Math.min(a[1], b[1]) && p[1] <= Math.max(a[1], b[1]);
+}
+
+/**
+ * Whether the segments p1-p2 and q1-q2 touch or cross
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+    const o1 = orientation(p1, p2, q1);
+    const o2 = orientation(p1, p2, q2);
+    const o3 = orientation(q1, q2, p1);
+    const o4 = orientation(q1, q2, p2);
+    
+    if (o1 !== o2 && o3 !== o4) return true;
+    return onSegment(q1, p1, p2) || onSegment(q2, p1, p2) || onSegment(p1, q1, q2) || onSegment(p2, q1, q2);
+}
+
+/**
+ * Whether a point is inside a ring or on its boundary
+ */
+function inRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (onSegment(point, ring[j], ring[i])) {
+            return true;
+        }
+        if ((yi > point[1]) !== (yj > point[1]) &&
+            point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a point is inside a polygon's outer ring and outside its holes
+ */
+function inPolygon(point, [outer, ...holes]) {
+    return inRing(point, outer) && !holes.some(hole => inRing(point, hole) && !hole.some((p, i) =>
+        i > 0 && onSegment(point, hole[i - 1], p)));
+}
+
+/**
+ * Whether two shapes share any point
+ */
+function shapesIntersect(a, b) {
+    const covers = (shape, point) =>
+        shape.points.some(p => p[0] === point[0] && p[1] === point[1]) ||
+        shapeSegments(shape).some(([p, q]) => onSegment(point, p, q)) ||
+        shape.polygons.some(polygon => inPolygon(point, polygon));
+    
+    if (shapeVertices(a).some(point => covers(b, point)) || shapeVertices(b).some(point => covers(a, point))) {
+        return true;
+    }
+    
+    const segments = shapeSegments(b);
+    return shapeSegments(a).some(([p1, p2]) => segments.some(([q1, q2]) => segmentsIntersect(p1, p2, q1, q2)));
+}
+
+/**
+ * Great-circle distance in radians between two [longitude, latitude] points
+ */
+function sphericalDistance([lng1, lat1], [lng2, lat2]) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const h = Math.sin(dLat / 2) ** 2 +
+              Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Straight-line distance between two legacy coordinate pairs
+ */
+function planarDistance([x1, y1], [x2, y2]) {
+    return Math.hypot(x2 - x1, y2 - y1);
+}
+
+/**
+ * Integer of a value for the bitwise operators; null if it has none
+ */
+function toBits(value) {
+    const type = getBsonType(value);
+    if (type === 'int' || (type === 'double' && Number.isInteger(value))) {
+        return BigInt(value);
+    }
+    if (type === 'long') {
+        return typeof value === 'bigint' ? value : BigInt.asIntN(64, value.toBigInt());
+    }
+    if (type === 'binData') {
+        return bytesToBits(Buffer.isBuffer(value) ? value : value.buffer);
+    }
+    return null;
+}
+
+/**
+ * Bits of a byte string, first byte lowest
+ */
+function bytesToBits(bytes) {
+    let bits = 0n;
+    for (let i = bytes.length - 1; i >= 0; i--) {
+        bits = (bits << 8n) | BigInt(bytes[i]);
+    }
+    return bits;
+}
+
+/**
+ * Fold case and, unless diacritic sensitive, strip accents
+ */
+function normalizeText(text, caseSensitive, diacriticSensitive) {
+    let normalized = caseSensitive ? text : text.toLowerCase();
+    if (!diacriticSensitive) {
+        normalized = normalized.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+    return normalized;
+}
+
+/**
+ * Reduce an English word to a simple stem, so plurals match singulars
+ */
+function stemWord(word) {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 4 && /(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+}
+
+/**
+ * Words of a text, stemmed
+ */
+function textWords(text) {
+    return (text.match(/[\p{L}\p{N}]+/gu) || []).map(stemWord);
+}
+
+/**
+ * Every string in a document except _id, for $text
+ */
+function collectStrings(value, strings = []) {
+    if (typeof value === 'string') {
+        strings.push(value);
+    } else if (Array.isArray(value)) {
+        value.forEach(item => collectStrings(item, strings));
+    } else if (isDocument(value)) {
+        for (const [field, item] of Object.entries(value)) {
+            if (field !== '_id') {
+                collectStrings(item, strings);
+            }
+        }
+    }
+    return strings;
+}
+
+/**
+ * Matches documents against MongoDB query filters
+ */
+export class QueryMatcher {
+    constructor(options = {}) {
+        // Evaluates $expr
+        this.expressionEvaluator = options.expressionEvaluator || new ExpressionEvaluator();
+    }
+
+    /**
+     * Documents matching a query
+     * variables are the let variables $expr may refer to
+     */
+    filter(documents, query, variables = {}) {
+        if (!query || Object.keys(query).length === 0) {
+            return documents;
+        }
+        return documents.filter(doc => this.matches(doc, query, variables));
+    }
+
+    /**
+     * Check if document matches query
+     */
+    matches(doc, query, variables = {}) {
+        for (const [field, condition] of Object.entries(query)) {
+            if (field.startsWith('$')) {
+                // Top-level operator
+                if (!this.matchesTopLevelOperator(doc, field, condition, variables)) {
+                    return false;
+                }
+            } else {
+                // Field condition, against every value the path reaches
+                const values = this.getFieldValues(doc, field);
+                if (!this.matchesValues(values, condition)) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Match logical and other top-level operators
+     */
+    matchesTopLevelOperator(doc, operator, operand, variables) {
+        switch (operator) {
+            case '$and':
+            case '$or':
+            case '$nor':
+                if (!Array.isArray(operand) || operand.length === 0) {
+                    throw matchError(`${operator} must be a nonempty array`);
+                }
+                if (operator === '$and') {
+                    return operand.every(clause => this.matches(doc, clause, variables));
+                }
+                return operator === '$or'
+                    ? operand.some(clause => this.matches(doc, clause, variables))
+                    : !operand.some(clause => this.matches(doc, clause, variables));
+            case '$not':
+                return !this.matches(doc, operand, variables);
+            case '$expr':
+                return this.isTruthy(this.expressionEvaluator.evaluate(operand, doc, variables));
+            case '$jsonSchema':
+                if (!isDocument(operand)) {
+                    throw matchError('$jsonSchema must be an object', 14, 'TypeMismatch');
+                }
+                return this.matchesSchema(doc, operand);
+            case '$text':
+                return this.matchesText(doc, operand);
+            case '$comment':
+                return true;
+            case '$where':
+                throw matchError('$where is not supported; use $expr instead');
+            default:
+                throw matchError(`unknown top level operator: ${operator}`);
+        }
+    }
+
+    /**
+     * Match a condition against the values of a path
+     * Any value may satisfy an operator; negations must hold for all of them
+     */
+    matchesValues(values, condition) {
+        if (!this.isOperatorObject(condition)) {
+            return values.some(value => this.matchesCondition(value, condition));
+        }
+        
+        for (const [op, operand] of Object.entries(condition)) {
+            if (OPERATOR_MODIFIERS.has(op)) {
+                continue;
+            }
+            
+            let matched;
+            switch (op) {
+                case '$ne':
+                case '$nin':
+                    matched = values.every(value => this.matchesOperator(value, op, operand));
+                    break;
+                case '$not':
+                    if (!(operand instanceof RegExp) && !isDocument(operand)) {
+                        throw matchError('$not needs a regex or a document');
+                    }
+                    matched = !this.matchesValues(values, operand);
+                    break;
+                case '$exists':
+                    matched = values.some(value => value !== undefined) === Boolean(operand);
+                    break;
+                case '$regex':
+                    matched = values.some(value => this.matchesRegex(value, operand, condition.$options));
+                    break;
+                case '$near':
+                case '$nearSphere': {
+                    const near = this.getNearSpec(op, condition);
+                    matched = values.some(value => this.matchesNear(value, near));
+                    break;
+                }
+                default:
+                    matched = values.some(value => this.matchesOperator(value, op, operand));
+            }
+            if (!matched) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Match field condition
+     */
+    matchesCondition(value, condition) {
+        if (condition instanceof RegExp) {
+            return this.matchesRegex(value, condition);
+        }
+        
+        if (this.isOperatorObject(condition)) {
+            return this.matchesValues([value], condition);
+        }
+        
+        // Direct equality
+        return this.equals(value, condition);
+    }
+
+    /**
+     * Match individual operator
+     */
+    matchesOperator(value, operator, operand) {
+        switch (operator) {
+            case '$eq': return this.equals(value, operand);
+            case '$ne': return !this.equals(value, operand);
+            case '$gt':
+            case '$gte':
+            case '$lt':
+            case '$lte':
+                return this.matchesComparison(value, operator, operand);
+            case '$in':
+                return this.requireArray(operator, operand).some(item => this.matchesListItem(value, item));
+            case '$nin':
+                return !this.requireArray(operator, operand).some(item => this.matchesListItem(value, item));
+            case '$exists': return (value !== undefined) === Boolean(operand);
+            case '$type': return this.matchesType(value, operand);
+            case '$regex':
+                return this.matchesRegex(value, operand);
+            case '$size':
+                return Array.isArray(value) && value.length === operand;
+            case '$all':
+                return Array.isArray(value) && this.requireArray(operator, operand).length > 0 &&
+                    operand.every(item => item?.$elemMatch !== undefined
+                        ? this.matchesOperator(value, '$elemMatch', item.$elemMatch)
+                        : value.some(v => this.equals(v, item)));
+            case '$elemMatch':
+                return Array.isArray(value) && value.some(item => this.isScalarCondition(operand)
+                    ? this.matchesValues([item], operand)
+                    : isDocument(item) && this.matches(item, operand));
+            case '$mod':
+                return this.matchesMod(value, operand);
+            case '$bitsAllSet':
+            case '$bitsAnySet':
+            case '$bitsAllClear':
+            case '$bitsAnyClear':
+                return this.matchesBits(value, operator, operand);
+            case '$geoWithin':
+            case '$within':
+                return this.matchesGeoWithin(value, operand);
+            case '$geoIntersects':
+                return this.matchesGeoIntersects(value, operand);
+            default:
+                throw matchError(`unknown operator: ${operator}`);
+        }
+    }
+
+    /**
+     * Equality as a query means it: null also matches a missing value,
+     * numbers match across int, long and double
+     */
+    equals(value, operand) {
+        if (operand === null) {
+            return value === null || value === undefined;
+        }
+        if (NUMERIC_TYPES.has(getBsonType(value)) && NUMERIC_TYPES.has(getBsonType(operand))) {
+            return toNumber(value) === toNumber(operand);
+        }
+        return this.valuesEqual(value, operand);
+    }
+
+    /**
+     * Compare values for equality, including ObjectIds and nested documents
+     */
+    valuesEqual(a, b) {
+        if (a === b) {
+            return true;
+        }
+        if (a && b && typeof a === 'object' && typeof b === 'object') {
+            return getDocumentKey(a) === getDocumentKey(b);
+        }
+        return false;
+    }
+
+    /**
+     * Order two values of the same type bracket (-1, 0 or 1); null when
+     * they cannot be compared, as a query never compares across types
+     */
+    compareValues(a, b) {
+        const typeA = getBsonType(a);
+        const typeB = getBsonType(b);
+        
+        if (NUMERIC_TYPES.has(typeA) && NUMERIC_TYPES.has(typeB)) {
+            return Math.sign(toNumber(a) - toNumber(b));
+        }
+        if (typeA !== typeB) {
+            return null;
+        }
+        
+        switch (typeA) {
+            case 'string':
+                return a < b ? -1 : a > b ? 1 : 0;
+            case 'date':
+                return Math.sign(a.getTime() - b.getTime());
+            case 'bool':
+                return Number(a) - Number(b);
+            case 'objectId': {
+                const [x, y] = [a.toString(), b.toString()];
+                return x < y ? -1 : x > y ? 1 : 0;
+            }
+            case 'timestamp': {
+                const [x, y] = [a.toBigInt(), b.toBigInt()];
+                return x < y ? -1 : x > y ? 1 : 0;
+            }
+            case 'null':
+                return 0;
+            default:
+                return this.valuesEqual(a, b) ? 0 : null;
+        }
+    }
+
+    /**
+     * Match $gt, $gte, $lt and $lte
+     */
+    matchesComparison(value, operator, operand) {
+        if (operand === null) {
+            return (operator === '$gte' || operator === '$lte') && (value === null || value === undefined);
+        }
+        
+        const order = value === undefined ? null : this.compareValues(value, operand);
+        if (order === null) {
+            return false;
+        }
+        
+        switch (operator) {
+            case '$gt': return order > 0;
+            case '$gte': return order >= 0;
+            case '$lt': return order < 0;
+            default: return order <= 0;
+        }
+    }
+
+    /**
+     * Match a value against one $in / $nin entry (a value or a regex)
+     */
+    matchesListItem(value, item) {
+        return item instanceof RegExp ? this.matchesRegex(value, item) : this.equals(value, item);
+    }
+
+    /**
+     * Check an operator's operand is an array
+     */
+    requireArray(operator, operand) {
+        if (!Array.isArray(operand)) {
+            throw matchError(`${operator} needs an array`);
+        }
+        return operand;
+    }
+
+    /**
+     * Match $type against a type name, a type number, 'number' or a list of them
+     */
+    matchesType(value, type) {
+        if (value === undefined) {
+            return false;
+        }
+        
+        const actual = getBsonType(value);
+        return (Array.isArray(type) ? type : [type]).some(alias => {
+            const name = typeof alias === 'number' ? BSON_TYPE_NAMES[alias] : alias;
+            if (name === undefined) {
+                throw matchError(`Invalid numerical type code: ${alias}`);
+            }
+            if (name !== 'number' && !Object.values(BSON_TYPE_NAMES).includes(name)) {
+                throw matchError(`Unknown type name alias: ${name}`);
+            }
+            return name === 'number' ? NUMERIC_TYPES.has(actual) : name === actual;
+        });
+    }
+
+    /**
+     * Match a string against a regex or pattern string
+     */
+    matchesRegex(value, pattern, options = '') {
+        if (typeof value !== 'string') {
+            return false;
+        }
+        
+        try {
+            const regex = pattern instanceof RegExp
+                ? pattern
+                : new RegExp(pattern, String(options).replace(/[^imsu]/g, ''));
+            return regex.test(value);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Match $mod: [divisor, remainder], on the integer part of numbers
+     */
+    matchesMod(value, operand) {
+        if (!Array.isArray(operand) || operand.length !== 2) {
+            const problem = !Array.isArray(operand)
+                ? 'needs to be an array'
+                : operand.length < 2 ? 'not enough elements' : 'too many elements';
+            throw matchError(`malformed mod, ${problem}`);
+        }
+        
+        const [divisor, remainder] = operand.map(item => Math.trunc(toNumber(item)));
+        if (!Number.isFinite(divisor) || !Number.isFinite(remainder)) {
+            throw matchError('malformed mod, divisor and remainder must be numbers');
+        }
+        if (divisor === 0) {
+            throw matchError('divisor cannot be 0');
+        }
+        
+        return NUMERIC_TYPES.has(getBsonType(value)) && Math.trunc(toNumber(value)) % divisor === remainder;
+    }
+
+    /**
+     * Match the bitwise operators against a bitmask, bit positions or BinData
+     */
+    matchesBits(value, operator, operand) {
+        const mask = this.toBitMask(operator, operand);
+        const bits = toBits(value);
+        if (bits === null) {
+            return false;
+        }
+        
+        const masked = bits & mask;
+        switch (operator) {
+            case '$bitsAllSet': return masked === mask;
+            case '$bitsAnySet': return masked !== 0n;
+            case '$bitsAllClear': return masked === 0n;
+            default: return masked !== mask;
+        }
+    }
+
+    /**
+     * Bitmask of a bitwise operator's operand
+     */
+    toBitMask(operator, operand) {
+        if (typeof operand === 'number' && Number.isInteger(operand) && operand >= 0) {
+            return BigInt(operand);
+        }
+        if (Array.isArray(operand) && operand.every(bit => Number.isInteger(bit) && bit >= 0)) {
+            return operand.reduce((mask, bit) => mask | (1n << BigInt(bit)), 0n);
+        }
+        if (getBsonType(operand) === 'binData') {
+            return toBits(operand);
+        }
+        throw matchError(`${operator} takes a non-negative integer bitmask, an array of bit positions or BinData`);
+    }
+
+    /**
+     * Match $geoWithin against a $geometry polygon, $box, $polygon, $center or $centerSphere
+     */
+    matchesGeoWithin(value, operand) {
+        const shape = toShape(value);
+        if (!shape || !isDocument(operand)) {
+            return false;
+        }
+        
+        let contains;
+        if (operand.$geometry) {
+            const region = toShape(operand.$geometry);
+            if (!region || region.polygons.length === 0) {
+                throw matchError('$geoWithin $geometry must be a Polygon or MultiPolygon');
+            }
+            contains = point => region.polygons.some(polygon => inPolygon(point, polygon));
+        } else if (operand.$box) {
+            const [[x1, y1], [x2, y2]] = operand.$box;
+            contains = ([x, y]) => x >= Math.min(x1, x2) && x <= Math.max(x1, x2) &&
+                                   y >= Math.min(y1, y2) && y <= Math.max(y1, y2);
+        } else if (operand.$polygon) {
+            contains = point => inRing(point, operand.$polygon);
+        } else if (operand.$center) {
+            const [center, radius] = operand.$center;
+            contains = point => planarDistance(center, point) <= radius;
+        } else if (operand.$centerSphere) {
+            const [center, radius] = operand.$centerSphere;
+            contains = point => sphericalDistance(center, point) <= radius;
+        } else {
+            throw matchError(`unknown geo specifier: ${JSON.stringify(operand)}`);
+        }
+        
+        const vertices = shapeVertices(shape);
+        return vertices.length > 0 && vertices.every(contains);
+    }
+
+    /**
+     * Match $geoIntersects against a $geometry
+     */
+    matchesGeoIntersects(value, operand) {
+        const region = toShape(operand?.$geometry);
+        if (!region) {
+            throw matchError('$geoIntersects needs a GeoJSON $geometry');
+        }
+        
+        const shape = toShape(value);
+        return shape !== null && shapesIntersect(shape, region);
+    }
+
+    /**
+     * Center and distance bounds of a $near or $nearSphere condition
+     * GeoJSON centers measure meters on the sphere; legacy pairs measure
+     * coordinate units ($near) or radians ($nearSphere)
+     */
+    getNearSpec(operator, condition) {
+        const operand = condition[operator];
+        const geometry = operand?.$geometry;
+        const point = toPoint(geometry || operand);
+        if (!point) {
+            throw matchError(`invalid point in ${operator} query: ${JSON.stringify(operand)}`);
+        }
+        
+        return {
+            point,
+            meters: Boolean(geometry),
+            spherical: Boolean(geometry) || operator === '$nearSphere',
+            maxDistance: (geometry ? operand.$maxDistance : undefined) ?? condition.$maxDistance,
+            minDistance: (geometry ? operand.$minDistance : undefined) ?? condition.$minDistance
+        };
+    }
+
+    /**
+     * Distance of a value from the center of a $near; null for non-points
+     */
+    getDistance(value, near) {
+        const point = toPoint(value);
+        if (!point) {
+            return null;
+        }
+        if (!near.spherical) {
+            return planarDistance(near.point, point);
+        }
+        const radians = sphericalDistance(near.point, point);
+        return near.meters ? radians * EARTH_RADIUS_METERS : radians;
+    }
+
+    /**
+     * Match a value within the distance bounds of a $near
+     */
+    matchesNear(value, near) {
+        const distance = this.getDistance(value, near);
+        return distance !== null &&
+               (near.maxDistance === undefined || distance <= near.maxDistance) &&
+               (near.minDistance === undefined || distance >= near.minDistance);
+    }
+
+    /**
+     * The $near or $nearSphere condition of a query: { path, near }, or null
+     */
+    getNearQuery(query) {
+        for (const [field, condition] of Object.entries(query)) {
+            if (field === '$and' && Array.isArray(condition)) {
+                for (const clause of condition) {
+                    const near = this.getNearQuery(clause);
+                    if (near) return near;
+                }
+            } else if (!field.startsWith('$') && this.isOperatorObject(condition)) {
+                const operator = ['$near', '$nearSphere'].find(op => condition[op] !== undefined);
+                if (operator) {
+                    return { path: field, near: this.getNearSpec(operator, condition) };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Order documents nearest first for a $near query
+     */
+    sortByDistance(documents, { path, near }) {
+        return documents
+            .map(doc => ({ doc, distance: this.getNearest(doc, path, near)?.distance ?? Infinity }))
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ doc }) => doc);
+    }
+
+    /**
+     * Nearest location at a path of a document: { location, distance }, or
+     * null when the path holds no points
+     */
+    getNearest(doc, path, near) {
+        let nearest = null;
+        for (const location of this.getFieldValues(doc, path)) {
+            const distance = this.getDistance(location, near);
+            if (distance !== null && (nearest === null || distance < nearest.distance)) {
+                nearest = { location, distance };
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Whether a value is a GeoJSON point or a legacy coordinate pair
+     */
+    isPoint(value) {
+        return toPoint(value) !== null;
+    }
+
+    /**
+     * Match $text: any of the search terms, every quoted phrase, none of
+     * the negated terms, over all string fields of the document
+     */
+    matchesText(doc, { $search, $caseSensitive = false, $diacriticSensitive = false } = {}) {
+        if (typeof $search !== 'string') {
+            throw matchError('$text needs a $search string');
+        }
+        
+        const normalize = text => normalizeText(text, $caseSensitive, $diacriticSensitive);
+        const phrases = [...$search.matchAll(/"([^"]*)"/g)].map(match => normalize(match[1])).filter(Boolean);
+        const words = $search.replace(/"[^"]*"/g, ' ').split(/\s+/).filter(Boolean);
+        const negated = words.filter(word => word.startsWith('-')).flatMap(word => textWords(normalize(word.slice(1))));
+        const terms = words.filter(word => !word.startsWith('-')).flatMap(word => textWords(normalize(word)));
+        
+        const text = normalize(collectStrings(doc).join('\n'));
+        const present = new Set(textWords(text));
+        
+        if (phrases.some(phrase => !text.includes(phrase)) || negated.some(word => present.has(word))) {
+            return false;
+        }
+        return phrases.length > 0 || terms.some(word => present.has(word));
+    }
+
+    /**
+     * Validate a value against a $jsonSchema (draft 4 keywords and bsonType)
+     */
+    matchesSchema(value, schema) {
+        for (const keyword of Object.keys(schema)) {
+            if (!SCHEMA_KEYWORDS.has(keyword)) {
+                throw matchError(`Unknown $jsonSchema keyword: ${keyword}`, 9, 'FailedToParse');
+            }
+        }
+        
+        const type = getBsonType(value);
+        const numeric = NUMERIC_TYPES.has(type);
+        const has = keyword => schema[keyword] !== undefined;
+        
+        if (has('bsonType') && !this.matchesSchemaType(type, schema.bsonType, name => name)) return false;
+        if (has('type') && !this.matchesSchemaType(type, schema.type, name => JSON_SCHEMA_TYPES[name])) return false;
+        if (has('enum') && !schema.enum.some(item => this.valuesEqual(value, item))) return false;
+        
+        if (numeric) {
+            const number = toNumber(value);
+            if (has('minimum') && (schema.exclusiveMinimum ? number <= schema.minimum : number < schema.minimum)) return false;
+            if (has('maximum') && (schema.exclusiveMaximum ? number >= schema.maximum : number > schema.maximum)) return false;
+            if (has('multipleOf') && number % schema.multipleOf !== 0) return false;
+        }
+        
+        if (type === 'string') {
+            const length = [...value].length;
+            if (has('minLength') && length < schema.minLength) return false;
+            if (has('maxLength') && length > schema.maxLength) return false;
+            if (has('pattern') && !new RegExp(schema.pattern, 'u').test(value)) return false;
+        }
+        
+        if (type === 'array' && !this.matchesArraySchema(value, schema)) return false;
+        if (type === 'object' && !this.matchesObjectSchema(value, schema)) return false;
+        
+        if (has('allOf') && !schema.allOf.every(sub => this.matchesSchema(value, sub))) return false;
+        if (has('anyOf') && !schema.anyOf.some(sub => this.matchesSchema(value, sub))) return false;
+        if (has('oneOf') && schema.oneOf.filter(sub => this.matchesSchema(value, sub)).length !== 1) return false;
+        if (has('not') && this.matchesSchema(value, schema.not)) return false;
+        
+        return true;
+    }
+
+    /**
+     * Match a bsonType or type keyword (a name or a list of names)
+     */
+    matchesSchemaType(actual, types, toBsonType) {
+        return (Array.isArray(types) ? types : [types]).some(name => {
+            const bsonType = toBsonType(name);
+            return bsonType === 'number' ? NUMERIC_TYPES.has(actual) : bsonType === actual;
+        });
+    }
+
+    /**
+     * Array keywords of a $jsonSchema
+     */
+    matchesArraySchema(array, schema) {
+        if (schema.minItems !== undefined && array.length < schema.minItems) return false;
+        if (schema.maxItems !== undefined && array.length > schema.maxItems) return false;
+        if (schema.uniqueItems && new Set(array.map(item => getDocumentKey(item))).size !== array.length) return false;
+        
+        if (Array.isArray(schema.items)) {
+            const extra = array.slice(schema.items.length);
+            if (!schema.items.every((sub, i) => i >= array.length || this.matchesSchema(array[i], sub))) return false;
+            if (schema.additionalItems === false && extra.length > 0) return false;
+            if (isDocument(schema.additionalItems) && !extra.every(item => this.matchesSchema(item, schema.additionalItems))) {
+                return false;
+            }
+        } else if (schema.items !== undefined && !array.every(item => this.matchesSchema(item, schema.items))) {
+            return false;
+        }
+        
+        return true;
+    }
+
+    /**
+     * Object keywords of a $jsonSchema
+     */
+    matchesObjectSchema(doc, schema) {
+        const fields = Object.keys(doc).filter(field => doc[field] !== undefined);
+        const properties = schema.properties || {};
+        const patterns = Object.entries(schema.patternProperties || {})
+            .map(([pattern, sub]) => [new RegExp(pattern, 'u'), sub]);
+        
+        if (schema.required && !schema.required.every(field => doc[field] !== undefined)) return false;
+        if (schema.minProperties !== undefined && fields.length < schema.minProperties) return false;
+        if (schema.maxProperties !== undefined && fields.length > schema.maxProperties) return false;
+        
+        for (const field of fields) {
+            const matching = patterns.filter(([regex]) => regex.test(field));
+            if (properties[field] !== undefined && !this.matchesSchema(doc[field], properties[field])) return false;
+            if (!matching.every(([, sub]) => this.matchesSchema(doc[field], sub))) return false;
+            
+            // Fields neither properties nor patternProperties describe
+            if (properties[field] === undefined && matching.length === 0) {
+                if (schema.additionalProperties === false) return false;
+                if (isDocument(schema.additionalProperties) && !this.matchesSchema(doc[field], schema.additionalProperties)) {
+                    return false;
+                }
+            }
+        }
+        
+        for (const [field, dependency] of Object.entries(schema.dependencies || {})) {
+            if (doc[field] === undefined) continue;
+            if (Array.isArray(dependency) ? !dependency.every(name => doc[name] !== undefined) : !this.matchesSchema(doc, dependency)) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Truthiness of an aggregation expression result, as $expr sees it
+     */
+    isTruthy(value) {
+        return value !== false && value !== null && value !== undefined && value !== 0;
+    }
+
+    /**
+     * Check if a condition only holds value operators (no field names)
+     */
+    isScalarCondition(condition) {
+        return this.isOperatorObject(condition) &&
+               Object.keys(condition).every(k => k.startsWith('$') && !['$and', '$or', '$nor'].includes(k));
+    }
+
+    /**
+     * Check if value is operator object
+     */
+    isOperatorObject(value) {
+        return value && typeof value === 'object' &&
+               !Array.isArray(value) &&
+               Object.keys(value).some(k => k.startsWith('$'));
+    }
+
+    /**
+     * Get every value a path reaches, descending into arrays
+     * Array values also contribute their elements
+     */
+    getFieldValues(doc, path) {
+        let values = [doc];
+        
+        for (const part of path.split('.')) {
+            const next = [];
+            for (const value of values) {
+                if (Array.isArray(value) && !/^\d+$/.test(part)) {
+                    for (const item of value) {
+                        if (item !== null && typeof item === 'object') {
+                            next.push(item[part]);
+                        }
+                    }
+                } else if (value !== null && typeof value === 'object') {
+                    next.push(value[part]);
+                }
+            }
+            values = next;
+        }
+        
+        const expanded = values.length > 0 ? [...values] : [undefined];
+        for (const value of values) {
+            if (Array.isArray(value)) {
+                expanded.push(...value);
+            }
+        }
+        return expanded;
+    }
+}
+
+export default QueryMatcher;
@@ -19,7 +19,7 @@ export class MetricsCollector extends EventEmitter {
         super();
         
         this.options = {
-            collectInterval: options.collectInterval || 10000, // 10 seconds
+            collectInterval: options.collectInterval ?? 10000, // 10 seconds; 0 disables
             historySize: options.historySize || 1000,
             enableSystemMetrics: options.enableSystemMetrics !== false,
             enableDetailedTracking: options.enableDetailedTracking || false
@@ -41,6 +41,13 @@ export class MetricsCollector extends EventEmitter {
             schemaInferences: new MetricCounter('schemaInferences')
         };
         
+        // Generation metrics (rejection sampling for filtered finds)
+        this.generation = {
+            generated: new MetricCounter('generated'),
+            accepted: new MetricCounter('accepted'),
+            budgetExhausted: new MetricCounter('budgetExhausted')
+        };
+        
         // Network metrics
         this.network = {
             connections: new MetricGauge('connections'),
@@ -182,6 +189,35 @@ export class MetricsCollector extends EventEmitter {
         }
     }
     
+    /**
+     * Record a generate-and-filter pass
+     */
+    recordGeneration(stats = {}) {
+        this.generation.generated.increment(stats.generated || 0);
+        this.generation.accepted.increment(stats.accepted || 0);
+        if (stats.budgetExhausted) {
+            this.generation.budgetExhausted.increment();
+        }
+        if (stats.durationMillis !== undefined) {
+            this.performance.generationLatency.record(stats.durationMillis);
+        }
+        
+        if (this.options.enableDetailedTracking) {
+            this.emit('generation', {
+                ...stats,
+                timestamp: Date.now()
+            });
+        }
+    }
+    
+    /**
+     * Get the share of generated documents that matched their filter
+     */
+    getAcceptanceRate() {
+        const generated = this.generation.generated.getValue();
+        return generated > 0 ? this.generation.accepted.getValue() / generated : null;
+    }
+    
     /**
      * Record network activity
      */
@@ -285,6 +321,13 @@ export class MetricsCollector extends EventEmitter {
                 schemaInferences: this.models.schemaInferences.getValue()
             },
             
+            generation: {
+                generated: this.generation.generated.getValue(),
+                accepted: this.generation.accepted.getValue(),
+                budgetExhausted: this.generation.budgetExhausted.getValue(),
+                acceptanceRate: this.getAcceptanceRate()
+            },
+            
             network: {
                 connections: this.network.connections.getValue(),
                 bytesReceived: this.network.bytesReceived.getValue(),
@@ -398,6 +441,8 @@ export class MetricsCollector extends EventEmitter {
                 aggregation: current.performance.aggregationLatency
             },
             
+            generation: current.generation,
+            
             resources: current.resources,
             
             topErrors: Array.from(this.errors.byType.entries())
@@ -463,6 +508,9 @@ export class MetricsCollector extends EventEmitter {
         for (const metric of Object.values(this.models)) {
             metric.reset();
         }
+        for (const metric of Object.values(this.generation)) {
+            metric.reset();
+        }
         for (const metric of Object.values(this.network)) {
             metric.reset();
         }
@@ -295,31 +295,78 @@ export class Decimal128 {
     }
 
     _parseString(str) {
-        // Simplified Decimal128 parsing
-        // In production, use a proper IEEE 754-2008 decimal128 implementation
-        const num = parseFloat(str);
-        if (isNaN(num)) {
-            // NaN representation
+        // IEEE 754-2008 decimal128, binary integer decimal encoding
+        const text = str.trim();
+        if (/^[+-]?(inf|infinity)$/i.test(text)) {
+            this.bytes[15] = text.startsWith('-') ? 0xf8 : 0x78;
+            return;
+        }
+        if (/^[+-]?nan$/i.test(text)) {
             this.bytes[15] = 0x7c;
-        } else if (!isFinite(num)) {
-            // Infinity representation
-            this.bytes[15] = num > 0 ? 0x78 : 0xf8;
-        } else {
-            // Store as simplified representation (not fully IEEE 754-2008 compliant)
-            // This is a placeholder - real implementation would properly encode the decimal
-            const buffer = Buffer.alloc(16);
-            buffer.writeDoubleLE(num, 0);
-            this.bytes = buffer;
+            return;
+        }
+        
+        const match = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text);
+        if (!match || !(match[2] || match[3])) {
+            throw new Error(`Invalid Decimal128 string: ${str}`);
+        }
+        
+        let digits = ((match[2] || '') + (match[3] || '')).replace(/^0+(?=\d)/, '');
+        let exponent = Number(match[4] || 0) - (match[3] || '').length;
+        // Drop trailing zeros that do not fit in 34 digits or the exponent range
+        while ((digits.length > 34 || exponent < -6176) && digits.length > 1 && digits.endsWith('0')) {
+            digits = digits.slice(0, -1);
+            exponent++;
         }
+        if (digits.length > 34 || exponent < -6176 || exponent > 6111) {
+            throw new Error(`Decimal128 value out of range: ${str}`);
+        }
+        
+        const coefficient = BigInt(digits);
+        const high = (match[1] === '-' ? 1n << 63n : 0n) |
+            (BigInt(exponent + 6176) << 49n) |
+            (coefficient >> 64n);
+        this.bytes.writeBigUInt64LE(coefficient & 0xffffffffffffffffn, 0);
+        this.bytes.writeBigUInt64LE(high, 8);
     }
 
     toString() {
-        // Simplified conversion back to string
-        // In production, properly decode IEEE 754-2008 decimal128
-        if (this.bytes[15] === 0x7c) return 'NaN';
-        if (this.bytes[15] === 0x78) return 'Infinity';
-        if (this.bytes[15] === 0xf8) return '-Infinity';
-        return this.bytes.readDoubleLE(0).toString();
+        const high = this.bytes.readBigUInt64LE(8);
+        const low = this.bytes.readBigUInt64LE(0);
+        const sign = high >> 63n ? '-' : '';
+        
+        let exponent;
+        let coefficient;
+        if (((high >> 61n) & 3n) === 3n) {
+            const special = (high >> 58n) & 0x1fn;
+            if (special === 0x1fn) return 'NaN';
+            if (special === 0x1en) return `${sign}Infinity`;
+            // Coefficients too large for the format are zero
+            exponent = Number((high >> 47n) & 0x3fffn) - 6176;
+            coefficient = '0';
+        } else {
+            exponent = Number((high >> 49n) & 0x3fffn) - 6176;
+            coefficient = (((high & 0x1ffffffffffffn) << 64n) | low).toString();
+        }
+        
+        // Canonical string representation from the decimal arithmetic spec
+        const adjusted = exponent + coefficient.length - 1;
+        if (exponent > 0 || adjusted < -6) {
+            const fraction = coefficient.length > 1 ? `.${coefficient.slice(1)}` : '';
+            return `${sign}${coefficient[0]}${fraction}E${adjusted >= 0 ? '+' : ''}${adjusted}`;
+        }
+        if (exponent === 0) {
+            return `${sign}${coefficient}`;
+        }
+        
+        const point = coefficient.length + exponent;
+        return point > 0
+            ? `${sign}${coefficient.slice(0, point)}.${coefficient.slice(point)}`
+            : `${sign}0.${'0'.repeat(-point)}${coefficient}`;
+    }
+
+    toNumber() {
+        return Number(this.toString());
     }
 
     toJSON() {
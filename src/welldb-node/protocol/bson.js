@@ -4,6 +4,10 @@
  * Following BSON spec: http://bsonspec.org/
  */
 
+import { Decimal128 } from './bson-enhanced.js';
+
+export { Decimal128 };
+
 // BSON Type codes
 export const BSONType = {
     DOUBLE: 0x01,
@@ -72,6 +76,10 @@ export class ObjectId {
         return this.toString();
     }
 
+    toJSON() {
+        return this.toString();
+    }
+
     equals(other) {
         if (!(other instanceof ObjectId)) return false;
         return this.id.equals(other.id);
@@ -104,6 +112,14 @@ export class Long {
     toNumber() {
         return this.high * 0x100000000 + (this.low >>> 0);
     }
+
+    toString(radix = 10) {
+        return this.toBigInt().toString(radix);
+    }
+
+    toJSON() {
+        return this.toString();
+    }
 }
 
 // Timestamp class for MongoDB timestamps
@@ -124,6 +140,15 @@ export class Binary {
         this.buffer = buffer;
         this.subtype = subtype;
     }
+
+    toJSON() {
+        return {
+            $binary: {
+                base64: this.buffer.toString('base64'),
+                subType: this.subtype.toString(16).padStart(2, '0')
+            }
+        };
+    }
 }
 
 // BSON Serializer
@@ -224,6 +249,11 @@ export class BSONSerializer {
             buf.writeUInt32LE(value.low >>> 0, 0);
             buf.writeUInt32LE(value.high >>> 0, 4);
             buffers.push(buf);
+        } else if (value instanceof Decimal128) {
+            type = BSONType.DECIMAL128;
+            buffers.push(Buffer.from([type]));
+            BSONSerializer.writeCString(name, buffers);
+            buffers.push(value.bytes);
         } else if (value instanceof Binary) {
             type = BSONType.BINARY;
             buffers.push(Buffer.from([type]));
@@ -310,6 +340,8 @@ export class BSONSerializer {
                 size += 8;
             } else if (value instanceof Long) {
                 size += 8;
+            } else if (value instanceof Decimal128) {
+                size += 16;
             } else if (value instanceof Binary) {
                 size += 4 + 1 + value.buffer.length;  // size + subtype + data
             } else if (Array.isArray(value)) {
@@ -459,6 +491,11 @@ export class BSONDeserializer {
                 position += 8;
                 break;
                 
+            case BSONType.DECIMAL128:
+                value = new Decimal128(buffer.slice(position, position + 16));
+                position += 16;
+                break;
+                
             case BSONType.MIN_KEY:
                 value = { $minKey: 1 };
                 break;
@@ -483,14 +520,119 @@ export class BSONDeserializer {
     }
 }
 
+// Extended JSON (canonical) conversion for persisting typed documents
+export function toExtendedJSON(value) {
+    if (value instanceof ObjectId) {
+        return { $oid: value.toString() };
+    }
+    if (value instanceof Date) {
+        return { $date: { $numberLong: String(value.getTime()) } };
+    }
+    if (value instanceof Timestamp) {
+        return { $timestamp: { t: value.high >>> 0, i: value.low >>> 0 } };
+    }
+    if (value instanceof Long) {
+        return { $numberLong: value.toBigInt().toString() };
+    }
+    if (typeof value === 'bigint') {
+        return { $numberLong: value.toString() };
+    }
+    if (value instanceof Decimal128) {
+        return { $numberDecimal: value.toString() };
+    }
+    if (value instanceof Binary) {
+        return { $binary: { base64: value.buffer.toString('base64'), subType: value.subtype.toString(16).padStart(2, '0') } };
+    }
+    if (value instanceof RegExp) {
+        return { $regularExpression: { pattern: value.source, options: value.flags } };
+    }
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+        return { $numberDouble: String(value) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(toExtendedJSON);
+    }
+    if (value && typeof value === 'object') {
+        const result = {};
+        for (const [key, item] of Object.entries(value)) {
+            if (item !== undefined) {
+                result[key] = toExtendedJSON(item);
+            }
+        }
+        return result;
+    }
+    return value;
+}
+
+// Restore typed values from Extended JSON
+export function fromExtendedJSON(value) {
+    if (Array.isArray(value)) {
+        return value.map(fromExtendedJSON);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 1) {
+        const inner = value[keys[0]];
+        switch (keys[0]) {
+            case '$oid':
+                return new ObjectId(inner);
+            case '$date':
+                return new Date(typeof inner === 'object' ? Number(inner.$numberLong) : inner);
+            case '$timestamp':
+                return new Timestamp(inner.i, inner.t);
+            case '$numberLong':
+                return Long.fromBigInt(BigInt(inner));
+            case '$numberDecimal':
+                return new Decimal128(inner);
+            case '$binary':
+                return new Binary(Buffer.from(inner.base64, 'base64'), parseInt(inner.subType, 16));
+            case '$regularExpression':
+                return new RegExp(inner.pattern, inner.options);
+            case '$numberDouble':
+                return Number(inner);
+        }
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = fromExtendedJSON(item);
+    }
+    return result;
+}
+
+// Typed value for the JSON value a model generates for a BSON type
+export function toBsonValue(bsonType, value, subtype = 0) {
+    switch (bsonType) {
+        case 'date':
+            return new Date(value);
+        case 'objectId':
+            return /^[0-9a-f]{24}$/i.test(value) ? new ObjectId(value) : value;
+        case 'long':
+            return Long.fromBigInt(BigInt(Math.round(value)));
+        case 'decimal':
+            return new Decimal128(String(value));
+        case 'binData':
+            return new Binary(Buffer.from(value, 'base64'), subtype);
+        default:
+            return value;
+    }
+}
+
 // Main BSON interface
 export const BSON = {
     serialize: (doc) => BSONSerializer.serialize(doc),
     deserialize: (buffer) => BSONDeserializer.deserialize(buffer),
+    toExtendedJSON,
+    fromExtendedJSON,
+    toBsonValue,
     ObjectId,
     Long,
     Timestamp,
-    Binary
+    Binary,
+    Decimal128
 };
 
 // Export everything
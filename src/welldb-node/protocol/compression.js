@@ -0,0 +1,1409 @@
+/**
+ * MongoDB Wire Protocol Compression
+ * Codecs for OP_COMPRESSED messages
+ *
+ * - snappy: raw block format, pure JavaScript
+ * - zlib: Node's built-in zlib
+ * - zstd: RFC 8878 frames, pure JavaScript (full decoder, LZ77 + predefined FSE encoder)
+ */
+
+import zlib from 'zlib';
+
+/**
+ * Compressor IDs used in OP_COMPRESSED
+ */
+export const CompressorId = {
+    NOOP: 0,
+    SNAPPY: 1,
+    ZLIB: 2,
+    ZSTD: 3
+};
+
+/**
+ * Compressor names as sent in the hello `compression` list
+ */
+export const CompressorName = {
+    noop: CompressorId.NOOP,
+    snappy: CompressorId.SNAPPY,
+    zlib: CompressorId.ZLIB,
+    zstd: CompressorId.ZSTD
+};
+
+/**
+ * Compressors this server can negotiate
+ */
+export const SUPPORTED_COMPRESSORS = ['snappy', 'zstd', 'zlib'];
+
+/**
+ * Pick the compressors to use for a connection
+ * Keeps the client's order of preference, limited to what the server supports
+ */
+export function negotiateCompressors(requested = [], supported = SUPPORTED_COMPRESSORS) {
+    if (!Array.isArray(requested)) {
+        return [];
+    }
+
+    const agreed = [];
+    for (const name of requested) {
+        if (supported.includes(name) && CompressorName[name] !== undefined && !agreed.includes(name)) {
+            agreed.push(name);
+        }
+    }
+    return agreed;
+}
+
+/**
+ * Get the compressor ID for a compressor name
+ */
+export function getCompressorId(name) {
+    const id = CompressorName[name];
+    if (id === undefined) {
+        throw new Error(`Unsupported compressor: ${name}`);
+    }
+    return id;
+}
+
+/**
+ * Compress a buffer with the given compressor
+ */
+export function compress(compressorId, data, options = {}) {
+    switch (compressorId) {
+        case CompressorId.NOOP:
+            return Buffer.from(data);
+        case CompressorId.SNAPPY:
+            return SnappyCodec.compress(data);
+        case CompressorId.ZLIB:
+            return zlib.deflateSync(data, { level: options.zlibCompressionLevel ?? -1 });
+        case CompressorId.ZSTD:
+            return ZstdCodec.compress(data);
+        default:
+            throw new Error(`Unsupported compressor id: ${compressorId}`);
+    }
+}
+
+/**
+ * Decompress a buffer with the given compressor
+ */
+export function decompress(compressorId, data) {
+    switch (compressorId) {
+        case CompressorId.NOOP:
+            return Buffer.from(data);
+        case CompressorId.SNAPPY:
+            return SnappyCodec.decompress(data);
+        case CompressorId.ZLIB:
+            return zlib.inflateSync(data);
+        case CompressorId.ZSTD:
+            return ZstdCodec.decompress(data);
+        default:
+            throw new Error(`Unsupported compressor id: ${compressorId}`);
+    }
+}
+
+/**
+ * Growable byte buffer used by the codecs
+ */
+class ByteWriter {
+    constructor(capacity = 1024) {
+        this.buffer = Buffer.allocUnsafe(Math.max(capacity, 16));
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.buffer.length) {
+            return;
+        }
+        let capacity = this.buffer.length * 2;
+        while (capacity < this.length + extra) {
+            capacity *= 2;
+        }
+        const grown = Buffer.allocUnsafe(capacity);
+        this.buffer.copy(grown, 0, 0, this.length);
+        this.buffer = grown;
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.buffer[this.length++] = value & 0xFF;
+    }
+
+    writeUInt16LE(value) {
+        this.ensure(2);
+        this.buffer.writeUInt16LE(value, this.length);
+        this.length += 2;
+    }
+
+    writeUInt32LE(value) {
+        this.ensure(4);
+        this.buffer.writeUInt32LE(value >>> 0, this.length);
+        this.length += 4;
+    }
+
+    writeBytes(source, start = 0, end = source.length) {
+        const count = end - start;
+        if (count <= 0) return;
+        this.ensure(count);
+        if (Buffer.isBuffer(source)) {
+            source.copy(this.buffer, this.length, start, end);
+        } else {
+            this.buffer.set(source.subarray(start, end), this.length);
+        }
+        this.length += count;
+    }
+
+    fill(value, count) {
+        this.ensure(count);
+        this.buffer.fill(value, this.length, this.length + count);
+        this.length += count;
+    }
+
+    /**
+     * Copy an LZ77 match from earlier output (may overlap)
+     */
+    copyMatch(offset, count) {
+        if (offset <= 0 || offset > this.length) {
+            throw new Error(`Invalid match offset: ${offset}`);
+        }
+        this.ensure(count);
+        let src = this.length - offset;
+        if (offset >= count) {
+            this.buffer.copy(this.buffer, this.length, src, src + count);
+            this.length += count;
+            return;
+        }
+        for (let i = 0; i < count; i++) {
+            this.buffer[this.length++] = this.buffer[src++];
+        }
+    }
+
+    toBuffer() {
+        return Buffer.from(this.buffer.subarray(0, this.length));
+    }
+}
+
+/**
+ * Snappy codec (raw block format as used by MongoDB)
+ */
+export class SnappyCodec {
+    /**
+     * Compress a buffer
+     */
+    static compress(input) {
+        const out = new ByteWriter(input.length + Math.ceil(input.length / 6) + 16);
+
+        // Preamble: uncompressed length as varint
+        let length = input.length;
+        while (length >= 0x80) {
+            out.writeByte((length & 0x7F) | 0x80);
+            length = Math.floor(length / 128);
+        }
+        out.writeByte(length);
+
+        const table = new Int32Array(1 << 14).fill(-1);
+        let anchor = 0;
+        let pos = 0;
+
+        while (pos + 4 <= input.length) {
+            const sequence = input.readUInt32LE(pos);
+            const hash = Math.imul(sequence, 0x1E35A7BD) >>> 18;
+            const candidate = table[hash];
+            table[hash] = pos;
+
+            if (candidate >= 0 && pos - candidate <= 0xFFFF && input.readUInt32LE(candidate) === sequence) {
+                let matchLength = 4;
+                while (pos + matchLength < input.length &&
+                       input[candidate + matchLength] === input[pos + matchLength]) {
+                    matchLength++;
+                }
+
+                this.emitLiteral(out, input, anchor, pos);
+                this.emitCopy(out, pos - candidate, matchLength);
+
+                pos += matchLength;
+                anchor = pos;
+            } else {
+                pos++;
+            }
+        }
+
+        this.emitLiteral(out, input, anchor, input.length);
+        return out.toBuffer();
+    }
+
+    static emitLiteral(out, input, start, end) {
+        const length = end - start;
+        if (length === 0) return;
+
+        const n = length - 1;
+        if (n < 60) {
+            out.writeByte(n << 2);
+        } else if (n < 0x100) {
+            out.writeByte(60 << 2);
+            out.writeByte(n);
+        } else if (n < 0x10000) {
+            out.writeByte(61 << 2);
+            out.writeUInt16LE(n);
+        } else if (n < 0x1000000) {
+            out.writeByte(62 << 2);
+            out.writeByte(n & 0xFF);
+            out.writeUInt16LE(n >>> 8);
+        } else {
+            out.writeByte(63 << 2);
+            out.writeUInt32LE(n);
+        }
+
+        out.writeBytes(input, start, end);
+    }
+
+    static emitCopy(out, offset, length) {
+        // Copies are at most 64 bytes; keep the remainder at 4 or more
+        while (length >= 68) {
+            this.emitCopy2(out, offset, 64);
+            length -= 64;
+        }
+        if (length > 64) {
+            this.emitCopy2(out, offset, 60);
+            length -= 60;
+        }
+
+        if (length < 12 && offset < 2048) {
+            out.writeByte(1 | ((length - 4) << 2) | ((offset >>> 8) << 5));
+            out.writeByte(offset & 0xFF);
+        } else {
+            this.emitCopy2(out, offset, length);
+        }
+    }
+
+    static emitCopy2(out, offset, length) {
+        out.writeByte(2 | ((length - 1) << 2));
+        out.writeUInt16LE(offset);
+    }
+
+    /**
+     * Decompress a buffer
+     */
+    static decompress(input) {
+        let pos = 0;
+        let expected = 0;
+        let multiplier = 1;
+
+        // Preamble varint
+        while (true) {
+            if (pos >= input.length) {
+                throw new Error('Corrupt snappy data: truncated length');
+            }
+            const byte = input[pos++];
+            expected += (byte & 0x7F) * multiplier;
+            if ((byte & 0x80) === 0) break;
+            multiplier *= 128;
+        }
+
+        const out = new ByteWriter(expected);
+
+        while (pos < input.length) {
+            const tag = input[pos++];
+            let length;
+            let offset;
+
+            switch (tag & 3) {
+                case 0: {
+                    length = tag >>> 2;
+                    if (length >= 60) {
+                        const extra = length - 59;
+                        if (pos + extra > input.length) {
+                            throw new Error('Corrupt snappy data: truncated literal');
+                        }
+                        length = input.readUIntLE(pos, extra);
+                        pos += extra;
+                    }
+                    length += 1;
+                    if (pos + length > input.length) {
+                        throw new Error('Corrupt snappy data: truncated literal');
+                    }
+                    out.writeBytes(input, pos, pos + length);
+                    pos += length;
+                    continue;
+                }
+                case 1:
+                    length = ((tag >>> 2) & 7) + 4;
+                    offset = ((tag >>> 5) << 8) | input[pos];
+                    pos += 1;
+                    break;
+                case 2:
+                    length = (tag >>> 2) + 1;
+                    offset = input.readUInt16LE(pos);
+                    pos += 2;
+                    break;
+                case 3:
+                    length = (tag >>> 2) + 1;
+                    offset = input.readUInt32LE(pos);
+                    pos += 4;
+                    break;
+            }
+
+            if (pos > input.length) {
+                throw new Error('Corrupt snappy data: truncated copy');
+            }
+            out.copyMatch(offset, length);
+        }
+
+        if (out.length !== expected) {
+            throw new Error(`Corrupt snappy data: expected ${expected} bytes, got ${out.length}`);
+        }
+
+        return out.toBuffer();
+    }
+}
+
+/**
+ * Zstandard tables from RFC 8878
+ */
+const ZSTD_MAGIC = 0xFD2FB528;
+const ZSTD_MAX_BLOCK_SIZE = 128 * 1024;
+
+const LL_DEFAULT_DISTRIBUTION = [
+    4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1,
+    2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1,
+    -1, -1, -1, -1
+];
+const ML_DEFAULT_DISTRIBUTION = [
+    1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1,
+    -1, -1, -1, -1, -1
+];
+const OF_DEFAULT_DISTRIBUTION = [
+    1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1
+];
+
+const LL_BASELINES = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096,
+    8192, 16384, 32768, 65536
+];
+const LL_EXTRA_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12,
+    13, 14, 15, 16
+];
+const ML_BASELINES = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18,
+    19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
+    35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051,
+    4099, 8195, 16387, 32771, 65539
+];
+const ML_EXTRA_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11,
+    12, 13, 14, 15, 16
+];
+
+const LL_MAX_SYMBOL = 35;
+const ML_MAX_SYMBOL = 52;
+const OF_MAX_SYMBOL = 31;
+const ML_MAX_LENGTH = 65539 + 0xFFFF;
+
+/**
+ * Index of the highest set bit
+ */
+function highBit(value) {
+    return 31 - Math.clz32(value);
+}
+
+/**
+ * Little-endian bit reader (FSE table descriptions)
+ */
+class ForwardBitReader {
+    constructor(buffer, offset) {
+        this.buffer = buffer;
+        this.bitPos = offset * 8;
+    }
+
+    peekBits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            const p = this.bitPos + i;
+            const bit = (this.buffer[p >>> 3] >>> (p & 7)) & 1;
+            value += bit * 2 ** i;
+        }
+        return value;
+    }
+
+    readBits(count) {
+        const value = this.peekBits(count);
+        this.bitPos += count;
+        return value;
+    }
+
+    skipBits(count) {
+        this.bitPos += count;
+    }
+
+    get bytePos() {
+        return Math.ceil(this.bitPos / 8);
+    }
+}
+
+/**
+ * Reverse bit reader (Huffman and FSE streams are read from the end)
+ */
+class BackwardBitReader {
+    constructor(buffer, start, end) {
+        if (end <= start || buffer[end - 1] === 0) {
+            throw new Error('Corrupt zstd data: bad bitstream');
+        }
+        this.buffer = buffer;
+        this.start = start;
+        // Skip the padding marker (highest set bit of the last byte)
+        this.pos = (end - 1 - start) * 8 + highBit(buffer[end - 1]);
+    }
+
+    readBits(count) {
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            this.pos--;
+            let bit = 0;
+            if (this.pos >= 0) {
+                bit = (this.buffer[this.start + (this.pos >>> 3)] >>> (this.pos & 7)) & 1;
+            }
+            value = value * 2 + bit;
+        }
+        return value;
+    }
+
+    peekBits(count) {
+        const pos = this.pos;
+        const value = this.readBits(count);
+        this.pos = pos;
+        return value;
+    }
+
+    skipBits(count) {
+        this.pos -= count;
+    }
+
+    get overflowed() {
+        return this.pos < 0;
+    }
+}
+
+/**
+ * Little-endian bit writer (encoder side of BackwardBitReader)
+ */
+class BitWriter {
+    constructor() {
+        this.out = new ByteWriter(256);
+        this.accumulator = 0;
+        this.count = 0;
+    }
+
+    addBits(value, count) {
+        if (count === 0) return;
+        this.accumulator += (value % 2 ** count) * 2 ** this.count;
+        this.count += count;
+        while (this.count >= 8) {
+            this.out.writeByte(this.accumulator % 256);
+            this.accumulator = Math.floor(this.accumulator / 256);
+            this.count -= 8;
+        }
+    }
+
+    /**
+     * Add the end marker and pad to a byte boundary
+     */
+    finish() {
+        this.addBits(1, 1);
+        if (this.count > 0) {
+            this.out.writeByte(this.accumulator);
+        }
+        return this.out.toBuffer();
+    }
+}
+
+/**
+ * Spread symbols over an FSE table (shared by decoder and encoder)
+ */
+function spreadFseSymbols(distribution, accuracyLog) {
+    const size = 1 << accuracyLog;
+    const symbols = new Uint16Array(size);
+    let highThreshold = size - 1;
+
+    // "Less than 1" probabilities take the last cells
+    for (let s = 0; s < distribution.length; s++) {
+        if (distribution[s] === -1) {
+            symbols[highThreshold--] = s;
+        }
+    }
+
+    const step = (size >>> 1) + (size >>> 3) + 3;
+    const mask = size - 1;
+    let position = 0;
+    for (let s = 0; s < distribution.length; s++) {
+        for (let i = 0; i < distribution[s]; i++) {
+            symbols[position] = s;
+            do {
+                position = (position + step) & mask;
+            } while (position > highThreshold);
+        }
+    }
+
+    if (position !== 0) {
+        throw new Error('Corrupt zstd data: invalid FSE distribution');
+    }
+
+    return symbols;
+}
+
+/**
+ * Build an FSE decoding table from a normalized distribution
+ */
+function buildFseDecodingTable(distribution, accuracyLog) {
+    const size = 1 << accuracyLog;
+    const symbols = spreadFseSymbols(distribution, accuracyLog);
+    const nbBits = new Uint8Array(size);
+    const baseline = new Uint16Array(size);
+    const next = distribution.map(count => count === -1 ? 1 : count);
+
+    for (let u = 0; u < size; u++) {
+        const nextState = next[symbols[u]]++;
+        nbBits[u] = accuracyLog - highBit(nextState);
+        baseline[u] = (nextState << nbBits[u]) - size;
+    }
+
+    return { accuracyLog, symbols, nbBits, baseline };
+}
+
+/**
+ * Build a table for RLE mode (a single repeated symbol)
+ */
+function buildRleTable(symbol) {
+    return {
+        accuracyLog: 0,
+        symbols: Uint16Array.of(symbol),
+        nbBits: Uint8Array.of(0),
+        baseline: Uint16Array.of(0)
+    };
+}
+
+/**
+ * Read an FSE table description (normalized distribution)
+ */
+function readFseDistribution(buffer, offset, maxSymbol, maxAccuracyLog) {
+    const reader = new ForwardBitReader(buffer, offset);
+    const accuracyLog = reader.readBits(4) + 5;
+    if (accuracyLog > maxAccuracyLog) {
+        throw new Error('Corrupt zstd data: FSE accuracy log too large');
+    }
+
+    const distribution = [];
+    let remaining = (1 << accuracyLog) + 1;
+    let threshold = 1 << accuracyLog;
+    let bitCount = accuracyLog + 1;
+
+    while (remaining > 1 && distribution.length <= maxSymbol) {
+        const max = (2 * threshold - 1) - remaining;
+        const low = reader.peekBits(bitCount - 1);
+        let count;
+
+        if (low < max) {
+            count = low;
+            reader.skipBits(bitCount - 1);
+        } else {
+            count = reader.peekBits(bitCount);
+            if (count >= threshold) {
+                count -= max;
+            }
+            reader.skipBits(bitCount);
+        }
+
+        count--;
+        remaining -= Math.abs(count);
+        distribution.push(count);
+
+        if (count === 0) {
+            // Repeat flags for runs of zero probabilities
+            let repeat;
+            do {
+                repeat = reader.readBits(2);
+                for (let i = 0; i < repeat; i++) {
+                    distribution.push(0);
+                }
+            } while (repeat === 3);
+        }
+
+        while (remaining < threshold) {
+            bitCount--;
+            threshold >>>= 1;
+        }
+    }
+
+    if (remaining !== 1 || distribution.length > maxSymbol + 1) {
+        throw new Error('Corrupt zstd data: invalid FSE table description');
+    }
+
+    return { distribution, accuracyLog, bytesRead: reader.bytePos - offset };
+}
+
+/**
+ * Build an FSE encoding table from a normalized distribution
+ */
+function buildFseEncodingTable(distribution, accuracyLog) {
+    const size = 1 << accuracyLog;
+    const symbols = spreadFseSymbols(distribution, accuracyLog);
+
+    const cumulative = new Array(distribution.length + 1);
+    cumulative[0] = 0;
+    for (let s = 0; s < distribution.length; s++) {
+        const count = distribution[s] === -1 ? 1 : distribution[s];
+        cumulative[s + 1] = cumulative[s] + count;
+    }
+
+    const stateTable = new Uint16Array(size);
+    const position = cumulative.slice();
+    for (let u = 0; u < size; u++) {
+        stateTable[position[symbols[u]]++] = size + u;
+    }
+
+    const deltaNbBits = new Array(distribution.length);
+    const deltaFindState = new Array(distribution.length);
+    let total = 0;
+    for (let s = 0; s < distribution.length; s++) {
+        const count = distribution[s];
+        if (count === 0) {
+            deltaNbBits[s] = ((accuracyLog + 1) << 16) - size;
+            deltaFindState[s] = 0;
+        } else if (count === -1 || count === 1) {
+            deltaNbBits[s] = (accuracyLog << 16) - size;
+            deltaFindState[s] = total - 1;
+            total++;
+        } else {
+            const maxBitsOut = accuracyLog - highBit(count - 1);
+            const minStatePlus = count << maxBitsOut;
+            deltaNbBits[s] = (maxBitsOut << 16) - minStatePlus;
+            deltaFindState[s] = total - count;
+            total += count;
+        }
+    }
+
+    return { accuracyLog, stateTable, deltaNbBits, deltaFindState };
+}
+
+/**
+ * FSE encoder state for one symbol type
+ */
+class FseEncoderState {
+    constructor(table, symbol) {
+        this.table = table;
+        const nbBitsOut = (table.deltaNbBits[symbol] + (1 << 15)) >> 16;
+        const initValue = (nbBitsOut << 16) - table.deltaNbBits[symbol];
+        this.state = table.stateTable[(initValue >> nbBitsOut) + table.deltaFindState[symbol]];
+    }
+
+    encode(writer, symbol) {
+        const nbBitsOut = (this.state + this.table.deltaNbBits[symbol]) >> 16;
+        writer.addBits(this.state & ((1 << nbBitsOut) - 1), nbBitsOut);
+        this.state = this.table.stateTable[(this.state >> nbBitsOut) + this.table.deltaFindState[symbol]];
+    }
+
+    flush(writer) {
+        writer.addBits(this.state & ((1 << this.table.accuracyLog) - 1), this.table.accuracyLog);
+    }
+}
+
+let predefinedTables = null;
+
+/**
+ * Predefined FSE tables (built on first use)
+ */
+function getPredefinedTables() {
+    if (!predefinedTables) {
+        predefinedTables = {
+            literalLengths: buildFseDecodingTable(LL_DEFAULT_DISTRIBUTION, 6),
+            matchLengths: buildFseDecodingTable(ML_DEFAULT_DISTRIBUTION, 6),
+            offsets: buildFseDecodingTable(OF_DEFAULT_DISTRIBUTION, 5),
+            literalLengthsEncoder: buildFseEncodingTable(LL_DEFAULT_DISTRIBUTION, 6),
+            matchLengthsEncoder: buildFseEncodingTable(ML_DEFAULT_DISTRIBUTION, 6),
+            offsetsEncoder: buildFseEncodingTable(OF_DEFAULT_DISTRIBUTION, 5)
+        };
+    }
+    return predefinedTables;
+}
+
+/**
+ * Find the length code whose baseline covers a value
+ */
+function lengthCode(value, baselines) {
+    let code = baselines.length - 1;
+    while (baselines[code] > value) {
+        code--;
+    }
+    return code;
+}
+
+/**
+ * Zstandard codec
+ */
+export class ZstdCodec {
+    /**
+     * Decompress one or more zstd frames
+     */
+    static decompress(input) {
+        const out = new ByteWriter(input.length * 4);
+        let pos = 0;
+
+        while (pos < input.length) {
+            if (pos + 4 > input.length) {
+                throw new Error('Corrupt zstd data: truncated frame');
+            }
+            const magic = input.readUInt32LE(pos);
+
+            // Skippable frames
+            if ((magic & 0xFFFFFFF0) >>> 0 === 0x184D2A50) {
+                pos += 8 + input.readUInt32LE(pos + 4);
+                continue;
+            }
+
+            if (magic !== ZSTD_MAGIC) {
+                throw new Error('Corrupt zstd data: bad magic number');
+            }
+
+            pos = this.decodeFrame(input, pos + 4, out);
+        }
+
+        return out.toBuffer();
+    }
+
+    /**
+     * Decode a single frame, returning the position after it
+     */
+    static decodeFrame(input, pos, out) {
+        const descriptor = input[pos++];
+        const contentSizeFlag = descriptor >>> 6;
+        const singleSegment = (descriptor >>> 5) & 1;
+        const hasChecksum = (descriptor >>> 2) & 1;
+        const dictionaryFlag = descriptor & 3;
+
+        if (descriptor & 0x08) {
+            throw new Error('Corrupt zstd data: reserved bit set');
+        }
+
+        if (!singleSegment) {
+            pos++; // Window descriptor
+        }
+
+        const dictionaryIdSize = [0, 1, 2, 4][dictionaryFlag];
+        if (dictionaryIdSize > 0 && input.readUIntLE(pos, dictionaryIdSize) !== 0) {
+            throw new Error('zstd dictionaries are not supported');
+        }
+        pos += dictionaryIdSize;
+        pos += [singleSegment ? 1 : 0, 2, 4, 8][contentSizeFlag];
+
+        const state = {
+            frameStart: out.length,
+            repeatOffsets: [1, 4, 8],
+            huffman: null,
+            literalLengths: null,
+            offsets: null,
+            matchLengths: null
+        };
+
+        let lastBlock = false;
+        while (!lastBlock) {
+            if (pos + 3 > input.length) {
+                throw new Error('Corrupt zstd data: truncated block header');
+            }
+            const blockHeader = input.readUIntLE(pos, 3);
+            pos += 3;
+
+            lastBlock = (blockHeader & 1) === 1;
+            const blockType = (blockHeader >>> 1) & 3;
+            const blockSize = blockHeader >>> 3;
+
+            switch (blockType) {
+                case 0: // Raw
+                    if (pos + blockSize > input.length) {
+                        throw new Error('Corrupt zstd data: truncated raw block');
+                    }
+                    out.writeBytes(input, pos, pos + blockSize);
+                    pos += blockSize;
+                    break;
+                case 1: // RLE
+                    out.fill(input[pos], blockSize);
+                    pos += 1;
+                    break;
+                case 2: // Compressed
+                    if (pos + blockSize > input.length) {
+                        throw new Error('Corrupt zstd data: truncated compressed block');
+                    }
+                    this.decodeCompressedBlock(input, pos, pos + blockSize, out, state);
+                    pos += blockSize;
+                    break;
+                default:
+                    throw new Error('Corrupt zstd data: reserved block type');
+            }
+        }
+
+        if (hasChecksum) {
+            pos += 4;
+        }
+
+        return pos;
+    }
+
+    /**
+     * Decode a compressed block into the output
+     */
+    static decodeCompressedBlock(input, start, end, out, state) {
+        const { literals, nextPos } = this.decodeLiterals(input, start, end, state);
+        let pos = nextPos;
+
+        // Number of sequences
+        let sequenceCount = input[pos++];
+        if (sequenceCount >= 128) {
+            if (sequenceCount < 255) {
+                sequenceCount = ((sequenceCount - 128) << 8) + input[pos++];
+            } else {
+                sequenceCount = input.readUInt16LE(pos) + 0x7F00;
+                pos += 2;
+            }
+        }
+
+        if (sequenceCount === 0) {
+            out.writeBytes(literals);
+            return;
+        }
+
+        const modes = input[pos++];
+        const predefined = getPredefinedTables();
+
+        const literalLengths = this.selectTable(
+            modes >>> 6, input, pos, predefined.literalLengths, state.literalLengths, LL_MAX_SYMBOL, 9
+        );
+        pos += literalLengths.bytesRead;
+        const offsets = this.selectTable(
+            (modes >>> 4) & 3, input, pos, predefined.offsets, state.offsets, OF_MAX_SYMBOL, 8
+        );
+        pos += offsets.bytesRead;
+        const matchLengths = this.selectTable(
+            (modes >>> 2) & 3, input, pos, predefined.matchLengths, state.matchLengths, ML_MAX_SYMBOL, 9
+        );
+        pos += matchLengths.bytesRead;
+
+        state.literalLengths = literalLengths.table;
+        state.offsets = offsets.table;
+        state.matchLengths = matchLengths.table;
+
+        this.executeSequences(input, pos, end, sequenceCount, literals, out, state);
+    }
+
+    /**
+     * Pick the FSE table for a symbol type based on its compression mode
+     */
+    static selectTable(mode, input, pos, predefinedTable, previousTable, maxSymbol, maxAccuracyLog) {
+        switch (mode) {
+            case 0:
+                return { table: predefinedTable, bytesRead: 0 };
+            case 1:
+                return { table: buildRleTable(input[pos]), bytesRead: 1 };
+            case 2: {
+                const { distribution, accuracyLog, bytesRead } =
+                    readFseDistribution(input, pos, maxSymbol, maxAccuracyLog);
+                return { table: buildFseDecodingTable(distribution, accuracyLog), bytesRead };
+            }
+            default:
+                if (!previousTable) {
+                    throw new Error('Corrupt zstd data: repeat mode without a previous table');
+                }
+                return { table: previousTable, bytesRead: 0 };
+        }
+    }
+
+    /**
+     * Decode and execute the sequences of a block
+     */
+    static executeSequences(input, start, end, sequenceCount, literals, out, state) {
+        const reader = new BackwardBitReader(input, start, end);
+        const llTable = state.literalLengths;
+        const ofTable = state.offsets;
+        const mlTable = state.matchLengths;
+        const reps = state.repeatOffsets;
+
+        let llState = reader.readBits(llTable.accuracyLog);
+        let ofState = reader.readBits(ofTable.accuracyLog);
+        let mlState = reader.readBits(mlTable.accuracyLog);
+        let literalPos = 0;
+
+        for (let i = 0; i < sequenceCount; i++) {
+            const ofCode = ofTable.symbols[ofState];
+            const mlCode = mlTable.symbols[mlState];
+            const llCode = llTable.symbols[llState];
+
+            if (ofCode > OF_MAX_SYMBOL || mlCode > ML_MAX_SYMBOL || llCode > LL_MAX_SYMBOL) {
+                throw new Error('Corrupt zstd data: invalid sequence code');
+            }
+
+            const offsetValue = 2 ** ofCode + reader.readBits(ofCode);
+            const matchLength = ML_BASELINES[mlCode] + reader.readBits(ML_EXTRA_BITS[mlCode]);
+            const literalLength = LL_BASELINES[llCode] + reader.readBits(LL_EXTRA_BITS[llCode]);
+
+            // Resolve repeat offsets
+            let offset;
+            if (offsetValue > 3) {
+                offset = offsetValue - 3;
+                reps[2] = reps[1];
+                reps[1] = reps[0];
+                reps[0] = offset;
+            } else {
+                const index = offsetValue - 1 + (literalLength === 0 ? 1 : 0);
+                if (index === 0) {
+                    offset = reps[0];
+                } else {
+                    offset = index === 3 ? reps[0] - 1 : reps[index];
+                    if (index !== 1) {
+                        reps[2] = reps[1];
+                    }
+                    reps[1] = reps[0];
+                    reps[0] = offset;
+                }
+            }
+
+            if (literalPos + literalLength > literals.length) {
+                throw new Error('Corrupt zstd data: literals overrun');
+            }
+            out.writeBytes(literals, literalPos, literalPos + literalLength);
+            literalPos += literalLength;
+
+            if (offset > out.length - state.frameStart) {
+                throw new Error('Corrupt zstd data: match offset out of range');
+            }
+            out.copyMatch(offset, matchLength);
+
+            if (i < sequenceCount - 1) {
+                llState = llTable.baseline[llState] + reader.readBits(llTable.nbBits[llState]);
+                mlState = mlTable.baseline[mlState] + reader.readBits(mlTable.nbBits[mlState]);
+                ofState = ofTable.baseline[ofState] + reader.readBits(ofTable.nbBits[ofState]);
+            }
+        }
+
+        if (reader.pos !== 0) {
+            throw new Error('Corrupt zstd data: sequence bitstream not fully consumed');
+        }
+
+        out.writeBytes(literals, literalPos, literals.length);
+    }
+
+    /**
+     * Decode the literals section of a compressed block
+     */
+    static decodeLiterals(input, pos, end, state) {
+        const first = input[pos];
+        const type = first & 3;
+        const sizeFormat = (first >>> 2) & 3;
+
+        // Raw and RLE literals
+        if (type === 0 || type === 1) {
+            let size;
+            let headerSize;
+            switch (sizeFormat) {
+                case 1:
+                    size = (first >>> 4) + (input[pos + 1] << 4);
+                    headerSize = 2;
+                    break;
+                case 3:
+                    size = (first >>> 4) + (input[pos + 1] << 4) + (input[pos + 2] << 12);
+                    headerSize = 3;
+                    break;
+                default:
+                    size = first >>> 3;
+                    headerSize = 1;
+            }
+
+            const dataStart = pos + headerSize;
+            if (type === 1) {
+                return { literals: Buffer.alloc(size, input[dataStart]), nextPos: dataStart + 1 };
+            }
+            if (dataStart + size > end) {
+                throw new Error('Corrupt zstd data: truncated literals');
+            }
+            return { literals: input.subarray(dataStart, dataStart + size), nextPos: dataStart + size };
+        }
+
+        // Huffman-compressed literals
+        let regeneratedSize;
+        let compressedSize;
+        let headerSize;
+        const streamCount = sizeFormat === 0 ? 1 : 4;
+
+        if (sizeFormat <= 1) {
+            const value = input.readUIntLE(pos, 3);
+            regeneratedSize = (value >>> 4) & 0x3FF;
+            compressedSize = (value >>> 14) & 0x3FF;
+            headerSize = 3;
+        } else if (sizeFormat === 2) {
+            const value = input.readUInt32LE(pos);
+            regeneratedSize = (value >>> 4) & 0x3FFF;
+            compressedSize = (value >>> 18) & 0x3FFF;
+            headerSize = 4;
+        } else {
+            const value = input.readUInt32LE(pos);
+            regeneratedSize = (value >>> 4) & 0x3FFFF;
+            compressedSize = (value >>> 22) + (input[pos + 4] << 10);
+            headerSize = 5;
+        }
+
+        let streamPos = pos + headerSize;
+        const literalsEnd = streamPos + compressedSize;
+        if (literalsEnd > end) {
+            throw new Error('Corrupt zstd data: truncated literals');
+        }
+
+        if (type === 2) {
+            const { weights, bytesRead } = this.readHuffmanWeights(input, streamPos);
+            state.huffman = this.buildHuffmanTable(weights);
+            streamPos += bytesRead;
+        } else if (!state.huffman) {
+            throw new Error('Corrupt zstd data: treeless literals without a previous table');
+        }
+
+        const literals = Buffer.alloc(regeneratedSize);
+
+        if (streamCount === 1) {
+            this.decodeHuffmanStream(input, streamPos, literalsEnd, state.huffman, literals, 0, regeneratedSize);
+        } else {
+            const size1 = input.readUInt16LE(streamPos);
+            const size2 = input.readUInt16LE(streamPos + 2);
+            const size3 = input.readUInt16LE(streamPos + 4);
+            const start1 = streamPos + 6;
+            const start2 = start1 + size1;
+            const start3 = start2 + size2;
+            const start4 = start3 + size3;
+            const segment = Math.floor((regeneratedSize + 3) / 4);
+
+            if (start4 > literalsEnd || segment * 3 > regeneratedSize) {
+                throw new Error('Corrupt zstd data: bad literal streams');
+            }
+
+            this.decodeHuffmanStream(input, start1, start2, state.huffman, literals, 0, segment);
+            this.decodeHuffmanStream(input, start2, start3, state.huffman, literals, segment, segment * 2);
+            this.decodeHuffmanStream(input, start3, start4, state.huffman, literals, segment * 2, segment * 3);
+            this.decodeHuffmanStream(input, start4, literalsEnd, state.huffman, literals, segment * 3, regeneratedSize);
+        }
+
+        return { literals, nextPos: literalsEnd };
+    }
+
+    /**
+     * Read Huffman tree weights (direct or FSE-compressed)
+     */
+    static readHuffmanWeights(input, pos) {
+        const header = input[pos];
+        const weights = [];
+        let bytesRead;
+
+        if (header >= 128) {
+            const count = header - 127;
+            for (let i = 0; i < count; i++) {
+                const byte = input[pos + 1 + (i >>> 1)];
+                weights.push(i % 2 === 0 ? byte >>> 4 : byte & 0x0F);
+            }
+            bytesRead = 1 + Math.ceil(count / 2);
+        } else {
+            const { distribution, accuracyLog, bytesRead: tableSize } =
+                readFseDistribution(input, pos + 1, 255, 6);
+            const table = buildFseDecodingTable(distribution, accuracyLog);
+            const reader = new BackwardBitReader(input, pos + 1 + tableSize, pos + 1 + header);
+
+            // Two interleaved states share the stream
+            let state1 = reader.readBits(accuracyLog);
+            let state2 = reader.readBits(accuracyLog);
+
+            while (true) {
+                weights.push(table.symbols[state1]);
+                state1 = table.baseline[state1] + reader.readBits(table.nbBits[state1]);
+                if (reader.overflowed) {
+                    weights.push(table.symbols[state2]);
+                    break;
+                }
+
+                weights.push(table.symbols[state2]);
+                state2 = table.baseline[state2] + reader.readBits(table.nbBits[state2]);
+                if (reader.overflowed) {
+                    weights.push(table.symbols[state1]);
+                    break;
+                }
+
+                if (weights.length > 255) {
+                    throw new Error('Corrupt zstd data: too many Huffman weights');
+                }
+            }
+            bytesRead = 1 + header;
+        }
+
+        // The last weight is implied by the others
+        let total = 0;
+        for (const weight of weights) {
+            if (weight > 0) {
+                total += 1 << (weight - 1);
+            }
+        }
+        if (total === 0) {
+            throw new Error('Corrupt zstd data: empty Huffman tree');
+        }
+
+        const maxBits = highBit(total) + 1;
+        const rest = (1 << maxBits) - total;
+        if (rest & (rest - 1)) {
+            throw new Error('Corrupt zstd data: invalid Huffman weights');
+        }
+        weights.push(highBit(rest) + 1);
+
+        return { weights, bytesRead };
+    }
+
+    /**
+     * Build a Huffman decoding table from symbol weights
+     */
+    static buildHuffmanTable(weights) {
+        let total = 0;
+        for (const weight of weights) {
+            if (weight > 0) {
+                total += 1 << (weight - 1);
+            }
+        }
+        const maxBits = highBit(total);
+        if (maxBits > 11) {
+            throw new Error('Corrupt zstd data: Huffman table too deep');
+        }
+
+        const size = 1 << maxBits;
+        const symbols = new Uint8Array(size);
+        const nbBits = new Uint8Array(size);
+
+        // Lower weights (longer codes) take the lower table ranges
+        const rankStart = new Array(maxBits + 2).fill(0);
+        let next = 0;
+        for (let weight = 1; weight <= maxBits + 1; weight++) {
+            rankStart[weight] = next;
+            for (const w of weights) {
+                if (w === weight) {
+                    next += 1 << (weight - 1);
+                }
+            }
+        }
+
+        for (let symbol = 0; symbol < weights.length; symbol++) {
+            const weight = weights[symbol];
+            if (weight === 0) continue;
+
+            const length = 1 << (weight - 1);
+            const start = rankStart[weight];
+            symbols.fill(symbol, start, start + length);
+            nbBits.fill(maxBits + 1 - weight, start, start + length);
+            rankStart[weight] += length;
+        }
+
+        return { maxBits, symbols, nbBits };
+    }
+
+    /**
+     * Decode one Huffman-coded literal stream
+     */
+    static decodeHuffmanStream(input, start, end, table, literals, from, to) {
+        const reader = new BackwardBitReader(input, start, end);
+
+        for (let i = from; i < to; i++) {
+            const index = reader.peekBits(table.maxBits);
+            literals[i] = table.symbols[index];
+            reader.skipBits(table.nbBits[index]);
+        }
+
+        if (reader.pos !== 0) {
+            throw new Error('Corrupt zstd data: literal stream not fully consumed');
+        }
+    }
+
+    /**
+     * Compress a buffer into a single zstd frame
+     */
+    static compress(input) {
+        const out = new ByteWriter(input.length + 32);
+        const size = input.length;
+
+        // Frame header: single segment with the content size
+        out.writeUInt32LE(ZSTD_MAGIC);
+        if (size < 256) {
+            out.writeByte(0x20);
+            out.writeByte(size);
+        } else if (size < 0x10000 + 256) {
+            out.writeByte(0x60);
+            out.writeUInt16LE(size - 256);
+        } else {
+            out.writeByte(0xA0);
+            out.writeUInt32LE(size);
+        }
+
+        if (size === 0) {
+            this.writeBlockHeader(out, true, 0, 0);
+            return out.toBuffer();
+        }
+
+        const hashTable = new Int32Array(1 << 16).fill(-1);
+
+        for (let blockStart = 0; blockStart < size; blockStart += ZSTD_MAX_BLOCK_SIZE) {
+            const blockEnd = Math.min(size, blockStart + ZSTD_MAX_BLOCK_SIZE);
+            const lastBlock = blockEnd === size;
+            const compressed = this.compressBlock(input, blockStart, blockEnd, hashTable);
+
+            if (compressed && compressed.length < blockEnd - blockStart) {
+                this.writeBlockHeader(out, lastBlock, 2, compressed.length);
+                out.writeBytes(compressed);
+            } else {
+                this.writeBlockHeader(out, lastBlock, 0, blockEnd - blockStart);
+                out.writeBytes(input, blockStart, blockEnd);
+            }
+        }
+
+        return out.toBuffer();
+    }
+
+    static writeBlockHeader(out, lastBlock, blockType, blockSize) {
+        const header = (lastBlock ? 1 : 0) | (blockType << 1) | (blockSize << 3);
+        out.writeByte(header & 0xFF);
+        out.writeByte((header >>> 8) & 0xFF);
+        out.writeByte((header >>> 16) & 0xFF);
+    }
+
+    /**
+     * Compress one block: greedy LZ77 matches, raw literals, predefined FSE sequences
+     * Returns null when the block is better stored raw
+     */
+    static compressBlock(input, start, end, hashTable) {
+        const sequences = [];
+        const literals = new ByteWriter(end - start);
+        let anchor = start;
+        let pos = start;
+
+        while (pos + 4 <= end) {
+            const sequence = input.readUInt32LE(pos);
+            const hash = Math.imul(sequence, 0x9E3779B1) >>> 16;
+            const candidate = hashTable[hash];
+            hashTable[hash] = pos;
+
+            if (candidate >= 0 && input.readUInt32LE(candidate) === sequence) {
+                let matchLength = 4;
+                while (pos + matchLength < end && matchLength < ML_MAX_LENGTH &&
+                       input[candidate + matchLength] === input[pos + matchLength]) {
+                    matchLength++;
+                }
+
+                literals.writeBytes(input, anchor, pos);
+                sequences.push({
+                    literalLength: pos - anchor,
+                    offset: pos - candidate,
+                    matchLength
+                });
+
+                pos += matchLength;
+                anchor = pos;
+            } else {
+                pos++;
+            }
+        }
+
+        if (sequences.length === 0) {
+            return null;
+        }
+        literals.writeBytes(input, anchor, end);
+
+        const out = new ByteWriter(end - start);
+
+        // Literals section (raw)
+        const literalCount = literals.length;
+        if (literalCount < 32) {
+            out.writeByte(literalCount << 3);
+        } else if (literalCount < 4096) {
+            out.writeByte(((literalCount & 0x0F) << 4) | (1 << 2));
+            out.writeByte(literalCount >>> 4);
+        } else {
+            out.writeByte(((literalCount & 0x0F) << 4) | (3 << 2));
+            out.writeByte((literalCount >>> 4) & 0xFF);
+            out.writeByte(literalCount >>> 12);
+        }
+        out.writeBytes(literals.buffer, 0, literalCount);
+
+        // Sequences section header
+        const count = sequences.length;
+        if (count < 128) {
+            out.writeByte(count);
+        } else if (count < 0x7F00) {
+            out.writeByte((count >>> 8) + 128);
+            out.writeByte(count & 0xFF);
+        } else {
+            out.writeByte(255);
+            out.writeUInt16LE(count - 0x7F00);
+        }
+        out.writeByte(0); // Predefined mode for all three symbol types
+
+        out.writeBytes(this.encodeSequences(sequences));
+        return out.toBuffer();
+    }
+
+    /**
+     * Encode sequences with the predefined FSE tables
+     */
+    static encodeSequences(sequences) {
+        const tables = getPredefinedTables();
+        const codes = sequences.map(({ literalLength, offset, matchLength }) => {
+            const offsetValue = offset + 3;
+            const ofCode = highBit(offsetValue);
+            const llCode = literalLength < 16 ? literalLength : lengthCode(literalLength, LL_BASELINES);
+            const mlCode = matchLength - 3 < 32 ? matchLength - 3 : lengthCode(matchLength, ML_BASELINES);
+            return {
+                llCode,
+                llExtra: literalLength - LL_BASELINES[llCode],
+                mlCode,
+                mlExtra: matchLength - ML_BASELINES[mlCode],
+                ofCode,
+                ofExtra: offsetValue - 2 ** ofCode
+            };
+        });
+
+        const writer = new BitWriter();
+        const writeExtras = (code) => {
+            writer.addBits(code.llExtra, LL_EXTRA_BITS[code.llCode]);
+            writer.addBits(code.mlExtra, ML_EXTRA_BITS[code.mlCode]);
+            writer.addBits(code.ofExtra, code.ofCode);
+        };
+
+        // Encoded back to front so the decoder reads the first sequence first
+        const last = codes[codes.length - 1];
+        const mlState = new FseEncoderState(tables.matchLengthsEncoder, last.mlCode);
+        const ofState = new FseEncoderState(tables.offsetsEncoder, last.ofCode);
+        const llState = new FseEncoderState(tables.literalLengthsEncoder, last.llCode);
+        writeExtras(last);
+
+        for (let i = codes.length - 2; i >= 0; i--) {
+            const code = codes[i];
+            ofState.encode(writer, code.ofCode);
+            mlState.encode(writer, code.mlCode);
+            llState.encode(writer, code.llCode);
+            writeExtras(code);
+        }
+
+        mlState.flush(writer);
+        ofState.flush(writer);
+        llState.flush(writer);
+
+        return writer.finish();
+    }
+}
+
+export default {
+    CompressorId,
+    SUPPORTED_COMPRESSORS,
+    negotiateCompressors,
+    getCompressorId,
+    compress,
+    decompress
+};
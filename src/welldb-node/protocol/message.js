@@ -4,6 +4,7 @@
  */
 
 import { BSON } from './bson.js';
+import { CompressorId, compress, decompress } from './compression.js';
 import {
     OpCode,
     MessageHeader,
@@ -15,6 +16,7 @@ import {
     OpDeleteMessage,
     OpGetMoreMessage,
     OpKillCursorsMessage,
+    OpCompressedMessage,
     OpcodeParser
 } from './opcodes.js';
 
@@ -203,6 +205,8 @@ export class MessageHandler {
                 return this.serializeOpGetMore(message);
             case OpCode.OP_KILL_CURSORS:
                 return this.serializeOpKillCursors(message);
+            case OpCode.OP_COMPRESSED:
+                return this.serializeOpCompressed(message);
             default:
                 throw new Error(`Unsupported opcode: ${message.header.opCode}`);
         }
@@ -476,6 +480,62 @@ export class MessageHandler {
         return Buffer.concat([msg.header.toBuffer(), body]);
     }
 
+    /**
+     * Serialize OP_COMPRESSED
+     */
+    serializeOpCompressed(msg) {
+        const prefix = Buffer.alloc(9);
+        prefix.writeInt32LE(msg.originalOpcode, 0);
+        prefix.writeInt32LE(msg.uncompressedSize, 4);
+        prefix.writeUInt8(msg.compressorId, 8);
+        
+        const body = Buffer.concat([prefix, msg.compressedMessage]);
+        msg.header.messageLength = 16 + body.length;
+        
+        return Buffer.concat([msg.header.toBuffer(), body]);
+    }
+
+    /**
+     * Wrap a serialized message in OP_COMPRESSED
+     */
+    compressMessage(messageBuffer, compressorId) {
+        if (compressorId === CompressorId.NOOP) {
+            return messageBuffer;
+        }
+        
+        const original = MessageHeader.fromBuffer(messageBuffer);
+        const body = messageBuffer.slice(MessageHeader.SIZE, original.messageLength);
+        
+        const msg = new OpCompressedMessage();
+        msg.header.opCode = OpCode.OP_COMPRESSED;
+        msg.header.requestID = original.requestID;
+        msg.header.responseTo = original.responseTo;
+        msg.originalOpcode = original.opCode;
+        msg.uncompressedSize = body.length;
+        msg.compressorId = compressorId;
+        msg.compressedMessage = compress(compressorId, body);
+        
+        return this.serializeOpCompressed(msg);
+    }
+
+    /**
+     * Rebuild the original message buffer from an OP_COMPRESSED message
+     */
+    decompressMessage(msg) {
+        const body = decompress(msg.compressorId, msg.compressedMessage);
+        if (body.length !== msg.uncompressedSize) {
+            throw new Error(`Decompressed size mismatch: expected ${msg.uncompressedSize} bytes, got ${body.length}`);
+        }
+        
+        const header = new MessageHeader();
+        header.messageLength = MessageHeader.SIZE + body.length;
+        header.requestID = msg.header.requestID;
+        header.responseTo = msg.header.responseTo;
+        header.opCode = msg.originalOpcode;
+        
+        return Buffer.concat([header.toBuffer(), body]);
+    }
+
     /**
      * Parse incoming message buffer
      */
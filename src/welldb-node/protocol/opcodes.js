@@ -276,6 +276,19 @@ export class OpKillCursorsMessage {
     }
 }
 
+/**
+ * OP_COMPRESSED Message Format
+ */
+export class OpCompressedMessage {
+    constructor() {
+        this.header = new MessageHeader();
+        this.originalOpcode = 0;  // Opcode of the wrapped message (int32)
+        this.uncompressedSize = 0; // Size of the wrapped body, excluding header (int32)
+        this.compressorId = 0;    // Compressor used (uint8)
+        this.compressedMessage = Buffer.alloc(0); // Compressed body
+    }
+}
+
 /**
  * Helper class for parsing opcodes
  */
@@ -321,6 +334,9 @@ export class OpcodeParser {
             case OpCode.OP_KILL_CURSORS:
                 return this.parseOpKillCursors(header, buffer.slice(MessageHeader.SIZE));
                 
+            case OpCode.OP_COMPRESSED:
+                return this.parseOpCompressed(header, buffer.slice(MessageHeader.SIZE));
+                
             default:
                 throw new Error(`Unknown opcode: ${header.opCode}`);
         }
@@ -585,6 +601,26 @@ export class OpcodeParser {
         
         return msg;
     }
+    
+    /**
+     * Parse OP_COMPRESSED message body
+     * The wrapped message is left compressed; see MessageHandler.decompressMessage
+     */
+    static parseOpCompressed(header, buffer) {
+        const msg = new OpCompressedMessage();
+        msg.header = header;
+        
+        if (buffer.length < 9) {
+            throw new Error('OP_COMPRESSED message too small');
+        }
+        
+        msg.originalOpcode = buffer.readInt32LE(0);
+        msg.uncompressedSize = buffer.readInt32LE(4);
+        msg.compressorId = buffer.readUInt8(8);
+        msg.compressedMessage = buffer.slice(9, header.messageLength - MessageHeader.SIZE);
+        
+        return msg;
+    }
 }
 
 /**
@@ -0,0 +1,483 @@
+/**
+ * MongoDB Authentication
+ * SCRAM-SHA-1 and SCRAM-SHA-256 conversations backed by a local user store
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { join } from 'path';
+import { Binary } from '../protocol/bson.js';
+import config from '../../config/config-loader.js';
+
+/**
+ * Supported SASL mechanisms
+ */
+export const AuthMechanism = {
+    SCRAM_SHA_1: 'SCRAM-SHA-1',
+    SCRAM_SHA_256: 'SCRAM-SHA-256'
+};
+
+/**
+ * MongoDB error codes used by authentication commands
+ */
+export const AuthErrorCode = {
+    BAD_VALUE: 2,
+    USER_NOT_FOUND: 11,
+    UNAUTHORIZED: 13,
+    PROTOCOL_ERROR: 17,
+    AUTHENTICATION_FAILED: 18,
+    MECHANISM_UNAVAILABLE: 334,
+    USER_EXISTS: 51003
+};
+
+// Hash parameters per mechanism (defaults match mongod)
+const MECHANISM_PARAMS = {
+    [AuthMechanism.SCRAM_SHA_1]: { digest: 'sha1', keyLength: 20, iterations: 10000, saltLength: 16 },
+    [AuthMechanism.SCRAM_SHA_256]: { digest: 'sha256', keyLength: 32, iterations: 15000, saltLength: 28 }
+};
+
+const DEFAULT_MECHANISMS = [AuthMechanism.SCRAM_SHA_1, AuthMechanism.SCRAM_SHA_256];
+
+/**
+ * Build an error response document
+ */
+function authError(errmsg, code, codeName) {
+    return { ok: 0, errmsg, code, codeName };
+}
+
+/**
+ * Password as hashed by the client for a mechanism
+ * SCRAM-SHA-1 uses MongoDB's MD5 digest; SCRAM-SHA-256 uses SASLprep (NFKC)
+ */
+function preparePassword(mechanism, username, password) {
+    if (mechanism === AuthMechanism.SCRAM_SHA_1) {
+        return crypto.createHash('md5').update(`${username}:mongo:${password}`, 'utf8').digest('hex');
+    }
+    return password.normalize('NFKC');
+}
+
+function hmac(digest, key, data) {
+    return crypto.createHmac(digest, key).update(data).digest();
+}
+
+function hash(digest, data) {
+    return crypto.createHash(digest).update(data).digest();
+}
+
+/**
+ * Parse a SCRAM message ("a=1,b=2") into attributes
+ */
+function parseScramMessage(message) {
+    const attributes = {};
+    for (const part of message.split(',')) {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            attributes[part.slice(0, separator)] = part.slice(separator + 1);
+        }
+    }
+    return attributes;
+}
+
+/**
+ * Decode a SCRAM username (RFC 5802 escapes)
+ */
+function decodeScramUsername(name) {
+    return name.replace(/=2C/g, ',').replace(/=3D/g, '=');
+}
+
+/**
+ * Read a SASL payload (BSON binary or string) into a UTF-8 string
+ */
+function readPayload(payload) {
+    if (payload instanceof Binary) {
+        return payload.buffer.toString('utf8');
+    }
+    if (Buffer.isBuffer(payload)) {
+        return payload.toString('utf8');
+    }
+    return typeof payload === 'string' ? payload : '';
+}
+
+/**
+ * Local user and role store
+ * Persisted as users.json next to the model directories
+ */
+export class UserStore extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.basePath = options.basePath || config.storage.modelsBasePath;
+        this.filePath = options.filePath || join(this.basePath, 'users.json');
+        this.logger = options.logger || this.createDefaultLogger();
+
+        // Users keyed by "<db>.<user>"
+        this.users = new Map();
+        this.loaded = false;
+    }
+
+    createDefaultLogger() {
+        return {
+            debug: () => {},
+            info: () => {},
+            warn: () => {},
+            error: () => {}
+        };
+    }
+
+    getUserKey(database, username) {
+        return `${database}.${username}`;
+    }
+
+    /**
+     * Load users from disk
+     */
+    async load() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            this.users = new Map((data.users || []).map(user => [user._id, user]));
+            this.logger.info(`Loaded ${this.users.size} users from ${this.filePath}`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.error(`Error loading users from ${this.filePath}:`, err);
+                throw err;
+            }
+            this.users = new Map();
+        }
+        this.loaded = true;
+    }
+
+    /**
+     * Save users to disk
+     */
+    async save() {
+        await fs.mkdir(this.basePath, { recursive: true });
+        const data = JSON.stringify({ users: Array.from(this.users.values()) }, null, 2);
+        await fs.writeFile(this.filePath, data, 'utf8');
+    }
+
+    /**
+     * Check whether any users exist
+     */
+    hasUsers() {
+        return this.users.size > 0;
+    }
+
+    /**
+     * Get a user record
+     */
+    getUser(database, username) {
+        return this.users.get(this.getUserKey(database, username)) || null;
+    }
+
+    /**
+     * List users, optionally limited to one database
+     */
+    listUsers(database = null) {
+        return Array.from(this.users.values())
+            .filter(user => database === null || user.db === database);
+    }
+
+    /**
+     * Create a user with SCRAM credentials
+     */
+    async createUser(database, username, password, options = {}) {
+        const key = this.getUserKey(database, username);
+        if (this.users.has(key)) {
+            throw Object.assign(new Error(`User "${username}@${database}" already exists`), {
+                code: AuthErrorCode.USER_EXISTS
+            });
+        }
+
+        const mechanisms = options.mechanisms || DEFAULT_MECHANISMS;
+        for (const mechanism of mechanisms) {
+            if (!MECHANISM_PARAMS[mechanism]) {
+                throw Object.assign(new Error(`Unknown auth mechanism '${mechanism}'`), {
+                    code: AuthErrorCode.BAD_VALUE
+                });
+            }
+        }
+
+        const credentials = {};
+        for (const mechanism of mechanisms) {
+            credentials[mechanism] = UserStore.createCredentials(mechanism, username, password);
+        }
+
+        const user = {
+            _id: key,
+            userId: crypto.randomUUID(),
+            user: username,
+            db: database,
+            roles: UserStore.normalizeRoles(options.roles || [], database),
+            mechanisms,
+            credentials
+        };
+        if (options.customData) {
+            user.customData = options.customData;
+        }
+
+        this.users.set(key, user);
+        await this.save();
+
+        this.logger.info(`Created user ${key}`);
+        this.emit('userCreated', { user: username, db: database });
+        return user;
+    }
+
+    /**
+     * Drop a user
+     */
+    async dropUser(database, username) {
+        const key = this.getUserKey(database, username);
+        if (!this.users.delete(key)) {
+            return false;
+        }
+
+        await this.save();
+
+        this.logger.info(`Dropped user ${key}`);
+        this.emit('userDropped', { user: username, db: database });
+        return true;
+    }
+
+    /**
+     * Check a plaintext password against the stored credentials
+     */
+    verifyPassword(database, username, password) {
+        const user = this.getUser(database, username);
+        if (!user) {
+            return false;
+        }
+
+        const mechanism = user.mechanisms.includes(AuthMechanism.SCRAM_SHA_256)
+            ? AuthMechanism.SCRAM_SHA_256
+            : AuthMechanism.SCRAM_SHA_1;
+        const stored = user.credentials[mechanism];
+        const computed = UserStore.createCredentials(
+            mechanism, username, password, Buffer.from(stored.salt, 'base64'), stored.iterationCount
+        );
+
+        return crypto.timingSafeEqual(
+            Buffer.from(computed.storedKey, 'base64'),
+            Buffer.from(stored.storedKey, 'base64')
+        );
+    }
+
+    /**
+     * Derive SCRAM credentials (salt, storedKey, serverKey) for a password
+     */
+    static createCredentials(mechanism, username, password, salt = null, iterations = null) {
+        const params = MECHANISM_PARAMS[mechanism];
+        const iterationCount = iterations || params.iterations;
+        const saltBuffer = salt || crypto.randomBytes(params.saltLength);
+
+        const saltedPassword = crypto.pbkdf2Sync(
+            preparePassword(mechanism, username, password),
+            saltBuffer,
+            iterationCount,
+            params.keyLength,
+            params.digest
+        );
+        const clientKey = hmac(params.digest, saltedPassword, 'Client Key');
+        const serverKey = hmac(params.digest, saltedPassword, 'Server Key');
+
+        return {
+            iterationCount,
+            salt: saltBuffer.toString('base64'),
+            storedKey: hash(params.digest, clientKey).toString('base64'),
+            serverKey: serverKey.toString('base64')
+        };
+    }
+
+    /**
+     * Normalize role specs to { role, db }
+     */
+    static normalizeRoles(roles, database) {
+        return roles.map(role => typeof role === 'string'
+            ? { role, db: database }
+            : { role: role.role, db: role.db || database });
+    }
+}
+
+/**
+ * SASL/SCRAM authenticator
+ * Conversations are tracked per connection
+ */
+export class ScramAuthenticator {
+    constructor(options = {}) {
+        this.userStore = options.userStore;
+        this.logger = options.logger || this.createDefaultLogger();
+        this.conversationIdCounter = 1;
+    }
+
+    createDefaultLogger() {
+        return {
+            debug: () => {},
+            info: () => {},
+            warn: () => {},
+            error: () => {}
+        };
+    }
+
+    /**
+     * Mechanisms available for "<db>.<user>" (hello saslSupportedMechs)
+     */
+    getSupportedMechanisms(userKey) {
+        if (typeof userKey !== 'string') {
+            return [];
+        }
+        const separator = userKey.indexOf('.');
+        const user = this.userStore.getUser(userKey.slice(0, separator), userKey.slice(separator + 1));
+        return user ? user.mechanisms : [];
+    }
+
+    /**
+     * Handle saslStart: parse client-first and reply with server-first
+     */
+    saslStart(connection, database, command) {
+        const mechanism = command.mechanism;
+        const params = MECHANISM_PARAMS[mechanism];
+        if (!params) {
+            return authError(
+                `Received authentication for mechanism ${mechanism} which is not enabled`,
+                AuthErrorCode.MECHANISM_UNAVAILABLE,
+                'MechanismUnavailable'
+            );
+        }
+
+        const clientFirst = readPayload(command.payload);
+        const match = /^([ny]),(?:a=[^,]*)?,(.*)$/.exec(clientFirst);
+        if (!match) {
+            return authError('Invalid SCRAM client-first message', AuthErrorCode.BAD_VALUE, 'BadValue');
+        }
+
+        const clientFirstBare = match[2];
+        const attributes = parseScramMessage(clientFirstBare);
+        if (!attributes.n || !attributes.r) {
+            return authError('Invalid SCRAM client-first message', AuthErrorCode.BAD_VALUE, 'BadValue');
+        }
+
+        const username = decodeScramUsername(attributes.n);
+        const user = this.userStore.getUser(database, username);
+        if (!user || !user.credentials[mechanism]) {
+            this.logger.warn(`Authentication failed for ${username}@${database}: unknown user`);
+            return authError('Authentication failed.', AuthErrorCode.AUTHENTICATION_FAILED, 'AuthenticationFailed');
+        }
+
+        const credentials = user.credentials[mechanism];
+        const nonce = attributes.r + crypto.randomBytes(24).toString('base64');
+        const serverFirst = `r=${nonce},s=${credentials.salt},i=${credentials.iterationCount}`;
+
+        const conversationId = this.conversationIdCounter++;
+        connection.saslConversation = {
+            conversationId,
+            mechanism,
+            database,
+            username,
+            gs2Header: clientFirst.slice(0, clientFirst.length - clientFirstBare.length),
+            clientFirstBare,
+            serverFirst,
+            nonce,
+            step: 1,
+            skipEmptyExchange: Boolean(command.options?.skipEmptyExchange)
+        };
+
+        return {
+            conversationId,
+            done: false,
+            payload: new Binary(Buffer.from(serverFirst, 'utf8'), 0),
+            ok: 1
+        };
+    }
+
+    /**
+     * Handle saslContinue: verify the client proof and reply with the server signature
+     */
+    saslContinue(connection, database, command) {
+        const conversation = connection.saslConversation;
+        if (!conversation || conversation.conversationId !== Number(command.conversationId)) {
+            return authError('No SASL session state found', AuthErrorCode.PROTOCOL_ERROR, 'ProtocolError');
+        }
+
+        // Final empty exchange
+        if (conversation.step === 2) {
+            connection.saslConversation = null;
+            return {
+                conversationId: conversation.conversationId,
+                done: true,
+                payload: new Binary(Buffer.alloc(0), 0),
+                ok: 1
+            };
+        }
+
+        const clientFinal = readPayload(command.payload);
+        const proofIndex = clientFinal.lastIndexOf(',p=');
+        const attributes = parseScramMessage(clientFinal);
+        const expectedBinding = Buffer.from(conversation.gs2Header, 'utf8').toString('base64');
+
+        if (proofIndex < 0 || attributes.r !== conversation.nonce || attributes.c !== expectedBinding) {
+            connection.saslConversation = null;
+            return authError('Invalid SCRAM client-final message', AuthErrorCode.BAD_VALUE, 'BadValue');
+        }
+
+        const user = this.userStore.getUser(conversation.database, conversation.username);
+        const credentials = user?.credentials[conversation.mechanism];
+        if (!credentials) {
+            connection.saslConversation = null;
+            return authError('Authentication failed.', AuthErrorCode.AUTHENTICATION_FAILED, 'AuthenticationFailed');
+        }
+
+        const { digest } = MECHANISM_PARAMS[conversation.mechanism];
+        const authMessage = `${conversation.clientFirstBare},${conversation.serverFirst},${clientFinal.slice(0, proofIndex)}`;
+        const storedKey = Buffer.from(credentials.storedKey, 'base64');
+        const clientSignature = hmac(digest, storedKey, authMessage);
+        const proof = Buffer.from(attributes.p || '', 'base64');
+
+        if (proof.length !== clientSignature.length) {
+            connection.saslConversation = null;
+            return authError('Authentication failed.', AuthErrorCode.AUTHENTICATION_FAILED, 'AuthenticationFailed');
+        }
+
+        const clientKey = Buffer.alloc(proof.length);
+        for (let i = 0; i < proof.length; i++) {
+            clientKey[i] = proof[i] ^ clientSignature[i];
+        }
+
+        if (!crypto.timingSafeEqual(hash(digest, clientKey), storedKey)) {
+            connection.saslConversation = null;
+            this.logger.warn(`Authentication failed for ${conversation.username}@${conversation.database}`);
+            return authError('Authentication failed.', AuthErrorCode.AUTHENTICATION_FAILED, 'AuthenticationFailed');
+        }
+
+        const serverSignature = hmac(digest, Buffer.from(credentials.serverKey, 'base64'), authMessage);
+
+        this.markAuthenticated(connection, user);
+
+        conversation.step = 2;
+        const done = conversation.skipEmptyExchange;
+        if (done) {
+            connection.saslConversation = null;
+        }
+
+        return {
+            conversationId: conversation.conversationId,
+            done,
+            payload: new Binary(Buffer.from(`v=${serverSignature.toString('base64')}`, 'utf8'), 0),
+            ok: 1
+        };
+    }
+
+    /**
+     * Record a successful authentication on the connection
+     */
+    markAuthenticated(connection, user) {
+        connection.users = (connection.users || [])
+            .filter(existing => existing.user !== user.user || existing.db !== user.db);
+        connection.users.push({ user: user.user, db: user.db });
+        connection.authenticated = true;
+
+        this.logger.info(`Connection ${connection.id} authenticated as ${user.user}@${user.db}`);
+    }
+}
+
+export default { UserStore, ScramAuthenticator, AuthMechanism, AuthErrorCode };
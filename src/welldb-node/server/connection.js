@@ -41,6 +41,7 @@ export class Connection extends EventEmitter {
         this.database = options.defaultDatabase || 'test';
         this.authenticated = options.requireAuth ? false : true;
         this.username = null;
+        this.userStore = options.userStore || null; // UserStore from auth.js
         this.sessionId = null;
         
         // Message handling
@@ -328,8 +329,14 @@ export class Connection extends EventEmitter {
     /**
      * Authenticate connection
      */
-    authenticate(username, password) {
-        // Simple authentication (can be enhanced)
+    authenticate(username, password, database = 'admin') {
+        // Check the password against the user store's SCRAM credentials
+        if (!this.userStore || !this.userStore.verifyPassword(database, username, password)) {
+            this.logger.warn(`Connection ${this.id} failed to authenticate as ${username}`);
+            this.emit('authenticationFailed', username);
+            return false;
+        }
+        
         this.authenticated = true;
         this.username = username;
         this.state = ConnectionState.AUTHENTICATED;
@@ -9,8 +9,66 @@
 
 import { CollectionManager } from '../core/collection-manager.js';
 import { QueryEngine } from '../core/query-engine.js';
+import { CursorManager } from '../core/cursor.js';
+import { ChangeStream } from '../core/change-stream.js';
 import { BSONSerializer } from '../protocol/bson.js';
 
+const EXPLAIN_VERBOSITIES = ['queryPlanner', 'executionStats', 'allPlansExecution'];
+
+// create command fields kept as the collection's options
+const CREATE_OPTIONS = [
+    'capped', 'size', 'max', 'validator', 'validationLevel', 'validationAction',
+    'collation', 'timeseries', 'expireAfterSeconds', 'clusteredIndex', 'changeStreamPreAndPostImages'
+];
+
+/**
+ * Error with a MongoDB code and code name
+ */
+function commandError(message, code, codeName) {
+    return Object.assign(new Error(message), { code, codeName });
+}
+
+/**
+ * writeErrors entry for a failed write statement
+ */
+function toWriteError(index, error) {
+    return { index, code: error.code || 1, errmsg: error.message };
+}
+
+/**
+ * Add the writeErrors of a write command to its reply when there are any
+ */
+function withWriteErrors(reply, writeErrors) {
+    if (writeErrors.length > 0) {
+        reply.writeErrors = writeErrors;
+    }
+    return reply;
+}
+
+/**
+ * Split a full namespace (db.collection) at its first dot
+ */
+function parseNamespace(namespace) {
+    const dot = typeof namespace === 'string' ? namespace.indexOf('.') : -1;
+    if (dot <= 0 || dot === namespace.length - 1) {
+        throw commandError(`Invalid namespace specified '${namespace}'`, 73, 'InvalidNamespace');
+    }
+    return [namespace.slice(0, dot), namespace.slice(dot + 1)];
+}
+
+/**
+ * Normalize a wire cursor id (Long, BigInt or number) to a BigInt
+ */
+function toCursorId(value) {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    if (value && typeof value.toBigInt === 'function') {
+        return value.toBigInt();
+    }
+    return BigInt(value || 0);
+}
+
 /**
  * CRUD handler implementation
  */
@@ -31,6 +89,11 @@ export class CRUDHandlers {
             logger: this.logger
         });
         
+        // Open cursors of find and aggregate, continued by getMore
+        this.cursorManager = options.cursorManager || new CursorManager({
+            logger: this.logger
+        });
+        
         // Statistics
         this.stats = {
             inserts: 0,
@@ -139,7 +202,7 @@ export class CRUDHandlers {
     /**
      * Handle UPDATE operation
      */
-    async handleUpdate(fullCollectionName, selector, update, flags = 0) {
+    async handleUpdate(fullCollectionName, selector, update, flags = 0, updateOptions = {}) {
         const startTime = Date.now();
         this.stats.updates++;
         
@@ -157,7 +220,8 @@ export class CRUDHandlers {
             // Determine update options from flags
             const options = {
                 multi: !!(flags & 0x02),
-                upsert: !!(flags & 0x01)
+                upsert: !!(flags & 0x01),
+                arrayFilters: updateOptions.arrayFilters
             };
             
             // Perform update
@@ -225,25 +289,51 @@ export class CRUDHandlers {
         }
     }
     
+    /**
+     * Run the statements of a write command
+     * Ordered writes stop at the first failing statement, unordered ones go
+     * on; each failure becomes a writeErrors entry with the statement's index
+     */
+    async executeWrites(statements, ordered, execute) {
+        const writeErrors = [];
+        
+        for (let index = 0; index < statements.length; index++) {
+            try {
+                await execute(statements[index], index);
+            } catch (error) {
+                writeErrors.push(toWriteError(index, error));
+                if (ordered) {
+                    break;
+                }
+            }
+        }
+        
+        return writeErrors;
+    }
+    
     /**
      * Handle modern INSERT command (OP_MSG)
+     * The documents go in as one batch; duplicates are reported per document
      */
     async handleInsertCommand(command) {
-        const collection = `${command.$db || command.db || 'test'}.${command.insert}`;
+        const database = command.$db || command.db || 'test';
         const documents = command.documents || [];
-        const options = {
-            ordered: command.ordered !== false,
-            writeConcern: command.writeConcern
-        };
+        const ordered = command.ordered !== false;
         
         try {
-            const result = await this.handleInsert(collection, documents, 0);
+            const col = await this.collectionManager.getCollection(database, command.insert);
+            const result = await col.insertMany(documents, { ordered });
             
-            return {
+            this.stats.inserts++;
+            if (result.writeErrors.length > 0) {
+                this.stats.errors++;
+            }
+            
+            return withWriteErrors({
                 ok: 1,
-                n: result.n,
+                n: result.insertedCount,
                 insertedIds: result.insertedIds
-            };
+            }, result.writeErrors);
             
         } catch (error) {
             return {
@@ -256,38 +346,189 @@ export class CRUDHandlers {
     
     /**
      * Handle modern FIND command (OP_MSG)
+     * Returns the first batch of a cursor that getMore continues
      */
     async handleFindCommand(command) {
         const collection = `${command.$db || command.db || 'test'}.${command.find}`;
         const filter = command.filter || {};
-        const options = {
-            skip: command.skip || 0,
-            limit: command.limit || 100,
-            sort: command.sort,
-            projection: command.projection
-        };
         
         try {
-            const result = await this.handleFind(collection, filter, options);
+            const [database, collectionName] = collection.split('.');
+            const col = await this.collectionManager.getCollection(database, collectionName);
+            this.stats.queries++;
             
+            // Tailable cursors follow a live stream generated from the model
+            if (command.tailable) {
+                if (command.sort && Object.keys(command.sort).some(key => key !== '$natural')) {
+                    return {
+                        ok: 0,
+                        errmsg: 'tailable cursors cannot be sorted',
+                        code: 2,
+                        codeName: 'BadValue'
+                    };
+                }
+                if (!await this.storage.getModel(database, collectionName)) {
+                    return {
+                        ok: 0,
+                        errmsg: `tailable cursor requested on collection without a model: ${collection}`,
+                        code: 2,
+                        codeName: 'BadValue'
+                    };
+                }
+            }
+            
+            // A negative limit asks for a single batch
+            const limit = Math.abs(command.limit || 0);
+            const source = await col.createFindStream(filter, {
+                skip: command.skip || 0,
+                limit,
+                sort: command.tailable ? null : command.sort,
+                projection: command.projection,
+                tailable: command.tailable
+            });
+            
+            return await this.openCursor(collection, source, {
+                limit,
+                batchSize: command.batchSize,
+                maxTimeMS: command.maxTimeMS,
+                singleBatch: command.singleBatch || command.limit < 0,
+                tailable: command.tailable,
+                awaitData: command.awaitData,
+                rate: col.options.tailableRate
+            });
+            
+        } catch (error) {
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1
+            };
+        }
+    }
+    
+    /**
+     * Create a cursor over a result stream and reply with its first batch
+     * The cursor is closed straight away when the first batch is all there is
+     */
+    async openCursor(namespace, source, { singleBatch = false, ...options } = {}) {
+        const cursor = this.cursorManager.createCursor({ namespace, source, ...options });
+        
+        // The first batch never waits for tailed documents
+        const firstBatch = options.batchSize === 0
+            ? []
+            : await cursor.getNextBatch(options.batchSize, {
+                maxTimeMS: cursor.awaitData ? 0 : cursor.maxTimeMS,
+                awaitData: false
+            });
+        
+        if (singleBatch || cursor.isExhausted) {
+            cursor.close();
+        }
+        
+        const reply = {
+            cursor: {
+                firstBatch,
+                id: cursor.isClosed ? 0n : cursor.id,
+                ns: namespace
+            },
+            ok: 1
+        };
+        
+        // Change streams report how far they have read
+        if (source.getResumeToken) {
+            reply.cursor.postBatchResumeToken = source.getResumeToken();
+        }
+        
+        return reply;
+    }
+    
+    /**
+     * Handle GETMORE command (OP_MSG)
+     * batchSize and maxTimeMS default to those the cursor was opened with;
+     * on awaitData cursors maxTimeMS is how long to wait for new documents
+     */
+    async handleGetMoreCommand(command) {
+        const database = command.$db || command.db || 'test';
+        const namespace = `${database}.${command.collection}`;
+        const cursorId = toCursorId(command.getMore);
+        const cursor = this.cursorManager.getCursor(cursorId);
+        
+        if (!cursor || cursor.isClosed) {
+            return {
+                ok: 0,
+                errmsg: `cursor id ${cursorId} not found`,
+                code: 43,
+                codeName: 'CursorNotFound'
+            };
+        }
+        
+        if (cursor.namespace !== namespace) {
             return {
+                ok: 0,
+                errmsg: `Requested getMore on namespace '${namespace}', but cursor belongs to a different namespace ${cursor.namespace}`,
+                code: 13,
+                codeName: 'Unauthorized'
+            };
+        }
+        
+        try {
+            const nextBatch = await cursor.getNextBatch(command.batchSize, {
+                maxTimeMS: command.maxTimeMS ?? (cursor.awaitData ? 0 : cursor.maxTimeMS)
+            });
+            if (cursor.isExhausted) {
+                cursor.close();
+            }
+            
+            const reply = {
                 cursor: {
-                    firstBatch: result.documents,
-                    id: result.cursorId,
-                    ns: collection
+                    nextBatch,
+                    id: cursor.isClosed ? 0n : cursor.id,
+                    ns: namespace
                 },
                 ok: 1
             };
             
+            if (cursor.source?.getResumeToken) {
+                reply.cursor.postBatchResumeToken = cursor.source.getResumeToken();
+            }
+            
+            return reply;
+            
         } catch (error) {
             return {
                 ok: 0,
                 errmsg: error.message,
-                code: error.code || 1
+                code: error.code || 1,
+                codeName: error.codeName
             };
         }
     }
     
+    /**
+     * Handle KILLCURSORS command (OP_MSG)
+     */
+    async handleKillCursorsCommand(command) {
+        const cursorsKilled = [];
+        const cursorsNotFound = [];
+        
+        for (const id of command.cursors || []) {
+            const cursorId = toCursorId(id);
+            if (this.cursorManager.closeCursor(cursorId)) {
+                cursorsKilled.push(cursorId);
+            } else {
+                cursorsNotFound.push(cursorId);
+            }
+        }
+        
+        return {
+            cursorsKilled,
+            cursorsNotFound,
+            cursorsAlive: [],
+            cursorsUnknown: [],
+            ok: 1
+        };
+    }
+    
     /**
      * Handle modern UPDATE command (OP_MSG)
      */
@@ -297,33 +538,38 @@ export class CRUDHandlers {
         
         let totalMatched = 0;
         let totalModified = 0;
-        let totalUpserted = 0;
         const upsertedIds = [];
         
         try {
-            for (const update of updates) {
+            const writeErrors = await this.executeWrites(updates, command.ordered !== false, async (update, index) => {
+                if (update.u === undefined) {
+                    throw commandError("BSON field 'update.updates.u' is missing but a required field", 40414, 'IDLParseError');
+                }
+                
                 const result = await this.handleUpdate(
                     collection,
                     update.q || {},
-                    update.u || {},
-                    (update.multi ? 0x02 : 0) | (update.upsert ? 0x01 : 0)
+                    update.u,
+                    (update.multi ? 0x02 : 0) | (update.upsert ? 0x01 : 0),
+                    { arrayFilters: update.arrayFilters }
                 );
                 
                 totalMatched += result.n || 0;
                 totalModified += result.nModified || 0;
                 
-                if (result.upserted) {
-                    totalUpserted++;
-                    upsertedIds.push({ index: updates.indexOf(update), _id: result.upserted });
+                // n counts upserted documents too
+                if (result.upserted !== undefined) {
+                    totalMatched++;
+                    upsertedIds.push({ index, _id: result.upserted });
                 }
-            }
+            });
             
-            return {
+            return withWriteErrors({
                 ok: 1,
                 n: totalMatched,
                 nModified: totalModified,
                 upserted: upsertedIds.length > 0 ? upsertedIds : undefined
-            };
+            }, writeErrors);
             
         } catch (error) {
             return {
@@ -344,7 +590,12 @@ export class CRUDHandlers {
         let totalDeleted = 0;
         
         try {
-            for (const del of deletes) {
+            const invalid = deletes.find(del => del.limit !== undefined && del.limit !== 0 && del.limit !== 1);
+            if (invalid) {
+                throw commandError(`The limit field in delete objects must be 0 or 1. Got ${invalid.limit}`, 9, 'FailedToParse');
+            }
+            
+            const writeErrors = await this.executeWrites(deletes, command.ordered !== false, async (del) => {
                 const result = await this.handleDelete(
                     collection,
                     del.q || {},
@@ -352,12 +603,12 @@ export class CRUDHandlers {
                 );
                 
                 totalDeleted += result.n || 0;
-            }
+            });
             
-            return {
+            return withWriteErrors({
                 ok: 1,
                 n: totalDeleted
-            };
+            }, writeErrors);
             
         } catch (error) {
             return {
@@ -368,6 +619,129 @@ export class CRUDHandlers {
         }
     }
     
+    /**
+     * Handle BULKWRITE command (admin database)
+     * Runs insert, update and delete operations across namespaces (nsInfo);
+     * the per-operation results come back through a cursor
+     */
+    async handleBulkWriteCommand(command) {
+        const database = command.$db || command.db || 'test';
+        const ops = command.ops || [];
+        const ordered = command.ordered !== false;
+        
+        try {
+            if (database !== 'admin') {
+                throw commandError('The bulkWrite command must be run against the admin database', 13, 'Unauthorized');
+            }
+            
+            const collections = [];
+            for (const { ns } of command.nsInfo || []) {
+                collections.push(await this.collectionManager.getCollection(...parseNamespace(ns)));
+            }
+            const collectionAt = (nsIndex) => {
+                if (!collections[nsIndex]) {
+                    throw commandError(`BulkWrite ops entry refers to namespace index ${nsIndex}, which is out of range`, 2, 'BadValue');
+                }
+                return collections[nsIndex];
+            };
+            
+            const results = [];
+            const totals = { nErrors: 0, nInserted: 0, nMatched: 0, nModified: 0, nUpserted: 0, nDeleted: 0 };
+            const fail = (idx, { index, ...writeError }) => {
+                totals.nErrors++;
+                results.push({ ok: 0, idx, ...writeError });
+            };
+            
+            for (let idx = 0; idx < ops.length;) {
+                const op = ops[idx];
+                
+                // Consecutive inserts into one namespace go in as one batch
+                if (op.insert !== undefined) {
+                    let end = idx + 1;
+                    while (end < ops.length && ops[end].insert === op.insert) {
+                        end++;
+                    }
+                    
+                    let result;
+                    try {
+                        result = await collectionAt(op.insert).insertMany(ops.slice(idx, end).map(o => o.document), { ordered });
+                    } catch (error) {
+                        fail(idx, toWriteError(idx, error));
+                        if (ordered) {
+                            break;
+                        }
+                        idx++;
+                        continue;
+                    }
+                    
+                    const failed = new Map(result.writeErrors.map(writeError => [writeError.index, writeError]));
+                    const attempted = ordered && result.writeErrors.length > 0 ? result.writeErrors[0].index + 1 : end - idx;
+                    for (let offset = 0; offset < attempted; offset++) {
+                        const writeError = failed.get(offset);
+                        if (writeError) {
+                            fail(idx + offset, writeError);
+                        } else {
+                            results.push({ ok: 1, idx: idx + offset, n: 1 });
+                        }
+                    }
+                    totals.nInserted += result.insertedCount;
+                    
+                    if (ordered && result.writeErrors.length > 0) {
+                        break;
+                    }
+                    idx = end;
+                    continue;
+                }
+                
+                try {
+                    if (op.update !== undefined) {
+                        const result = await collectionAt(op.update).update(op.filter || {}, op.updateMods || {}, {
+                            multi: !!op.multi,
+                            upsert: !!op.upsert,
+                            arrayFilters: op.arrayFilters
+                        });
+                        const reply = { ok: 1, idx, n: result.matchedCount, nModified: result.modifiedCount };
+                        totals.nMatched += result.matchedCount;
+                        totals.nModified += result.modifiedCount;
+                        if (result.upsertedCount > 0) {
+                            reply.n = 1;
+                            reply.upserted = { _id: result.upsertedId };
+                            totals.nUpserted++;
+                        }
+                        results.push(reply);
+                    } else if (op.delete !== undefined) {
+                        const result = await collectionAt(op.delete).delete(op.filter || {}, { single: !op.multi });
+                        totals.nDeleted += result.deletedCount;
+                        results.push({ ok: 1, idx, n: result.deletedCount });
+                    } else {
+                        throw commandError(`Unrecognized bulkWrite operation: ${Object.keys(op)[0]}`, 9, 'FailedToParse');
+                    }
+                } catch (error) {
+                    fail(idx, toWriteError(idx, error));
+                    if (ordered) {
+                        break;
+                    }
+                }
+                idx++;
+            }
+            
+            const replies = command.errorsOnly ? results.filter(result => !result.ok) : results;
+            const reply = await this.openCursor('admin.$cmd.bulkWrite', { next: async (count) => replies.splice(0, count) }, {
+                batchSize: command.cursor?.batchSize
+            });
+            
+            return { ...reply, ...totals };
+            
+        } catch (error) {
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1,
+                codeName: error.codeName
+            };
+        }
+    }
+    
     /**
      * Handle AGGREGATION command
      */
@@ -381,11 +755,31 @@ export class CRUDHandlers {
         };
         
         try {
+            if (pipeline.length > 0 && pipeline[0].$changeStream) {
+                return await this.openChangeStream(command);
+            }
+            
             // Parse database and collection
             const [database, collectionName] = collection.split('.');
             
+            // aggregate: 1 runs against the database, starting from $documents
+            if (command.aggregate === 1 && pipeline[0]?.$documents === undefined) {
+                return {
+                    ok: 0,
+                    errmsg: `{aggregate: 1} is not valid for '${Object.keys(pipeline[0] || {})[0] || 'an empty pipeline'}'; a collection is required.`,
+                    code: 73,
+                    codeName: 'InvalidNamespace'
+                };
+            }
+            
             // Get or create collection
-            const col = await this.collectionManager.getCollection(database, collectionName);
+            const col = command.aggregate === 1
+                ? null
+                : await this.collectionManager.getCollection(database, collectionName);
+            
+            // Joined collections ($lookup, $graphLookup) and $merge/$out targets
+            // resolve in the same database unless one is given
+            options.resolveCollection = (name, db = database) => this.collectionManager.getCollection(db, name);
             
             // Execute aggregation
             const documents = await this.queryEngine.executeAggregation(
@@ -394,14 +788,11 @@ export class CRUDHandlers {
                 options
             );
             
-            return {
-                cursor: {
-                    firstBatch: documents,
-                    id: 0n,
-                    ns: collection
-                },
-                ok: 1
-            };
+            // The results are complete; the cursor only pages through them
+            return await this.openCursor(collection, { next: async (count) => documents.splice(0, count) }, {
+                batchSize: command.cursor?.batchSize,
+                maxTimeMS: command.maxTimeMS
+            });
             
         } catch (error) {
             return {
@@ -412,6 +803,48 @@ export class CRUDHandlers {
         }
     }
     
+    /**
+     * Open a change stream for an aggregate led by $changeStream
+     * aggregate: 1 watches the whole database, or with allChangesForCluster
+     * on admin every database. The cursor stays open until invalidated
+     */
+    async openChangeStream(command) {
+        const database = command.$db || command.db || 'test';
+        const [{ $changeStream: spec }, ...pipeline] = command.pipeline;
+        const watchesDatabase = command.aggregate === 1;
+        
+        if (spec.allChangesForCluster && (!watchesDatabase || database !== 'admin')) {
+            throw Object.assign(new Error(
+                "$changeStream may only be run on the 'admin' database if allChangesForCluster: true"
+            ), { code: 2 });
+        }
+        
+        const col = watchesDatabase ? null : await this.collectionManager.getCollection(database, command.aggregate);
+        
+        const stream = new ChangeStream(this.collectionManager.oplog, {
+            database: spec.allChangesForCluster ? null : database,
+            collection: col ? col.name : null,
+            fullDocument: spec.fullDocument,
+            fullDocumentBeforeChange: spec.fullDocumentBeforeChange,
+            resumeAfter: spec.resumeAfter,
+            startAfter: spec.startAfter,
+            startAtOperationTime: spec.startAtOperationTime,
+            pipeline,
+            runPipeline: (events, stages) => this.queryEngine.runPipeline(events, stages, {
+                collection: col,
+                variables: {}
+            }),
+            synthetic: col
+        });
+        
+        const namespace = `${database}.${watchesDatabase ? '$cmd.aggregate' : command.aggregate}`;
+        return await this.openCursor(namespace, stream, {
+            batchSize: command.cursor?.batchSize,
+            tailable: true,
+            awaitData: true
+        });
+    }
+    
     /**
      * Handle COUNT command
      */
@@ -447,6 +880,412 @@ export class CRUDHandlers {
         }
     }
     
+    /**
+     * Handle DISTINCT command
+     */
+    async handleDistinctCommand(command) {
+        const database = command.$db || command.db || 'test';
+        
+        try {
+            if (typeof command.key !== 'string') {
+                throw commandError("BSON field 'distinct.key' is missing but a required field", 40414, 'Location40414');
+            }
+            
+            const col = await this.collectionManager.getCollection(database, command.distinct);
+            const values = await col.distinct(command.key, command.query || {});
+            
+            this.stats.queries++;
+            return { values, ok: 1 };
+            
+        } catch (error) {
+            this.stats.errors++;
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1,
+                codeName: error.codeName
+            };
+        }
+    }
+    
+    /**
+     * Handle FINDANDMODIFY command
+     */
+    async handleFindAndModifyCommand(command) {
+        const database = command.$db || command.db || 'test';
+        const name = command.findAndModify ?? command.findandmodify;
+        const remove = !!command.remove;
+        
+        try {
+            if (remove && command.update !== undefined) {
+                throw commandError('Cannot specify both an update and remove=true', 9, 'FailedToParse');
+            }
+            if (!remove && command.update === undefined) {
+                throw commandError('Either an update or remove=true must be specified', 9, 'FailedToParse');
+            }
+            if (remove && command.new) {
+                throw commandError(
+                    "Cannot specify both new=true and remove=true; 'remove' always returns the deleted document",
+                    9, 'FailedToParse'
+                );
+            }
+            
+            const col = await this.collectionManager.getCollection(database, name);
+            const result = await col.findAndModify(command.query || {}, {
+                sort: command.sort,
+                remove,
+                update: command.update,
+                upsert: !!command.upsert,
+                returnNew: !!command.new,
+                arrayFilters: command.arrayFilters
+            });
+            
+            let value = result.value;
+            if (value && command.fields) {
+                [value] = col.projectDocuments([value], command.fields);
+            }
+            
+            this.stats[remove ? 'deletes' : 'updates']++;
+            return {
+                lastErrorObject: result.lastErrorObject,
+                value,
+                ok: 1
+            };
+            
+        } catch (error) {
+            this.stats.errors++;
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1,
+                codeName: error.codeName
+            };
+        }
+    }
+    
+    /**
+     * Handle CREATE command
+     */
+    async handleCreateCommand(command) {
+        const database = command.$db || command.db || 'test';
+        
+        try {
+            if (command.viewOn !== undefined) {
+                throw commandError('Views are not supported', 115, 'CommandNotSupported');
+            }
+            
+            const options = {};
+            for (const option of CREATE_OPTIONS) {
+                if (command[option] !== undefined) {
+                    options[option] = command[option];
+                }
+            }
+            
+            await this.collectionManager.createCollection(database, command.create, options);
+            return { ok: 1 };
+            
+        } catch (error) {
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1,
+                codeName: error.codeName
+            };
+        }
+    }
+    
+    /**
+     * Handle DROP command
+     */
+    async handleDropCommand(command) {
+        const database = command.$db || command.db || 'test';
+        const namespace = `${database}.${command.drop}`;
+        
+        try {
+            const existing = this.collectionManager.collections.get(namespace);
+            const nIndexesWas = existing ? existing.indexes.size : 1;
+            
+            if (!await this.collectionManager.dropCollection(database, command.drop)) {
+                throw commandError('ns not found', 26, 'NamespaceNotFound');
+            }
+            
+            return { ns: namespace, nIndexesWas, ok: 1 };
+            
+        } catch (error) {
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1,
+                codeName: error.codeName
+            };
+        }
+    }
+    
+    /**
+     * Handle DROPDATABASE command
+     */
+    async handleDropDatabaseCommand(command) {
+        const database = command.$db || command.db || 'test';
+        
+        try {
+            await this.collectionManager.dropDatabase(database);
+            return { dropped: database, ok: 1 };
+            
+        } catch (error) {
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1,
+                codeName: error.codeName
+            };
+        }
+    }
+    
+    /**
+     * Handle RENAMECOLLECTION command (admin database)
+     */
+    async handleRenameCollectionCommand(command) {
+        const database = command.$db || command.db || 'test';
+        
+        try {
+            if (database !== 'admin') {
+                throw commandError('renameCollection may only be run against the admin database.', 13, 'Unauthorized');
+            }
+            
+            const [fromDatabase, fromName] = parseNamespace(command.renameCollection);
+            const [toDatabase, toName] = parseNamespace(command.to);
+            
+            if (fromDatabase === toDatabase && fromName === toName) {
+                throw commandError("Can't rename a collection to itself", 20, 'IllegalOperation');
+            }
+            
+            await this.collectionManager.renameCollection(fromDatabase, fromName, toDatabase, toName, {
+                dropTarget: !!command.dropTarget
+            });
+            return { ok: 1 };
+            
+        } catch (error) {
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1,
+                codeName: error.codeName
+            };
+        }
+    }
+    
+    /**
+     * Handle COLLSTATS command
+     */
+    async handleCollStatsCommand(command) {
+        const database = command.$db || command.db || 'test';
+        const name = command.collStats ?? command.collstats;
+        
+        try {
+            const scale = command.scale ?? 1;
+            if (!(scale >= 1)) {
+                throw commandError('scale has to be >= 1', 51024, 'Location51024');
+            }
+            
+            const col = await this.collectionManager.getCollection(database, name);
+            return { ...await col.getCollStats(scale), ok: 1 };
+            
+        } catch (error) {
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1,
+                codeName: error.codeName
+            };
+        }
+    }
+    
+    /**
+     * Handle DBSTATS command
+     * Totals collStats over the database's collections
+     */
+    async handleDbStatsCommand(command) {
+        const database = command.$db || command.db || 'test';
+        
+        try {
+            const scale = command.scale ?? 1;
+            if (!(scale >= 1)) {
+                throw commandError('scale has to be >= 1', 51024, 'Location51024');
+            }
+            
+            const totals = { objects: 0, dataSize: 0, storageSize: 0, indexes: 0, indexSize: 0 };
+            const names = await this.collectionManager.listCollectionNames(database);
+            for (const name of names) {
+                const col = await this.collectionManager.getCollection(database, name);
+                const stats = await col.getCollStats();
+                totals.objects += stats.count;
+                totals.dataSize += stats.size;
+                totals.storageSize += stats.storageSize;
+                totals.indexes += stats.nindexes;
+                totals.indexSize += stats.totalIndexSize;
+            }
+            
+            return {
+                db: database,
+                collections: names.length,
+                views: 0,
+                objects: totals.objects,
+                avgObjSize: totals.objects > 0 ? totals.dataSize / totals.objects : 0,
+                dataSize: Math.floor(totals.dataSize / scale),
+                storageSize: Math.floor(totals.storageSize / scale),
+                indexes: totals.indexes,
+                indexSize: Math.floor(totals.indexSize / scale),
+                totalSize: Math.floor((totals.storageSize + totals.indexSize) / scale),
+                scaleFactor: scale,
+                ok: 1
+            };
+            
+        } catch (error) {
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1,
+                codeName: error.codeName
+            };
+        }
+    }
+    
+    /**
+     * Handle EXPLAIN command for find, aggregate, count and distinct
+     * queryPlanner verbosity only plans; the others also run the command
+     */
+    async handleExplainCommand(command) {
+        const explained = command.explain || {};
+        const verbosity = command.verbosity || 'allPlansExecution';
+        const commandName = Object.keys(explained)[0];
+        
+        if (!EXPLAIN_VERBOSITIES.includes(verbosity)) {
+            return {
+                ok: 0,
+                errmsg: `verbosity string must be one of {${EXPLAIN_VERBOSITIES.map(v => `'${v}'`).join(', ')}}`,
+                code: 2,
+                codeName: 'BadValue'
+            };
+        }
+        
+        if (!['find', 'aggregate', 'count', 'distinct'].includes(commandName)) {
+            return {
+                ok: 0,
+                errmsg: `Explain is not supported for command: ${commandName}`,
+                code: 59,
+                codeName: 'CommandNotFound'
+            };
+        }
+        
+        try {
+            const database = explained.$db || command.$db || 'test';
+            const col = await this.collectionManager.getCollection(database, explained[commandName]);
+            const execute = verbosity !== 'queryPlanner';
+            const generationStats = {};
+            const startTime = Date.now();
+            
+            let queryPlanner;
+            let explainedStages;
+            const executionStats = {};
+            
+            switch (commandName) {
+                case 'find': {
+                    const filter = explained.filter || {};
+                    const options = {
+                        skip: explained.skip || 0,
+                        limit: explained.limit || 100,
+                        sort: explained.sort,
+                        projection: explained.projection
+                    };
+                    queryPlanner = await col.explainFind(filter, options);
+                    if (execute) {
+                        const documents = await col.find(filter, { ...options, generationStats });
+                        executionStats.nReturned = documents.length;
+                    }
+                    break;
+                }
+                
+                case 'count': {
+                    const query = explained.query || {};
+                    queryPlanner = await col.explainCount(query);
+                    if (execute) {
+                        executionStats.nReturned = 0;
+                        executionStats.nCounted = await col.count(query);
+                    }
+                    break;
+                }
+                
+                case 'distinct': {
+                    const query = explained.query || {};
+                    queryPlanner = await col.explainFind(query, { limit: 0 });
+                    queryPlanner.winningPlan = {
+                        stage: 'DISTINCT',
+                        keyPattern: { [explained.key]: 1 },
+                        inputStage: queryPlanner.winningPlan
+                    };
+                    if (execute) {
+                        const values = await col.distinct(explained.key, query, { generationStats });
+                        executionStats.nReturned = values.length;
+                    }
+                    break;
+                }
+                
+                case 'aggregate': {
+                    const pipeline = explained.pipeline || [];
+                    const explainedPipeline = await this.queryEngine.explainAggregation(col, pipeline);
+                    queryPlanner = explainedPipeline.queryPlanner;
+                    explainedStages = explainedPipeline.stages;
+                    
+                    if (execute) {
+                        const documents = await this.queryEngine.executeAggregation(col, pipeline, {
+                            generationStats,
+                            resolveCollection: (name) => this.collectionManager.getCollection(database, name)
+                        });
+                        executionStats.nReturned = documents.length;
+                    }
+                    break;
+                }
+            }
+            
+            // Pipelines report the base find as their $cursor stage
+            const result = commandName === 'aggregate'
+                ? { explainVersion: '1', stages: [{ $cursor: { queryPlanner } }, ...explainedStages] }
+                : { explainVersion: '1', queryPlanner };
+            result.command = explained;
+            result.ok = 1;
+            if (execute) {
+                result.executionStats = this.createExecutionStats(executionStats, generationStats, startTime);
+            }
+            return result;
+        
+        } catch (error) {
+            return {
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1
+            };
+        }
+    }
+    
+    /**
+     * Build explain executionStats from a run's generation stats
+     */
+    createExecutionStats(stats, generationStats, startTime) {
+        return {
+            executionSuccess: true,
+            ...stats,
+            executionTimeMillis: Date.now() - startTime,
+            generation: {
+                generated: generationStats.generated || 0,
+                accepted: generationStats.accepted || 0,
+                acceptanceRate: generationStats.acceptanceRate ?? null,
+                budget: generationStats.budget ?? null,
+                budgetExhausted: generationStats.budgetExhausted || false,
+                generationTimeMillis: generationStats.durationMillis || 0
+            }
+        };
+    }
+    
     /**
      * Handle CREATE INDEX command
      */
@@ -528,6 +1367,7 @@ export class CRUDHandlers {
         return {
             ...this.stats,
             collections: this.collectionManager.stats,
+            cursors: { ...this.cursorManager.stats, activeCursors: this.cursorManager.cursors.size },
             query: this.queryEngine.getStats()
         };
     }
@@ -536,6 +1376,7 @@ export class CRUDHandlers {
      * Clear all data
      */
     clear() {
+        this.cursorManager.clear();
         this.collectionManager.clear();
         this.queryEngine.clearCache();
         this.stats = {
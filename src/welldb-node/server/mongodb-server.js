@@ -5,14 +5,88 @@
  */
 
 import net from 'net';
+import tls from 'tls';
+import { readFileSync } from 'fs';
+import path from 'path';
 import { EventEmitter } from 'events';
 import MessageHandler from '../protocol/message.js';
-import { OpcodeParser, OpCode } from '../protocol/opcodes.js';
+import { OpcodeParser, OpCode, OpMsgMessage, OpReplyMessage, getOpcodeName } from '../protocol/opcodes.js';
 import DataFloodStorage from '../storage/dataflood-storage.js';
-import { BSON, Long } from '../protocol/bson.js';
+import { BSON, Long, Binary } from '../protocol/bson.js';
+import { SUPPORTED_COMPRESSORS, negotiateCompressors } from '../protocol/compression.js';
 import { CRUDHandlers } from './crud-handlers.js';
+import { QueryMatcher } from '../core/query-matcher.js';
+import { UserStore, ScramAuthenticator, AuthErrorCode } from './auth.js';
+import { MetricsCollector } from '../monitoring/metrics.js';
 import config from '../../config/config-loader.js';
 
+// Commands whose replies must never be compressed
+const UNCOMPRESSIBLE_COMMANDS = new Set([
+    'hello', 'ismaster', 'saslstart', 'saslcontinue', 'getnonce',
+    'authenticate', 'createuser', 'updateuser', 'copydbsaslstart', 'copydbgetnonce', 'copydb'
+]);
+
+// Commands allowed before authentication when requireAuth is on
+const AUTH_EXEMPT_COMMANDS = new Set([
+    'hello', 'ismaster', 'saslstart', 'saslcontinue', 'ping', 'buildinfo',
+    'getnonce', 'logout', 'endsessions', 'connectionstatus'
+]);
+
+// Addresses the localhost exception applies to
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+// Roles that may create and drop users: of any database when granted on
+// admin, or of the database they are granted on
+const USER_ADMIN_ANY_DATABASE_ROLES = new Set(['root', 'userAdminAnyDatabase']);
+const USER_ADMIN_ROLES = new Set(['userAdmin', 'dbOwner']);
+
+// Commands listCommands reports, with their help text
+const COMMAND_HELP = {
+    aggregate: 'run an aggregation pipeline over generated and stored documents',
+    buildInfo: 'get version and build information',
+    bulkWrite: 'run inserts, updates and deletes across collections in one command',
+    collStats: 'get statistics for a collection',
+    connectionStatus: 'get the authenticated users and roles of this connection',
+    count: 'count documents matching a query',
+    create: 'explicitly create a collection',
+    createIndexes: 'create indexes on a collection',
+    createUser: 'create a user',
+    dbStats: 'get statistics for a database',
+    delete: 'delete documents',
+    distinct: 'get the distinct values of a field',
+    drop: 'drop a collection, its model and stored documents',
+    dropDatabase: 'drop a database, its models and stored documents',
+    dropUser: 'drop a user',
+    endSessions: 'end logical sessions',
+    explain: 'describe how a find, aggregate, count or distinct would run',
+    find: 'query documents',
+    findAndModify: 'update or remove one document and return it',
+    getLastError: 'get the result of the last write',
+    getMore: 'get the next batch of a cursor',
+    getParameter: 'get server parameters',
+    hello: 'get the server role and limits',
+    hostInfo: 'get host information',
+    insert: 'insert documents',
+    isMaster: 'get the server role and limits (legacy name of hello)',
+    killCursors: 'close cursors',
+    listCollections: 'list the collections of a database',
+    listCommands: 'list the supported commands',
+    listDatabases: 'list databases',
+    listIndexes: 'list the indexes of a collection',
+    logout: 'log out of the current database',
+    ping: 'check the server is responding',
+    refreshSessions: 'refresh logical sessions',
+    renameCollection: 'rename a collection, optionally into another database',
+    saslContinue: 'continue a SASL authentication',
+    saslStart: 'start a SASL authentication',
+    startSession: 'start a logical session',
+    update: 'update documents',
+    usersInfo: 'get information about users'
+};
+
+// Commands that only run against the admin database
+const ADMIN_ONLY_COMMANDS = new Set(['bulkWrite', 'getParameter', 'listDatabases', 'renameCollection']);
+
 /**
  * MongoDB-compatible server with DataFlood integration
  */
@@ -27,6 +101,11 @@ export class MongoDBServer extends EventEmitter {
         this.port = options.port || 27017;
         this.host = options.host || '127.0.0.1';
         this.maxConnections = options.maxConnections || 1000;
+        this.compressors = options.compressors || config.server.compressors || SUPPORTED_COMPRESSORS;
+        
+        // TLS configuration (options override mongtap.config.json)
+        this.tlsConfig = { ...(config.server.tls || {}), ...(options.tls || {}) };
+        this.tlsEnabled = Boolean(this.tlsConfig.enabled);
         
         // Components
         this.server = null;
@@ -47,10 +126,32 @@ export class MongoDBServer extends EventEmitter {
             messageHandler: this.messageHandler,
             logger: options.logger
         });
+        this.matcher = new QueryMatcher();
         
         // Logging
         this.logger = options.logger || this.createDefaultLogger();
         
+        // Metrics, snapshot on demand rather than on a timer
+        this.metrics = options.metrics || new MetricsCollector({
+            collectInterval: 0,
+            enableSystemMetrics: false,
+            logger: this.logger
+        });
+        this.crudHandlers.collectionManager.on('generation', (stats) => {
+            this.metrics.recordGeneration(stats);
+        });
+        
+        // Authentication
+        this.requireAuth = options.requireAuth ?? config.server.requireAuth ?? false;
+        this.userStore = options.userStore || new UserStore({
+            basePath: this.storage.basePath,
+            logger: this.logger
+        });
+        this.authenticator = new ScramAuthenticator({
+            userStore: this.userStore,
+            logger: this.logger
+        });
+        
         // Statistics
         this.stats = {
             connectionsTotal: 0,
@@ -84,17 +185,29 @@ export class MongoDBServer extends EventEmitter {
             await this.storage.initialize();
         }
         
+        if (!this.userStore.loaded) {
+            await this.userStore.load();
+        }
+        
+        const tlsOptions = this.tlsEnabled ? this.loadTlsOptions() : null;
+        
         return new Promise((resolve, reject) => {
-            this.server = net.createServer();
+            this.server = tlsOptions ? tls.createServer(tlsOptions) : net.createServer();
             
             // Set max connections
             this.server.maxConnections = this.maxConnections;
             
-            // Handle new connections
-            this.server.on('connection', (socket) => {
+            // Handle new connections (after the handshake when using TLS)
+            this.server.on(tlsOptions ? 'secureConnection' : 'connection', (socket) => {
                 this.handleConnection(socket);
             });
             
+            // Failed TLS handshakes (e.g. missing or untrusted client certificates)
+            this.server.on('tlsClientError', (err, socket) => {
+                this.logger.warn(`TLS handshake failed from ${socket.remoteAddress}: ${err.message}`);
+                this.emit('tlsClientError', { remoteAddress: socket.remoteAddress, error: err });
+            });
+            
             // Handle server errors
             this.server.on('error', (err) => {
                 this.logger.error('Server error:', err);
@@ -105,13 +218,44 @@ export class MongoDBServer extends EventEmitter {
             // Start listening
             this.server.listen(this.port, this.host, () => {
                 this.stats.startTime = new Date();
-                this.logger.info(`MongoDB server listening on ${this.host}:${this.port}`);
-                this.emit('listening', { host: this.host, port: this.port });
+                this.logger.info(`MongoDB server listening on ${this.host}:${this.port}${tlsOptions ? ' (TLS)' : ''}`);
+                this.emit('listening', { host: this.host, port: this.port, tls: Boolean(tlsOptions) });
                 resolve();
             });
         });
     }
 
+    /**
+     * Build tls.createServer options from the TLS configuration
+     * Client certificates are verified against caFile when requireClientCert is set
+     */
+    loadTlsOptions() {
+        const { certFile, keyFile, caFile, passphrase, requireClientCert } = this.tlsConfig;
+        
+        if (!certFile || !keyFile) {
+            throw new Error('TLS requires certFile and keyFile');
+        }
+        if (requireClientCert && !caFile) {
+            throw new Error('TLS client certificate verification requires caFile');
+        }
+        
+        const tlsOptions = {
+            cert: readFileSync(path.resolve(certFile)),
+            key: readFileSync(path.resolve(keyFile)),
+            requestCert: Boolean(requireClientCert),
+            rejectUnauthorized: Boolean(requireClientCert)
+        };
+        
+        if (caFile) {
+            tlsOptions.ca = readFileSync(path.resolve(caFile));
+        }
+        if (passphrase) {
+            tlsOptions.passphrase = passphrase;
+        }
+        
+        return tlsOptions;
+    }
+
     /**
      * Stop the MongoDB server
      */
@@ -123,6 +267,9 @@ export class MongoDBServer extends EventEmitter {
             }
             this.connections.clear();
             
+            // Close open cursors and their timers
+            this.crudHandlers.cursorManager.destroy();
+            
             // Close server
             if (this.server) {
                 this.server.close(() => {
@@ -152,7 +299,10 @@ export class MongoDBServer extends EventEmitter {
             remoteAddress,
             buffer: Buffer.alloc(0),
             database: 'test',  // Default database
-            authenticated: true, // No auth for now
+            authenticated: !this.requireAuth,
+            users: [],           // Authenticated { user, db } pairs
+            saslConversation: null,
+            compressors: [],     // Negotiated in hello
             startTime: new Date(),
             stats: {
                 messagesReceived: 0,
@@ -225,11 +375,25 @@ export class MongoDBServer extends EventEmitter {
         
         try {
             // Parse message
-            const message = OpcodeParser.parseMessage(messageBuffer);
+            let message = OpcodeParser.parseMessage(messageBuffer);
+            
+            // Unwrap compressed messages; the reply uses the same compressor
+            let compressorId = null;
+            if (message.header.opCode === OpCode.OP_COMPRESSED) {
+                compressorId = message.compressorId;
+                message = OpcodeParser.parseMessage(this.messageHandler.decompressMessage(message));
+            }
+            
             const requestId = message.header.requestID;
             
             this.logger.debug(`Processing ${message.constructor.name} from connection ${connection.id}`);
             
+            // Reject everything but the handshake until the connection authenticates
+            if (!this.isAuthorized(connection, message)) {
+                this.sendResponse(connection, this.createUnauthorizedReply(message));
+                return;
+            }
+            
             // Route based on opcode
             let response;
             switch (message.header.opCode) {
@@ -272,6 +436,9 @@ export class MongoDBServer extends EventEmitter {
             
             // Send response if one was generated
             if (response) {
+                if (compressorId !== null && this.isCompressible(message)) {
+                    response = this.messageHandler.compressMessage(response, compressorId);
+                }
                 this.sendResponse(connection, response);
             }
             
@@ -286,6 +453,95 @@ export class MongoDBServer extends EventEmitter {
         }
     }
 
+    /**
+     * Check whether the reply to a message may be compressed
+     * Handshake and authentication replies are always sent uncompressed
+     */
+    isCompressible(message) {
+        return !UNCOMPRESSIBLE_COMMANDS.has(this.getCommandName(message));
+    }
+
+    /**
+     * Get the lowercased command name of an OP_MSG or OP_QUERY command
+     */
+    getCommandName(message) {
+        let command = null;
+        if (message.header.opCode === OpCode.OP_MSG) {
+            command = message.sections?.find(section => section.kind === 0)?.document;
+        } else if (message.header.opCode === OpCode.OP_QUERY &&
+                   message.fullCollectionName?.endsWith('.$cmd') &&
+                   message.queryBuffer?.length >= 5) {
+            command = BSON.deserialize(message.queryBuffer.slice(0, message.queryBuffer.readInt32LE(0)));
+        }
+        
+        return command ? Object.keys(command)[0]?.toLowerCase() || null : null;
+    }
+
+    /**
+     * Check whether a message may run on this connection
+     */
+    isAuthorized(connection, message) {
+        if (connection.authenticated) {
+            return true;
+        }
+        
+        const commandName = this.getCommandName(message);
+        if (AUTH_EXEMPT_COMMANDS.has(commandName)) {
+            return true;
+        }
+        
+        // Localhost exception: the first user may be created without
+        // credentials, from a loopback address only
+        return commandName === 'createuser' && !this.userStore.hasUsers() &&
+            LOOPBACK_ADDRESSES.has(connection.socket?.remoteAddress);
+    }
+
+    /**
+     * Check whether a connection may create or drop users of a database
+     * Without requireAuth nothing is enforced, and while no users exist the
+     * localhost exception has already vetted the connection
+     */
+    canManageUsers(connection, database) {
+        if (!this.requireAuth || !this.userStore.hasUsers()) {
+            return true;
+        }
+        
+        return connection.users.some(({ user, db }) => (this.userStore.getUser(db, user)?.roles || [])
+            .some(({ role, db: roleDb }) => (USER_ADMIN_ANY_DATABASE_ROLES.has(role) && roleDb === 'admin') ||
+                (USER_ADMIN_ROLES.has(role) && roleDb === database)));
+    }
+
+    /**
+     * Reply for a user management command the connection's roles don't allow
+     */
+    createUserAdminDeniedReply(database, commandName, username, requestId) {
+        return this.messageHandler.createOpMsg({
+            ok: 0,
+            errmsg: `not authorized on ${database} to execute command { ${commandName}: "${username}" }`,
+            code: AuthErrorCode.UNAUTHORIZED,
+            codeName: 'Unauthorized'
+        }, 0, requestId);
+    }
+
+    /**
+     * Create the reply for a message rejected by isAuthorized
+     */
+    createUnauthorizedReply(message) {
+        const commandName = this.getCommandName(message) || getOpcodeName(message.header.opCode);
+        const errmsg = `command ${commandName} requires authentication`;
+        
+        if (message.header.opCode === OpCode.OP_MSG) {
+            return this.messageHandler.createOpMsg({
+                ok: 0,
+                errmsg,
+                code: AuthErrorCode.UNAUTHORIZED,
+                codeName: 'Unauthorized'
+            }, 0, message.header.requestID);
+        }
+        
+        return this.messageHandler.createErrorReply(message.header.requestID, errmsg, AuthErrorCode.UNAUTHORIZED);
+    }
+
     /**
      * Handle OP_QUERY message
      */
@@ -472,12 +728,32 @@ export class MongoDBServer extends EventEmitter {
         
         this.logger.info(`Get more from cursor ${cursorID} in ${fullCollectionName}`);
         
-        // No cursor support yet, return empty
-        return this.messageHandler.createOpReply(
-            message.header.requestID,
-            [],
-            0n
-        );
+        const cursor = this.crudHandlers.cursorManager.getCursor(cursorID);
+        if (!cursor || cursor.isClosed || cursor.namespace !== fullCollectionName) {
+            return this.messageHandler.createOpReply(
+                message.header.requestID,
+                [],
+                0n,
+                OpReplyMessage.FLAGS.CURSOR_NOT_FOUND
+            );
+        }
+        
+        try {
+            const documents = await cursor.getNextBatch(numberToReturn > 0 ? numberToReturn : undefined, {
+                maxTimeMS: cursor.maxTimeMS
+            });
+            if (cursor.isExhausted) {
+                cursor.close();
+            }
+            return this.messageHandler.createOpReply(
+                message.header.requestID,
+                documents,
+                cursor.isClosed ? 0n : cursor.id
+            );
+        } catch (error) {
+            this.logger.error('Get more error:', error);
+            return this.messageHandler.createErrorReply(message.header.requestID, error.message, error.code || 1);
+        }
     }
 
     /**
@@ -487,6 +763,7 @@ export class MongoDBServer extends EventEmitter {
         const { cursorIDs } = message;
         
         this.logger.info(`Kill cursors:`, cursorIDs);
+        this.crudHandlers.cursorManager.closeCursors(cursorIDs);
         
         // No response for OP_KILL_CURSORS
         return null;
@@ -505,7 +782,7 @@ export class MongoDBServer extends EventEmitter {
             );
         }
         
-        const command = message.sections[0].document;
+        const command = message.sections.find(section => section.kind === 0)?.document;
         if (!command) {
             return this.messageHandler.createErrorReply(
                 message.header.requestID,
@@ -514,27 +791,53 @@ export class MongoDBServer extends EventEmitter {
             );
         }
         
+        // Document sequences (kind 1) carry array fields such as documents, updates or ops
+        for (const section of message.sections) {
+            if (section.kind === 1) {
+                command[section.identifier] = section.documents;
+            }
+        }
+        
         this.logger.info('OP_MSG command:', command);
         
+        const reply = await this.routeMsgCommand(connection, command, message.header.requestID);
+        
+        // Unacknowledged writes (w: 0) set moreToCome and expect no reply
+        return message.flagBits & OpMsgMessage.FLAGS.MORE_TO_COME ? null : reply;
+    }
+
+    /**
+     * Route an OP_MSG command to its handler
+     */
+    async routeMsgCommand(connection, command, requestId) {
         // Route based on command
-        if (command.insert) {
-            return this.handleInsertCommand(connection, command, message.header.requestID);
+        // findAndModify carries an update field, so it must be routed before update
+        if (command.findAndModify !== undefined || command.findandmodify !== undefined) {
+            return this.handleCrudCommand('handleFindAndModifyCommand', command, requestId);
+        } else if (command.insert) {
+            return this.handleInsertCommand(connection, command, requestId);
         } else if (command.find) {
-            return this.handleFindCommand(connection, command, message.header.requestID);
+            return this.handleFindCommand(connection, command, requestId);
         } else if (command.update) {
-            return this.handleUpdateCommand(connection, command, message.header.requestID);
+            return this.handleUpdateCommand(connection, command, requestId);
         } else if (command.delete) {
-            return this.handleDeleteCommand(connection, command, message.header.requestID);
+            return this.handleDeleteCommand(connection, command, requestId);
         } else if (command.aggregate) {
-            return this.handleAggregateCommand(connection, command, message.header.requestID);
+            return this.handleAggregateCommand(connection, command, requestId);
         } else if (command.count) {
-            return this.handleCountCommand(connection, command, message.header.requestID);
+            return this.handleCountCommand(connection, command, requestId);
         } else if (command.createIndexes) {
-            return this.handleCreateIndexCommand(connection, command, message.header.requestID);
+            return this.handleCreateIndexCommand(connection, command, requestId);
         } else if (command.listIndexes) {
-            return this.handleListIndexesCommand(connection, command, message.header.requestID);
+            return this.handleListIndexesCommand(connection, command, requestId);
+        } else if (command.getMore) {
+            return this.handleGetMoreCommand(connection, command, requestId);
+        } else if (command.killCursors) {
+            return this.handleKillCursorsCommand(connection, command, requestId);
+        } else if (command.explain) {
+            return this.handleExplainCommand(connection, command, requestId);
         } else {
-            return this.handleCommand(connection, command.$db || connection.database, command, message.header.requestID);
+            return this.handleCommand(connection, command.$db || connection.database, command, requestId);
         }
     }
 
@@ -546,6 +849,24 @@ export class MongoDBServer extends EventEmitter {
         
         // Handle isMaster/hello command
         if (command.isMaster || command.ismaster || command.hello) {
+            // Negotiate wire compression from the client's list
+            if (command.compression) {
+                connection.compressors = negotiateCompressors(command.compression, this.compressors);
+            }
+            
+            // Speculative authentication runs saslStart as part of the handshake
+            let speculativeAuthenticate = null;
+            if (command.speculativeAuthenticate?.saslStart) {
+                const reply = this.authenticator.saslStart(
+                    connection,
+                    command.speculativeAuthenticate.db || database,
+                    command.speculativeAuthenticate
+                );
+                if (reply.ok) {
+                    speculativeAuthenticate = reply;
+                }
+            }
+            
             return this.messageHandler.createOpMsg({
                 ok: 1,
                 ismaster: true,
@@ -566,11 +887,45 @@ export class MongoDBServer extends EventEmitter {
                     counter: 6
                 },
                 // Additional capabilities
-                compression: ['snappy', 'zlib'],
-                saslSupportedMechs: []
+                ...(connection.compressors.length > 0 ? { compression: connection.compressors } : {}),
+                saslSupportedMechs: this.authenticator.getSupportedMechanisms(command.saslSupportedMechs),
+                ...(speculativeAuthenticate ? { speculativeAuthenticate } : {})
             }, 0, requestId);
         }
         
+        // Handle SASL authentication
+        if (command.saslStart) {
+            return this.messageHandler.createOpMsg(
+                this.authenticator.saslStart(connection, database, command), 0, requestId
+            );
+        }
+        
+        if (command.saslContinue) {
+            return this.messageHandler.createOpMsg(
+                this.authenticator.saslContinue(connection, database, command), 0, requestId
+            );
+        }
+        
+        // Handle logout
+        if (command.logout) {
+            connection.users = connection.users.filter(user => user.db !== database);
+            connection.authenticated = !this.requireAuth || connection.users.length > 0;
+            return this.messageHandler.createOpMsg({ ok: 1 }, 0, requestId);
+        }
+        
+        // Handle user management
+        if (command.createUser) {
+            return this.handleCreateUserCommand(connection, database, command, requestId);
+        }
+        
+        if (command.dropUser) {
+            return this.handleDropUserCommand(connection, database, command, requestId);
+        }
+        
+        if (command.usersInfo !== undefined) {
+            return this.handleUsersInfoCommand(connection, database, command, requestId);
+        }
+        
         // Handle ping
         if (command.ping) {
             return this.messageHandler.createOpMsg({ ok: 1 }, 0, requestId);
@@ -606,8 +961,9 @@ export class MongoDBServer extends EventEmitter {
         if (command.connectionStatus) {
             const response = {
                 authInfo: {
-                    authenticatedUsers: [],
-                    authenticatedUserRoles: []
+                    authenticatedUsers: connection.users.map(({ user, db }) => ({ user, db })),
+                    authenticatedUserRoles: connection.users.flatMap(({ user, db }) =>
+                        this.userStore.getUser(db, user)?.roles || [])
                 },
                 ok: 1
             };
@@ -687,9 +1043,55 @@ export class MongoDBServer extends EventEmitter {
             }, 0, requestId);
         }
         
+        // Collection and database management
+        if (command.distinct !== undefined) {
+            return this.handleCrudCommand('handleDistinctCommand', command, requestId);
+        }
+        if (command.findAndModify !== undefined || command.findandmodify !== undefined) {
+            return this.handleCrudCommand('handleFindAndModifyCommand', command, requestId);
+        }
+        if (command.create !== undefined) {
+            return this.handleCrudCommand('handleCreateCommand', command, requestId);
+        }
+        if (command.drop !== undefined) {
+            return this.handleCrudCommand('handleDropCommand', command, requestId);
+        }
+        if (command.dropDatabase !== undefined) {
+            return this.handleCrudCommand('handleDropDatabaseCommand', command, requestId);
+        }
+        if (command.renameCollection !== undefined) {
+            return this.handleCrudCommand('handleRenameCollectionCommand', command, requestId);
+        }
+        if (command.collStats !== undefined || command.collstats !== undefined) {
+            return this.handleCrudCommand('handleCollStatsCommand', command, requestId);
+        }
+        if (command.dbStats !== undefined || command.dbstats !== undefined) {
+            return this.handleCrudCommand('handleDbStatsCommand', command, requestId);
+        }
+        if (command.bulkWrite !== undefined) {
+            return this.handleCrudCommand('handleBulkWriteCommand', command, requestId);
+        }
+        
+        // Handle listCommands
+        if (command.listCommands) {
+            const commands = {};
+            for (const [name, help] of Object.entries(COMMAND_HELP)) {
+                commands[name] = {
+                    help,
+                    requiresAuth: !AUTH_EXEMPT_COMMANDS.has(name.toLowerCase()),
+                    secondaryOk: true,
+                    adminOnly: ADMIN_ONLY_COMMANDS.has(name),
+                    apiVersions: [],
+                    deprecatedApiVersions: []
+                };
+            }
+            return this.messageHandler.createOpMsg({ commands, ok: 1 }, 0, requestId);
+        }
+        
         // Handle listCollections
         if (command.listCollections) {
-            let collections = await this.storage.listCollections(database);
+            const collectionManager = this.crudHandlers.collectionManager;
+            let collections = await collectionManager.listCollectionNames(database);
             
             // For configured default database, also show available models as collections
             if (database === config.storage.defaultDatabase) {
@@ -707,7 +1109,7 @@ export class MongoDBServer extends EventEmitter {
                 firstBatch: collections.map(name => ({
                     name,
                     type: 'collection',
-                    options: {},
+                    options: collectionManager.createdCollections.get(`${database}.${name}`) || {},
                     info: {
                         readOnly: false,
                         uuid: null
@@ -743,6 +1145,129 @@ export class MongoDBServer extends EventEmitter {
         }, 0, requestId);
     }
 
+    /**
+     * Run a CRUD handler and reply with its result
+     */
+    async handleCrudCommand(handlerName, command, requestId) {
+        try {
+            const result = await this.crudHandlers[handlerName](command);
+            return this.messageHandler.createOpMsg(result, 0, requestId);
+        } catch (error) {
+            this.logger.error(`${Object.keys(command)[0]} command error:`, error);
+            return this.messageHandler.createOpMsg({
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1
+            }, 0, requestId);
+        }
+    }
+
+    /**
+     * Handle createUser command
+     */
+    async handleCreateUserCommand(connection, database, command, requestId) {
+        if (!this.canManageUsers(connection, database)) {
+            return this.createUserAdminDeniedReply(database, 'createUser', command.createUser, requestId);
+        }
+        
+        if (typeof command.pwd !== 'string' || command.pwd.length === 0) {
+            return this.messageHandler.createOpMsg({
+                ok: 0,
+                errmsg: 'Must provide a \'pwd\' field for all user documents',
+                code: AuthErrorCode.BAD_VALUE,
+                codeName: 'BadValue'
+            }, 0, requestId);
+        }
+        
+        if (!Array.isArray(command.roles)) {
+            return this.messageHandler.createOpMsg({
+                ok: 0,
+                errmsg: '"createUser" command requires a "roles" array',
+                code: AuthErrorCode.BAD_VALUE,
+                codeName: 'BadValue'
+            }, 0, requestId);
+        }
+        
+        try {
+            await this.userStore.createUser(database, command.createUser, command.pwd, {
+                roles: command.roles,
+                customData: command.customData,
+                mechanisms: command.mechanisms
+            });
+            return this.messageHandler.createOpMsg({ ok: 1 }, 0, requestId);
+        } catch (error) {
+            this.logger.error('createUser command error:', error);
+            return this.messageHandler.createOpMsg({
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1
+            }, 0, requestId);
+        }
+    }
+
+    /**
+     * Handle dropUser command
+     */
+    async handleDropUserCommand(connection, database, command, requestId) {
+        if (!this.canManageUsers(connection, database)) {
+            return this.createUserAdminDeniedReply(database, 'dropUser', command.dropUser, requestId);
+        }
+        
+        const dropped = await this.userStore.dropUser(database, command.dropUser);
+        if (!dropped) {
+            return this.messageHandler.createOpMsg({
+                ok: 0,
+                errmsg: `User '${command.dropUser}@${database}' not found`,
+                code: AuthErrorCode.USER_NOT_FOUND,
+                codeName: 'UserNotFound'
+            }, 0, requestId);
+        }
+        
+        return this.messageHandler.createOpMsg({ ok: 1 }, 0, requestId);
+    }
+
+    /**
+     * Handle usersInfo command
+     * Accepts 1, a username, { user, db }, an array of those, or { forAllDBs: true }
+     */
+    async handleUsersInfoCommand(connection, database, command, requestId) {
+        const spec = command.usersInfo;
+        let users;
+        
+        if (spec === 1 || spec === true) {
+            users = this.userStore.listUsers(database);
+        } else if (spec?.forAllDBs) {
+            users = this.userStore.listUsers();
+        } else {
+            users = (Array.isArray(spec) ? spec : [spec])
+                .map(entry => typeof entry === 'string'
+                    ? this.userStore.getUser(database, entry)
+                    : this.userStore.getUser(entry.db || database, entry.user))
+                .filter(Boolean);
+        }
+        
+        return this.messageHandler.createOpMsg({
+            users: users.map(user => {
+                const info = {
+                    _id: user._id,
+                    userId: new Binary(Buffer.from(user.userId.replace(/-/g, ''), 'hex'), 4),
+                    user: user.user,
+                    db: user.db,
+                    roles: user.roles,
+                    mechanisms: user.mechanisms
+                };
+                if (user.customData) {
+                    info.customData = user.customData;
+                }
+                if (command.showCredentials) {
+                    info.credentials = user.credentials;
+                }
+                return info;
+            }),
+            ok: 1
+        }, 0, requestId);
+    }
+
     /**
      * Handle insert command (OP_MSG style)
      */
@@ -818,6 +1343,16 @@ export class MongoDBServer extends EventEmitter {
      * Handle aggregate command (OP_MSG style)
      */
     async handleAggregateCommand(connection, command, requestId) {
+        // The legacy explain option only plans the pipeline
+        if (command.explain === true) {
+            const { explain, ...explained } = command;
+            return this.handleExplainCommand(connection, {
+                explain: explained,
+                verbosity: 'queryPlanner',
+                $db: command.$db
+            }, requestId);
+        }
+        
         try {
             const result = await this.crudHandlers.handleAggregateCommand(command);
             return this.messageHandler.createOpMsg(result, 0, requestId);
@@ -849,146 +1384,95 @@ export class MongoDBServer extends EventEmitter {
     }
     
     /**
-     * Handle createIndexes command (OP_MSG style)
+     * Handle getMore command (OP_MSG style)
      */
-    async handleCreateIndexCommand(connection, command, requestId) {
+    async handleGetMoreCommand(connection, command, requestId) {
         try {
-            const result = await this.crudHandlers.handleCreateIndexCommand(command);
+            const result = await this.crudHandlers.handleGetMoreCommand(command);
             return this.messageHandler.createOpMsg(result, 0, requestId);
         } catch (error) {
-            this.logger.error('CreateIndex command error:', error);
-            return this.messageHandler.createErrorReply(requestId, error.message, 1);
+            this.logger.error('GetMore command error:', error);
+            return this.messageHandler.createOpMsg({
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1
+            }, 0, requestId);
         }
     }
     
     /**
-     * Handle listIndexes command (OP_MSG style)
+     * Handle killCursors command (OP_MSG style)
      */
-    async handleListIndexesCommand(connection, command, requestId) {
+    async handleKillCursorsCommand(connection, command, requestId) {
         try {
-            const result = await this.crudHandlers.handleListIndexesCommand(command);
+            const result = await this.crudHandlers.handleKillCursorsCommand(command);
             return this.messageHandler.createOpMsg(result, 0, requestId);
         } catch (error) {
-            this.logger.error('ListIndexes command error:', error);
-            return this.messageHandler.createErrorReply(requestId, error.message, 1);
+            this.logger.error('KillCursors command error:', error);
+            return this.messageHandler.createOpMsg({
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1
+            }, 0, requestId);
         }
     }
-
+    
     /**
-     * Extract constraints from MongoDB query for generation
+     * Handle explain command (OP_MSG style)
+     * Adds the server-wide generation metrics to the plan
      */
-    extractConstraints(query) {
-        const constraints = {};
-        
-        if (!query || typeof query !== 'object') {
-            return constraints;
-        }
-        
-        // Extract simple equality constraints
-        for (const [field, value] of Object.entries(query)) {
-            if (!field.startsWith('$') && !isOperatorObject(value)) {
-                constraints[field] = value;
+    async handleExplainCommand(connection, command, requestId) {
+        try {
+            const result = await this.crudHandlers.handleExplainCommand(command);
+            if (result.ok) {
+                const snapshot = this.metrics.getSnapshot();
+                result.generationMetrics = {
+                    ...snapshot.generation,
+                    latency: snapshot.performance.generationLatency
+                };
             }
+            return this.messageHandler.createOpMsg(result, 0, requestId);
+        } catch (error) {
+            this.logger.error('Explain command error:', error);
+            return this.messageHandler.createOpMsg({
+                ok: 0,
+                errmsg: error.message,
+                code: error.code || 1
+            }, 0, requestId);
         }
-        
-        return constraints;
-        
-        function isOperatorObject(value) {
-            return value && typeof value === 'object' && 
-                   Object.keys(value).some(k => k.startsWith('$'));
-        }
-    }
-
-    /**
-     * Filter documents based on MongoDB query
-     * Basic implementation - can be enhanced
-     */
-    filterDocuments(documents, query) {
-        if (!query || Object.keys(query).length === 0) {
-            return documents;
-        }
-        
-        return documents.filter(doc => this.matchesQuery(doc, query));
     }
-
+    
     /**
-     * Check if a document matches a query
+     * Handle createIndexes command (OP_MSG style)
      */
-    matchesQuery(doc, query) {
-        for (const [field, condition] of Object.entries(query)) {
-            const value = this.getFieldValue(doc, field);
-            
-            // Handle operators
-            if (typeof condition === 'object' && condition !== null) {
-                if (!this.matchesOperators(value, condition)) {
-                    return false;
-                }
-            } else {
-                // Simple equality
-                if (value !== condition) {
-                    return false;
-                }
-            }
+    async handleCreateIndexCommand(connection, command, requestId) {
+        try {
+            const result = await this.crudHandlers.handleCreateIndexCommand(command);
+            return this.messageHandler.createOpMsg(result, 0, requestId);
+        } catch (error) {
+            this.logger.error('CreateIndex command error:', error);
+            return this.messageHandler.createErrorReply(requestId, error.message, 1);
         }
-        
-        return true;
     }
-
+    
     /**
-     * Get nested field value from document
+     * Handle listIndexes command (OP_MSG style)
      */
-    getFieldValue(doc, path) {
-        const parts = path.split('.');
-        let current = doc;
-        
-        for (const part of parts) {
-            if (current == null) return undefined;
-            current = current[part];
+    async handleListIndexesCommand(connection, command, requestId) {
+        try {
+            const result = await this.crudHandlers.handleListIndexesCommand(command);
+            return this.messageHandler.createOpMsg(result, 0, requestId);
+        } catch (error) {
+            this.logger.error('ListIndexes command error:', error);
+            return this.messageHandler.createErrorReply(requestId, error.message, 1);
         }
-        
-        return current;
     }
 
     /**
-     * Match value against operator conditions
+     * Filter documents based on MongoDB query
      */
-    matchesOperators(value, operators) {
-        for (const [op, operand] of Object.entries(operators)) {
-            switch (op) {
-                case '$eq':
-                    if (value !== operand) return false;
-                    break;
-                case '$ne':
-                    if (value === operand) return false;
-                    break;
-                case '$gt':
-                    if (!(value > operand)) return false;
-                    break;
-                case '$gte':
-                    if (!(value >= operand)) return false;
-                    break;
-                case '$lt':
-                    if (!(value < operand)) return false;
-                    break;
-                case '$lte':
-                    if (!(value <= operand)) return false;
-                    break;
-                case '$in':
-                    if (!operand.includes(value)) return false;
-                    break;
-                case '$nin':
-                    if (operand.includes(value)) return false;
-                    break;
-                case '$exists':
-                    if ((value !== undefined) !== operand) return false;
-                    break;
-                default:
-                    // Unknown operator, ignore for now
-                    break;
-            }
-        }
-        
-        return true;
+    filterDocuments(documents, query) {
+        return this.matcher.filter(documents, query);
     }
 
     /**
@@ -1011,6 +1495,7 @@ export class MongoDBServer extends EventEmitter {
         return {
             ...this.stats,
             uptime: this.stats.startTime ? Date.now() - this.stats.startTime.getTime() : 0,
+            generation: this.metrics.getSnapshot().generation,
             connections: Array.from(this.connections.values()).map(conn => ({
                 id: conn.id,
                 remoteAddress: conn.remoteAddress,
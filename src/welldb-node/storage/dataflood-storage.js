@@ -7,10 +7,71 @@
 import { promises as fs, readdirSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
 import path from 'path';
 const { join } = path;
-import { DocumentGenerator } from '../../dataflood-js/generator/document-generator.js';
+import { createDocumentGenerator } from '../../dataflood-js/generator/document-generator.js';
 import { IncrementalTrainer } from '../../dataflood-js/training/incremental-trainer.js';
 import { SchemaInferrer } from '../../dataflood-js/schema/inferrer.js';
+import { RegexGenerator } from '../../dataflood-js/generator/regex-generator.js';
 import config from '../../config/config-loader.js';
+import { toExtendedJSON, fromExtendedJSON, toBsonValue } from '../protocol/bson.js';
+import { ExpressionEvaluator } from '../core/expression-evaluator.js';
+
+/**
+ * Key identifying a document _id across BSON types (ObjectId, string, number...)
+ */
+export function getDocumentKey(id) {
+    return JSON.stringify(toExtendedJSON(id));
+}
+
+/**
+ * Compare values by their Extended JSON form
+ */
+function valuesEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    return a !== undefined && b !== undefined && getDocumentKey(a) === getDocumentKey(b);
+}
+
+/**
+ * A referenced _id as the value of a foreign key field of a value type, or
+ * undefined when the types differ; ObjectIds and their hex strings stand
+ * for each other, taking the form the field is generated in
+ */
+function toForeignKey(id, valueType, objectIds) {
+    const hex = typeof id === 'string' ? id : id?.toHexString?.();
+    if (valueType === 'string') {
+        if (typeof hex !== 'string') {
+            return undefined;
+        }
+        return objectIds && /^[0-9a-f]{24}$/i.test(hex) ? toBsonValue('objectId', hex) : hex;
+    }
+    if (valueType === 'integer' || valueType === 'number') {
+        return typeof id === 'number' ? id : undefined;
+    }
+    return id ?? undefined;
+}
+
+/**
+ * Mix a seed and a position into a seed for the document generator
+ */
+function mixSeed(seed, index) {
+    let hash = Math.imul(Number(seed) | 0, 0x9e3779b1) ^ index;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b);
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return (hash >>> 0) % 2147483646 + 1;
+}
+
+/**
+ * Create a document generator that computes derived properties and emits
+ * typed BSON values
+ */
+function createGenerator(seed = null, entropyOverride = null) {
+    return createDocumentGenerator(seed, entropyOverride, {
+        expressionEvaluator: new ExpressionEvaluator(),
+        bsonValueFactory: (bsonType, value, schema) => toBsonValue(bsonType, value, schema.binarySubtype ?? 0)
+    });
+}
 
 /**
  * Storage manager for DataFlood models
@@ -25,8 +86,14 @@ export class DataFloodStorage {
         this.enableAutoTrain = options.enableAutoTrain !== false;
         this.trainThreshold = options.trainThreshold || config.server.trainThreshold;
         this.trainer = new IncrementalTrainer();
-        this.generator = new DocumentGenerator();
+        this.generator = createGenerator();
         this.defaultDatabase = config.storage.defaultDatabase || 'mcp';
+        this.keySpaceSize = options.keySpaceSize || config.generation.keySpaceSize || 100;
+        this.keySpaceCache = new Map();
+        this.virtualCollections = options.virtualCollections ?? config.generation.virtualCollections ?? false;
+        this.virtualCollectionSize = options.virtualCollectionSize || config.generation.virtualCollectionSize || 1000;
+        this.documentLayerCache = new Map();
+        this.documentLayerWrites = new Map();
     }
 
     createDefaultLogger() {
@@ -102,10 +169,107 @@ export class DataFloodStorage {
         
         // Update cache
         this.addToCache(cacheKey, model);
+        this.invalidateKeySpaces(database, collection);
         
         this.logger.info(`Saved model for ${cacheKey} to ${modelPath}`);
     }
 
+    /**
+     * Get file path for a collection's stored documents
+     */
+    getDocumentsPath(database, collection) {
+        return join(this.basePath, database, `${collection}.documents`);
+    }
+
+    /**
+     * Get the stored document layer of a hybrid collection
+     * Real documents, plus overrides and tombstones for generated _ids
+     */
+    async getDocumentLayer(database, collection) {
+        const cacheKey = this.getCacheKey(database, collection);
+        if (this.documentLayerCache.has(cacheKey)) {
+            return this.documentLayerCache.get(cacheKey);
+        }
+
+        const layer = {
+            documents: [],
+            overrides: new Map(),
+            tombstones: new Map()
+        };
+
+        const documentsPath = this.getDocumentsPath(database, collection);
+        try {
+            const data = fromExtendedJSON(JSON.parse(await fs.readFile(documentsPath, 'utf8')));
+            layer.documents = data.documents || [];
+            for (const doc of data.overrides || []) {
+                layer.overrides.set(getDocumentKey(doc._id), doc);
+            }
+            for (const id of data.tombstones || []) {
+                layer.tombstones.set(getDocumentKey(id), id);
+            }
+            this.logger.info(`Loaded ${layer.documents.length} stored documents for ${cacheKey}`);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                this.logger.error(`Error loading stored documents for ${cacheKey}:`, err);
+                throw err;
+            }
+        }
+
+        // Another load may have finished first
+        if (this.documentLayerCache.has(cacheKey)) {
+            return this.documentLayerCache.get(cacheKey);
+        }
+        this.documentLayerCache.set(cacheKey, layer);
+        return layer;
+    }
+
+    /**
+     * Persist the document layer of a collection
+     * Writes per collection are serialized
+     */
+    async saveDocumentLayer(database, collection) {
+        const cacheKey = this.getCacheKey(database, collection);
+        const previous = this.documentLayerWrites.get(cacheKey) || Promise.resolve();
+        const write = previous.then(() => this.writeDocumentLayer(database, collection));
+        this.documentLayerWrites.set(cacheKey, write.catch(() => {}));
+        return write;
+    }
+
+    /**
+     * Write the document layer to a temporary file and rename it into place,
+     * so a crash mid-write never leaves a truncated file
+     */
+    async writeDocumentLayer(database, collection) {
+        const layer = this.documentLayerCache.get(this.getCacheKey(database, collection));
+        const documentsPath = this.getDocumentsPath(database, collection);
+
+        if (!layer || (layer.documents.length === 0 && layer.overrides.size === 0 && layer.tombstones.size === 0)) {
+            await fs.rm(documentsPath, { force: true });
+            return;
+        }
+
+        await fs.mkdir(path.dirname(documentsPath), { recursive: true });
+        const data = JSON.stringify(toExtendedJSON({
+            documents: layer.documents,
+            overrides: Array.from(layer.overrides.values()),
+            tombstones: Array.from(layer.tombstones.values())
+        }));
+        const tempPath = `${documentsPath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, data, 'utf8');
+        await fs.rename(tempPath, documentsPath);
+    }
+
+    /**
+     * Delete the stored documents of a collection
+     */
+    async deleteDocumentLayer(database, collection) {
+        const cacheKey = this.getCacheKey(database, collection);
+        await this.documentLayerWrites.get(cacheKey);
+        this.documentLayerCache.delete(cacheKey);
+        this.documentLayerWrites.delete(cacheKey);
+        await fs.rm(this.getDocumentsPath(database, collection), { force: true });
+    }
+
     /**
      * Delete a model from disk and cache
      */
@@ -115,6 +279,7 @@ export class DataFloodStorage {
         
         // Remove from cache
         this.modelCache.delete(cacheKey);
+        this.invalidateKeySpaces(database, collection);
         
         // Delete from disk
         try {
@@ -127,6 +292,41 @@ export class DataFloodStorage {
         }
     }
 
+    /**
+     * Move a collection's model and stored documents to a new name
+     */
+    async renameCollection(database, collection, toDatabase, toCollection) {
+        const cacheKey = this.getCacheKey(database, collection);
+        const toCacheKey = this.getCacheKey(toDatabase, toCollection);
+        await this.documentLayerWrites.get(cacheKey);
+
+        const moves = [
+            [this.getModelPath(database, collection), this.getModelPath(toDatabase, toCollection)],
+            [this.getDocumentsPath(database, collection), this.getDocumentsPath(toDatabase, toCollection)]
+        ];
+        for (const [from, to] of moves) {
+            try {
+                await fs.mkdir(path.dirname(to), { recursive: true });
+                await fs.rename(from, to);
+            } catch (err) {
+                if (err.code !== 'ENOENT') {
+                    throw err;
+                }
+            }
+        }
+
+        // Caches are keyed by name; both names reload from disk
+        for (const key of [cacheKey, toCacheKey]) {
+            this.modelCache.delete(key);
+            this.documentLayerCache.delete(key);
+            this.documentLayerWrites.delete(key);
+        }
+        this.invalidateKeySpaces(database, collection);
+        this.invalidateKeySpaces(toDatabase, toCollection);
+
+        this.logger.info(`Renamed ${cacheKey} to ${toCacheKey}`);
+    }
+
     /**
      * Create or update a model from inserted documents (for database collections)
      */
@@ -134,13 +334,21 @@ export class DataFloodStorage {
         if (!this.enableAutoTrain) {
             return null;
         }
+        
+        return this.buildCollectionModel(database, collection, documents);
+    }
 
-        const existingModel = await this.getModel(database, collection);
+    /**
+     * Infer a collection's model from documents, or update its existing model
+     * incrementally; replace infers a new model even when one exists
+     */
+    async buildCollectionModel(database, collection, documents, { replace = false } = {}) {
+        const existingModel = replace ? null : await this.getModel(database, collection);
         
         // Use SchemaInferrer if no existing model
         let updatedModel;
         if (!existingModel) {
-            const inferrer = new SchemaInferrer();
+            const inferrer = new SchemaInferrer({ detectRelationships: true });
             updatedModel = inferrer.inferSchema(documents);
         } else {
             // Train incrementally
@@ -166,10 +374,23 @@ export class DataFloodStorage {
      * Generate documents from a model
      */
     async generateDocuments(database, collection, count, options = {}) {
+        const stream = await this.createGenerationStream(database, collection, options);
+        const documents = stream.next(count);
+        
+        this.logger.debug(`Generated ${count} documents for ${database}.${collection}`);
+        return documents;
+    }
+
+    /**
+     * Create a stream of generated documents
+     * Each next(count) continues the same sequence, so a seeded stream
+     * can be extended batch by batch and stays reproducible
+     */
+    async createGenerationStream(database, collection, options = {}) {
         const model = await this.getModel(database, collection);
         if (!model) {
             // No model exists, generate simple random documents
-            return this.generateDefaultDocuments(count, options.seed);
+            return { next: count => this.generateDefaultDocuments(count, options.seed) };
         }
 
         const seed = options.seed || null;
@@ -177,91 +398,663 @@ export class DataFloodStorage {
         const constraints = options.constraints || {};
         
         // Generate with constraints if provided
-        const generator = new DocumentGenerator(seed, entropyOverride);
+        const generator = createGenerator(seed, entropyOverride);
         
         // Generate documents - pass the schema, not the whole model
         const schema = model.schema || model;  // Support both wrapped models and raw schemas
-        const generatedDocs = generator.generateDocuments(schema, count);
-        const documents = [];
+        
+        // Foreign keys point at ids the referenced collection stores or generates
+        if (options.resolveReferences !== false) {
+            generator.setKeySpaces(await this.resolveKeySpaces(database, schema, seed));
+        }
+        
+        // Equality and $in constraints also steer the fields sampled with them
+        generator.setConditions(this.getGenerationConditions(constraints));
         
         // Create a seeded random for ObjectId generation if seed provided
         let idCounter = 0;
         const seedForId = seed ? seed + 1000000 : null; // Offset seed for ID generation
         
-        for (const doc of generatedDocs) {
-            // Apply constraints
-            for (const [field, constraint] of Object.entries(constraints)) {
-                const currentValue = this.getNestedProperty(doc, field);
-                const constrainedValue = this.applyConstraint(currentValue, constraint, field, model);
-                this.setNestedProperty(doc, field, constrainedValue);
+        // Primary keys are unique within the stream: a missing or repeated
+        // one becomes the next integer after the largest, or a new ObjectId
+        const usedIds = new Set();
+        let largestId = -Infinity;
+        const objectIds = schema.properties?._id?.bsonType === 'objectId';
+        const nextId = (previous) => {
+            if (typeof previous === 'number') {
+                return Math.floor(largestId) + 1;
             }
-            
-            // Add MongoDB _id if not present
-            if (!doc._id) {
-                doc._id = this.generateObjectId(seedForId ? seedForId + idCounter : null);
-                idCounter++;
+            const id = this.generateObjectId(seedForId ? seedForId + idCounter : null);
+            idCounter++;
+            return objectIds ? toBsonValue('objectId', id) : id;
+        };
+        
+        // Constraint choices are seeded too, so constrained queries stay reproducible
+        const context = {
+            model,
+            schema,
+            generator,
+            random: seed ? generator.seededRandom(seed + 2000000) : Math.random
+        };
+        
+        return {
+            next: (count) => {
+                const documents = [];
+                for (const doc of generator.generateDocuments(schema, count)) {
+                    this.applyConstraints(doc, constraints, context);
+                    
+                    let key = doc._id === undefined || doc._id === null ? null : getDocumentKey(doc._id);
+                    while (key === null || usedIds.has(key)) {
+                        doc._id = nextId(doc._id);
+                        key = getDocumentKey(doc._id);
+                    }
+                    usedIds.add(key);
+                    if (typeof doc._id === 'number') {
+                        largestId = Math.max(largestId, doc._id);
+                    }
+                    
+                    documents.push(doc);
+                }
+                return documents;
             }
+        };
+    }
+    
+    /**
+     * Generate documents of a virtual collection by position
+     * Document N only depends on (seed, N), so it is the same in every query
+     */
+    async generateVirtualDocuments(database, collection, indexes, options = {}) {
+        const model = await this.getModel(database, collection);
+        if (!model) {
+            return [];
+        }
+
+        const seed = options.seed ?? this.getVirtualSeed(database, collection);
+        const entropyOverride = options.entropyOverride || options.entropy || null;
+        const schema = model.schema || model;
+        const keySpaces = options.resolveReferences !== false
+            ? await this.resolveKeySpaces(database, schema, options.seed ?? null)
+            : {};
+        
+        // Virtual _ids are ObjectIds when the model's are
+        const objectIds = schema.properties?._id?.bsonType === 'objectId';
+        
+        const documents = [];
+        for (const index of indexes) {
+            const generator = createGenerator(mixSeed(seed, index), entropyOverride);
+            generator.setKeySpaces(keySpaces);
+            generator.setSequenceOffset(index);
             
+            const doc = generator.generateDocument(schema);
+            const id = this.getVirtualId(seed, index);
+            doc._id = objectIds ? toBsonValue('objectId', id) : id;
             documents.push(doc);
         }
         
-        this.logger.debug(`Generated ${count} documents for ${database}.${collection}`);
+        this.logger.debug(`Generated ${documents.length} virtual documents for ${database}.${collection}`);
         return documents;
     }
+
+    /**
+     * Default seed of a virtual collection, derived from its name
+     */
+    getVirtualSeed(database, collection) {
+        let hash = 2166136261;
+        for (const char of this.getCacheKey(database, collection)) {
+            hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+        }
+        return (hash >>> 0) % 2147483646 + 1;
+    }
+
+    /**
+     * Get the _id of document N of a virtual collection
+     * The seed picks the leading bytes and N is encoded in the trailing ones
+     */
+    getVirtualId(seed, index) {
+        const prefix = mixSeed(seed, -1).toString(16).padStart(8, '0');
+        return prefix + index.toString(16).padStart(16, '0');
+    }
+
+    /**
+     * Get the position of a virtual document from its _id, or null
+     */
+    getVirtualIndex(seed, id) {
+        const hex = typeof id === 'string' ? id : id?.toHexString?.();
+        if (typeof hex !== 'string' || !/^[0-9a-f]{24}$/i.test(hex)) {
+            return null;
+        }
+        
+        const prefix = mixSeed(seed, -1).toString(16).padStart(8, '0');
+        if (hex.slice(0, 8).toLowerCase() !== prefix) {
+            return null;
+        }
+        
+        const index = parseInt(hex.slice(8), 16);
+        return Number.isSafeInteger(index) ? index : null;
+    }
+
+    /**
+     * Resolve the key spaces of all collections referenced by a schema's relationships
+     * Returns a map of foreign key field to candidate _id values
+     */
+    async resolveKeySpaces(database, schema, seed) {
+        const keySpaces = {};
+        if (!Array.isArray(schema.relationships) || schema.relationships.length === 0) {
+            return keySpaces;
+        }
+        
+        const collections = await this.listCollections(database);
+        
+        for (const relationship of schema.relationships) {
+            const referenced = this.resolveReferencedCollection(relationship, collections);
+            if (!referenced) {
+                continue;
+            }
+            
+            const ids = await this.getKeySpace(database, referenced, seed);
+            
+            // Keep only ids whose type matches the foreign key field
+            const objectIds = schema.properties?.[relationship.field]?.bsonType === 'objectId';
+            const matching = ids
+                .map(id => toForeignKey(id, relationship.valueType, objectIds))
+                .filter(id => id !== undefined);
+            
+            if (matching.length > 0) {
+                keySpaces[relationship.field] = matching;
+            }
+        }
+        
+        return keySpaces;
+    }
     
+    /**
+     * Find the collection a relationship points at
+     * Tries an explicit referencedCollection, then the entity name and its plurals
+     */
+    resolveReferencedCollection(relationship, collections) {
+        const candidates = [];
+        if (relationship.referencedCollection) {
+            candidates.push(relationship.referencedCollection);
+        }
+        
+        const entity = relationship.referencedEntity;
+        if (entity) {
+            candidates.push(entity, `${entity}s`, `${entity}es`);
+            if (entity.endsWith('y')) {
+                candidates.push(`${entity.slice(0, -1)}ies`);
+            }
+        }
+        
+        for (const candidate of candidates) {
+            const match = collections.find(name => name.toLowerCase() === candidate.toLowerCase());
+            if (match) {
+                return match;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Get the distinct _id values of a collection for a seed: its stored
+     * documents' first, then those it generates for the seed, in the order
+     * a find() with the same seed returns them. Deleted ids are left out.
+     * Unseeded generation differs on every find, so without a seed only
+     * stored ids are referenced; with none, references come from the model
+     */
+    async getKeySpace(database, collection, seed) {
+        const layer = await this.getDocumentLayer(database, collection);
+        const generated = seed === null && !this.virtualCollections
+            ? []
+            : await this.getGeneratedKeySpace(database, collection, seed);
+        const ids = new Map();
+        for (const id of [...layer.documents.map(doc => doc._id), ...generated]) {
+            const key = getDocumentKey(id);
+            if (id !== undefined && id !== null && !ids.has(key) && !layer.tombstones.has(key)) {
+                ids.set(key, id);
+            }
+        }
+        return Array.from(ids.values());
+    }
+    
+    /**
+     * Get the _id values a collection generates for a seed
+     */
+    async getGeneratedKeySpace(database, collection, seed) {
+        const cacheKey = `${this.getCacheKey(database, collection)}:${seed}`;
+        if (this.keySpaceCache.has(cacheKey)) {
+            return this.keySpaceCache.get(cacheKey);
+        }
+        
+        let ids;
+        if (this.virtualCollections) {
+            // Virtual ids are known without generating the documents
+            const virtualSeed = seed ?? this.getVirtualSeed(database, collection);
+            const size = Math.min(this.keySpaceSize, this.virtualCollectionSize);
+            ids = Array.from({ length: size }, (_, index) => this.getVirtualId(virtualSeed, index));
+        } else {
+            // Referenced collections are generated without resolving their own references
+            const documents = await this.generateDocuments(database, collection, this.keySpaceSize, {
+                seed,
+                resolveReferences: false
+            });
+            ids = documents.map(doc => doc._id);
+        }
+        
+        if (this.keySpaceCache.size >= this.maxCacheSize) {
+            const firstKey = this.keySpaceCache.keys().next().value;
+            this.keySpaceCache.delete(firstKey);
+        }
+        this.keySpaceCache.set(cacheKey, ids);
+        
+        return ids;
+    }
+    
+    /**
+     * Drop cached key spaces for a collection (or a whole database)
+     */
+    invalidateKeySpaces(database, collection = null) {
+        const prefix = collection
+            ? `${this.getCacheKey(database, collection)}:`
+            : `${database}:`;
+        
+        for (const key of this.keySpaceCache.keys()) {
+            if (key.startsWith(prefix)) {
+                this.keySpaceCache.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Apply query constraints to a generated document
+     * Each $or group picks one of its branches for this document
+     */
+    applyConstraints(doc, constraints, context) {
+        for (const [field, constraint] of Object.entries(constraints)) {
+            if (field === '$or') {
+                for (const branches of constraint) {
+                    if (branches.length > 0) {
+                        const branch = branches[Math.floor(context.random() * branches.length)];
+                        this.applyConstraints(doc, branch, context);
+                    }
+                }
+                continue;
+            }
+            
+            this.applyPathConstraint(doc, field.split('.'), constraint, context, context.schema);
+        }
+        return doc;
+    }
+
+    /**
+     * Allowed values of the top-level fields held by equality or $in
+     * constraints, for the generator to sample related fields with
+     */
+    getGenerationConditions(constraints) {
+        const isScalar = value => ['string', 'number', 'boolean'].includes(typeof value);
+        const conditions = {};
+        
+        for (const [field, constraint] of Object.entries(constraints)) {
+            if (field.startsWith('$') || field.includes('.') || constraint === null || typeof constraint !== 'object') {
+                continue;
+            }
+            
+            if (constraint.equals !== undefined) {
+                if (isScalar(constraint.equals)) {
+                    conditions[field] = [constraint.equals];
+                }
+            } else if (Array.isArray(constraint.enum) && constraint.enum.length > 0 && constraint.enum.every(isScalar)) {
+                conditions[field] = constraint.enum;
+            }
+        }
+        
+        return conditions;
+    }
+
+    /**
+     * Apply a constraint at a dot-path
+     * Paths through an array constrain one element (all of them for $exists: false)
+     */
+    applyPathConstraint(obj, parts, constraint, context, schema) {
+        const [part, ...rest] = parts;
+        const propertySchema = Array.isArray(obj) ? schema?.items : schema?.properties?.[part];
+        
+        if (rest.length === 0) {
+            const value = this.applyConstraint(obj[part], constraint, part, context.model, {
+                ...context,
+                schema: propertySchema
+            });
+            if (value === undefined) {
+                delete obj[part];
+            } else {
+                obj[part] = value;
+            }
+            return;
+        }
+        
+        let child = obj[part];
+        
+        if (Array.isArray(child) && !/^\d+$/.test(rest[0])) {
+            const itemSchema = propertySchema?.items;
+            if (constraint.exists === false) {
+                for (const item of child) {
+                    if (item !== null && typeof item === 'object') {
+                        this.applyPathConstraint(item, rest, constraint, context, itemSchema);
+                    }
+                }
+                return;
+            }
+            
+            let index = child.findIndex(item => item !== null && typeof item === 'object');
+            if (index === -1) {
+                child.push(this.generateObjectValue(itemSchema, context));
+                index = child.length - 1;
+            }
+            this.applyPathConstraint(child[index], rest, constraint, context, itemSchema);
+            return;
+        }
+        
+        if (child === null || typeof child !== 'object') {
+            if (constraint.exists === false) {
+                // Nothing below a missing value
+                return;
+            }
+            child = this.generateObjectValue(propertySchema, context);
+            obj[part] = child;
+        }
+        
+        this.applyPathConstraint(child, rest, constraint, context, propertySchema);
+    }
+
+    /**
+     * Generate a value from a schema, or undefined without one
+     */
+    generateSchemaValue(schema, context) {
+        if (!schema || !context.generator) {
+            return undefined;
+        }
+        return context.generator.generateValue(schema);
+    }
+
+    /**
+     * Generate a document-valued field to descend into
+     */
+    generateObjectValue(schema, context) {
+        const value = this.generateSchemaValue(schema, context);
+        return value !== null && typeof value === 'object' ? value : {};
+    }
+
     /**
      * Apply constraint to a value
+     * Returns undefined when the field must be absent
      */
-    applyConstraint(currentValue, constraint, field, model) {
+    applyConstraint(currentValue, constraint, field, model, context = {}) {
         // If constraint is a simple value (old format), return it
         if (typeof constraint !== 'object' || constraint === null) {
             return constraint;
         }
         
+        const random = context.random || Math.random;
+        
+        if (constraint.exists === false) {
+            return undefined;
+        }
+        
         // Handle constraint object with operators
         if (constraint.equals !== undefined) {
             return constraint.equals;
         }
         
-        // For numeric fields, apply min/max constraints
-        if (typeof currentValue === 'number') {
-            let value = currentValue;
+        let value = currentValue;
+        if (value === undefined) {
+            // Optional field that was not generated
+            value = this.generateSchemaValue(context.schema, context);
+        }
+        
+        // For enum constraint, pick a value from the list unless it already is one
+        if (constraint.enum && Array.isArray(constraint.enum) && constraint.enum.length > 0) {
+            const allowed = constraint.enum.filter(item => !(item instanceof RegExp));
+            if (allowed.length > 0 && !allowed.some(item => valuesEqual(item, value))) {
+                value = allowed[Math.floor(random() * allowed.length)];
+            }
+        }
+        
+        // Dates are kept within min/max
+        if (constraint.min instanceof Date || constraint.max instanceof Date) {
+            value = this.constrainDate(value, constraint, random);
+        } else if (typeof value === 'number' || (value === undefined &&
+                   (typeof constraint.min === 'number' || typeof constraint.max === 'number'))) {
+            value = this.constrainNumber(value, constraint, random, context.schema);
+        }
+        
+        if (constraint.pattern !== undefined && !this.matchesPattern(value, constraint)) {
+            const generated = new RegexGenerator(random).generateMatching(
+                constraint.pattern,
+                constraint.patternOptions || ''
+            );
+            if (generated !== null) {
+                value = generated;
+            }
+        }
+        
+        if (constraint.size !== undefined || constraint.all || constraint.elemMatch) {
+            value = this.constrainArray(value, constraint, context);
+        }
+        
+        // Move off excluded values
+        const excluded = [
+            ...(constraint.notEquals !== undefined ? [constraint.notEquals] : []),
+            ...(Array.isArray(constraint.notIn) ? constraint.notIn : [])
+        ];
+        if (excluded.length > 0) {
+            value = this.avoidValues(value, excluded, context);
+        }
+        
+        if (constraint.exists === true && value === undefined) {
+            value = null;
+        }
+        
+        return value;
+    }
+
+    /**
+     * Keep a number within a min/max constraint
+     */
+    constrainNumber(currentValue, constraint, random, schema = null) {
+        let value = currentValue;
+        const integer = currentValue === undefined || Number.isInteger(currentValue);
+        
+        if (integer && [constraint.min, constraint.max].every(b => b === undefined || Number.isInteger(b))) {
+            const min = constraint.min !== undefined
+                ? constraint.min + (constraint.excludeMin ? 1 : 0)
+                : undefined;
+            const max = constraint.max !== undefined
+                ? constraint.max - (constraint.excludeMax ? 1 : 0)
+                : undefined;
+            
+            const inRange = value !== undefined &&
+                (min === undefined || value >= min) && (max === undefined || value <= max);
+            if (!inRange) {
+                // An open side falls back to the field's own range
+                const schemaMin = Number.isFinite(schema?.minimum) && (max === undefined || schema.minimum <= max)
+                    ? Math.ceil(schema.minimum) : undefined;
+                const schemaMax = Number.isFinite(schema?.maximum) && (min === undefined || schema.maximum >= min)
+                    ? Math.floor(schema.maximum) : undefined;
+                const low = min ?? schemaMin ?? (max !== undefined ? max - 100 : 0);
+                const high = max ?? schemaMax ?? low + 100;
+                value = low + Math.floor(random() * (high - low + 1));
+            }
+            return value;
+        }
+        
+        if (value === undefined) {
+            value = constraint.min ?? constraint.max ?? 0;
+        }
+        
+        if (constraint.min !== undefined) {
+            const min = constraint.excludeMin ? constraint.min + 0.01 : constraint.min;
+            value = Math.max(value, min);
+        }
+        
+        if (constraint.max !== undefined) {
+            const max = constraint.excludeMax ? constraint.max - 0.01 : constraint.max;
+            value = Math.min(value, max);
+        }
+        
+        // If value hasn't changed and we have min/max, generate new value in range
+        if (value === currentValue && (constraint.min !== undefined || constraint.max !== undefined)) {
+            const min = constraint.min || 0;
+            const max = constraint.max || min + 100;
+            value = min + random() * (max - min);
             
-            if (constraint.min !== undefined) {
-                const min = constraint.excludeMin ? constraint.min + 0.01 : constraint.min;
-                value = Math.max(value, min);
+            // Apply exclusion rules
+            if (constraint.excludeMin && value <= constraint.min) {
+                value = constraint.min + 0.01;
             }
+            if (constraint.excludeMax && value >= constraint.max) {
+                value = constraint.max - 0.01;
+            }
+        }
+        
+        return value;
+    }
+
+    /**
+     * Keep a date within a min/max constraint
+     */
+    constrainDate(currentValue, constraint, random) {
+        const toTime = bound => (bound instanceof Date ? bound.getTime() : bound);
+        const min = constraint.min !== undefined ? toTime(constraint.min) + (constraint.excludeMin ? 1 : 0) : undefined;
+        const max = constraint.max !== undefined ? toTime(constraint.max) - (constraint.excludeMax ? 1 : 0) : undefined;
+        
+        const time = currentValue instanceof Date ? currentValue.getTime() : undefined;
+        if (time !== undefined && (min === undefined || time >= min) && (max === undefined || time <= max)) {
+            return currentValue;
+        }
+        
+        // Default to a year-wide window on an open side
+        const year = 365 * 24 * 60 * 60 * 1000;
+        const low = min ?? max - year;
+        const high = max ?? min + year;
+        return new Date(low + Math.floor(random() * (high - low + 1)));
+    }
+
+    /**
+     * Check a value against a $regex constraint
+     */
+    matchesPattern(value, constraint) {
+        if (typeof value !== 'string') {
+            return false;
+        }
+        try {
+            const regex = constraint.pattern instanceof RegExp
+                ? constraint.pattern
+                : new RegExp(constraint.pattern, (constraint.patternOptions || '').replace(/[^imsu]/g, ''));
+            return regex.test(value);
+        } catch (err) {
+            return true;
+        }
+    }
+
+    /**
+     * Shape an array to satisfy $size, $all and $elemMatch
+     */
+    constrainArray(currentValue, constraint, context) {
+        const random = context.random || Math.random;
+        const itemSchema = context.schema?.items;
+        let value = Array.isArray(currentValue) ? [...currentValue] : [];
+        
+        if (constraint.elemMatch) {
+            const { fields, value: elementConstraint } = constraint.elemMatch;
+            const candidates = value
+                .map((item, index) => index)
+                .filter(index => !fields || (value[index] !== null && typeof value[index] === 'object'));
             
-            if (constraint.max !== undefined) {
-                const max = constraint.excludeMax ? constraint.max - 0.01 : constraint.max;
-                value = Math.min(value, max);
+            let index;
+            if (candidates.length > 0) {
+                index = candidates[Math.floor(random() * candidates.length)];
+            } else {
+                value.push(fields
+                    ? this.generateObjectValue(itemSchema, context)
+                    : this.generateSchemaValue(itemSchema, context));
+                index = value.length - 1;
             }
             
-            // If value hasn't changed and we have min/max, generate new value in range
-            if (value === currentValue && (constraint.min !== undefined || constraint.max !== undefined)) {
-                const min = constraint.min || 0;
-                const max = constraint.max || min + 100;
-                value = min + Math.random() * (max - min);
-                
-                // Apply exclusion rules
-                if (constraint.excludeMin && value <= constraint.min) {
-                    value = constraint.min + 0.01;
-                }
-                if (constraint.excludeMax && value >= constraint.max) {
-                    value = constraint.max - 0.01;
+            const elementContext = { ...context, schema: itemSchema };
+            value[index] = fields
+                ? this.applyConstraints(value[index], fields, elementContext)
+                : this.applyConstraint(value[index], elementConstraint, null, context.model, elementContext);
+        }
+        
+        if (Array.isArray(constraint.all)) {
+            for (const item of constraint.all) {
+                if (!value.some(existing => valuesEqual(existing, item))) {
+                    value.push(item);
                 }
             }
-            
+        }
+        
+        if (typeof constraint.size === 'number' && constraint.size >= 0) {
+            // Required elements ($all) are kept when trimming
+            const required = Array.isArray(constraint.all) ? constraint.all : [];
+            while (value.length > constraint.size) {
+                const removable = value.findIndex(item => !required.some(r => valuesEqual(r, item)));
+                value.splice(removable === -1 ? value.length - 1 : removable, 1);
+            }
+            while (value.length < constraint.size) {
+                const generated = this.generateSchemaValue(itemSchema, context);
+                value.push(generated !== undefined
+                    ? generated
+                    : (value.length > 0 ? value[Math.floor(random() * value.length)] : null));
+            }
+        }
+        
+        return value;
+    }
+
+    /**
+     * Replace a value that hits $ne/$nin
+     */
+    avoidValues(value, excluded, context) {
+        const isExcluded = candidate => excluded.some(item => valuesEqual(item, candidate));
+        if (!isExcluded(value)) {
             return value;
         }
         
-        // For enum constraint, pick a value from the list
-        if (constraint.enum && Array.isArray(constraint.enum)) {
-            return constraint.enum[Math.floor(Math.random() * constraint.enum.length)];
+        // Prefer another value the field can take
+        const options = (context.schema?.enum || []).filter(item => !isExcluded(item));
+        if (options.length > 0) {
+            return options[Math.floor((context.random || Math.random)() * options.length)];
+        }
+        
+        if (typeof value === 'boolean') {
+            return !value;
+        }
+        if (typeof value === 'number') {
+            let candidate = value;
+            do {
+                candidate += 1;
+            } while (isExcluded(candidate));
+            return candidate;
+        }
+        if (typeof value === 'string') {
+            let candidate = value;
+            do {
+                candidate += '_';
+            } while (isExcluded(candidate));
+            return candidate;
+        }
+        
+        // A missing or null value needs a real one ($ne: null)
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const candidate = this.generateSchemaValue(context.schema, context);
+            if (candidate !== undefined && candidate !== null && !isExcluded(candidate)) {
+                return candidate;
+            }
         }
         
-        // Default: return current value
-        return currentValue;
+        return value;
     }
     
     /**
@@ -368,7 +1161,7 @@ export class DataFloodStorage {
         const seed = query.$seed || query._seed || null;
         const entropyOverride = query.$entropy || query._entropy || null;
         
-        const generator = new DocumentGenerator(seed, entropyOverride);
+        const generator = createGenerator(seed, entropyOverride);
         
         // Generate document based on model
         let document = generator.generateDocument(model);
@@ -384,7 +1177,7 @@ export class DataFloodStorage {
         }
         
         // Add MongoDB _id if not present
-        if (!document._id) {
+        if (document._id === undefined) {
             // Use seed for deterministic ID if provided
             document._id = this.generateObjectId(seed ? seed + 999999 : null);
         }
@@ -405,7 +1198,7 @@ export class DataFloodStorage {
             model = trainer.updateModel(existingModel, data);
         } else {
             // Create new model
-            const inferrer = new SchemaInferrer();
+            const inferrer = new SchemaInferrer({ detectRelationships: true });
             model = inferrer.inferSchema(data);
         }
         
@@ -424,6 +1217,7 @@ export class DataFloodStorage {
         // Update cache
         const cacheKey = `mcp:${modelName}`;
         this.addToCache(cacheKey, model);
+        this.invalidateKeySpaces(this.defaultDatabase, modelName);
         
         this.logger.info(`Trained model '${modelName}' with ${data.length} samples`);
         return model;
@@ -548,9 +1342,16 @@ export class DataFloodStorage {
         const dbPath = join(this.basePath, database);
         try {
             const entries = await fs.readdir(dbPath);
-            return entries
-                .filter(entry => entry.endsWith('.json'))
-                .map(entry => entry.replace('.json', ''));
+            const collections = new Set();
+            for (const entry of entries) {
+                if (entry.endsWith('.json')) {
+                    collections.add(entry.replace('.json', ''));
+                } else if (entry.endsWith('.documents')) {
+                    // Hybrid collection with stored documents
+                    collections.add(entry.slice(0, -'.documents'.length));
+                }
+            }
+            return Array.from(collections);
         } catch (err) {
             if (err.code === 'ENOENT') {
                 return [];
@@ -571,6 +1372,12 @@ export class DataFloodStorage {
                 this.modelCache.delete(key);
             }
         }
+        this.invalidateKeySpaces(database);
+        for (const key of this.documentLayerCache.keys()) {
+            if (key.startsWith(`${database}:`)) {
+                this.documentLayerCache.delete(key);
+            }
+        }
         
         // Delete directory
         try {
@@ -612,6 +1419,7 @@ export class DataFloodStorage {
     clearCache() {
         const size = this.modelCache.size;
         this.modelCache.clear();
+        this.keySpaceCache.clear();
         this.logger.info(`Cleared ${size} models from cache`);
     }
 
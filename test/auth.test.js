@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MongoDBServer } from '../src/welldb-node/server/mongodb-server.js';
+import { OpCode } from '../src/welldb-node/protocol/opcodes.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+async function createServer(t) {
+  const modelPath = await fs.mkdtemp(path.join(os.tmpdir(), 'mongtap-test-'));
+  const server = new MongoDBServer({ port: 0, modelPath, requireAuth: true, logger: quiet });
+  t.after(async () => {
+    await server.stop();
+    await fs.rm(modelPath, { recursive: true, force: true });
+  });
+  return server;
+}
+
+function commandMessage(document) {
+  return { header: { opCode: OpCode.OP_MSG }, sections: [{ kind: 0, document }] };
+}
+
+test('the localhost exception only admits loopback addresses', async (t) => {
+  const server = await createServer(t);
+  const createUser = commandMessage({ createUser: 'admin', pwd: 'secret', roles: ['root'], $db: 'admin' });
+  const from = remoteAddress => ({ authenticated: false, users: [], socket: { remoteAddress } });
+  
+  for (const address of ['127.0.0.1', '::1', '::ffff:127.0.0.1']) {
+    assert.equal(server.isAuthorized(from(address), createUser), true, address);
+  }
+  for (const address of ['10.0.0.5', '::ffff:192.168.1.2', '0.0.0.0']) {
+    assert.equal(server.isAuthorized(from(address), createUser), false, address);
+  }
+});
+
+test('only user administrators create and drop users once one exists', async (t) => {
+  const server = await createServer(t);
+  const { userStore } = server;
+  await userStore.createUser('admin', 'root', 'secret', { roles: ['root'] });
+  await userStore.createUser('shop', 'owner', 'secret', { roles: ['dbOwner'] });
+  await userStore.createUser('shop', 'reader', 'secret', { roles: ['read'] });
+  const as = (user, db) => ({ authenticated: true, users: [{ user, db }] });
+  
+  assert.equal(server.canManageUsers(as('root', 'admin'), 'shop'), true);
+  assert.equal(server.canManageUsers(as('owner', 'shop'), 'shop'), true);
+  assert.equal(server.canManageUsers(as('owner', 'shop'), 'admin'), false);
+  assert.equal(server.canManageUsers(as('reader', 'shop'), 'shop'), false);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ExpressionEvaluator } from '../src/welldb-node/core/expression-evaluator.js';
+import { ObjectId, Long } from '../src/welldb-node/protocol/bson.js';
+
+test('$eq and $ne compare numbers across types and documents by value', () => {
+  const evaluator = new ExpressionEvaluator();
+  const id = new ObjectId();
+  const document = { count: new Long(5, 0), id, tags: ['a', 'b'] };
+  
+  assert.equal(evaluator.evaluate({ $eq: ['$count', 5] }, document), true);
+  assert.equal(evaluator.evaluate({ $eq: ['$id', { $literal: new ObjectId(id.toString()) }] }, document), true);
+  assert.equal(evaluator.evaluate({ $eq: ['$tags', { $literal: ['a', 'b'] }] }, document), true);
+  assert.equal(evaluator.evaluate({ $eq: ['$missing', null] }, document), true);
+  assert.equal(evaluator.evaluate({ $ne: ['$tags', { $literal: ['b', 'a'] }] }, document), true);
+  assert.equal(evaluator.evaluate({ $ne: ['$count', 5] }, document), false);
+});
+
+test('$cmp and the range comparisons follow BSON ordering across types', () => {
+  const evaluator = new ExpressionEvaluator();
+  const document = { name: 'abc', when: new Date(1000), count: 2 };
+  
+  assert.equal(evaluator.evaluate({ $cmp: ['$count', 1] }, document), 1);
+  assert.equal(evaluator.evaluate({ $cmp: ['$name', 'abc'] }, document), 0);
+  assert.equal(evaluator.evaluate({ $cmp: ['$when', { $literal: new Date(2000) }] }, document), -1);
+  // Numbers sort before strings, strings before dates, null before everything
+  assert.equal(evaluator.evaluate({ $cmp: ['$count', '$name'] }, document), -1);
+  assert.equal(evaluator.evaluate({ $gt: ['$when', '$name'] }, document), true);
+  assert.equal(evaluator.evaluate({ $lt: [null, '$count'] }, document), true);
+  assert.equal(evaluator.evaluate({ $lte: [{ $literal: [1, 2] }, { $literal: [1, 2, 0] }] }, document), true);
+  assert.equal(evaluator.evaluate({ $gte: [{ $literal: { a: 2 } }, { $literal: { a: 1, b: 5 } }] }, document), true);
+});
+
+test('$subtract keeps a date when subtracting milliseconds from it', () => {
+  const evaluator = new ExpressionEvaluator();
+  const document = { start: new Date(1000), end: new Date(5000) };
+  
+  assert.deepEqual(evaluator.evaluate({ $subtract: ['$end', 1500] }, document), new Date(3500));
+  assert.equal(evaluator.evaluate({ $subtract: ['$end', '$start'] }, document), 4000);
+  assert.equal(evaluator.evaluate({ $subtract: [10, 4] }, document), 6);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Collection } from '../src/welldb-node/core/collection-manager.js';
+import { DataFloodStorage } from '../src/welldb-node/storage/dataflood-storage.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+async function createStorage(t) {
+  const basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'mongtap-test-'));
+  t.after(() => fs.rm(basePath, { recursive: true, force: true }));
+  return new DataFloodStorage({ basePath, logger: quiet, virtualCollections: false });
+}
+
+// Ten orders for each of three customers
+function createOrders() {
+  return Array.from({ length: 30 }, (_, i) => ({ customer_id: `old${i % 3}`, total: 10 + i }));
+}
+
+test('repeated foreign key values are detected as a relationship', async (t) => {
+  const storage = await createStorage(t);
+  const orders = new Collection('shop', 'orders', { storage, logger: quiet });
+  await orders.insert(createOrders());
+  
+  const model = await storage.getModel('shop', 'orders');
+  assert.ok(model.relationships.some(r => r.field === 'customer_id' && r.referencedEntity === 'customer'));
+});
+
+test('unseeded foreign keys reference stored documents', async (t) => {
+  const storage = await createStorage(t);
+  const customers = new Collection('shop', 'customers', { storage, logger: quiet });
+  const orders = new Collection('shop', 'orders', { storage, logger: quiet });
+  await orders.insert(createOrders());
+  await customers.insert(['c1', 'c2'].map(_id => ({ _id, name: _id })));
+  
+  const generated = await orders.find({}, { limit: 40 });
+  const referenced = new Set(generated.slice(30).map(order => order.customer_id));
+  assert.ok(referenced.size > 0);
+  assert.ok([...referenced].every(id => id === 'c1' || id === 'c2'));
+});
+
+test('unseeded foreign keys stay as modelled without stored documents to reference', async (t) => {
+  const storage = await createStorage(t);
+  const customers = new Collection('shop', 'customers', { storage, logger: quiet });
+  const orders = new Collection('shop', 'orders', { storage, logger: quiet });
+  await customers.trainOn(Array.from({ length: 10 }, (_, i) => ({ _id: `c${i}`, name: `n${i}` })));
+  await orders.insert(createOrders());
+  
+  const generated = await orders.find({}, { limit: 40 });
+  assert.ok(generated.slice(30).every(order => /^old[0-2]$/.test(order.customer_id)));
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Collection } from '../src/welldb-node/core/collection-manager.js';
+import { AggregationPipeline } from '../src/welldb-node/core/aggregation-pipeline.js';
+import { QueryEngine } from '../src/welldb-node/core/query-engine.js';
+import { DataFloodStorage } from '../src/welldb-node/storage/dataflood-storage.js';
+import { ObjectId } from '../src/welldb-node/protocol/bson.js';
+
+const quiet = { debug() {}, info() {}, warn() {}, error() {} };
+
+function createPeople(id = () => undefined) {
+  return Array.from({ length: 12 }, (_, i) => ({ _id: id(), name: `user${i}`, age: 20 + i }));
+}
+
+async function createCollection(t, storageOptions = {}, documents = createPeople()) {
+  const basePath = await fs.mkdtemp(path.join(os.tmpdir(), 'mongtap-test-'));
+  t.after(() => fs.rm(basePath, { recursive: true, force: true }));
+  
+  const storage = new DataFloodStorage({ basePath, logger: quiet, ...storageOptions });
+  const collection = new Collection('test', 'people', { storage, logger: quiet, hybrid: true });
+  await collection.insert(documents);
+  return collection;
+}
+
+test('deleted stored documents are not found again', async (t) => {
+  const collection = await createCollection(t);
+  const [doc] = await collection.find({ name: 'user3' });
+  
+  const result = await collection.delete({ _id: doc._id });
+  assert.equal(result.deletedCount, 1);
+  
+  assert.equal(await collection.findOne({ _id: doc._id }), null);
+  const all = await collection.find({}, { limit: 0 });
+  assert.ok(!all.some(d => d.name === 'user3'));
+});
+
+test('a deleted stored document does not uncover the generated one with its _id', async (t) => {
+  const collection = await createCollection(t, { virtualCollections: true, virtualCollectionSize: 50 });
+  const [generated] = await collection.find({ $seed: 7 }, { limit: 13 }).then(docs => docs.slice(12));
+  
+  await collection.insert({ _id: generated._id, name: 'stored' });
+  assert.equal((await collection.findOne({ $seed: 7, _id: generated._id })).name, 'stored');
+  
+  await collection.delete({ $seed: 7, _id: generated._id });
+  assert.equal(await collection.findOne({ $seed: 7, _id: generated._id }), null);
+  
+  await collection.insert({ _id: generated._id, name: 'again' });
+  assert.equal((await collection.findOne({ $seed: 7, _id: generated._id })).name, 'again');
+});
+
+test('deleted virtual documents with ObjectId _ids stay hidden from scans and counts', async (t) => {
+  const collection = await createCollection(
+    t,
+    { virtualCollections: true, virtualCollectionSize: 50 },
+    createPeople(() => new ObjectId())
+  );
+  const before = await collection.find({ $seed: 7 }, { limit: 0 });
+  const generated = before[20];
+  assert.equal(typeof generated._id.toHexString, 'function');
+  
+  await collection.delete({ $seed: 7, _id: generated._id });
+  
+  const after = await collection.find({ $seed: 7 }, { limit: 0 });
+  assert.equal(after.length, before.length - 1);
+  assert.ok(!after.some(doc => doc._id.equals?.(generated._id)));
+  assert.equal(await collection.count({ $seed: 7 }), before.length - 1);
+});
+
+test('joins see every stored foreign document', async (t) => {
+  const collection = await createCollection(t);
+  const pipeline = new AggregationPipeline({ logger: quiet });
+  const context = { resolveCollection: async () => collection, lookupLimit: 5 };
+  
+  const [joined] = await pipeline.execute([{ names: ['user0', 'user11'] }], [
+    { $lookup: { from: 'people', localField: 'names', foreignField: 'name', as: 'people' } }
+  ], context);
+  assert.deepEqual(joined.people.map(doc => doc.name).sort(), ['user0', 'user11']);
+  
+  const foreign = await collection.findForeign({}, 5);
+  assert.equal(foreign.length, 12 + 5);
+});
+
+test('a leading aggregation $match steers generation like a find', async (t) => {
+  const collection = await createCollection(t);
+  const engine = new QueryEngine({ logger: quiet });
+  const pipeline = [{ $match: { $seed: 3, age: { $gte: 30 } } }, { $sort: { age: 1 } }];
+  
+  const explained = await engine.explainAggregation(collection, pipeline);
+  assert.ok(explained.queryPlanner.generationConstraints.age);
+  
+  const results = await engine.executeAggregation(collection, pipeline);
+  assert.ok(results.length > 2);
+  assert.ok(results.every(doc => doc.age >= 30));
+});
+
+test('falsy _ids are kept on insert', async (t) => {
+  const collection = await createCollection(t);
+  const result = await collection.insertMany([{ _id: 0, name: 'zero' }, { _id: '', name: 'empty' }]);
+  assert.deepEqual(result.insertedIds, [0, '']);
+  
+  assert.equal((await collection.findOne({ _id: 0 })).name, 'zero');
+  assert.equal((await collection.findOne({ _id: '' })).name, 'empty');
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IncrementalTrainer } from '../src/dataflood-js/training/incremental-trainer.js';
+
+function histogram(bins) {
+  return {
+    bins,
+    totalCount: bins.reduce((sum, bin) => sum + bin.count, 0),
+    minValue: bins[0].rangeStart,
+    maxValue: bins[bins.length - 1].rangeEnd
+  };
+}
+
+test('merged date histograms are re-binned over the combined range', () => {
+  const trainer = new IncrementalTrainer();
+  const merged = trainer.mergeDateModels(
+    { minimum: '1970-01-01T00:00:00.000Z', maximum: '1970-01-01T00:00:00.100Z', count: 10, dayOfWeek: [0, 0, 0, 0, 10, 0, 0],
+      histogram: histogram([{ rangeStart: 0, rangeEnd: 50, count: 4 }, { rangeStart: 50, rangeEnd: 100, count: 6 }]) },
+    { minimum: '1970-01-01T00:00:00.050Z', maximum: '1970-01-01T00:00:00.200Z', count: 10, dayOfWeek: [0, 0, 0, 0, 10, 0, 0],
+      histogram: histogram([{ rangeStart: 50, rangeEnd: 200, count: 10 }]) }
+  );
+  
+  const { bins } = merged.histogram;
+  assert.ok(bins.length <= 10);
+  assert.equal(bins[0].rangeStart, 0);
+  assert.equal(bins[bins.length - 1].rangeEnd, 200);
+  assert.equal(merged.histogram.totalCount, 20);
+  assert.ok(Math.abs(bins.reduce((sum, bin) => sum + bin.count, 0) - 20) < 0.1);
+  assert.ok(bins.every((bin, i) => i === 0 || bin.rangeStart >= bins[i - 1].rangeEnd));
+  assert.equal(Math.round(bins[bins.length - 1].freqEnd), 100);
+});
+
+test('date models without weekday or hour counts merge', () => {
+  const trainer = new IncrementalTrainer();
+  const merged = trainer.mergeDateModels(
+    { minimum: '2024-01-01T00:00:00.000Z', maximum: '2024-02-01T00:00:00.000Z', count: 5 },
+    { minimum: '2024-01-15T00:00:00.000Z', maximum: '2024-03-01T00:00:00.000Z', count: 5,
+      dayOfWeek: [1, 1, 1, 0, 1, 1, 0], hourOfDay: new Array(24).fill(0) }
+  );
+  
+  assert.deepEqual(merged.dayOfWeek, [1, 1, 1, 0, 1, 1, 0]);
+  assert.equal(merged.hourOfDay, undefined);
+  assert.equal(merged.maximum, '2024-03-01T00:00:00.000Z');
+});
+
+test('linear correlations are refitted to the combined sums', () => {
+  const trainer = new IncrementalTrainer();
+  const sumsOf = points => points.reduce((sums, [x, y]) => ({
+    n: sums.n + 1,
+    sumX: sums.sumX + x,
+    sumY: sums.sumY + y,
+    sumXY: sums.sumXY + x * y,
+    sumXX: sums.sumXX + x * x,
+    sumYY: sums.sumYY + y * y
+  }), { n: 0, sumX: 0, sumY: 0, sumXY: 0, sumXX: 0, sumYY: 0 });
+  const line = (from, slope, intercept) => Array.from({ length: 10 }, (_, i) => [from + i, intercept + slope * (from + i)]);
+  
+  const [merged] = trainer.mergeCorrelations(
+    [{ type: 'linear', source: 'x', target: 'y', slope: 2, intercept: 0, sums: sumsOf(line(0, 2, 0)) }],
+    [{ type: 'linear', source: 'x', target: 'y', slope: 2, intercept: 0, sums: sumsOf(line(10, 2, 0)) }]
+  );
+  assert.equal(merged.slope, 2);
+  assert.equal(merged.intercept, 0);
+  assert.equal(merged.sums.n, 20);
+});
+
+test('functional correlations that disagree become conditional', () => {
+  const trainer = new IncrementalTrainer();
+  const [merged] = trainer.mergeCorrelations(
+    [{ type: 'functional', source: 'plan', target: 'cycle', mapping: { free: 'monthly', pro: 'annual' }, counts: { free: 6, pro: 6 } }],
+    [{ type: 'functional', source: 'plan', target: 'cycle', mapping: { free: 'monthly', pro: 'monthly' }, counts: { free: 6, pro: 2 } }]
+  );
+  
+  assert.equal(merged.type, 'conditional');
+  assert.deepEqual(merged.table, { free: [['monthly', 12]], pro: [['annual', 6], ['monthly', 2]] });
+  
+  const [agreeing] = trainer.mergeCorrelations(
+    [{ type: 'functional', source: 'code', target: 'country', mapping: { US: 'United States' }, counts: { US: 6 } }],
+    [{ type: 'functional', source: 'code', target: 'country', mapping: { FR: 'France' }, counts: { FR: 6 } }]
+  );
+  assert.deepEqual(agreeing.mapping, { US: 'United States', FR: 'France' });
+  assert.deepEqual(agreeing.counts, { US: 6, FR: 6 });
+});